@@ -59,6 +59,41 @@ function onDailyTrigger() {
   i2iTT.runDailyMaintenance(SPREADSHEET_ID);
 }
 
+// ===== WEB APP =====
+
+/**
+ * Serves the read-only project dashboard and the one-click status links in reminder emails.
+ * Deploy > New deployment > Web app, execute as "Me" (the account that owns the project sheet),
+ * with access limited to your domain, and put the deployment URL in Config "Web App URL".
+ * Viewers do not need access to the sheet; each one only sees what their Directory entry allows.
+ * Add ?groupBy=assignee, category, or school_year to regroup, or ?view=mine for the viewer's own open projects.
+ * @param {Object} e - The doGet event object
+ * @returns {GoogleAppsScript.HTML.HtmlOutput} The dashboard page
+ */
+function doGet(e) {
+  return i2iTT.renderDashboard(SPREADSHEET_ID, e, { webAppUrl: ScriptApp.getService().getUrl() });
+}
+
+/**
+ * Applies a one-click status link once the person confirms it on the page doGet shows.
+ * @param {Object} e - The doPost event object
+ * @returns {GoogleAppsScript.HTML.HtmlOutput} The result page
+ */
+function doPost(e) {
+  return i2iTT.applyStatusLink(SPREADSHEET_ID, e, { webAppUrl: ScriptApp.getService().getUrl() });
+}
+
+/**
+ * Saves a status change made on the My Projects page (?view=mine).
+ * Called from the page via google.script.run.
+ * @param {string} projectId - The project ID
+ * @param {string} newStatus - The new project status
+ * @returns {Object} { projectId, projectStatus } after the change
+ */
+function updateMyProjectStatus(projectId, newStatus) {
+  return i2iTT.updateProjectStatus(SPREADSHEET_ID, projectId, newStatus);
+}
+
 // ===== MENU HANDLERS =====
 
 /**
@@ -118,7 +153,9 @@ function showStatusSummary() {
 
     const message = [
       `District: ${summary.config.districtId}`,
-      `Next Serial: ${summary.config.nextSerial}`,
+      summary.config.serialPerSchoolYear
+        ? `Next Serial: ${Object.entries(summary.config.yearSerials).map(([year, serial]) => `${year}: ${serial}`).join(', ')}`
+        : `Next Serial: ${summary.config.nextSerial}`,
       '',
       `Total Projects: ${summary.projectCount}`,
       `Ready for Processing: ${summary.readyCount}`,
@@ -135,6 +172,412 @@ function showStatusSummary() {
   }
 }
 
+/**
+ * Previews the 5-minute batch job without creating folders, events, or emails.
+ * Called from the Admin Tools menu. Results are written to the Dry Run Plan sheet.
+ */
+function previewBatchRun() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const summary = i2iTT.processNewProjects(SPREADSHEET_ID, { dryRun: true });
+    ui.alert('Dry Run Complete', formatDryRunSummary(summary), ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', `Dry run failed: ${error.message}\n\nSee the Dry Run Plan sheet for actions planned before the failure.`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Previews the daily maintenance job without sending email or touching calendars.
+ * Called from the Admin Tools menu. Results are written to the Dry Run Plan sheet.
+ */
+function previewDailyMaintenance() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const summary = i2iTT.runDailyMaintenance(SPREADSHEET_ID, { dryRun: true });
+    ui.alert('Dry Run Complete', formatDryRunSummary(summary), ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', `Dry run failed: ${error.message}\n\nSee the Dry Run Plan sheet for actions planned before the failure.`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Runs daily maintenance now, e.g. after a run failed partway. Reminders and digests already
+ * sent today are skipped unless the admin chooses to resend them.
+ * Called from the Admin Tools menu.
+ */
+function manualRunDailyMaintenance() {
+  const ui = SpreadsheetApp.getUi();
+
+  const choice = ui.alert('Run Daily Maintenance',
+    'Reminders and digests that already went out today are normally skipped.\n\n' +
+    'Send them again anyway? Choose No to skip them.', ui.ButtonSet.YES_NO_CANCEL);
+  if (choice === ui.Button.CANCEL || choice === ui.Button.CLOSE) {
+    return;
+  }
+
+  try {
+    i2iTT.runDailyMaintenance(SPREADSHEET_ID, { forceResend: choice === ui.Button.YES });
+    ui.alert('Success', 'Daily maintenance completed.', ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', `Daily maintenance failed: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Voids every one-click status link already sent in reminder emails, after a confirmation.
+ * Use it if reminder emails were forwarded to the wrong people. Called from the Admin Tools menu.
+ */
+function manualResetStatusLinks() {
+  const ui = SpreadsheetApp.getUi();
+
+  const choice = ui.alert('Reset Status Links',
+    'Every status link in reminders already sent will stop working. Later reminders get new links.\n\n' +
+    'Reset the links now?', ui.ButtonSet.YES_NO);
+  if (choice !== ui.Button.YES) {
+    return;
+  }
+
+  try {
+    if (!i2iTT.resetStatusLinks(SPREADSHEET_ID)) {
+      ui.alert('Busy', 'Another run is in progress. Please try again in a few minutes.', ui.ButtonSet.OK);
+      return;
+    }
+    ui.alert('Success', 'Status links have been reset.', ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', `Failed to reset status links: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Formats a dry-run plan summary for an alert dialog.
+ * @param {Object} summary - Plan summary ({total, byCategory})
+ * @returns {string} Alert message
+ */
+function formatDryRunSummary(summary) {
+  if (!summary) {
+    return 'Another run is in progress. Please try again in a few minutes.';
+  }
+
+  const lines = [`${summary.total} planned action(s). Nothing was changed.`, ''];
+  for (const [category, count] of Object.entries(summary.byCategory)) {
+    lines.push(`• ${category}: ${count}`);
+  }
+  lines.push('', 'Details are in the Dry Run Plan sheet.');
+  return lines.join('\n');
+}
+
+/**
+ * Switches project IDs to restart at 0001 each school year, after confirmation.
+ * Called from the Admin Tools menu.
+ */
+function manualMigrateSerials() {
+  const ui = SpreadsheetApp.getUi();
+
+  const confirm = ui.alert('Restart Serials Each School Year',
+    'New project IDs will number from 0001 in each school year (e.g. NUSD-26_27-0001). ' +
+    'Counters for years that already have projects continue after their highest ID.\n\nContinue?',
+    ui.ButtonSet.YES_NO);
+  if (confirm !== ui.Button.YES) {
+    return;
+  }
+
+  try {
+    const serials = i2iTT.migrateToSchoolYearSerials(SPREADSHEET_ID);
+    if (!serials) {
+      ui.alert('Busy', 'Another run is in progress. Please try again in a few minutes.', ui.ButtonSet.OK);
+      return;
+    }
+
+    const lines = Object.entries(serials).map(([year, serial]) => `• ${year}: next serial ${serial}`);
+    ui.alert('Success', ['Project serials now restart each school year.', '', ...lines].join('\n'), ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', `Failed to switch serials: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Archives the finished projects of a past school year after a preview and confirmation.
+ * Called from the Admin Tools menu.
+ */
+function manualArchiveSchoolYear() {
+  const ui = SpreadsheetApp.getUi();
+
+  const response = ui.prompt('Archive School Year',
+    'School year to archive (YY_YY, e.g. 24_25):', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  const schoolYear = response.getResponseText().trim();
+
+  try {
+    const preview = i2iTT.archiveSchoolYear(SPREADSHEET_ID, schoolYear, { dryRun: true });
+    if (!preview) {
+      ui.alert('Busy', 'Another run is in progress. Please try again in a few minutes.', ui.ButtonSet.OK);
+      return;
+    }
+    if (preview.archived === 0) {
+      ui.alert('Nothing to Archive', `No Complete or Deleted ${preview.schoolYear} projects were found.`, ui.ButtonSet.OK);
+      return;
+    }
+
+    const confirm = ui.alert('Archive School Year',
+      `Move ${preview.archived} Complete/Deleted ${preview.schoolYear} project(s) to "${preview.archiveName}" ` +
+      `and their folders into the ${preview.schoolYear} folder?\n\nThe rows are removed from this sheet.`,
+      ui.ButtonSet.YES_NO);
+    if (confirm !== ui.Button.YES) {
+      return;
+    }
+
+    const result = i2iTT.archiveSchoolYear(SPREADSHEET_ID, schoolYear);
+    const lines = [`Archived ${result.archived} project(s) to "${result.archiveName}".`, '', result.archiveUrl];
+    if (result.folderErrors.length > 0) {
+      lines.push('', 'These folders could not be moved:', ...result.folderErrors);
+    }
+    ui.alert('Archive Complete', lines.join('\n'), ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', `Failed to archive: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Searches the year-end project archives by project ID or text.
+ * Called from the Admin Tools menu.
+ */
+function searchProjectArchive() {
+  const ui = SpreadsheetApp.getUi();
+
+  const response = ui.prompt('Search Project Archive',
+    'Project ID, title, or name to look for:', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  try {
+    const matches = i2iTT.findArchivedProjects(SPREADSHEET_ID, response.getResponseText());
+    if (matches.length === 0) {
+      ui.alert('Search Project Archive', 'No archived projects matched.', ui.ButtonSet.OK);
+      return;
+    }
+
+    const lines = matches.slice(0, 20).map(m =>
+      `${m.projectId} (${m.schoolYear}) ${m.projectName} - ${m.projectStatus}, ${m.assignee}\n${m.folderUrl || m.archiveUrl}`);
+    if (matches.length > 20) {
+      lines.push(`...and ${matches.length - 20} more. Narrow the search to see them.`);
+    }
+    ui.alert(`${matches.length} Archived Project(s)`, lines.join('\n\n'), ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', `Search failed: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Exports a filtered project list to the export folder.
+ * Called from the main menu.
+ */
+function manualExportProjects() {
+  const ui = SpreadsheetApp.getUi();
+
+  const formatResponse = ui.prompt('Export Projects', 'File format (csv, xlsx, or json):', ui.ButtonSet.OK_CANCEL);
+  if (formatResponse.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const filterResponse = ui.prompt('Export Projects',
+    'Filters (optional), separated by semicolons, e.g.:\n' +
+    'year=25_26; category=LCAP; goal=2; status=On Track; assignee=Pat Planner\n\n' +
+    'Leave blank to export all projects.', ui.ButtonSet.OK_CANCEL);
+  if (filterResponse.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const filterNames = { year: 'schoolYear', category: 'category', goal: 'goalNumber', status: 'status', assignee: 'assignee' };
+  const filters = {};
+  for (const part of filterResponse.getResponseText().split(';')) {
+    const [name, ...value] = part.split('=');
+    const filterName = filterNames[name.trim().toLowerCase()];
+    if (filterName) {
+      filters[filterName] = value.join('=').trim();
+    } else if (name.trim()) {
+      ui.alert('Export Projects', `Unknown filter "${name.trim()}". Use year, category, goal, status, or assignee.`, ui.ButtonSet.OK);
+      return;
+    }
+  }
+
+  try {
+    const result = i2iTT.exportProjects(SPREADSHEET_ID, formatResponse.getResponseText(), filters);
+    ui.alert('Export Complete', `Exported ${result.rowCount} project(s) to ${result.fileName}:\n\n${result.url}`, ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', `Export failed: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Rebuilds the Goal Rollup sheet now instead of waiting for daily maintenance.
+ * Called from the main menu.
+ */
+function manualRefreshGoalRollup() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const rollup = i2iTT.refreshGoalRollup(SPREADSHEET_ID);
+    ui.alert('Goal Rollup', `The Goal Rollup tab was rebuilt (${rollup.rows.length} goal and action rows).`, ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', `Failed to build the goal rollup: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Checks the email template Docs and emails rendered previews to the caller.
+ * Called from the Admin Tools menu.
+ */
+function manualCheckEmailTemplates() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = i2iTT.checkEmailTemplates(SPREADSHEET_ID);
+    const lines = result.templates.map(t =>
+      (t.issues.length > 0 ? `${t.name}:\n  - ${t.issues.join('\n  - ')}` : `${t.name}: OK`));
+    if (result.previewSentTo) {
+      lines.push('', `Previews were emailed to ${result.previewSentTo}.`);
+    }
+    ui.alert('Email Template Check', lines.join('\n'), ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', `Template check failed: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Shows emails waiting in the Email Queue or that failed, and offers to retry the failed ones.
+ * Called from the Admin Tools menu.
+ */
+function manualEmailQueueStatus() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const status = i2iTT.getEmailQueueStatus(SPREADSHEET_ID);
+    const describe = m => `${m.subject} (to ${m.to}, ${m.attempts} attempt(s)${m.lastError ? `: ${m.lastError}` : ''})`;
+    const lines = [
+      `Emails left in today's quota: ${status.remainingQuota}`,
+      `Pending: ${status.pending.length}   Failed: ${status.failed.length}   Sent (kept for a week): ${status.sentCount}`
+    ];
+    for (const [label, messages] of [['Pending', status.pending], ['Failed', status.failed]]) {
+      if (messages.length > 0) {
+        lines.push('', `${label}:`, ...messages.slice(0, 10).map(m => `  - ${describe(m)}`));
+        if (messages.length > 10) {
+          lines.push(`  ...and ${messages.length - 10} more (see the Email Queue sheet).`);
+        }
+      }
+    }
+
+    if (status.failed.length === 0) {
+      ui.alert('Email Queue', lines.join('\n'), ui.ButtonSet.OK);
+      return;
+    }
+
+    lines.push('', 'Retry the failed emails now?');
+    if (ui.alert('Email Queue', lines.join('\n'), ui.ButtonSet.YES_NO) !== ui.Button.YES) {
+      return;
+    }
+    const retried = i2iTT.retryFailedEmails(SPREADSHEET_ID);
+    if (retried === undefined) {
+      ui.alert('Busy', 'Another run is in progress. Please try again in a few minutes.', ui.ButtonSet.OK);
+      return;
+    }
+    ui.alert('Email Queue', `Retried ${retried} email(s). Any that still fail are listed here again.`, ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', `Email queue status failed: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Imports projects from the Import tab or a CSV file in Drive after a preview and confirmation.
+ * Called from the Admin Tools menu.
+ */
+function manualImportProjects() {
+  const ui = SpreadsheetApp.getUi();
+
+  const response = ui.prompt('Import Projects',
+    'Drive file ID of a CSV file, or leave blank to import the "Import" tab:', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  const fileId = response.getResponseText().trim();
+
+  try {
+    const preview = i2iTT.importProjects(SPREADSHEET_ID, { fileId, dryRun: true });
+    if (!preview) {
+      ui.alert('Busy', 'Another run is in progress. Please try again in a few minutes.', ui.ButtonSet.OK);
+      return;
+    }
+
+    const lines = [`${preview.imported} row(s) can be imported; ${preview.failed} have errors.`];
+    if (preview.ignoredHeaders.length > 0) {
+      lines.push('', `Ignored columns: ${preview.ignoredHeaders.join(', ')}`);
+    }
+    const errors = preview.results.filter(r => r.result === 'Error');
+    if (errors.length > 0) {
+      lines.push('', ...errors.slice(0, 10).map(r => `Row ${r.sourceRow}: ${r.details}`));
+      if (errors.length > 10) {
+        lines.push(`...and ${errors.length - 10} more (listed in the Import Report after importing).`);
+      }
+    }
+    if (preview.imported === 0) {
+      ui.alert('Nothing to Import', lines.join('\n'), ui.ButtonSet.OK);
+      return;
+    }
+
+    lines.push('', 'Import the valid rows as Ready? Rows with errors are skipped.');
+    if (ui.alert('Import Projects', lines.join('\n'), ui.ButtonSet.YES_NO) !== ui.Button.YES) {
+      return;
+    }
+
+    const result = i2iTT.importProjects(SPREADSHEET_ID, { fileId });
+    ui.alert('Import Complete',
+      `Imported ${result.imported} project(s); ${result.failed} row(s) had errors.\n\n` +
+      'See the Import Report tab for each row. The projects are created on the next batch run.',
+      ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', `Import failed: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu item: walks through held duplicate submissions one at a time.
+ * Yes merges the submission into the project it matches, No releases it as a new project,
+ * Cancel stops the review.
+ */
+function reviewHeldDuplicates() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const held = i2iTT.getHeldDuplicates(SPREADSHEET_ID);
+    if (held.length === 0) {
+      ui.alert('Review Held Duplicates', 'No submissions are held.', ui.ButtonSet.OK);
+      return;
+    }
+
+    for (const entry of held) {
+      const matches = entry.duplicateOf ? `It matches ${entry.duplicateOf}.` : 'It no longer matches another project.';
+      const choice = ui.alert(`Held Submission (Row ${entry.row})`,
+        `${entry.projectName}\nAssignee: ${entry.assignee}\nRequested By: ${entry.requestedBy}\n` +
+        `Deadline: ${entry.dueDate ? new Date(entry.dueDate).toDateString() : ''}\n\n${matches}\n\n` +
+        'Yes: merge into the existing project (the submission is marked Deleted).\n' +
+        'No: release it as a new project.\nCancel: stop reviewing.',
+        ui.ButtonSet.YES_NO_CANCEL);
+
+      if (choice === ui.Button.YES) {
+        i2iTT.resolveHeldDuplicate(SPREADSHEET_ID, entry.row, 'merge');
+      } else if (choice === ui.Button.NO) {
+        i2iTT.resolveHeldDuplicate(SPREADSHEET_ID, entry.row, 'release');
+      } else {
+        return;
+      }
+    }
+    ui.alert('Review Held Duplicates', 'All held submissions were reviewed.', ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', `Review failed: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
 // ===== SETUP FUNCTIONS =====
 
 /**
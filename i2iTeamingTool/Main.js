@@ -15,9 +15,13 @@
  * Called by the 5-minute batch trigger or manual "Run Now" action.
  *
  * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.dryRun=false] - Preview only: record side effects to the Dry Run Plan sheet
+ * @param {boolean} [options.forceResend=false] - Resend emails the Notification Log says already went out today
+ * @returns {Object|undefined} Dry-run plan summary ({total, byCategory}) when options.dryRun is set
  * @throws {Error} If validation fails or processing encounters an unrecoverable error
  */
-function processNewProjects(spreadsheetId) {
+function processNewProjects(spreadsheetId, options = {}) {
   console.log('=== processNewProjects starting ===');
 
   // Acquire script lock to prevent overlapping runs
@@ -33,7 +37,12 @@ function processNewProjects(spreadsheetId) {
   let ctx;
 
   try {
-    ctx = new ExecutionContext(spreadsheetId);
+    ctx = new ExecutionContext(spreadsheetId, {
+      dryRun: options.dryRun === true,
+      runLabel: 'processNewProjects',
+      forceResend: options.forceResend === true,
+      holdsLock: true
+    });
     ctx.validate();
 
     // Process Ready projects (create folder, templates, calendar event)
@@ -50,9 +59,16 @@ function processNewProjects(spreadsheetId) {
 
     console.log('=== processNewProjects completed ===');
 
+    return ctx.dryRun ? ctx.plan.getSummary() : undefined;
+
   } catch (error) {
     console.error(`processNewProjects error: ${error.message}`);
 
+    if (ctx && ctx.dryRun) {
+      writeDryRunFailure(ctx, error);
+      throw error;
+    }
+
     const messageLines = [
       `Error: ${error.message}`,
       '',
@@ -79,9 +95,14 @@ function processNewProjects(spreadsheetId) {
  * Called by the daily 8am trigger.
  *
  * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.dryRun=false] - Preview only: record side effects to the Dry Run Plan sheet
+ * @param {boolean} [options.forceResend=false] - Resend reminders and digests the Notification Log says
+ *   already went out today (by default a re-run skips recipients already notified)
+ * @returns {Object|undefined} Dry-run plan summary ({total, byCategory}) when options.dryRun is set
  * @throws {Error} If validation fails or maintenance tasks encounter an unrecoverable error
  */
-function runDailyMaintenance(spreadsheetId) {
+function runDailyMaintenance(spreadsheetId, options = {}) {
   console.log('=== runDailyMaintenance starting ===');
 
   // Acquire script lock to prevent overlapping runs (e.g. manual + trigger)
@@ -97,7 +118,12 @@ function runDailyMaintenance(spreadsheetId) {
   let ctx;
 
   try {
-    ctx = new ExecutionContext(spreadsheetId);
+    ctx = new ExecutionContext(spreadsheetId, {
+      dryRun: options.dryRun === true,
+      runLabel: 'runDailyMaintenance',
+      forceResend: options.forceResend === true,
+      holdsLock: true
+    });
     ctx.validate();
 
     // Run all daily maintenance tasks
@@ -108,9 +134,16 @@ function runDailyMaintenance(spreadsheetId) {
 
     console.log('=== runDailyMaintenance completed ===');
 
+    return ctx.dryRun ? ctx.plan.getSummary() : undefined;
+
   } catch (error) {
     console.error(`runDailyMaintenance error: ${error.message}`);
 
+    if (ctx && ctx.dryRun) {
+      writeDryRunFailure(ctx, error);
+      throw error;
+    }
+
     const messageLines = [
       `Error: ${error.message}`,
       '',
@@ -210,7 +243,7 @@ function handleFormSubmission(spreadsheetId, event) {
   let ctx;
 
   try {
-    ctx = new ExecutionContext(spreadsheetId);
+    ctx = new ExecutionContext(spreadsheetId, { holdsLock: true });
     ctx.validate();
 
     // Normalize form response and append to Projects sheet
@@ -263,7 +296,7 @@ function handleEdit(spreadsheetId, event) {
 
   // FAST GUARD: Only process edits in specific sheets.
   // This avoids the overhead of ExecutionContext for every irrelevant edit.
-  const relevantSheets = [SHEET_NAMES.PROJECTS, SHEET_NAMES.DIRECTORY, SHEET_NAMES.CODES];
+  const relevantSheets = [SHEET_NAMES.PROJECTS, SHEET_NAMES.DIRECTORY, SHEET_NAMES.CODES, SHEET_NAMES.TASKS];
   if (!relevantSheets.includes(sheetName)) {
     return;
   }
@@ -272,6 +305,7 @@ function handleEdit(spreadsheetId, event) {
   if (sheetName === SHEET_NAMES.PROJECTS && row <= 2) return;
   if (sheetName === SHEET_NAMES.DIRECTORY && row <= 1) return;
   if (sheetName === SHEET_NAMES.CODES && row <= 3) return;
+  if (sheetName === SHEET_NAMES.TASKS && row <= 1) return;
 
   DEBUG && console.log(`handleEdit: Processing relevant edit in "${sheetName}", cell ${range.getA1Notation()}`);
 
@@ -306,6 +340,11 @@ function handleEdit(spreadsheetId, event) {
       ctx.formService.syncReminderTimelineDropdown();
     }
 
+    // Handle edits to the Tasks sheet
+    if (sheetName === SHEET_NAMES.TASKS) {
+      handleTasksEdit(ctx, event);
+    }
+
     // Flush any changes
     ctx.flush();
 
@@ -317,7 +356,9 @@ function handleEdit(spreadsheetId, event) {
 
 /**
  * Handles edit events specifically for the Projects sheet.
- * Sets completed_at timestamp when project_status changes to "Complete".
+ * Records the edit in the Audit Log and sets completed_at timestamp
+ * when project_status changes to "Complete". A single-cell project_status edit that the
+ * Codes sheet workflow does not allow is reverted, with the reason left as a cell note.
  *
  * @param {ExecutionContext} ctx - The execution context
  * @param {Object} event - The edit event object
@@ -337,12 +378,17 @@ function handleProjectsEdit(ctx, event) {
 
   // Find the project_status column index
   const statusColIndex = ctx.projectSheet.getColumnIndex('project_status');
-  if (statusColIndex === undefined) {
+  const isStatusEdit = statusColIndex !== undefined && col === statusColIndex + 1 &&
+                       range.getNumRows() === 1 && range.getNumColumns() === 1;
+
+  if (isStatusEdit && revertDisallowedStatusEdit(ctx, event)) {
     return;
   }
 
+  auditProjectsEdit(ctx, event);
+
   // Check if project_status column was edited (convert to 1-based)
-  if (col === statusColIndex + 1) {
+  if (isStatusEdit) {
     const newValue = String(event.value || '').trim();
     const oldValue = String(event.oldValue || '').trim();
 
@@ -359,6 +405,157 @@ function handleProjectsEdit(ctx, event) {
   }
 }
 
+/**
+ * Undoes a project_status edit the Codes sheet workflow does not allow.
+ * The old value is put back, the reason is left as a note on the cell, and the attempt is audited.
+ * An allowed edit clears any earlier revert note and refreshes the row's status dropdown.
+ *
+ * @param {ExecutionContext} ctx - The execution context
+ * @param {Object} event - The single-cell edit event on the project_status column
+ * @returns {boolean} True if the edit was reverted
+ */
+function revertDisallowedStatusEdit(ctx, event) {
+  const range = event.range;
+  const newValue = String(event.value || '').trim();
+  const oldValue = String(event.oldValue || '').trim();
+  const project = ctx.projectSheet.getProjects().find(p => p.getRowIndex() === range.getRow()) || null;
+
+  const reason = ctx.validationService.getStatusTransitionError(project, oldValue, newValue);
+  if (!reason) {
+    if (String(range.getNote()).startsWith(STATUS_REVERT_NOTE_PREFIX)) {
+      range.setNote('');
+    }
+    if (project) {
+      ctx.validationService.updateProjectStatusValidation(project);
+    }
+    return false;
+  }
+
+  range.setValue(oldValue);
+  range.setNote(`${STATUS_REVERT_NOTE_PREFIX} "${newValue}" was undone. ${reason}`);
+
+  const actor = event.user && event.user.getEmail ? event.user.getEmail() : '';
+  ctx.auditLog.log(AUDIT_ACTIONS.STATUS_CHANGE_REVERTED, {
+    actor: actor || undefined,
+    projectId: project ? project.projectId : '',
+    field: 'project_status',
+    before: oldValue,
+    after: newValue,
+    outcome: AUDIT_OUTCOME.SKIPPED,
+    message: reason
+  });
+
+  console.log(`handleProjectsEdit: Reverted status edit in row ${range.getRow()}: ${reason}`);
+  return true;
+}
+
+/**
+ * Records a manual Projects sheet edit in the Audit Log.
+ * Single-cell edits capture the column key and old/new values; multi-cell
+ * edits (paste, fill) only record the affected range since onEdit has no old values for them.
+ * Edits made on someone's behalf by the web app carry an event.source note for the log.
+ *
+ * @param {ExecutionContext} ctx - The execution context
+ * @param {Object} event - The edit event object
+ */
+function auditProjectsEdit(ctx, event) {
+  const range = event.range;
+  const row = range.getRow();
+  const project = ctx.projectSheet.getProjects().find(p => p.getRowIndex() === row);
+  const actor = event.user && event.user.getEmail ? event.user.getEmail() : '';
+  const isSingleCell = range.getNumRows() === 1 && range.getNumColumns() === 1;
+
+  if (!isSingleCell) {
+    ctx.auditLog.log(AUDIT_ACTIONS.FIELD_CHANGED, {
+      actor: actor || undefined,
+      projectId: range.getNumRows() === 1 && project ? project.projectId : '',
+      field: range.getA1Notation(),
+      message: 'Multi-cell edit (values not captured)'
+    });
+    return;
+  }
+
+  const columnKeys = ctx.projectSheet.getColumnMap();
+  let field = '';
+  for (const [key, index] of columnKeys) {
+    if (index === range.getColumn() - 1) {
+      field = key;
+      break;
+    }
+  }
+
+  ctx.auditLog.log(field === 'project_status' ? AUDIT_ACTIONS.STATUS_CHANGED : AUDIT_ACTIONS.FIELD_CHANGED, {
+    actor: actor || undefined,
+    projectId: project ? project.projectId : '',
+    field: field || range.getA1Notation(),
+    before: event.oldValue,
+    after: event.value,
+    message: event.source
+  });
+}
+
+/**
+ * Handles edit events specifically for the Tasks sheet.
+ * Stamps Completed At when a task's Status changes to "Complete" and
+ * rolls the parent project's percent_complete up immediately.
+ *
+ * @param {ExecutionContext} ctx - The execution context
+ * @param {Object} event - The edit event object
+ */
+function handleTasksEdit(ctx, event) {
+  const taskSheet = ctx.taskSheet;
+  if (!taskSheet) {
+    return;
+  }
+
+  const range = event.range;
+  const col = range.getColumn();
+  const row = range.getRow();
+
+  const statusColIndex = taskSheet.getColumnIndex(TASK_COLUMNS.STATUS);
+  const projectIdColIndex = taskSheet.getColumnIndex(TASK_COLUMNS.PROJECT_ID);
+  const statusEdited = statusColIndex !== undefined && col === statusColIndex + 1;
+  const projectIdEdited = projectIdColIndex !== undefined && col === projectIdColIndex + 1;
+
+  if (!statusEdited && !projectIdEdited) {
+    return;
+  }
+
+  if (statusEdited) {
+    const newValue = String(event.value || '').trim();
+    const oldValue = String(event.oldValue || '').trim();
+
+    DEBUG && console.log(`handleTasksEdit: Task status changed from "${oldValue}" to "${newValue}"`);
+
+    if (newValue === TASK_STATUS.COMPLETE && oldValue !== TASK_STATUS.COMPLETE) {
+      taskSheet.setCompletedAt(row, ctx.now);
+    } else if (oldValue === TASK_STATUS.COMPLETE && newValue !== TASK_STATUS.COMPLETE) {
+      taskSheet.setCompletedAt(row, '');
+    }
+  }
+
+  if (!ctx.projectSheet.hasColumn('percent_complete')) {
+    return;
+  }
+
+  // Roll up the parent project (and the previous parent if the Project ID itself changed)
+  const affectedIds = new Set();
+  const task = taskSheet.getTasks().find(t => t.rowIndex === row);
+  if (task) {
+    affectedIds.add(task.projectId);
+  }
+  if (projectIdEdited && event.oldValue) {
+    affectedIds.add(String(event.oldValue).trim().toUpperCase());
+  }
+
+  for (const projectId of affectedIds) {
+    const project = ctx.projectSheet.findByProjectId(projectId);
+    if (project && ctx.projectService.applyTaskProgress(project)) {
+      console.log(`handleTasksEdit: ${projectId} progress updated`);
+    }
+  }
+}
+
 /**
  * Refreshes sharing permissions on the Main Projects File based on Directory roles.
  * Syncs permissions for the main spreadsheet, root folder, Project Folders parent,
@@ -370,14 +567,26 @@ function handleProjectsEdit(ctx, event) {
 function refreshPermissions(spreadsheetId) {
   console.log('=== refreshPermissions starting ===');
 
+  // Delegate Access is rewritten on flush, so no other run may record grants meanwhile
+  const lock = LockService.getScriptLock();
+  const acquired = lock.tryLock(30000);
+
+  if (!acquired) {
+    console.log('refreshPermissions: Could not acquire lock, another instance may be running');
+    return;
+  }
+
   let ctx;
 
   try {
-    ctx = new ExecutionContext(spreadsheetId);
+    ctx = new ExecutionContext(spreadsheetId, { holdsLock: true });
     ctx.validate();
 
     ctx.permissionService.refreshAllPermissions();
 
+    // Write the buffered Audit Log entries for the sharing changes
+    ctx.flush();
+
     console.log('=== refreshPermissions completed ===');
 
   } catch (error) {
@@ -399,9 +608,713 @@ function refreshPermissions(spreadsheetId) {
     );
 
     throw error;
+   } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Switches project IDs to per-school-year serials (each school year starts at 0001).
+ * Seeds the Config "Next Serial - yy_yy" counters from the existing project IDs so new IDs
+ * never collide, then turns on "Serial Per School Year". Safe to re-run; counters are only raised.
+ * Called manually from the Admin Tools menu.
+ *
+ * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @returns {Object|undefined} School year -> next serial for every counter, or undefined if
+ *   another run holds the lock
+ */
+function migrateToSchoolYearSerials(spreadsheetId) {
+  console.log('=== migrateToSchoolYearSerials starting ===');
+
+  // Same lock as ID allocation, so no batch run hands out an ID mid-migration
+  const lock = LockService.getScriptLock();
+  const acquired = lock.tryLock(30000);
+
+  if (!acquired) {
+    console.log('migrateToSchoolYearSerials: Could not acquire lock, another instance may be running');
+    return;
+  }
+
+  let ctx;
+
+  try {
+    ctx = new ExecutionContext(spreadsheetId, { holdsLock: true });
+    ctx.validate();
+
+    const projectIds = ctx.projectSheet.getProjects().map(p => p.projectId);
+    ctx.idAllocator.seedYearSerials(projectIds);
+    ctx.config.setOrAdd('Serial Per School Year', 'Yes');
+
+    console.log('=== migrateToSchoolYearSerials completed ===');
+    return Object.fromEntries(ctx.config.yearSerials);
+
+  } catch (error) {
+    console.error(`migrateToSchoolYearSerials error: ${error.message}`);
+
+    const messageLines = [
+      `Error: ${error.message}`,
+      '',
+      'Function: migrateToSchoolYearSerials',
+      `Spreadsheet ID: ${spreadsheetId}`,
+      '',
+      `Stack: ${error.stack || 'N/A'}`
+    ];
+    sendAdminErrorNotification(
+      spreadsheetId,
+      ctx,
+      'Serial Migration Failed',
+      messageLines.join('\n')
+    );
+
+    throw error;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Year-end archive: moves Complete and Deleted projects of a past school year, with their
+ * Status Snapshot entries, into the "Project Archive <year>" spreadsheet, and moves their
+ * folders into a "<year>" subfolder of the Parent Folder.
+ * Called manually from the Admin Tools menu; safe to re-run (later runs append to the same archive).
+ *
+ * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @param {string} schoolYear - School year to archive, in YY_YY format (e.g., "24_25")
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.dryRun=false] - Preview only: record side effects to the Dry Run Plan sheet
+ * @returns {Object|undefined} { schoolYear, archived, archiveName, archiveUrl, folderErrors },
+ *   or undefined if another run holds the lock
+ * @throws {Error} If the school year is not a past one or the archive cannot be written
+ */
+function archiveSchoolYear(spreadsheetId, schoolYear, options = {}) {
+  console.log('=== archiveSchoolYear starting ===');
+
+  const lock = LockService.getScriptLock();
+  const acquired = lock.tryLock(30000);
+
+  if (!acquired) {
+    console.log('archiveSchoolYear: Could not acquire lock, another instance may be running');
+    return;
+  }
+
+  let ctx;
+
+  try {
+    ctx = new ExecutionContext(spreadsheetId, { dryRun: options.dryRun === true, runLabel: 'archiveSchoolYear', holdsLock: true });
+    ctx.validate();
+
+    const result = ctx.archiveService.archiveSchoolYear(schoolYear);
+
+    ctx.flush();
+
+    console.log('=== archiveSchoolYear completed ===');
+    return result;
+
+  } catch (error) {
+    console.error(`archiveSchoolYear error: ${error.message}`);
+
+    if (ctx && ctx.dryRun) {
+      writeDryRunFailure(ctx, error);
+      throw error;
+    }
+
+    const messageLines = [
+      `Error: ${error.message}`,
+      '',
+      'Function: archiveSchoolYear',
+      `Spreadsheet ID: ${spreadsheetId}`,
+      `School Year: ${schoolYear}`,
+      '',
+      `Stack: ${error.stack || 'N/A'}`
+    ];
+    sendAdminErrorNotification(
+      spreadsheetId,
+      ctx,
+      'School Year Archive Failed',
+      messageLines.join('\n')
+    );
+
+    throw error;
+  } finally {
+    lock.releaseLock();
   }
 }
 
+/**
+ * Searches the year-end archive spreadsheets recorded in Config.
+ * Matches project ID, title, description, assignee, requester, and category.
+ *
+ * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @param {string} query - Project ID or text to look for
+ * @returns {Object[]} Matches: { schoolYear, projectId, projectName, assignee, requestedBy,
+ *   dueDate, projectStatus, completedAt, folderUrl, archiveUrl }
+ * @throws {Error} If the query is blank
+ */
+function findArchivedProjects(spreadsheetId, query) {
+  const ctx = new ExecutionContext(spreadsheetId);
+  return ctx.archiveService.search(query);
+}
+
+/**
+ * Lists form submissions held as likely duplicates (Automation Status "Held (Possible Duplicate)").
+ *
+ * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @returns {Object[]} Held rows: { row, projectName, assignee, requestedBy, dueDate, duplicateOf }
+ */
+function getHeldDuplicates(spreadsheetId) {
+  const ctx = new ExecutionContext(spreadsheetId);
+  return ctx.projectService.getHeldDuplicates();
+}
+
+/**
+ * Merges or releases a held duplicate submission.
+ * "merge" marks the held row Deleted and hides it, noting the project it was merged into;
+ * "release" sets it to Ready and processes it as a new project right away.
+ * Called manually from the Admin Tools menu.
+ *
+ * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @param {number} row - Sheet row of the held submission
+ * @param {string} action - "merge" or "release" (HELD_DUPLICATE_ACTIONS)
+ * @returns {boolean|undefined} True when resolved, or undefined if another run holds the lock
+ * @throws {Error} If the row is not held or the action cannot be applied
+ */
+function resolveHeldDuplicate(spreadsheetId, row, action) {
+  console.log('=== resolveHeldDuplicate starting ===');
+
+  const lock = LockService.getScriptLock();
+  const acquired = lock.tryLock(30000);
+
+  if (!acquired) {
+    console.log('resolveHeldDuplicate: Could not acquire lock, another instance may be running');
+    return;
+  }
+
+  let ctx;
+
+  try {
+    ctx = new ExecutionContext(spreadsheetId, { holdsLock: true });
+    ctx.validate();
+
+    ctx.projectService.resolveHeldDuplicate(row, action);
+    if (action === HELD_DUPLICATE_ACTIONS.RELEASE) {
+      ctx.projectService.processReadyProjects();
+    }
+
+    ctx.flush();
+
+    console.log('=== resolveHeldDuplicate completed ===');
+    return true;
+
+  } catch (error) {
+    console.error(`resolveHeldDuplicate error: ${error.message}`);
+
+    const messageLines = [
+      `Error: ${error.message}`,
+      '',
+      'Function: resolveHeldDuplicate',
+      `Spreadsheet ID: ${spreadsheetId}`,
+      `Row: ${row}`,
+      `Action: ${action}`,
+      '',
+      `Stack: ${error.stack || 'N/A'}`
+    ];
+    sendAdminErrorNotification(
+      spreadsheetId,
+      ctx,
+      'Held Duplicate Resolution Failed',
+      messageLines.join('\n')
+    );
+
+    throw error;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Bulk-imports projects from a CSV file in Drive or the "Import" tab.
+ * Headers are matched to form question titles ("Project Title", "Assigned to", "Deadline", ...)
+ * plus "Requested By" (defaults to the person running the import). Each row is validated like
+ * a Ready row; valid rows are appended as Ready for the batch trigger, and every row's outcome
+ * is written to the Import Report sheet.
+ * Called manually from the Admin Tools menu.
+ *
+ * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @param {Object} [options] - Import options
+ * @param {string} [options.fileId] - Drive ID of a CSV file (default: read the Import tab)
+ * @param {boolean} [options.dryRun=false] - Preview only: validate and record planned rows to the Dry Run Plan sheet
+ * @returns {Object|undefined} { imported, failed, ignoredHeaders, results }, or undefined if another
+ *   run holds the lock
+ * @throws {Error} If the source cannot be read or has no recognized headers
+ */
+function importProjects(spreadsheetId, options = {}) {
+  console.log('=== importProjects starting ===');
+
+  const lock = LockService.getScriptLock();
+  const acquired = lock.tryLock(30000);
+
+  if (!acquired) {
+    console.log('importProjects: Could not acquire lock, another instance may be running');
+    return;
+  }
+
+  let ctx;
+
+  try {
+    ctx = new ExecutionContext(spreadsheetId, { dryRun: options.dryRun === true, runLabel: 'importProjects', holdsLock: true });
+    ctx.validate();
+
+    const result = ctx.importService.importProjects({ fileId: options.fileId });
+
+    ctx.flush();
+
+    console.log('=== importProjects completed ===');
+    return result;
+
+  } catch (error) {
+    console.error(`importProjects error: ${error.message}`);
+
+    if (ctx && ctx.dryRun) {
+      writeDryRunFailure(ctx, error);
+      throw error;
+    }
+
+    const messageLines = [
+      `Error: ${error.message}`,
+      '',
+      'Function: importProjects',
+      `Spreadsheet ID: ${spreadsheetId}`,
+      `Source: ${options.fileId ? `CSV file ${options.fileId}` : `${SHEET_NAMES.IMPORT} tab`}`,
+      '',
+      `Stack: ${error.stack || 'N/A'}`
+    ];
+    sendAdminErrorNotification(
+      spreadsheetId,
+      ctx,
+      'Project Import Failed',
+      messageLines.join('\n')
+    );
+
+    throw error;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Exports a filtered project list (e.g., for the superintendent or board) as a CSV, XLSX, or JSON
+ * file in the Config "Export Folder ID" (default: the Root Folder).
+ * Called from the menu; read-only, so it does not take the script lock.
+ *
+ * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @param {string} format - "csv", "xlsx", or "json" (EXPORT_FORMATS)
+ * @param {Object} [filters] - { schoolYear, category, goalNumber, status, assignee }; blank ones are ignored
+ * @returns {Object} { format, fileId, fileName, url, rowCount }
+ * @throws {Error} If the format is unknown or the file cannot be written
+ */
+function exportProjects(spreadsheetId, format, filters = {}) {
+  console.log('=== exportProjects starting ===');
+
+  const ctx = new ExecutionContext(spreadsheetId);
+  ctx.validate();
+
+  const result = ctx.exportService.exportProjects(format, filters);
+
+  ctx.flush();
+
+  console.log('=== exportProjects completed ===');
+  return result;
+}
+
+/**
+ * Rebuilds the Goal Rollup sheet from the Goals sheet and the current projects.
+ * Daily maintenance also rebuilds it; this is the on-demand version from the menu.
+ *
+ * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @returns {Object} { statuses, rows } as written to the sheet
+ * @throws {Error} If there is no Goals sheet
+ */
+function refreshGoalRollup(spreadsheetId) {
+  console.log('=== refreshGoalRollup starting ===');
+
+  const ctx = new ExecutionContext(spreadsheetId);
+  ctx.validate();
+
+  const rollup = ctx.goalRollupService.writeRollup();
+
+  console.log('=== refreshGoalRollup completed ===');
+  return rollup;
+}
+
+/**
+ * Checks every configured email template Doc and emails rendered previews.
+ * Flags a missing subject line, broken {{#if}}/{{#each}} blocks, unknown tokens, tokens the
+ * email never fills in, and required tokens left out. Previews use sample projects; nothing
+ * is sent to staff.
+ *
+ * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.sendPreview=true] - Email the previews to the caller (or the admins when unknown)
+ * @returns {Object} { templates: [{name, docId, subject, issues}], previewSentTo }
+ */
+function checkEmailTemplates(spreadsheetId, options = {}) {
+  const { sendPreview = true } = options;
+  console.log('=== checkEmailTemplates starting ===');
+
+  const ctx = new ExecutionContext(spreadsheetId);
+  ctx.validate();
+
+  const recipient = ctx.actor !== AUDIT_ACTOR_AUTOMATION ? ctx.actor : joinCommaSeparated(ctx.config.errorEmailAddresses);
+  const results = ctx.templatePreviewService.checkTemplates(recipient);
+  if (sendPreview && recipient) {
+    ctx.templatePreviewService.sendPreviews(recipient, results);
+    // Keeps the preview for retry if Gmail refused it
+    ctx.emailQueue.flush();
+  }
+
+  console.log('=== checkEmailTemplates completed ===');
+  return {
+    templates: results.map(({ name, docId, subject, issues }) => ({ name, docId, subject, issues })),
+    previewSentTo: sendPreview ? recipient : ''
+  };
+}
+
+/**
+ * Reports on the Email Queue: today's remaining Gmail quota and the emails still
+ * waiting to go out or that gave up after repeated failures.
+ *
+ * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @returns {Object} {remainingQuota, sentCount, pending: Object[], failed: Object[]} - each message is
+ *   {queuedAt, to, subject, attempts, nextAttempt, lastError}
+ */
+function getEmailQueueStatus(spreadsheetId) {
+  const ctx = new ExecutionContext(spreadsheetId);
+  return ctx.notificationService.getEmailQueueStatus();
+}
+
+/**
+ * Retries every Failed email in the Email Queue now (remaining ones wait for the next run).
+ * Called manually from the Admin Tools menu.
+ *
+ * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @returns {number|undefined} Number of emails retried, or undefined if another run holds the lock
+ */
+function retryFailedEmails(spreadsheetId) {
+  console.log('=== retryFailedEmails starting ===');
+
+  const lock = LockService.getScriptLock();
+  const acquired = lock.tryLock(30000);
+
+  if (!acquired) {
+    console.log('retryFailedEmails: Could not acquire lock, another instance may be running');
+    return;
+  }
+
+  let ctx;
+
+  try {
+    ctx = new ExecutionContext(spreadsheetId, { holdsLock: true });
+    ctx.validate();
+
+    const count = ctx.notificationService.requeueFailedEmails();
+    ctx.flush();
+
+    console.log('=== retryFailedEmails completed ===');
+    return count;
+
+  } catch (error) {
+    console.error(`retryFailedEmails error: ${error.message}`);
+
+    const messageLines = [
+      `Error: ${error.message}`,
+      '',
+      'Function: retryFailedEmails',
+      `Spreadsheet ID: ${spreadsheetId}`,
+      '',
+      `Stack: ${error.stack || 'N/A'}`
+    ];
+    sendAdminErrorNotification(
+      spreadsheetId,
+      ctx,
+      'Email Retry Failed',
+      messageLines.join('\n')
+    );
+
+    throw error;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Renders a web app page: the read-only project dashboard, the viewer's own
+ * "My Projects" page when e.parameter.view is "mine", or the result of a one-click
+ * status link when e.parameter.action is "status".
+ * Called from the client's doGet. Deploy the client as a web app that executes as the script
+ * owner ("Me"), with access limited to the district domain: the page reads the Main Projects File
+ * with the owner's access, and shows each viewer only what their Directory entry allows.
+ *
+ * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @param {Object} [event] - The doGet event (reads e.parameter.groupBy and e.parameter.view)
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.webAppUrl] - The deployed web app URL (for the navigation links)
+ * @returns {GoogleAppsScript.HTML.HtmlOutput} The page
+ */
+function renderDashboard(spreadsheetId, event, options = {}) {
+  const params = (event && event.parameter) || {};
+  if (params.action === STATUS_LINK_ACTION) {
+    return handleStatusLink(spreadsheetId, event, options);
+  }
+  const isMyProjects = params.view === MY_PROJECTS_VIEW;
+
+  let html;
+  try {
+    const ctx = new ExecutionContext(spreadsheetId);
+    const viewer = getWebAppViewer(ctx);
+
+    html = isMyProjects
+      ? ctx.dashboardService.renderMyProjects(viewer, options.webAppUrl)
+      : ctx.dashboardService.render(viewer, params.groupBy, options.webAppUrl);
+  } catch (error) {
+    console.error(`renderDashboard error: ${error.message}`);
+    html = '<!DOCTYPE html><html><body><h1>Dashboard unavailable</h1>' +
+           `<p>${escapeHtml(error.message)}</p></body></html>`;
+  }
+
+  return HtmlService.createHtmlOutput(html)
+    .setTitle(isMyProjects ? 'My Projects' : 'Project Dashboard')
+    .addMetaTag('viewport', 'width=device-width, initial-scale=1');
+}
+
+/**
+ * Identifies the person using the web app. The web app runs as the script owner, so everything
+ * it shows or changes is limited by the viewer's Directory entry; Google reveals the viewer's
+ * email because access is limited to the district domain. Page loads only get this light check
+ * (not ctx.validate()), since they read and never write.
+ * @param {ExecutionContext} ctx - The execution context
+ * @returns {string} The viewer's email (lowercase)
+ * @throws {Error} If the spreadsheet is a backup or the viewer's email is not available
+ */
+function getWebAppViewer(ctx) {
+  if (ctx.isBackup()) {
+    throw new Error('This page is connected to a backup copy of the project sheet. Please ask an admin to fix the web app.');
+  }
+  if (ctx.actor === AUDIT_ACTOR_AUTOMATION) {
+    throw new Error('Please sign in with your district Google account to use this page.');
+  }
+  return ctx.actor;
+}
+
+/**
+ * Changes a project's status on behalf of one of its assignees.
+ * Called from the My Projects page (via the client's updateMyProjectStatus); see applyProjectStatusChange.
+ *
+ * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @param {string} projectId - The project ID
+ * @param {string} newStatus - A status from the Codes sheet
+ * @returns {Object} { projectId, projectStatus } after the change
+ * @throws {Error} If the user is not an assignee, the status is unknown, or the sheet is busy
+ */
+function updateProjectStatus(spreadsheetId, projectId, newStatus) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    throw new Error('The project sheet is busy. Please try again in a moment.');
+  }
+
+  try {
+    const ctx = new ExecutionContext(spreadsheetId, { holdsLock: true });
+    const viewer = getWebAppViewer(ctx);
+    ctx.validate();
+
+    const project = ctx.dashboardService.getStatusChangeTarget(viewer, projectId, newStatus);
+    applyProjectStatusChange(ctx, project, String(newStatus).trim(), viewer, 'My Projects page');
+    ctx.flush();
+
+    return { projectId: project.projectId, projectStatus: project.projectStatus };
+
+  } catch (error) {
+    console.error(`updateProjectStatus error: ${error.message}`);
+    throw error;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Shows the confirmation page for a one-click status link from a reminder email (doGet with
+ * ?action=status). Nothing changes on this request, so mail scanners and link prefetchers that
+ * open the link cannot change a status; the page's button submits the link to applyStatusLink.
+ *
+ * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @param {Object} event - The doGet event (reads project, status, by, exp, sig from e.parameter)
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.webAppUrl] - The deployed web app URL (the form posts back to it)
+ * @returns {GoogleAppsScript.HTML.HtmlOutput} The confirmation page
+ */
+function handleStatusLink(spreadsheetId, event, options = {}) {
+  const params = (event && event.parameter) || {};
+
+  let html;
+  let ctx;
+  try {
+    ctx = new ExecutionContext(spreadsheetId);
+
+    const link = ctx.statusLinkService.verify(params);
+    const project = ctx.dashboardService.getStatusChangeTarget(link.email, link.projectId, link.status);
+    const title = `<strong>${escapeHtml(project.projectName)}</strong> (${escapeHtml(project.projectId)})`;
+
+    if (project.projectStatus === link.status) {
+      html = ctx.dashboardService.renderPage('Status already set',
+        `<p>${title} is already <strong>${escapeHtml(project.projectStatus)}</strong>.</p>`);
+    } else {
+      const reason = ctx.validationService.getStatusTransitionError(project, project.projectStatus, link.status);
+      if (reason) {
+        throw new Error(reason);
+      }
+
+      const webAppUrl = options.webAppUrl || ctx.statusLinkService.getWebAppUrl();
+      const fields = ['action', 'project', 'status', 'by', 'exp', 'sig']
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`)
+        .join('');
+      html = ctx.dashboardService.renderPage('Update project status',
+        `<p>Change ${title} from <strong>${escapeHtml(project.projectStatus)}</strong> ` +
+        `to <strong>${escapeHtml(link.status)}</strong>?</p>` +
+        `<form method="post" action="${escapeHtml(webAppUrl)}" target="_top">${fields}` +
+        `<button type="submit">Set status to ${escapeHtml(link.status)}</button></form>`);
+    }
+  } catch (error) {
+    console.error(`handleStatusLink error: ${error.message}`);
+    html = ctx
+      ? ctx.dashboardService.renderPage('Status not updated', `<p>${escapeHtml(error.message)}</p>`)
+      : '<!DOCTYPE html><html><body><h1>Status not updated</h1>' +
+        `<p>${escapeHtml(error.message)}</p></body></html>`;
+  }
+
+  return HtmlService.createHtmlOutput(html)
+    .setTitle('Project Status')
+    .addMetaTag('viewport', 'width=device-width, initial-scale=1');
+}
+
+/**
+ * Applies a one-click status link once its confirmation page is submitted (the client's doPost).
+ * The link's signature, expiry, and recipient are checked again; the recipient must still be an
+ * active assignee. The person who clicked (the web app's active user, or the recipient when
+ * Google does not reveal it) is recorded as the Audit Log actor.
+ *
+ * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @param {Object} event - The doPost event (reads project, status, by, exp, sig from e.parameter)
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.webAppUrl] - The deployed web app URL (for the My Projects link)
+ * @returns {GoogleAppsScript.HTML.HtmlOutput} The result page
+ */
+function applyStatusLink(spreadsheetId, event, options = {}) {
+  const params = (event && event.parameter) || {};
+
+  let html;
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    html = '<!DOCTYPE html><html><body><h1>Status not updated</h1>' +
+           '<p>The project sheet is busy. Please go back and try again in a moment.</p></body></html>';
+  } else {
+    let ctx;
+    try {
+      ctx = new ExecutionContext(spreadsheetId, { holdsLock: true });
+      ctx.validate();
+
+      const link = ctx.statusLinkService.verify(params);
+      const project = ctx.dashboardService.getStatusChangeTarget(link.email, link.projectId, link.status);
+      const clickedBy = ctx.actor !== AUDIT_ACTOR_AUTOMATION ? ctx.actor : link.email;
+
+      applyProjectStatusChange(ctx, project, link.status, clickedBy, `Email status link sent to ${link.email}`);
+      ctx.flush();
+
+      const myProjectsUrl = `${options.webAppUrl || ctx.statusLinkService.getWebAppUrl()}?view=${MY_PROJECTS_VIEW}`;
+      html = ctx.dashboardService.renderPage('Status updated',
+        `<p><strong>${escapeHtml(project.projectName)}</strong> (${escapeHtml(project.projectId)}) ` +
+        `is now <strong>${escapeHtml(project.projectStatus)}</strong>.</p>` +
+        `<p><a href="${escapeHtml(myProjectsUrl)}" target="_top">See all my projects</a></p>`);
+    } catch (error) {
+      console.error(`applyStatusLink error: ${error.message}`);
+      html = ctx
+        ? ctx.dashboardService.renderPage('Status not updated', `<p>${escapeHtml(error.message)}</p>`)
+        : '<!DOCTYPE html><html><body><h1>Status not updated</h1>' +
+          `<p>${escapeHtml(error.message)}</p></body></html>`;
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  return HtmlService.createHtmlOutput(html)
+    .setTitle('Project Status')
+    .addMetaTag('viewport', 'width=device-width, initial-scale=1');
+}
+
+/**
+ * Voids every one-click status link already sent by discarding the signing secret.
+ * Links in later reminders use a new secret. Called from the Admin Tools menu.
+ *
+ * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+ * @returns {boolean|undefined} True once reset, or undefined if another run holds the lock
+ */
+function resetStatusLinks(spreadsheetId) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    console.log('resetStatusLinks: Could not acquire lock, another instance may be running');
+    return;
+  }
+
+  try {
+    const ctx = new ExecutionContext(spreadsheetId);
+    ctx.statusLinkService.resetSecret();
+    ctx.auditLog.log(AUDIT_ACTIONS.STATUS_LINKS_RESET, { message: 'Links already sent no longer work' });
+    ctx.auditLog.flush();
+    return true;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Sets a project's status from the web app, following the same rules as a manual edit:
+ * the change is run through handleProjectsEdit as if the project_status cell had been edited,
+ * so it is audited and stamps completed_at when the project is completed. Does nothing
+ * if the project already has that status. The caller flushes the context.
+ * Throws if the Codes sheet workflow does not allow the change.
+ *
+ * @param {ExecutionContext} ctx - The execution context
+ * @param {Project} project - The project to update
+ * @param {string} status - The new status
+ * @param {string} actor - Email of the person making the change (Audit Log actor)
+ * @param {string} source - Where the change came from (Audit Log message)
+ */
+function applyProjectStatusChange(ctx, project, status, actor, source) {
+  const oldStatus = project.projectStatus;
+  if (status === oldStatus) {
+    DEBUG && console.log(`applyProjectStatusChange: ${project.projectId} is already "${status}"`);
+    return;
+  }
+
+  const reason = ctx.validationService.getStatusTransitionError(project, oldStatus, status);
+  if (reason) {
+    throw new Error(reason);
+  }
+
+  // Written by the caller's ctx.flush(); the range stands in for the edited cell
+  project.projectStatus = status;
+  const range = ctx.projectSheet.getSheet()
+    .getRange(project.getRowIndex(), ctx.projectSheet.getColumnIndex('project_status') + 1);
+
+  handleProjectsEdit(ctx, {
+    range,
+    value: status,
+    oldValue: oldStatus,
+    user: { getEmail: () => actor },
+    source
+  });
+
+  console.log(`applyProjectStatusChange: ${actor} set ${project.projectId} from "${oldStatus}" to "${status}" (${source})`);
+}
+
 /**
  * Creates the custom menu in the spreadsheet UI.
  * Called by the onOpen trigger.
@@ -416,11 +1329,26 @@ function createMenu(sSht) {
     .addItem('Refresh Permissions', 'manualRefreshPermissions')
     .addSeparator()
     .addItem('View Status Summary', 'showStatusSummary')
+    .addItem('Export Projects...', 'manualExportProjects')
+    .addItem('Refresh Goal Rollup', 'manualRefreshGoalRollup')
     .addSeparator()
     .addSubMenu(ui.createMenu('Admin Tools')
       .addItem('Create Initial Triggers', 'setupTriggers')
       .addItem('Delete Triggers', 'removeTriggers')
-      .addItem('Validate Setup', 'validateSetup'))
+      .addItem('Validate Setup', 'validateSetup')
+      .addItem('Check Email Templates', 'manualCheckEmailTemplates')
+      .addItem('Email Queue Status...', 'manualEmailQueueStatus')
+      .addItem('Run Daily Maintenance Now...', 'manualRunDailyMaintenance')
+      .addItem('Reset Status Links...', 'manualResetStatusLinks')
+      .addSeparator()
+      .addItem('Preview Batch Run (Dry Run)', 'previewBatchRun')
+      .addItem('Preview Daily Maintenance (Dry Run)', 'previewDailyMaintenance')
+      .addSeparator()
+      .addItem('Review Held Duplicates...', 'reviewHeldDuplicates')
+      .addItem('Import Projects...', 'manualImportProjects')
+      .addItem('Restart Serials Each School Year', 'manualMigrateSerials')
+      .addItem('Archive School Year...', 'manualArchiveSchoolYear')
+      .addItem('Search Project Archive...', 'searchProjectArchive'))
     .addToUi();
 
   DEBUG && console.log('createMenu: Menu created');
@@ -530,6 +1458,22 @@ function refreshDropdownValidation(spreadsheetId) {
   }
 }
 
+/**
+ * Writes the partial Dry Run Plan after a dry-run failure.
+ * Dry runs never email admins; the error is recorded as the last plan entry instead.
+ *
+ * @param {ExecutionContext} ctx - The dry-run execution context
+ * @param {Error} error - The error that stopped the run
+ */
+function writeDryRunFailure(ctx, error) {
+  try {
+    ctx.plan.record(DRY_RUN_CATEGORIES.ERROR, 'Run stopped', { message: error.message });
+    ctx.flush();
+  } catch (reportError) {
+    console.error(`writeDryRunFailure: Could not write Dry Run Plan: ${reportError.message}`);
+  }
+}
+
 /**
  * Sends an admin error notification for entry-point failures.
  * Tries to use an existing ExecutionContext if available, otherwise builds
@@ -544,6 +1488,11 @@ function refreshDropdownValidation(spreadsheetId) {
  * @param {string} message - Error message/details
  */
 function sendAdminErrorNotification(spreadsheetId, ctx, subject, message) {
+  // Keep whatever was audited before the failure (flush never throws)
+  if (ctx && ctx.auditLog && !ctx.dryRun) {
+    ctx.auditLog.flush();
+  }
+
   try {
     let notificationService = null;
 
@@ -577,5 +1526,16 @@ function sendAdminErrorNotification(spreadsheetId, ctx, subject, message) {
   } catch (notifyError) {
     console.error(`sendAdminErrorNotification: Failed to send error notification: ${notifyError.message}`);
   }
+
+  // Emails the run produced before failing still go out (or wait in the Email Queue), and are
+  // logged so a re-run does not send them again
+  if (ctx && ctx.emailQueue && !ctx.dryRun) {
+    try {
+      ctx.flushEmails();
+      ctx.auditLog.flush();
+    } catch (queueError) {
+      console.error(`sendAdminErrorNotification: Failed to queue the run's emails: ${queueError.message}`);
+    }
+  }
 }
 
@@ -19,7 +19,18 @@ const SHEET_NAMES = {
   DIRECTORY: 'Directory',
   CODES: 'Codes',
   STATUS_SNAPSHOT: 'Status Snapshot',
-  FORM_RESPONSES: 'Form Responses (Raw)'
+  FORM_RESPONSES: 'Form Responses (Raw)',
+  TASKS: 'Tasks',                        // Optional: subtasks/checklist items per project
+  AUDIT_LOG: 'Audit Log',                // Created automatically on first audit entry
+  DRY_RUN_PLAN: 'Dry Run Plan',          // Created/overwritten by dry-run (preview) executions
+  NOTIFICATION_DIGEST: 'Notification Digest', // Created automatically; emails held for "Daily Digest" staff
+  EMAIL_QUEUE: 'Email Queue',            // Created automatically; outbound emails waiting to be sent
+  NOTIFICATION_LOG: 'Notification Log',  // Created automatically; who was sent which notification on which day
+  DELEGATE_ACCESS: 'Delegate Access',    // Created automatically; project folder shares granted to away staff's delegates
+  IMPORT: 'Import',                      // Optional: staging tab for bulk project import
+  GOALS: 'Goals',                        // Optional: LCAP goal/action reference list
+  GOAL_ROLLUP: 'Goal Rollup',            // Created/overwritten by the goal rollup report
+  IMPORT_REPORT: 'Import Report'         // Created/overwritten by each bulk import
 };
 
 // ===== AUTOMATION STATUS VALUES =====
@@ -31,7 +42,14 @@ const AUTOMATION_STATUS = {
   DELETE_NOTIFY: 'Delete (Notify)',
   DELETE_NO_NOTIFY: 'Delete (Don\'t Notify)',
   DELETED: 'Deleted',
-  ERROR: 'Error'
+  ERROR: 'Error',
+  HELD_DUPLICATE: 'Held (Possible Duplicate)' // Form submission that looks like a recent project; waits for an admin
+};
+
+// What an admin can do with a held duplicate (resolveHeldDuplicate)
+const HELD_DUPLICATE_ACTIONS = {
+  MERGE: 'merge',     // Discard the submission in favor of the project it duplicates
+  RELEASE: 'release'  // Not a duplicate after all: process it as a new project
 };
 
 // ===== PROJECT STATUS VALUES =====
@@ -69,9 +87,27 @@ const REQUIRED_CONFIG_KEYS = [
 const OPTIONAL_CONFIG_KEYS = [
   'Debug Mode',              // Set to "true" to enable verbose logging
   'School Year Start Month', // Month (1-12) when school year begins (default: 7 for July)
-  'Backups Folder ID'        // Google Drive folder ID where weekly backups are stored
+  'Backups Folder ID',       // Google Drive folder ID where weekly backups are stored
+  'Email Template - Escalation', // Google Doc ID for overdue escalation emails (escalation ladder is skipped without it)
+  'Email Template - Weekly Summary', // Google Doc ID for the Monday requester summary (skipped without it)
+  'Email Template - Unblocked',  // Google Doc ID for "ready to start" emails when dependencies complete (skipped without it)
+  'Audit Log Retention Days',    // Days to keep Audit Log rows before rollover (default: 365)
+  'Audit Log Max Rows',          // Maximum Audit Log rows kept in the sheet (default: 50000)
+  'Delegate Notifications',      // "Copy" (default) or "Redirect" emails for away staff to their Directory Delegate
+  'Web App URL',                 // Deployed client web app URL; reminder emails get one-click status links when set
+  'Serial Per School Year',      // "Yes" restarts project serials at 0001 each school year (see YEAR_SERIAL_KEY_PREFIX)
+  'Duplicate Window Days',       // Form submissions matching a project created this many days back are held (default: 7, 0 = off)
+  'Export Folder ID'             // Drive folder for project exports (default: Root Folder ID)
 ];
 
+// Per-school-year serial counters are Config rows keyed "<prefix><school year>", e.g. "Next Serial - 25_26"
+const YEAR_SERIAL_KEY_PREFIX = 'Next Serial - ';
+
+// Chat/webhook channels are Config rows keyed "<prefix><category>", e.g. "Webhook - LCAP", whose value is
+// the webhook URL; "Webhook - All Categories" gets every category's messages
+const WEBHOOK_KEY_PREFIX = 'Webhook - ';
+const WEBHOOK_ALL_CATEGORIES = 'All Categories';
+
 // ===== REQUIRED PROJECT COLUMNS =====
 // These internal keys must exist in Row 2 of the Projects sheet
 const REQUIRED_PROJECT_COLUMNS = [
@@ -96,6 +132,17 @@ const REQUIRED_PROJECT_COLUMNS = [
   'notes'
 ];
 
+// ===== OPTIONAL PROJECT COLUMNS =====
+// These internal keys may exist in Row 2 of the Projects sheet; features using them are skipped when absent
+const OPTIONAL_PROJECT_COLUMNS = [
+  'depends_on', // Comma-separated project IDs that must be Complete before this project can start
+  'blocked_by', // Written by daily maintenance: predecessors that are currently Late or Stuck
+  'recurrence', // Recurrence rule (e.g. "Monthly", "Quarterly", "Yearly", "Every 14 days")
+  'series_id',  // Project ID of the first instance in a recurring series
+  'percent_complete', // Written from the Tasks sheet: share of the project's tasks that are Complete
+  'escalations_sent'  // Written by daily maintenance: escalation levels (days late) already emailed
+];
+
 // ===== DIRECTORY COLUMNS =====
 const DIRECTORY_COLUMNS = {
   NAME: 'Name',
@@ -104,7 +151,44 @@ const DIRECTORY_COLUMNS = {
   ACTIVE: 'Active?',
   GLOBAL_ACCESS: 'Global Access',
   MAIN_FILE_ROLE: 'Project Directory Role',
-  PROJECT_SCOPE: 'Project Folders Role'
+  PROJECT_SCOPE: 'Project Folders Role',
+  SUPERVISOR: 'Supervisor',        // Optional: name or email of the staff member's supervisor (used for escalations)
+  NOTIFICATION_CHANNELS: 'Notification Channels', // Optional: "Email" (default) or "None"
+  EMAIL_DELIVERY: 'Email Delivery',               // Optional: "Immediate" (default) or "Daily Digest"
+  MUTED_NOTIFICATIONS: 'Muted Notifications',     // Optional: comma-separated NOTIFICATION_TYPES to skip
+  DELEGATE: 'Delegate',            // Optional: name or email covering for this person while they are away
+  AWAY_FROM: 'Away From',          // Optional: first day away (blank = already away)
+  AWAY_UNTIL: 'Away Until'         // Optional: last day away (blank = until the dates are cleared)
+};
+
+// ===== TASK COLUMNS =====
+// Row 1 headers of the optional Tasks sheet (one row per subtask, keyed by parent project ID)
+const TASK_COLUMNS = {
+  PROJECT_ID: 'Project ID',
+  TASK_NAME: 'Task',
+  ASSIGNEE: 'Assignee',
+  DEADLINE: 'Deadline',
+  STATUS: 'Status',
+  COMPLETED_AT: 'Completed At'
+};
+
+// ===== GOALS SHEET COLUMNS =====
+// Header names in Row 1 of the optional Goals sheet. A row with a blank Action # describes the goal itself
+const GOAL_COLUMNS = {
+  GOAL_NUMBER: 'Goal #',
+  ACTION_NUMBER: 'Action #',
+  TITLE: 'Title',
+  BUDGET: 'Budget'
+};
+
+// Label of the Goal Rollup row for projects whose goal is not in the Goals sheet
+const GOAL_ROLLUP_UNLISTED_LABEL = '(Not in Goals sheet)';
+
+// ===== TASK STATUS VALUES =====
+const TASK_STATUS = {
+  NOT_STARTED: 'Not Started',
+  IN_PROGRESS: 'In Progress',
+  COMPLETE: 'Complete'
 };
 
 // ===== DIRECTORY ACCESS ROLES & SCOPES =====
@@ -122,21 +206,166 @@ const DIRECTORY_FOLDER_SCOPES = {
   ALL_EDITOR: 'all_editor'
 };
 
+// ===== NOTIFICATION PREFERENCES =====
+// Kinds of notification emails, as staff write them in the Directory "Muted Notifications" column.
+// Admin error emails have no type and always go out.
+const NOTIFICATION_TYPES = {
+  NEW_PROJECT: 'New Projects',
+  REMINDER: 'Reminders',
+  STATUS_CHANGE: 'Status Changes',
+  UPDATE: 'Project Updates',
+  CANCELLATION: 'Cancellations',
+  ESCALATION: 'Escalations',
+  UNBLOCKED: 'Unblocked',
+  WEEKLY_SUMMARY: 'Weekly Summary'
+};
+
+// Immediate notifications that "Daily Digest" staff receive in the next daily digest instead
+// (reminders, status changes, and the other maintenance emails are already once a day)
+const DIGESTIBLE_NOTIFICATION_TYPES = [
+  NOTIFICATION_TYPES.NEW_PROJECT,
+  NOTIFICATION_TYPES.UPDATE,
+  NOTIFICATION_TYPES.CANCELLATION
+];
+
+// Notifications that go out even when the recipient lists them in Muted Notifications:
+// an overdue project must reach the requester, supervisor, or admins the ladder names
+const UNMUTABLE_NOTIFICATION_TYPES = [
+  NOTIFICATION_TYPES.ESCALATION
+];
+
+// Normalized internal values for the Directory preference columns
+const NOTIFICATION_CHANNELS = {
+  EMAIL: 'email',
+  NONE: 'none'
+};
+
+const EMAIL_DELIVERY = {
+  IMMEDIATE: 'immediate',
+  DAILY_DIGEST: 'daily_digest'
+};
+
+// Row 1 headers of the Delegate Access sheet (one row per delegate share PermissionService will revoke)
+const DELEGATE_ACCESS_COLUMNS = ['Granted At', 'Project ID', 'Folder ID', 'Delegate', 'Covering For'];
+
+// How emails for staff who are away reach their delegate (Config "Delegate Notifications")
+const DELEGATE_NOTIFICATION_MODES = {
+  COPY: 'copy',         // Away person and delegate both receive it
+  REDIRECT: 'redirect'  // Only the delegate receives it
+};
+
+// Row 1 headers of the Notification Digest sheet (one row per held-back email)
+const NOTIFICATION_DIGEST_COLUMNS = ['Queued At', 'Recipient', 'Type', 'Subject', 'Body'];
+
+// Row 1 headers of the Email Queue sheet (one row per outbound email).
+// Options holds cc/bcc/name/replyTo/htmlBody as JSON. Message ID identifies the row when it is
+// updated, since other runs may add or remove rows in between.
+const EMAIL_QUEUE_COLUMNS = ['Queued At', 'Status', 'To', 'Subject', 'Body', 'Options', 'Attempts', 'Next Attempt', 'Last Error', 'Sent At', 'Message ID'];
+
+// Email Queue "Status" values. Set a Failed row back to Pending to retry it.
+const EMAIL_QUEUE_STATUS = {
+  PENDING: 'Pending',
+  SENT: 'Sent',
+  FAILED: 'Failed'
+};
+
+// Largest body/options text queued in one cell (Sheets caps cells at 50,000 characters); bigger emails send directly
+const EMAIL_QUEUE_MAX_CELL_LENGTH = 49000;
+
+// Row 1 headers of the Notification Log sheet (one row per recipient, project, and notification sent).
+// Project is the project ID, "<project ID> / <task name>" for task reminders, or
+// "<project ID> / <new status>" for status changes.
+const NOTIFICATION_LOG_COLUMNS = ['Sent At', 'Date', 'Recipient', 'Type', 'Project', 'Subject'];
+
+// Notifications sent at most once per recipient, project, and day; re-runs skip recipients already
+// in the Notification Log unless forced. Project Updates, Escalations, and Unblocked emails are left
+// out: the same project can legitimately trigger them more than once a day.
+const LOGGED_NOTIFICATION_TYPES = [
+  NOTIFICATION_TYPES.NEW_PROJECT,
+  NOTIFICATION_TYPES.REMINDER,
+  NOTIFICATION_TYPES.STATUS_CHANGE,
+  NOTIFICATION_TYPES.CANCELLATION,
+  NOTIFICATION_TYPES.WEEKLY_SUMMARY
+];
+
+// Notifications also posted to the Config webhooks (one message per project, not per recipient)
+const CHANNEL_NOTIFICATION_TYPES = [
+  NOTIFICATION_TYPES.NEW_PROJECT,
+  NOTIFICATION_TYPES.REMINDER,
+  NOTIFICATION_TYPES.STATUS_CHANGE,
+  NOTIFICATION_TYPES.CANCELLATION
+];
+
+// Webhook URLs that get Google Chat cards; any other URL gets plain JSON (see WebhookChannel)
+const GOOGLE_CHAT_WEBHOOK_PATTERN = /^https:\/\/chat\.googleapis\.com\//;
+
+// ===== DASHBOARD =====
+// Ways the doGet dashboard can group projects (?groupBy=<key>); the first is the default
+const DASHBOARD_GROUPINGS = {
+  status: 'Status',
+  assignee: 'Assignee',
+  category: 'Category',
+  school_year: 'School Year'
+};
+
+// ?view=<value> that switches the web app to the assignee's own "My Projects" page
+const MY_PROJECTS_VIEW = 'mine';
+
+// ?action=<value> of the one-click status links in reminder emails
+const STATUS_LINK_ACTION = 'status';
+
+// Script property holding a district's status link signing secret, keyed "<prefix><Main Spreadsheet ID>".
+// Kept out of the Config sheet so people who can open the sheet cannot forge links.
+const STATUS_LINK_SECRET_PROPERTY_PREFIX = 'STATUS_LINK_SECRET_';
+
+// Statuses offered as one-click links (only those also listed in the Codes sheet are shown)
+const STATUS_LINK_STATUSES = [
+  PROJECT_STATUS.ON_TRACK,
+  PROJECT_STATUS.BEHIND_SCHEDULE,
+  PROJECT_STATUS.STUCK,
+  PROJECT_STATUS.COMPLETE
+];
+
 // ===== CODES COLUMNS =====
 const CODES_COLUMNS = {
   CATEGORY: 'Category',
   STATUS: 'Status',
   REMINDER_DAYS_OFFSET: 'Reminder Days',
-  REMINDER_DAYS_READABLE: 'Reminder Days: Readable'
+  REMINDER_DAYS_READABLE: 'Reminder Days: Readable',
+  ESCALATION_DAYS_LATE: 'Escalation Days Late',
+  ESCALATION_NOTIFY: 'Escalate To',
+  WORKFLOW_STATUS: 'Workflow Status',
+  WORKFLOW_NEXT: 'Can Change To',
+  WORKFLOW_NOTE_REQUIRED: 'Requires Note'
 };
 
+// Start of the cell note left on a project_status edit the Codes workflow did not allow
+// (cleared by the next allowed edit)
+const STATUS_REVERT_NOTE_PREFIX = 'Status change to';
+
+// Help text on the project_status dropdowns narrowed by the Codes workflow
+const PROJECT_STATUS_DROPDOWN_HELP = 'Statuses this project can move to next (see the workflow in the Codes sheet).';
+
 // ===== CODES SHEET LAYOUT =====
 const CODES_LAYOUT = {
   HEADER_ROW: 3,
   CATEGORY_COL: 1,          // Column A
   STATUS_COL: 3,            // Column C
   REMINDER_OFFSET_COL: 5,   // Column E
-  REMINDER_LABEL_COL: 6     // Column F
+  REMINDER_LABEL_COL: 6,    // Column F
+  ESCALATION_DAYS_COL: 8,   // Column H (optional section)
+  ESCALATION_NOTIFY_COL: 9, // Column I (optional section)
+  WORKFLOW_STATUS_COL: 11,  // Column K (optional section): status the rule applies to
+  WORKFLOW_NEXT_COL: 12,    // Column L: comma-separated statuses it can change to (blank = any)
+  WORKFLOW_NOTE_COL: 13     // Column M: "Yes" if moving into the status requires a Notes entry
+};
+
+// ===== ESCALATION TARGETS =====
+// Values allowed in the Codes "Escalate To" column (comma-separated for multiple)
+const ESCALATION_TARGETS = {
+  REQUESTER: 'Requester',
+  SUPERVISOR: 'Supervisor',   // Requester's supervisor from the Directory "Supervisor" column
+  ADMINS: 'Admins'            // Config "Error Email Addresses"
 };
 
 // ===== EMAIL TEMPLATE TOKENS =====
@@ -153,9 +382,44 @@ const EMAIL_TOKENS = {
   NEW_STATUS: '{{NEW_STATUS}}',
   DATE: '{{DATE}}',
   RECIPIENT_NAME: '{{RECIPIENT_NAME}}',
-  STATUS_CHANGES_LIST: '{{STATUS_CHANGES_LIST}}'
+  STATUS_CHANGES_LIST: '{{STATUS_CHANGES_LIST}}',
+  CHANGES_SUMMARY: '{{CHANGES_SUMMARY}}',      // Project update template only
+  DAYS_LATE: '{{DAYS_LATE}}',                  // Escalation template only
+  ESCALATION_LEVEL: '{{ESCALATION_LEVEL}}',    // Escalation template only (e.g., "Supervisor")
+  ESCALATION_RECIPIENTS: '{{ESCALATION_RECIPIENTS}}', // Escalation template only
+  OPEN_PROJECT_COUNT: '{{OPEN_PROJECT_COUNT}}',      // Weekly summary template only
+  ATTENTION_LIST: '{{ATTENTION_LIST}}',              // Weekly summary only: Late, Stuck, Behind Schedule
+  UPCOMING_LIST: '{{UPCOMING_LIST}}',                // Weekly summary only: due in the next two weeks
+  PROJECTS_BY_STATUS: '{{PROJECTS_BY_STATUS}}',      // Weekly summary only: all open projects grouped by status
+  STATUS_LINKS: '{{STATUS_LINKS}}',                  // Reminder template only: one-click status links
+  REMINDER_COUNT: '{{REMINDER_COUNT}}',              // Reminder template only: projects in this reminder
+  OLD_STATUS: '{{OLD_STATUS}}',                      // Status change items only: status before the change
+  PREDECESSOR_TITLE: '{{PREDECESSOR_TITLE}}'         // Unblocked template only: the project whose completion unblocked this one
 };
 
+// Lists that templates loop over with {{#each NAME}}...{{/each}}.
+// Inside the loop, each item's project tokens ({{PROJECT_TITLE}}, {{DEADLINE}}, ...) apply.
+const EMAIL_LIST_TOKENS = {
+  REMINDERS: 'REMINDERS',            // Reminder template: one item per project (adds DAYS_UNTIL_DUE, STATUS_LINKS)
+  STATUS_CHANGES: 'STATUS_CHANGES'   // Status change template: one item per change (adds OLD_STATUS)
+};
+
+// Email template Config keys, with the tokens each template must use (checked by checkEmailTemplates).
+// An inner array lists alternatives, any one of which is enough.
+const EMAIL_TEMPLATE_REQUIRED_TOKENS = {
+  'Email Template - New Project': ['PROJECT_TITLE', 'DEADLINE'],
+  'Email Template - Reminder': ['PROJECT_TITLE', 'DEADLINE'],
+  'Email Template - Status Change': [['STATUS_CHANGES_LIST', 'STATUS_CHANGES']],
+  'Email Template - Project Update': ['PROJECT_TITLE', 'CHANGES_SUMMARY'],
+  'Email Template - Project Cancellation': ['PROJECT_TITLE'],
+  'Email Template - Escalation': ['PROJECT_TITLE', 'DAYS_LATE'],
+  'Email Template - Weekly Summary': ['PROJECTS_BY_STATUS'],
+  'Email Template - Unblocked': ['PROJECT_TITLE']
+};
+
+// Block tags of the email template language ({{#if X}}, {{else}}, {{/if}}, {{#each X}}, {{/each}})
+const TEMPLATE_TAG_PATTERN = /{{\s*(#if|#each|else|\/if|\/each)(?:\s+(\w+))?\s*}}/;
+
 // ===== FORM FIELD NAMES =====
 // Maps form question titles to internal keys
 // Multiple titles can map to the same internal key for backward compatibility
@@ -175,15 +439,168 @@ const FORM_FIELD_MAP = {
   'Deadline': 'due_date',
   'Notes': 'notes',
   'Reminder Timeline': 'reminder_offsets',
-  'Total Budget': 'total_budget'
+  'Total Budget': 'total_budget',
+  'Depends On': 'depends_on',
+  'Depends On (Project IDs)': 'depends_on',
+  'Recurrence': 'recurrence',
+  'Repeats': 'recurrence'
+};
+
+// Bulk import also accepts these headers (the form takes the requester from the submitter instead);
+// headers that are already internal keys (Row 2 of the Projects sheet) are accepted as-is
+const IMPORT_FIELD_MAP = Object.assign({}, FORM_FIELD_MAP, {
+  'Requested By': 'requested_by',
+  'Requester': 'requested_by'
+});
+
+// Import Report sheet columns (one row per source row)
+const IMPORT_REPORT_COLUMNS = ['Source Row', 'Project Title', 'Result', 'Details'];
+
+// ===== PROJECT EXPORT =====
+// File formats exportProjects can write
+const EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  JSON: 'json'
+};
+
+// Exported columns, in order, with their human headers (columns missing from the sheet are left out).
+// folder_id is exported as the folder URL; dates are written with formatDate.
+// type marks the columns XLSX exports keep as real dates and numbers; the rest are written as plain text
+const EXPORT_COLUMNS = [
+  { key: 'project_id', header: 'Project ID' },
+  { key: 'project_name', header: 'Project Title' },
+  { key: 'school_year', header: 'School Year' },
+  { key: 'category', header: 'Category' },
+  { key: 'goal_number', header: 'Goal #' },
+  { key: 'action_number', header: 'Action #' },
+  { key: 'description', header: 'Description' },
+  { key: 'assignee', header: 'Assigned To' },
+  { key: 'requested_by', header: 'Requested By' },
+  { key: 'due_date', header: 'Deadline', type: 'date' },
+  { key: 'project_status', header: 'Status' },
+  { key: 'completed_at', header: 'Completed', type: 'date' },
+  { key: 'total_budget', header: 'Total Budget', type: 'number' },
+  { key: 'folder_id', header: 'Project Folder' }
+];
+
+// Number format of XLSX date cells (matches formatDate, e.g. "January 15, 2026")
+const EXPORT_XLSX_DATE_FORMAT = 'mmmm d, yyyy';
+
+// ===== RECURRENCE RULES =====
+// Named recurrence rules and their interval. "Every N days/weeks/months/years" is also accepted.
+const RECURRENCE_RULES = {
+  'daily': { unit: 'day', interval: 1 },
+  'weekly': { unit: 'day', interval: 7 },
+  'biweekly': { unit: 'day', interval: 14 },
+  'monthly': { unit: 'month', interval: 1 },
+  'quarterly': { unit: 'month', interval: 3 },
+  'semiannually': { unit: 'month', interval: 6 },
+  'yearly': { unit: 'month', interval: 12 },
+  'annually': { unit: 'month', interval: 12 }
 };
 
 // ===== DEFAULT VALUES =====
 const DEFAULTS = {
   CATEGORY: 'LCAP',
-  REMINDER_OFFSETS: [3, 7, 14]
+  REMINDER_OFFSETS: [3, 7, 14],
+  AUDIT_LOG_RETENTION_DAYS: 365,
+  AUDIT_LOG_MAX_ROWS: 50000,  // 9 columns x 50k rows stays far below the 10M cell limit
+  WEEKLY_SUMMARY_DAY: 1,      // Day of week the requester summary goes out (0 = Sunday, 1 = Monday)
+  WEEKLY_SUMMARY_UPCOMING_DAYS: 14,
+  STATUS_LINK_DAYS: 14,       // How long a one-click status link in a reminder stays valid
+  DUPLICATE_WINDOW_DAYS: 7,   // How far back form submissions are compared for double submits
+  EMAIL_MAX_ATTEMPTS: 5,      // Failed sends before a queued email is marked Failed
+  EMAIL_RETRY_MINUTES: 10,    // Delay before the first retry; doubles after each failed attempt
+  EMAIL_QUEUE_SENT_DAYS: 7,   // Days Sent rows stay in the Email Queue sheet before daily maintenance removes them
+  NOTIFICATION_LOG_DAYS: 30   // Days rows stay in the Notification Log sheet before daily maintenance removes them
+};
+
+// ===== DRY RUN =====
+// Row 2 headers of the Dry Run Plan sheet (row 1 is a run summary line)
+const DRY_RUN_PLAN_COLUMNS = ['Category', 'Action', 'Project ID', 'Target', 'Details'];
+
+// Kinds of side effects recorded instead of executed in dry-run mode
+const DRY_RUN_CATEGORIES = {
+  DRIVE: 'Drive',
+  CALENDAR: 'Calendar',
+  GMAIL: 'Gmail',
+  WEBHOOK: 'Webhook',
+  SHEET: 'Sheet',
+  ERROR: 'Error'
+};
+
+// Stand-in for folder/file/event IDs that would have been created
+const DRY_RUN_PLACEHOLDER_ID = 'DRY-RUN';
+
+// ===== AUDIT LOG =====
+// Row 1 headers of the Audit Log sheet (append-only, one row per automation action)
+const AUDIT_LOG_COLUMNS = [
+  'Timestamp',
+  'Actor',
+  'Project ID',
+  'Action',
+  'Field',
+  'Before',
+  'After',
+  'Outcome',
+  'Details'
+];
+
+// Actor recorded for trigger runs where no signed-in user is available
+const AUDIT_ACTOR_AUTOMATION = 'Automation';
+
+// Before/After values longer than this are truncated (descriptions can be long)
+const AUDIT_LOG_MAX_VALUE_LENGTH = 500;
+
+// Rows read from the end of the Audit Log when looking up a project's recent history
+// (e.g., whether its Notes changed since its last status change)
+const AUDIT_LOG_RECENT_ROWS = 2000;
+
+// Rolled-over rows go to one "Audit Log Archive <year>" spreadsheet per calendar year;
+// its ID is kept in a "Audit Log Archive - <year>" Config row (added on first use)
+const AUDIT_LOG_ARCHIVE_PREFIX = 'Audit Log Archive';
+
+const AUDIT_OUTCOME = {
+  SUCCESS: 'Success',
+  FAILURE: 'Failure',
+  SKIPPED: 'Skipped'
 };
 
+const AUDIT_ACTIONS = {
+  PROJECT_CREATED: 'Project Created',
+  PROJECT_UPDATED: 'Project Updated',
+  PROJECT_DELETED: 'Project Deleted',
+  FOLDER_CREATED: 'Folder Created',
+  CALENDAR_EVENT_CREATED: 'Calendar Event Created',
+  CALENDAR_EVENT_UPDATED: 'Calendar Event Updated',
+  CALENDAR_EVENT_CANCELLED: 'Calendar Event Cancelled',
+  FIELD_CHANGED: 'Field Changed',
+  STATUS_CHANGED: 'Status Changed',
+  MARKED_LATE: 'Marked Late',
+  ESCALATION_SENT: 'Escalation Sent',
+  RECURRENCE_CREATED: 'Recurring Instance Created',
+  BACKUP_CREATED: 'Backup Created',
+  PERMISSION_GRANTED: 'Permission Granted',
+  PERMISSION_REVOKED: 'Permission Revoked',
+  PERMISSIONS_REFRESHED: 'Permissions Refreshed',
+  STATUS_CHANGE_REVERTED: 'Status Change Reverted',
+  PROJECT_ARCHIVED: 'Project Archived',
+  FOLDER_MOVED: 'Folder Moved',
+  DUPLICATE_HELD: 'Duplicate Held',
+  DUPLICATE_MERGED: 'Duplicate Merged',
+  DUPLICATE_RELEASED: 'Duplicate Released',
+  PROJECTS_IMPORTED: 'Projects Imported',
+  PROJECTS_EXPORTED: 'Projects Exported',
+  EMAIL_FAILED: 'Email Failed',
+  STATUS_LINKS_RESET: 'Status Links Reset'
+};
+
+// ===== YEAR-END ARCHIVE =====
+// Archive spreadsheets are named "<prefix> <school year>" (e.g. "Project Archive 24_25") and live in
+// the school year's subfolder of the Parent Folder; Config "<prefix> - <school year>" records each ID
+const ARCHIVE_NAME_PREFIX = 'Project Archive';
+
 // ===== CALENDAR EVENT COLORS =====
 // Maps project status to Google Calendar EventColor IDs
 // See: https://developers.google.com/apps-script/reference/calendar/event-color
@@ -6,13 +6,28 @@ class ExecutionContext {
   /**
    * Creates a new ExecutionContext instance.
    * @param {string} spreadsheetId - The Main Projects File spreadsheet ID
+   * @param {Object} [options] - Execution options
+   * @param {boolean} [options.dryRun=false] - Record Drive/Calendar/Gmail/sheet side effects
+   *   into a DryRunPlan instead of executing them
+   * @param {string} [options.runLabel] - Name of the entry point (used in the dry-run report)
+   * @param {boolean} [options.forceResend=false] - Send notifications even to recipients the
+   *   Notification Log says already got them today
+   * @param {boolean} [options.holdsLock=false] - The entry point holds the script lock; only then
+   *   does flushing send queued emails (other runs leave them in the Email Queue for the next one)
    */
-  constructor(spreadsheetId) {
+  constructor(spreadsheetId, options = {}) {
     DEBUG && console.log(`ExecutionContext: Initializing for spreadsheet ${spreadsheetId}`);
 
     // Store the spreadsheet ID
     this.spreadsheetId = spreadsheetId;
 
+    // Dry-run mode: services check ctx.dryRun and record into ctx.plan instead of acting
+    this.dryRun = options.dryRun === true;
+    this.plan = this.dryRun ? new DryRunPlan() : null;
+    this.runLabel = options.runLabel || '';
+    this.forceResend = options.forceResend === true;
+    this.holdsLock = options.holdsLock === true;
+
     // Open the spreadsheet
     this.sSht = SpreadsheetApp.openById(spreadsheetId);
 
@@ -49,7 +64,7 @@ class ExecutionContext {
     this.initDebugMode();
 
     // IdAllocator - lock-protected ID generation
-    this.idAllocator = new IdAllocator(this.config);
+    this.idAllocator = new IdAllocator(this.config, { dryRun: this.dryRun });
 
     // ProjectSheet - wraps the Projects sheet
     const projectsSheet = this.sSht.getSheetByName(SHEET_NAMES.PROJECTS);
@@ -81,6 +96,30 @@ class ExecutionContext {
     }
     this.codes = new Codes(codesSheet);
 
+    // TaskSheet - wraps the optional Tasks sheet (null when the district hasn't added one)
+    const tasksSheet = this.sSht.getSheetByName(SHEET_NAMES.TASKS);
+    this.taskSheet = tasksSheet ? new TaskSheet(tasksSheet) : null;
+
+    // GoalSheet - wraps the optional Goals sheet (null when the district hasn't added one)
+    const goalsSheet = this.sSht.getSheetByName(SHEET_NAMES.GOALS);
+    this.goalSheet = goalsSheet ? new GoalSheet(goalsSheet) : null;
+
+    // AuditLog - append-only Audit Log sheet (created on first write)
+    this.actor = this.resolveActor();
+    this.auditLog = new AuditLog(this.sSht, this.config, this.actor);
+
+    // NotificationDigest - emails held for "Daily Digest" staff (sheet created on first write)
+    this.notificationDigest = new NotificationDigest(this.sSht);
+
+    // EmailQueue - outbound emails waiting to be sent (sheet created on first write)
+    this.emailQueue = new EmailQueue(this.sSht, this.now);
+
+    // NotificationLog - who was sent which notification today, so re-runs don't repeat emails (sheet created on first write)
+    this.notificationLog = new NotificationLog(this.sSht, this.now);
+
+    // DelegateAccess - folder shares granted to delegates of away staff (sheet created on first write)
+    this.delegateAccess = new DelegateAccess(this.sSht);
+
     DEBUG && console.log('ExecutionContext: Data layer initialized');
   }
 
@@ -89,10 +128,16 @@ class ExecutionContext {
    */
   initServices() {
     // Validator - validates configuration and structure
-    this.validator = new Validator(this.config, this.projectSheet);
+    this.validator = new Validator(this.config, this.projectSheet, this.directory);
+
+    // StatusLinkService - signed one-click status links (reminder emails, served by doGet)
+    this.statusLinkService = new StatusLinkService(this);
 
-    // NotificationService - email notifications
-    this.notificationService = new NotificationService(this.config, this.directory);
+    // NotificationService - email notifications (honors Directory notification preferences, sends through the Email Queue)
+    this.notificationService = new NotificationService(
+      this.config, this.directory, this.plan, this.notificationDigest, this.statusLinkService, this.emailQueue,
+      this.notificationLog, this.forceResend, this.now
+    );
 
     // PermissionService - sharing permissions (spreadsheet + Drive folders)
     this.permissionService = new PermissionService(this);
@@ -109,6 +154,24 @@ class ExecutionContext {
     // ValidationService - manages dropdown data validation rules
     this.validationService = new ValidationService(this);
 
+    // DashboardService - read-only web app dashboard (doGet)
+    this.dashboardService = new DashboardService(this);
+
+    // ArchiveService - year-end archive of finished projects
+    this.archiveService = new ArchiveService(this);
+
+    // ImportService - bulk project import from CSV or the Import tab
+    this.importService = new ImportService(this);
+
+    // ExportService - filtered CSV/XLSX/JSON project exports
+    this.exportService = new ExportService(this);
+
+    // GoalRollupService - LCAP goal/action rollup report (Goal Rollup sheet)
+    this.goalRollupService = new GoalRollupService(this);
+
+    // TemplatePreviewService - email template check and preview
+    this.templatePreviewService = new TemplatePreviewService(this);
+
     DEBUG && console.log('ExecutionContext: Services initialized');
   }
 
@@ -120,14 +183,84 @@ class ExecutionContext {
     return this.sSht;
   }
 
+  /**
+   * Writes this run's held digest emails and queued emails, then, when the run holds the script
+   * lock, sends what the daily quota allows (the rest wait for the next locked run), and finally
+   * writes the Notification Log entries of the emails sent.
+   * Also called on the error path, so emails produced before a failure are not lost or repeated.
+   */
+  flushEmails() {
+    this.notificationDigest.flush();
+    this.emailQueue.flush();
+    if (this.holdsLock) {
+      this.drainEmailQueue();
+    }
+    this.notificationLog.flush();
+  }
+
+  /**
+   * Sends due queued emails. Never throws: unsent emails stay queued for the next run.
+   * Emails that used up their attempts are recorded in the Audit Log.
+   */
+  drainEmailQueue() {
+    try {
+      const result = this.notificationService.drainEmailQueue();
+      for (const message of result.failed) {
+        this.auditLog.log(AUDIT_ACTIONS.EMAIL_FAILED, {
+          outcome: AUDIT_OUTCOME.FAILURE,
+          message: `"${message.subject}" to ${message.to} after ${message.attempts} attempts: ${message.lastError}`
+        });
+      }
+    } catch (error) {
+      console.error(`ExecutionContext: Could not send queued emails: ${error.message}`);
+    }
+  }
+
   /**
    * Flushes all pending changes to the sheet.
+   * In dry-run mode, writes the Dry Run Plan report instead.
    */
   flush() {
+    // Dry runs never write back; the plan report is their only output
+    if (this.dryRun) {
+      for (const project of this.projectSheet.getProjects().filter(p => p.isDirty())) {
+        this.plan.record(DRY_RUN_CATEGORIES.SHEET, 'Update Projects row', {
+          projectId: project.projectId,
+          target: `Row ${project.getRowIndex()}`,
+          message: project.getDirtyKeys().join(', ')
+        });
+      }
+      this.plan.writeReport(this.sSht, this.runLabel || 'automation', this.now);
+      return;
+    }
+
     this.projectSheet.flush();
 
     // Hide any rows marked for deletion
     this.projectService.hideDeletedRows();
+
+    // Write held and queued emails and the Notification Log, then send queued emails
+    this.flushEmails();
+
+    // Write buffered audit entries in one batch
+    this.auditLog.flush();
+  }
+
+  /**
+   * Determines who is running this execution, for the Audit Log.
+   * Menu runs have an active user; time-driven and form triggers usually don't.
+   * @returns {string} Email of the active user, or AUDIT_ACTOR_AUTOMATION
+   */
+  resolveActor() {
+    try {
+      const email = Session.getActiveUser().getEmail();
+      if (email) {
+        return email.toLowerCase();
+      }
+    } catch (error) {
+      DEBUG && console.log(`ExecutionContext: Could not read active user: ${error.message}`);
+    }
+    return AUDIT_ACTOR_AUTOMATION;
   }
 
   /**
@@ -177,6 +310,8 @@ class ExecutionContext {
         districtId: this.config.districtId,
         schoolYearStartMonth: this.config.schoolYearStartMonth,
         nextSerial: this.config.nextSerial,
+        serialPerSchoolYear: this.config.serialPerSchoolYear,
+        yearSerials: Object.fromEntries(this.config.yearSerials),
         debugMode: DEBUG
       },
       projectCount: this.projectSheet.getProjects().length,
@@ -150,6 +150,136 @@ function substituteTokens(template, values) {
   return result;
 }
 
+/**
+ * Parses an email template into a tree of text, {{#if}} and {{#each}} nodes.
+ * A block tag alone on its line takes its line break with it, so loops and
+ * conditionals written on their own lines in the Doc leave no blank lines behind.
+ * @param {string} template - The template string
+ * @returns {Object[]} Nodes: {type: 'text', text} | {type: 'if'|'each', name, body: [], otherwise: []}
+ * @throws {Error} If a block is not closed, or is closed by the wrong tag
+ */
+function parseTemplate(template) {
+  const standalone = new RegExp(`(?<=^|\\n)[ \\t]*(${TEMPLATE_TAG_PATTERN.source})[ \\t]*(?:\\n|$)`, 'g');
+  const source = String(template || '').replace(standalone, '$1');
+  const parts = source.split(new RegExp(`(${TEMPLATE_TAG_PATTERN.source})`));
+
+  const root = { body: [] };
+  const stack = [root];
+  let current = root.body;
+
+  // split() with capture groups yields: text, whole tag, tag keyword, tag name, text, ...
+  for (let i = 0; i < parts.length; i += 4) {
+    if (parts[i]) {
+      current.push({ type: 'text', text: parts[i] });
+    }
+    if (i + 1 >= parts.length) {
+      break;
+    }
+
+    const tag = parts[i + 1];
+    const keyword = parts[i + 2];
+    const name = parts[i + 3];
+    const open = stack[stack.length - 1];
+
+    if (keyword === '#if' || keyword === '#each') {
+      if (!name) {
+        throw new Error(`Template tag ${tag} needs a name, e.g. {{${keyword} DESCRIPTION}}`);
+      }
+      const node = { type: keyword.slice(1), name, body: [], otherwise: [] };
+      current.push(node);
+      stack.push(node);
+      current = node.body;
+    } else if (keyword === 'else') {
+      if (open === root || current === open.otherwise) {
+        throw new Error('Template has {{else}} outside an {{#if}} or {{#each}} block');
+      }
+      current = open.otherwise;
+    } else {
+      const type = keyword.slice(1);
+      if (open === root) {
+        throw new Error(`Template has {{/${type}}} without a matching {{#${type}}}`);
+      }
+      if (open.type !== type) {
+        throw new Error(`Template closes {{#${open.type} ${open.name}}} with {{/${type}}}`);
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent === root ? root.body : (parent.otherwise.length > 0 ? parent.otherwise : parent.body);
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(`Template is missing {{/${open.type}}} for {{#${open.type} ${open.name}}}`);
+  }
+
+  return root.body;
+}
+
+/**
+ * Renders an email template: {{TOKEN}} substitution plus
+ * {{#if TOKEN}}...{{else}}...{{/if}} and {{#each LIST}}...{{else}}...{{/each}} blocks.
+ * Inside {{#each}}, the current item's keys are tokens; outer tokens stay available.
+ * Tokens without a value are left as-is (like substituteTokens).
+ * @param {string} template - The template string
+ * @param {Object} values - Token values; lists are arrays of objects
+ * @returns {string} The rendered template
+ * @throws {Error} If the template's blocks are malformed (see parseTemplate)
+ */
+function renderTemplate(template, values) {
+  if (!template) {
+    return '';
+  }
+
+  return renderTemplateNodes(parseTemplate(template), [values || {}]);
+}
+
+/**
+ * Renders parsed template nodes against a scope chain (innermost scope last).
+ * @param {Object[]} nodes - Nodes from parseTemplate
+ * @param {Object[]} scopes - Token value objects
+ * @returns {string} Rendered text
+ */
+function renderTemplateNodes(nodes, scopes) {
+  const lookup = name => {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      if (Object.prototype.hasOwnProperty.call(scopes[i], name)) {
+        return { found: true, value: scopes[i][name] };
+      }
+    }
+    return { found: false };
+  };
+
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return node.text.replace(/{{\s*(\w+)\s*}}/g, (token, name) => {
+        const { found, value } = lookup(name);
+        if (!found) return token;
+        return value === null || value === undefined ? '' : String(value);
+      });
+    }
+
+    const { value } = lookup(node.name);
+    if (node.type === 'each') {
+      const items = Array.isArray(value) ? value : [];
+      if (items.length === 0) {
+        return renderTemplateNodes(node.otherwise, scopes);
+      }
+      return items.map(item => renderTemplateNodes(node.body, scopes.concat([item || {}]))).join('');
+    }
+
+    let truthy;
+    if (Array.isArray(value)) {
+      truthy = value.length > 0;
+    } else if (typeof value === 'string') {
+      truthy = value.trim() !== '';
+    } else {
+      truthy = Boolean(value);
+    }
+    return renderTemplateNodes(truthy ? node.body : node.otherwise, scopes);
+  }).join('');
+}
+
 /**
  * Calculates the number of days between two dates.
  * @param {Date} fromDate - The start date
@@ -252,6 +382,20 @@ function parseDate(value) {
   return isNaN(parsed.getTime()) ? null : parsed;
 }
 
+/**
+ * Parses a money amount such as "$12,500.00", "12500", or a number.
+ * @param {*} value - The value to parse
+ * @returns {number} The amount, or 0 if blank or not a number
+ */
+function parseAmount(value) {
+  if (typeof value === 'number') {
+    return isNaN(value) ? 0 : value;
+  }
+
+  const parsed = parseFloat(String(value || '').replace(/[$,\s]/g, ''));
+  return isNaN(parsed) ? 0 : parsed;
+}
+
 /**
  * Infers the school year from a deadline date.
  * School year format is "YY_YY" (e.g., "25_26" for 2025-2026).
@@ -280,6 +424,60 @@ function inferSchoolYear(deadline, startMonth = 7) {
   }
 }
 
+/**
+ * Parses a recurrence rule such as "Monthly", "Quarterly", or "Every 10 days".
+ * @param {string} rule - The raw recurrence rule
+ * @returns {Object|null} Object with unit ('day' | 'month') and interval, or null if blank/invalid
+ */
+function parseRecurrenceRule(rule) {
+  if (!rule) {
+    return null;
+  }
+
+  const normalized = String(rule).trim().toLowerCase();
+  if (RECURRENCE_RULES[normalized]) {
+    return { ...RECURRENCE_RULES[normalized] };
+  }
+
+  const match = normalized.match(/^every\s+(\d+)\s*(day|week|month|year)s?$/);
+  if (!match) {
+    return null;
+  }
+
+  const value = parseInt(match[1], 10);
+  if (value <= 0) {
+    return null;
+  }
+
+  switch (match[2]) {
+    case 'week':
+      return { unit: 'day', interval: value * 7 };
+    case 'month':
+      return { unit: 'month', interval: value };
+    case 'year':
+      return { unit: 'month', interval: value * 12 };
+    default:
+      return { unit: 'day', interval: value };
+  }
+}
+
+/**
+ * Advances a date by one recurrence interval.
+ * Month-based rules clamp to the last day of the target month (Jan 31 + 1 month = Feb 28/29).
+ * @param {Date} date - The date to advance
+ * @param {Object} recurrence - Parsed rule from parseRecurrenceRule
+ * @returns {Date} The advanced date
+ */
+function addRecurrenceInterval(date, recurrence) {
+  if (recurrence.unit === 'day') {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + recurrence.interval);
+  }
+
+  const targetMonth = date.getMonth() + recurrence.interval;
+  const lastDayOfTarget = new Date(date.getFullYear(), targetMonth + 1, 0).getDate();
+  return new Date(date.getFullYear(), targetMonth, Math.min(date.getDate(), lastDayOfTarget));
+}
+
 /**
  * Creates a display title for a project in the format "[ID] Name".
  * @param {string} projectId - The project ID
@@ -350,3 +548,38 @@ function extractEmails(str) {
   return emails;
 }
 
+
+/**
+ * Escapes text for safe inclusion in HTML (element content or quoted attributes).
+ * @param {*} value - The value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Compares two strings in time that does not depend on where they first differ,
+ * so signatures cannot be guessed one character at a time.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if the strings are equal
+ */
+function constantTimeEquals(a, b) {
+  const left = String(a);
+  const right = String(b);
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    diff |= (left.charCodeAt(i) || 0) ^ (right.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
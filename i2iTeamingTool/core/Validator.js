@@ -7,10 +7,12 @@ class Validator {
    * Creates a new Validator instance.
    * @param {Config} config - The Config instance
    * @param {ProjectSheet} projectSheet - The ProjectSheet instance
+   * @param {Directory} [directory] - The Directory instance (for notification preference checks)
    */
-  constructor(config, projectSheet) {
+  constructor(config, projectSheet, directory = null) {
     this.config = config;
     this.projectSheet = projectSheet;
+    this.directory = directory;
     this.errors = [];
   }
 
@@ -29,6 +31,7 @@ class Validator {
 
     if (includeFileAccess) {
       this.validateFileAccess();
+      this.validateNotificationPreferences();
     }
 
     if (this.errors.length > 0) {
@@ -200,6 +203,43 @@ class Validator {
         this.errors.push(`Email Template - ${name} is not configured`);
       }
     }
+
+    // Check optional email templates (only when configured)
+    const optionalTemplateKeys = [
+      { key: 'emailTemplateEscalation', name: 'Escalation' },
+      { key: 'emailTemplateWeeklySummary', name: 'Weekly Summary' },
+      { key: 'emailTemplateUnblocked', name: 'Unblocked' }
+    ];
+
+    for (const { key, name } of optionalTemplateKeys) {
+      const docId = this.config[key];
+      if (!docId) {
+        continue;
+      }
+      try {
+        withBackoff(() => DocumentApp.openById(docId));
+        DEBUG && console.log(`Validator: Email template "${name}" accessible`);
+      } catch (e) {
+        this.errors.push(`Cannot access Email Template - ${name} (ID: ${docId}): ${e.message}`);
+      }
+    }
+  }
+
+  /**
+   * Reports unrecognized Directory notification preference and delegation values.
+   * Only part of the full setup check: during automation runs they fall back to the defaults.
+   */
+  validateNotificationPreferences() {
+    if (!this.directory) {
+      return;
+    }
+
+    for (const issue of this.directory.getNotificationPreferenceIssues()) {
+      this.errors.push(issue);
+    }
+    for (const issue of this.directory.getDelegationIssues()) {
+      this.errors.push(issue);
+    }
   }
 
   /**
@@ -0,0 +1,291 @@
+/**
+ * AuditLog class - Append-only Audit Log sheet.
+ * Entries are buffered in memory and written in one batch on flush().
+ * Old rows are rolled over (archived to one spreadsheet per year in the Backups folder when
+ * configured) so the sheet never approaches the spreadsheet cell limit.
+ */
+class AuditLog {
+  /**
+   * Creates a new AuditLog instance.
+   * The sheet is created on first write if it does not exist yet.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The Main Projects File
+   * @param {Config} config - The Config instance
+   * @param {string} defaultActor - Actor recorded when an entry doesn't specify one
+   */
+  constructor(spreadsheet, config, defaultActor) {
+    this.spreadsheet = spreadsheet;
+    this.config = config;
+    this.defaultActor = defaultActor || AUDIT_ACTOR_AUTOMATION;
+    this.sheet = spreadsheet.getSheetByName(SHEET_NAMES.AUDIT_LOG);
+    this.pending = [];
+  }
+
+  /**
+   * Buffers an audit entry. Nothing is written until flush().
+   * @param {string} action - What happened (AUDIT_ACTIONS value)
+   * @param {Object} [details] - Entry details
+   * @param {string} [details.projectId] - Affected project ID
+   * @param {string} [details.field] - Affected field/column key
+   * @param {*} [details.before] - Value before the change
+   * @param {*} [details.after] - Value after the change
+   * @param {string} [details.outcome] - AUDIT_OUTCOME value (default: Success)
+   * @param {string} [details.message] - Free-text detail (e.g., error message)
+   * @param {string} [details.actor] - Who made the change (default: the execution's actor)
+   * @param {Date} [details.timestamp] - When it happened (default: now)
+   */
+  log(action, details = {}) {
+    this.pending.push([
+      details.timestamp || new Date(),
+      details.actor || this.defaultActor,
+      details.projectId || '',
+      action,
+      details.field || '',
+      this.formatValue(details.before),
+      this.formatValue(details.after),
+      details.outcome || AUDIT_OUTCOME.SUCCESS,
+      details.message || ''
+    ]);
+  }
+
+  /**
+   * Converts a before/after value to a cell-safe string.
+   * Dates become ISO dates, arrays are comma-joined, long text is truncated.
+   * @param {*} value - The value to format
+   * @returns {string} Formatted value
+   */
+  formatValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let text;
+    if (value instanceof Date) {
+      text = isNaN(value.getTime()) ? '' : formatDateISO(value);
+    } else if (Array.isArray(value)) {
+      text = joinCommaSeparated(value.map(String));
+    } else {
+      text = String(value);
+    }
+
+    return text.length > AUDIT_LOG_MAX_VALUE_LENGTH
+      ? `${text.substring(0, AUDIT_LOG_MAX_VALUE_LENGTH)}…`
+      : text;
+  }
+
+  /**
+   * Gets the number of entries waiting to be written.
+   * @returns {number} Pending entry count
+   */
+  getPendingCount() {
+    return this.pending.length;
+  }
+
+  /**
+   * Gets a project's recent entries, newest first: those in the last AUDIT_LOG_RECENT_ROWS rows
+   * of the sheet plus the ones buffered by this run.
+   * @param {string} projectId - Project ID
+   * @returns {Object[]} Entries as {timestamp, actor, action, field, before, after, outcome}
+   */
+  getRecentEntries(projectId) {
+    const id = String(projectId || '').trim().toUpperCase();
+    let rows = [];
+
+    if (this.sheet) {
+      const dataRows = Math.max(this.sheet.getLastRow() - 1, 0);
+      const count = Math.min(dataRows, AUDIT_LOG_RECENT_ROWS);
+      if (count > 0) {
+        rows = this.sheet.getRange(this.sheet.getLastRow() - count + 1, 1, count, AUDIT_LOG_COLUMNS.length).getValues();
+      }
+    }
+
+    return rows.concat(this.pending)
+      .filter(row => String(row[2] || '').trim().toUpperCase() === id)
+      .reverse()
+      .map(([timestamp, actor, , action, field, before, after, outcome]) =>
+        ({ timestamp, actor, action, field, before, after, outcome }));
+  }
+
+  /**
+   * Writes all buffered entries to the Audit Log sheet in a single batch.
+   * Rolls over old rows first if the sheet would exceed the configured row cap.
+   * Failures are logged but never thrown - auditing must not break automation.
+   */
+  flush() {
+    if (this.pending.length === 0) {
+      return;
+    }
+
+    const entries = this.pending;
+    this.pending = [];
+
+    try {
+      const sheet = this.getOrCreateSheet();
+      const dataRows = Math.max(sheet.getLastRow() - 1, 0);
+
+      if (dataRows + entries.length > this.config.auditLogMaxRows) {
+        this.rollover(dataRows + entries.length - this.config.auditLogMaxRows);
+      }
+
+      const startRow = sheet.getLastRow() + 1;
+      sheet.getRange(startRow, 1, entries.length, AUDIT_LOG_COLUMNS.length).setValues(entries);
+
+      DEBUG && console.log(`AuditLog: Wrote ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`);
+    } catch (error) {
+      console.error(`AuditLog: Failed to write ${entries.length} entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Removes rows older than the retention window and rows beyond the row cap.
+   * Called by daily maintenance.
+   * @param {Date} now - Reference time for the retention window
+   * @returns {number} Number of rows removed
+   */
+  applyRetention(now) {
+    if (!this.sheet) {
+      return 0;
+    }
+
+    const dataRows = Math.max(this.sheet.getLastRow() - 1, 0);
+    if (dataRows === 0) {
+      return 0;
+    }
+
+    // Rows are append-only, so they are in timestamp order: count the expired prefix
+    const cutoff = new Date(now.getTime() - this.config.auditLogRetentionDays * 24 * 60 * 60 * 1000);
+    const timestamps = this.sheet.getRange(2, 1, dataRows, 1).getValues();
+    let expired = 0;
+    while (expired < timestamps.length) {
+      const timestamp = parseDate(timestamps[expired][0]);
+      if (!timestamp || timestamp >= cutoff) {
+        break;
+      }
+      expired++;
+    }
+
+    const overCap = Math.max(dataRows - this.config.auditLogMaxRows, 0);
+    const toRemove = Math.max(expired, overCap);
+
+    if (toRemove > 0) {
+      this.rollover(toRemove);
+    }
+
+    return toRemove;
+  }
+
+  /**
+   * Moves the oldest rows out of the sheet.
+   * They are appended to that year's "Audit Log Archive" spreadsheet in the Backups folder when
+   * one is configured; otherwise they are discarded.
+   * @param {number} rowCount - Number of data rows to remove from the top
+   */
+  rollover(rowCount) {
+    const sheet = this.sheet;
+    const dataRows = Math.max(sheet.getLastRow() - 1, 0);
+    const count = Math.min(rowCount, dataRows);
+    if (count <= 0) {
+      return;
+    }
+
+    const rows = sheet.getRange(2, 1, count, AUDIT_LOG_COLUMNS.length).getValues();
+
+    const backupsFolderId = this.config.backupsFolderId;
+    if (backupsFolderId) {
+      try {
+        this.archiveRows(rows, backupsFolderId);
+      } catch (error) {
+        // Keep the rows rather than lose them; the next run will try again
+        console.error(`AuditLog: Failed to archive ${count} rows, keeping them: ${error.message}`);
+        return;
+      }
+    } else {
+      console.warn(`AuditLog: Backups Folder ID not configured, discarding ${count} old audit rows`);
+    }
+
+    sheet.deleteRows(2, count);
+    console.log(`AuditLog: Rolled over ${count} row(s)`);
+  }
+
+  /**
+   * Appends rows to the archive spreadsheet for the year of their timestamps.
+   * Rows without a readable timestamp go with the row before them.
+   * @param {Array[]} rows - Audit rows to archive (oldest first)
+   * @param {string} folderId - Backups folder ID
+   */
+  archiveRows(rows, folderId) {
+    const rowsByYear = new Map();
+    let year = null;
+    for (const row of rows) {
+      const timestamp = parseDate(row[0]);
+      if (timestamp) {
+        year = String(timestamp.getFullYear());
+      }
+      const key = year || String(new Date().getFullYear());
+      if (!rowsByYear.has(key)) {
+        rowsByYear.set(key, []);
+      }
+      rowsByYear.get(key).push(row);
+    }
+
+    for (const [archiveYear, yearRows] of rowsByYear) {
+      const archiveSheet = this.getOrCreateArchiveSheet(archiveYear, folderId);
+      const startRow = archiveSheet.getLastRow() + 1;
+      archiveSheet.getRange(startRow, 1, yearRows.length, AUDIT_LOG_COLUMNS.length).setValues(yearRows);
+      console.log(`AuditLog: Archived ${yearRows.length} row(s) to "${AUDIT_LOG_ARCHIVE_PREFIX} ${archiveYear}"`);
+    }
+  }
+
+  /**
+   * Opens a year's archive spreadsheet, or creates it in the Backups folder (with the
+   * Audit Log headers) and records its ID in Config.
+   * @param {string} year - Calendar year, e.g. "2025"
+   * @param {string} folderId - Backups folder ID
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The archive's Audit Log sheet
+   */
+  getOrCreateArchiveSheet(year, folderId) {
+    const existingId = this.config.auditLogArchiveIds.get(year);
+    if (existingId) {
+      try {
+        const existing = withBackoff(() => SpreadsheetApp.openById(existingId));
+        return existing.getSheetByName(SHEET_NAMES.AUDIT_LOG) || existing.getSheets()[0];
+      } catch (error) {
+        console.warn(`AuditLog: Cannot open archive ${existingId} for ${year}, creating a new one: ${error.message}`);
+      }
+    }
+
+    const name = `${AUDIT_LOG_ARCHIVE_PREFIX} ${year}`;
+    const archive = withBackoff(() => SpreadsheetApp.create(name));
+    const archiveSheet = archive.getSheets()[0];
+    archiveSheet.setName(SHEET_NAMES.AUDIT_LOG);
+    archiveSheet.getRange(1, 1, 1, AUDIT_LOG_COLUMNS.length).setValues([AUDIT_LOG_COLUMNS]);
+
+    const folder = withBackoff(() => DriveApp.getFolderById(folderId));
+    withBackoff(() => DriveApp.getFileById(archive.getId()).moveTo(folder));
+    this.config.setOrAdd(`${AUDIT_LOG_ARCHIVE_PREFIX} - ${year}`, archive.getId());
+
+    console.log(`AuditLog: Created "${name}"`);
+    return archiveSheet;
+  }
+
+  /**
+   * Gets the Audit Log sheet, creating it (with headers, frozen) if missing.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The Audit Log sheet
+   */
+  getOrCreateSheet() {
+    if (this.sheet) {
+      return this.sheet;
+    }
+
+    const sheet = this.spreadsheet.insertSheet(SHEET_NAMES.AUDIT_LOG);
+    sheet.getRange(1, 1, 1, AUDIT_LOG_COLUMNS.length)
+      .setValues([AUDIT_LOG_COLUMNS])
+      .setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    // Warn (but don't block) anyone editing by hand - the log is meant to be append-only
+    sheet.protect().setDescription('Audit Log is append-only').setWarningOnly(true);
+
+    console.log(`AuditLog: Created "${SHEET_NAMES.AUDIT_LOG}" sheet`);
+    this.sheet = sheet;
+    return sheet;
+  }
+}
@@ -14,6 +14,8 @@ class Codes {
     this.statuses = [];
     this.reminderOffsets = [];
     this.reminderLabels = [];
+    this.escalationLadder = [];
+    this.statusWorkflow = new Map();
     this.loadData();
   }
 
@@ -33,6 +35,8 @@ class Codes {
       this.statuses = [];
       this.reminderOffsets = [];
       this.reminderLabels = [];
+      this.escalationLadder = [];
+      this.statusWorkflow = new Map();
       return;
     }
 
@@ -41,10 +45,13 @@ class Codes {
     const reminders = this.readReminderColumns();
     this.reminderOffsets = reminders.offsets;
     this.reminderLabels = reminders.labels;
+    this.escalationLadder = this.readEscalationColumns();
+    this.statusWorkflow = this.readWorkflowColumns();
 
     DEBUG && console.log(
       `Codes: Loaded ${this.categories.length} categories, ` +
-      `${this.statuses.length} statuses, ${this.reminderOffsets.length} reminder offsets`
+      `${this.statuses.length} statuses, ${this.reminderOffsets.length} reminder offsets, ` +
+      `${this.escalationLadder.length} escalation levels, ${this.statusWorkflow.size} workflow rules`
     );
   }
 
@@ -136,6 +143,128 @@ class Codes {
     return { offsets, labels };
   }
 
+  /**
+   * Reads the optional escalation ladder columns (days late + who to notify).
+   * The section is skipped entirely when its header cell is blank.
+   * @returns {Object[]} Array of {daysLate, targets} sorted by daysLate ascending
+   */
+  readEscalationColumns() {
+    const numRows = this.lastRow - this.headerRow + 1;
+    if (numRows <= 0 || this.sheet.getLastColumn() < CODES_LAYOUT.ESCALATION_NOTIFY_COL) {
+      return [];
+    }
+
+    const rangeValues = this.sheet.getRange(
+      this.headerRow,
+      CODES_LAYOUT.ESCALATION_DAYS_COL,
+      numRows,
+      2
+    ).getValues();
+
+    if (!this.normalizeValue(rangeValues[0][0])) {
+      return [];
+    }
+
+    this.ensureHeaderMatches(
+      rangeValues[0][0],
+      CODES_COLUMNS.ESCALATION_DAYS_LATE,
+      CODES_LAYOUT.ESCALATION_DAYS_COL
+    );
+    this.ensureHeaderMatches(
+      rangeValues[0][1],
+      CODES_COLUMNS.ESCALATION_NOTIFY,
+      CODES_LAYOUT.ESCALATION_NOTIFY_COL
+    );
+
+    const validTargets = Object.values(ESCALATION_TARGETS);
+    const ladder = [];
+    const seen = new Set();
+
+    for (let i = 1; i < rangeValues.length; i++) {
+      const [rawDays, rawTargets] = rangeValues[i];
+      const daysLate = parseInt(rawDays, 10);
+
+      if (isNaN(daysLate) || daysLate < 0 || seen.has(daysLate)) {
+        continue;
+      }
+
+      const targets = [];
+      for (const value of parseCommaSeparated(rawTargets)) {
+        const target = validTargets.find(t => t.toLowerCase() === value.toLowerCase());
+        if (target) {
+          targets.push(target);
+        } else {
+          console.warn(`Codes: Unknown escalation target "${value}" (expected ${validTargets.join(', ')})`);
+        }
+      }
+
+      if (targets.length === 0) {
+        continue;
+      }
+
+      seen.add(daysLate);
+      ladder.push({ daysLate, targets });
+    }
+
+    return ladder.sort((a, b) => a.daysLate - b.daysLate);
+  }
+
+  /**
+   * Reads the optional status workflow columns (status, statuses it can change to, note required).
+   * The section is skipped entirely when its header cell is blank.
+   * @returns {Map<string, Object>} Status -> {next: string[]|null, requiresNote: boolean};
+   *   next is null when the status may change to any status
+   */
+  readWorkflowColumns() {
+    const workflow = new Map();
+    const numRows = this.lastRow - this.headerRow + 1;
+    if (numRows <= 0 || this.sheet.getLastColumn() < CODES_LAYOUT.WORKFLOW_NOTE_COL) {
+      return workflow;
+    }
+
+    const rangeValues = this.sheet.getRange(
+      this.headerRow,
+      CODES_LAYOUT.WORKFLOW_STATUS_COL,
+      numRows,
+      3
+    ).getValues();
+
+    if (!this.normalizeValue(rangeValues[0][0])) {
+      return workflow;
+    }
+
+    this.ensureHeaderMatches(rangeValues[0][0], CODES_COLUMNS.WORKFLOW_STATUS, CODES_LAYOUT.WORKFLOW_STATUS_COL);
+    this.ensureHeaderMatches(rangeValues[0][1], CODES_COLUMNS.WORKFLOW_NEXT, CODES_LAYOUT.WORKFLOW_NEXT_COL);
+    this.ensureHeaderMatches(rangeValues[0][2], CODES_COLUMNS.WORKFLOW_NOTE_REQUIRED, CODES_LAYOUT.WORKFLOW_NOTE_COL);
+
+    // Match statuses case-insensitively to their Codes spelling
+    const known = [...new Set([...this.statuses, ...Object.values(PROJECT_STATUS)])];
+    const resolve = value => {
+      const status = known.find(s => s.toLowerCase() === value.toLowerCase());
+      if (!status) {
+        console.warn(`Codes: Unknown workflow status "${value}" (not in the Status column)`);
+      }
+      return status;
+    };
+
+    for (let i = 1; i < rangeValues.length; i++) {
+      const [rawStatus, rawNext, rawNote] = rangeValues[i];
+      const name = this.normalizeValue(rawStatus);
+      const status = name ? resolve(name) : null;
+      if (!status || workflow.has(status)) {
+        continue;
+      }
+
+      const nextValues = parseCommaSeparated(rawNext);
+      const next = nextValues.length > 0 ? nextValues.map(resolve).filter(Boolean) : null;
+      const requiresNote = ['yes', 'y', 'true'].includes(this.normalizeValue(rawNote).toLowerCase());
+
+      workflow.set(status, { next, requiresNote });
+    }
+
+    return workflow;
+  }
+
   /**
    * Ensures the header cell matches the expected text.
    * @param {any} actualValue - Actual header cell value
@@ -214,6 +343,44 @@ class Codes {
     return [...this.reminderLabels];
   }
 
+  /**
+   * Gets the escalation ladder for overdue projects.
+   * @returns {Object[]} Array of {daysLate, targets} (e.g., [{daysLate: 1, targets: ['Requester']}, ...])
+   */
+  getEscalationLadder() {
+    return this.escalationLadder.map(step => ({ daysLate: step.daysLate, targets: [...step.targets] }));
+  }
+
+  /**
+   * Checks whether the Codes sheet defines a status workflow.
+   * @returns {boolean} True if at least one workflow rule exists
+   */
+  hasStatusWorkflow() {
+    return this.statusWorkflow.size > 0;
+  }
+
+  /**
+   * Gets the statuses a project may be changed to from its current status.
+   * Statuses without a workflow rule (or with a blank "Can Change To") may change to any status.
+   * @param {string} fromStatus - The current status
+   * @returns {string[]} Allowed next statuses (never includes fromStatus itself)
+   */
+  getAllowedNextStatuses(fromStatus) {
+    const rule = this.statusWorkflow.get(fromStatus);
+    const next = rule && rule.next ? rule.next : this.statuses;
+    return next.filter(status => status !== fromStatus);
+  }
+
+  /**
+   * Checks whether moving a project into a status requires a Notes entry.
+   * @param {string} status - The new status
+   * @returns {boolean} True if a note is required
+   */
+  statusRequiresNote(status) {
+    const rule = this.statusWorkflow.get(status);
+    return Boolean(rule && rule.requiresNote);
+  }
+
   /**
    * Gets reminder offset/label pairs.
    * @returns {Object[]} Array of {offset, label} objects
@@ -74,6 +74,39 @@ class Config {
     return parseInt(value, 10) || 1;
   }
 
+  /**
+   * Whether project serials restart at 0001 each school year ("Serial Per School Year" is Yes/true).
+   * Per-year counters live in "Next Serial - <year>" rows instead of "Next Serial".
+   * @returns {boolean} True in per-school-year mode
+   */
+  get serialPerSchoolYear() {
+    const value = String(this.get('Serial Per School Year') || '').trim().toLowerCase();
+    return value === 'yes' || value === 'true';
+  }
+
+  /**
+   * Gets the per-school-year serial counters.
+   * @returns {Map<string, number>} Map of school year -> next serial
+   */
+  get yearSerials() {
+    const serials = new Map();
+    for (const [key, value] of this.keyValueMap) {
+      if (key.startsWith(YEAR_SERIAL_KEY_PREFIX)) {
+        serials.set(key.substring(YEAR_SERIAL_KEY_PREFIX.length).trim(), parseInt(value, 10) || 1);
+      }
+    }
+    return serials;
+  }
+
+  /**
+   * Gets the next serial number for one school year (per-school-year mode).
+   * @param {string} schoolYear - School year in YY_YY format
+   * @returns {number} Next serial (1 if the year has no counter yet)
+   */
+  getNextYearSerial(schoolYear) {
+    return parseInt(this.get(`${YEAR_SERIAL_KEY_PREFIX}${schoolYear}`), 10) || 1;
+  }
+
   /**
    * Gets the Parent Folder ID where project folders are created.
    * @returns {string} Google Drive folder ID
@@ -125,6 +158,15 @@ class Config {
     return String(this.get('Form ID') || '').trim();
   }
 
+  /**
+   * Gets the Drive folder that project exports are written to.
+   * Defaults to the Root Folder ID if "Export Folder ID" is not configured.
+   * @returns {string} Google Drive folder ID
+   */
+  get exportFolderId() {
+    return String(this.get('Export Folder ID') || '').trim() || this.rootFolderId;
+  }
+
   /**
    * Gets the error notification email addresses.
    * @returns {string[]} Array of email addresses
@@ -174,6 +216,30 @@ class Config {
     return String(this.get('Email Template - Project Cancellation') || '').trim();
   }
 
+  /**
+   * Gets the Escalation email template Doc ID (optional).
+   * @returns {string} Google Doc ID, or empty string if not configured
+   */
+  get emailTemplateEscalation() {
+    return String(this.get('Email Template - Escalation') || '').trim();
+  }
+
+  /**
+   * Gets the Weekly Summary email template Doc ID (optional).
+   * @returns {string} Google Doc ID, or empty string if not configured
+   */
+  get emailTemplateWeeklySummary() {
+    return String(this.get('Email Template - Weekly Summary') || '').trim();
+  }
+
+  /**
+   * Gets the Unblocked email template Doc ID (optional).
+   * @returns {string} Google Doc ID, or empty string if not configured
+   */
+  get emailTemplateUnblocked() {
+    return String(this.get('Email Template - Unblocked') || '').trim();
+  }
+
   /**
    * Gets the month when the school year starts (1-12).
    * Defaults to 7 (July) if not configured.
@@ -189,6 +255,97 @@ class Config {
     return parsed;
   }
 
+  /**
+   * Gets how many days Audit Log rows are kept before rollover.
+   * Defaults to DEFAULTS.AUDIT_LOG_RETENTION_DAYS if not configured.
+   * @returns {number} Retention in days
+   */
+  get auditLogRetentionDays() {
+    const parsed = parseInt(this.get('Audit Log Retention Days'), 10);
+    return isNaN(parsed) || parsed < 1 ? DEFAULTS.AUDIT_LOG_RETENTION_DAYS : parsed;
+  }
+
+  /**
+   * Gets the maximum number of data rows kept in the Audit Log sheet.
+   * Defaults to DEFAULTS.AUDIT_LOG_MAX_ROWS if not configured.
+   * @returns {number} Row cap
+   */
+  get auditLogMaxRows() {
+    const parsed = parseInt(this.get('Audit Log Max Rows'), 10);
+    return isNaN(parsed) || parsed < 1 ? DEFAULTS.AUDIT_LOG_MAX_ROWS : parsed;
+  }
+
+  /**
+   * Gets how many days back form submissions are compared with existing projects for duplicates.
+   * Defaults to DEFAULTS.DUPLICATE_WINDOW_DAYS if not configured; 0 turns the check off.
+   * @returns {number} Window in days
+   */
+  get duplicateWindowDays() {
+    const parsed = parseInt(this.get('Duplicate Window Days'), 10);
+    return isNaN(parsed) || parsed < 0 ? DEFAULTS.DUPLICATE_WINDOW_DAYS : parsed;
+  }
+
+  /**
+   * Gets how emails for away staff reach their delegate.
+   * Defaults to copying the delegate if not configured or unrecognized.
+   * @returns {string} DELEGATE_NOTIFICATION_MODES value
+   */
+  get delegateNotificationMode() {
+    const value = String(this.get('Delegate Notifications') || '').trim().toLowerCase();
+    return value === DELEGATE_NOTIFICATION_MODES.REDIRECT
+      ? DELEGATE_NOTIFICATION_MODES.REDIRECT
+      : DELEGATE_NOTIFICATION_MODES.COPY;
+  }
+
+  /**
+   * Gets the year-end archive spreadsheets recorded by archiveSchoolYear.
+   * Keys look like "Project Archive - 24_25".
+   * @returns {Map<string, string>} Map of school year -> archive spreadsheet ID
+   */
+  get archiveSpreadsheetIds() {
+    const prefix = `${ARCHIVE_NAME_PREFIX} - `;
+    const archives = new Map();
+    for (const [key, value] of this.keyValueMap) {
+      const id = String(value || '').trim();
+      if (key.startsWith(prefix) && id) {
+        archives.set(key.substring(prefix.length).trim(), id);
+      }
+    }
+    return archives;
+  }
+
+  /**
+   * Gets the Audit Log archive spreadsheets written by rollover.
+   * Keys look like "Audit Log Archive - 2025".
+   * @returns {Map<string, string>} Map of calendar year -> archive spreadsheet ID
+   */
+  get auditLogArchiveIds() {
+    const prefix = `${AUDIT_LOG_ARCHIVE_PREFIX} - `;
+    const archives = new Map();
+    for (const [key, value] of this.keyValueMap) {
+      const id = String(value || '').trim();
+      if (key.startsWith(prefix) && id) {
+        archives.set(key.substring(prefix.length).trim(), id);
+      }
+    }
+    return archives;
+  }
+
+  /**
+   * Gets the chat/webhook URLs by category ("Webhook - <category>" rows).
+   * @returns {Map<string, string>} Map of category (or WEBHOOK_ALL_CATEGORIES) -> webhook URL
+   */
+  get webhookUrls() {
+    const webhooks = new Map();
+    for (const [key, value] of this.keyValueMap) {
+      const url = String(value || '').trim();
+      if (key.startsWith(WEBHOOK_KEY_PREFIX) && url) {
+        webhooks.set(key.substring(WEBHOOK_KEY_PREFIX.length).trim(), url);
+      }
+    }
+    return webhooks;
+  }
+
   // ===== SERIAL NUMBER MANAGEMENT =====
 
   /**
@@ -219,6 +376,21 @@ class Config {
     return currentSerial;
   }
 
+  /**
+   * Gets a school year's next serial number and increments it, adding the year's
+   * "Next Serial - <year>" row on first use.
+   * Should be called within a script lock to prevent race conditions.
+   * @param {string} schoolYear - School year in YY_YY format
+   * @returns {number} The current serial number (before increment)
+   */
+  getAndIncrementYearSerial(schoolYear) {
+    const currentSerial = this.getNextYearSerial(schoolYear);
+    this.setOrAdd(`${YEAR_SERIAL_KEY_PREFIX}${schoolYear}`, currentSerial + 1);
+    SpreadsheetApp.flush(); // Force write inside the lock to prevent race conditions
+
+    return currentSerial;
+  }
+
   /**
    * Sets a config value by key.
    * @param {string} key - The config key
@@ -242,5 +414,24 @@ class Config {
     // Key not found - could add new row, but for now just log
     console.warn(`Config: Key "${key}" not found in Config sheet`);
   }
+
+  /**
+   * Sets a value, adding the key at the bottom of the Config sheet if it is not there yet.
+   * For rows the tool creates itself (e.g. "Audit Log Archive - 2025"); other keys use set().
+   * @param {string} key - The config key
+   * @param {*} value - The value to set
+   */
+  setOrAdd(key, value) {
+    if (this.keyValueMap.has(key)) {
+      this.set(key, value);
+      return;
+    }
+
+    this.sheet.appendRow([key, value]);
+    this.data.push([key, value]);
+    this.keyValueMap.set(key, value);
+
+    console.log(`Config: Added "${key}" to the Config sheet`);
+  }
 }
 
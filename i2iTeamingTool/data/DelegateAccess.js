@@ -0,0 +1,153 @@
+/**
+ * DelegateAccess class - Delegate Access sheet.
+ * Records each project folder share that was granted to a delegate because an assignee or
+ * requester was away, so PermissionService revokes exactly those shares (and only once) when
+ * the away window ends. Access people had for other reasons is never recorded here.
+ */
+class DelegateAccess {
+  /**
+   * Creates a new DelegateAccess instance.
+   * The sheet is created on first write if it does not exist yet.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The Main Projects File
+   */
+  constructor(spreadsheet) {
+    this.spreadsheet = spreadsheet;
+    this.sheet = spreadsheet.getSheetByName(SHEET_NAMES.DELEGATE_ACCESS);
+    this.entries = null;
+    this.changed = false;
+  }
+
+  /**
+   * Loads the recorded grants.
+   */
+  load() {
+    this.entries = [];
+    if (!this.sheet) {
+      return;
+    }
+
+    const dataRows = Math.max(this.sheet.getLastRow() - 1, 0);
+    if (dataRows === 0) {
+      return;
+    }
+
+    const values = this.sheet.getRange(2, 1, dataRows, DELEGATE_ACCESS_COLUMNS.length).getValues();
+    for (const [grantedAt, projectId, folderId, delegateEmail, awayEmail] of values) {
+      if (projectId && delegateEmail) {
+        this.entries.push({
+          grantedAt,
+          projectId: String(projectId).trim().toUpperCase(),
+          folderId: String(folderId || '').trim(),
+          delegateEmail: String(delegateEmail).trim().toLowerCase(),
+          awayEmail: String(awayEmail || '').trim().toLowerCase()
+        });
+      }
+    }
+
+    DEBUG && console.log(`DelegateAccess: Loaded ${this.entries.length} grant(s)`);
+  }
+
+  /**
+   * @returns {number} Number of recorded grants
+   */
+  getCount() {
+    if (!this.entries) {
+      this.load();
+    }
+    return this.entries.length;
+  }
+
+  /**
+   * Gets the delegates granted access to a project's folder.
+   * @param {string} projectId - Project ID
+   * @returns {Set<string>} Lowercase delegate emails
+   */
+  getDelegates(projectId) {
+    if (!this.entries) {
+      this.load();
+    }
+    const id = String(projectId || '').trim().toUpperCase();
+    return new Set(this.entries.filter(e => e.projectId === id).map(e => e.delegateEmail));
+  }
+
+  /**
+   * Records a grant. Nothing is written until flush().
+   * @param {string} projectId - Project ID
+   * @param {string} folderId - Project folder ID
+   * @param {string} delegateEmail - Delegate who was given access
+   * @param {string} awayEmail - Away person the delegate covers for
+   * @param {Date} grantedAt - When access was granted
+   */
+  add(projectId, folderId, delegateEmail, awayEmail, grantedAt) {
+    if (!this.entries) {
+      this.load();
+    }
+    this.entries.push({
+      grantedAt,
+      projectId: String(projectId).trim().toUpperCase(),
+      folderId,
+      delegateEmail: delegateEmail.toLowerCase(),
+      awayEmail: String(awayEmail || '').toLowerCase()
+    });
+    this.changed = true;
+  }
+
+  /**
+   * Forgets a grant once it has been revoked. Nothing is written until flush().
+   * @param {string} projectId - Project ID
+   * @param {string} delegateEmail - Delegate email
+   */
+  remove(projectId, delegateEmail) {
+    if (!this.entries) {
+      this.load();
+    }
+    const id = String(projectId || '').trim().toUpperCase();
+    const email = String(delegateEmail || '').trim().toLowerCase();
+    const before = this.entries.length;
+    this.entries = this.entries.filter(e => !(e.projectId === id && e.delegateEmail === email));
+    this.changed = this.changed || this.entries.length !== before;
+  }
+
+  /**
+   * Rewrites the sheet with the current grants. Callers hold the script lock.
+   */
+  flush() {
+    if (!this.changed) {
+      return;
+    }
+
+    const sheet = this.getOrCreateSheet();
+    const dataRows = Math.max(sheet.getLastRow() - 1, 0);
+    if (dataRows > 0) {
+      sheet.getRange(2, 1, dataRows, DELEGATE_ACCESS_COLUMNS.length).clearContent();
+    }
+    if (this.entries.length > 0) {
+      sheet.getRange(2, 1, this.entries.length, DELEGATE_ACCESS_COLUMNS.length).setValues(
+        this.entries.map(e => [e.grantedAt, e.projectId, e.folderId, e.delegateEmail, e.awayEmail])
+      );
+    }
+    this.changed = false;
+
+    DEBUG && console.log(`DelegateAccess: Saved ${this.entries.length} grant(s)`);
+  }
+
+  /**
+   * Gets the Delegate Access sheet, creating it (with headers, frozen) if missing.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The Delegate Access sheet
+   */
+  getOrCreateSheet() {
+    if (this.sheet) {
+      return this.sheet;
+    }
+
+    const sheet = this.spreadsheet.insertSheet(SHEET_NAMES.DELEGATE_ACCESS);
+    sheet.getRange(1, 1, 1, DELEGATE_ACCESS_COLUMNS.length)
+      .setValues([DELEGATE_ACCESS_COLUMNS])
+      .setFontWeight('bold');
+    sheet.setFrozenRows(1);
+
+    console.log(`DelegateAccess: Created "${SHEET_NAMES.DELEGATE_ACCESS}" sheet`);
+    this.sheet = sheet;
+    return sheet;
+  }
+}
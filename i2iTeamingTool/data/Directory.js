@@ -13,6 +13,10 @@ class Directory {
     this.headerMap = null;
     this.nameToEmail = new Map();
     this.emailToName = new Map();
+    this.notificationPreferences = new Map();
+    this.preferenceIssues = [];
+    this.delegations = [];
+    this.delegationIssues = [];
     this.loadData();
   }
 
@@ -62,9 +66,121 @@ class Directory {
       }
     }
 
+    this.loadNotificationPreferences(nameCol, emailCol);
+    this.loadDelegations(nameCol, emailCol);
+
     DEBUG && console.log(`Directory: Loaded ${this.nameToEmail.size} staff entries`);
   }
 
+  /**
+   * Parses the optional notification preference columns into normalized values per email.
+   * Unrecognized values are ignored (the default applies) and recorded as issues.
+   * @param {number} nameCol - Name column index (0-based)
+   * @param {number} emailCol - Email Address column index (0-based)
+   */
+  loadNotificationPreferences(nameCol, emailCol) {
+    const channelsCol = this.headerMap.get(DIRECTORY_COLUMNS.NOTIFICATION_CHANNELS);
+    const deliveryCol = this.headerMap.get(DIRECTORY_COLUMNS.EMAIL_DELIVERY);
+    const mutedCol = this.headerMap.get(DIRECTORY_COLUMNS.MUTED_NOTIFICATIONS);
+
+    if (channelsCol === undefined && deliveryCol === undefined && mutedCol === undefined) {
+      return;
+    }
+
+    for (let i = 1; i < this.data.length; i++) {
+      const row = this.data[i];
+      const email = String(row[emailCol] || '').trim().toLowerCase();
+      if (!email) {
+        continue;
+      }
+
+      const channels = normalizeNotificationChannels(channelsCol !== undefined ? row[channelsCol] : '');
+      const delivery = normalizeEmailDelivery(deliveryCol !== undefined ? row[deliveryCol] : '');
+      const muted = normalizeMutedNotifications(mutedCol !== undefined ? row[mutedCol] : '');
+
+      const who = `Directory row ${i + 1} (${String(row[nameCol] || '').trim() || email})`;
+      for (const value of channels.unknown) {
+        this.preferenceIssues.push(`${who}: unknown ${DIRECTORY_COLUMNS.NOTIFICATION_CHANNELS} value "${value}"`);
+      }
+      if (delivery.unknown) {
+        this.preferenceIssues.push(`${who}: unknown ${DIRECTORY_COLUMNS.EMAIL_DELIVERY} value "${delivery.unknown}"`);
+      }
+      for (const value of muted.unknown) {
+        this.preferenceIssues.push(`${who}: unknown ${DIRECTORY_COLUMNS.MUTED_NOTIFICATIONS} value "${value}"`);
+      }
+
+      this.notificationPreferences.set(email, {
+        channels: channels.channels,
+        delivery: delivery.delivery,
+        muted: muted.types
+      });
+    }
+
+    for (const issue of this.preferenceIssues) {
+      console.warn(`Directory: ${issue}`);
+    }
+  }
+
+  /**
+   * Parses the optional Delegate / Away From / Away Until columns.
+   * Rows with a delegate but no away dates are ignored; bad values are recorded as issues.
+   * @param {number} nameCol - Name column index (0-based)
+   * @param {number} emailCol - Email Address column index (0-based)
+   */
+  loadDelegations(nameCol, emailCol) {
+    const delegateCol = this.headerMap.get(DIRECTORY_COLUMNS.DELEGATE);
+    const fromCol = this.headerMap.get(DIRECTORY_COLUMNS.AWAY_FROM);
+    const untilCol = this.headerMap.get(DIRECTORY_COLUMNS.AWAY_UNTIL);
+
+    if (delegateCol === undefined) {
+      return;
+    }
+
+    for (let i = 1; i < this.data.length; i++) {
+      const row = this.data[i];
+      const email = String(row[emailCol] || '').trim().toLowerCase();
+      const delegateRaw = String(row[delegateCol] || '').trim();
+      const fromRaw = fromCol !== undefined ? row[fromCol] : '';
+      const untilRaw = untilCol !== undefined ? row[untilCol] : '';
+
+      if (!email || (!fromRaw && !untilRaw)) {
+        continue;
+      }
+
+      const who = `Directory row ${i + 1} (${String(row[nameCol] || '').trim() || email})`;
+      const from = parseDate(fromRaw);
+      const until = parseDate(untilRaw);
+      const delegateEmail = this.resolveToEmail(delegateRaw);
+
+      if (!delegateRaw) {
+        this.delegationIssues.push(`${who}: away dates set but no ${DIRECTORY_COLUMNS.DELEGATE}`);
+        continue;
+      }
+      if (!delegateEmail) {
+        this.delegationIssues.push(`${who}: ${DIRECTORY_COLUMNS.DELEGATE} "${delegateRaw}" not found in Directory`);
+        continue;
+      }
+      if (delegateEmail === email) {
+        this.delegationIssues.push(`${who}: cannot be their own ${DIRECTORY_COLUMNS.DELEGATE}`);
+        continue;
+      }
+      if ((fromRaw && !from) || (untilRaw && !until)) {
+        this.delegationIssues.push(`${who}: ${DIRECTORY_COLUMNS.AWAY_FROM}/${DIRECTORY_COLUMNS.AWAY_UNTIL} must be dates`);
+        continue;
+      }
+      if (from && until && daysBetween(from, until) < 0) {
+        this.delegationIssues.push(`${who}: ${DIRECTORY_COLUMNS.AWAY_UNTIL} is before ${DIRECTORY_COLUMNS.AWAY_FROM}`);
+        continue;
+      }
+
+      this.delegations.push({ email, delegateEmail, from, until });
+    }
+
+    for (const issue of this.delegationIssues) {
+      console.warn(`Directory: ${issue}`);
+    }
+  }
+
   /**
    * Gets the column index for a header name.
    * @param {string} header - The header name
@@ -214,6 +330,92 @@ class Directory {
     return this.emailToName.has(String(email).trim().toLowerCase());
   }
 
+  /**
+   * Looks up a staff member's supervisor email from the optional Supervisor column.
+   * The Supervisor cell may hold either a name or an email.
+   * @param {string} nameOrEmail - The staff member's name or email
+   * @returns {string|null} Supervisor email or null if not found
+   */
+  getSupervisorEmail(nameOrEmail) {
+    const email = this.resolveToEmail(nameOrEmail);
+    const emailCol = this.getColumnIndex(DIRECTORY_COLUMNS.EMAIL);
+    const supervisorCol = this.getColumnIndex(DIRECTORY_COLUMNS.SUPERVISOR);
+
+    if (!email || emailCol === undefined || supervisorCol === undefined) {
+      return null;
+    }
+
+    for (let i = 1; i < this.data.length; i++) {
+      const rowEmail = String(this.data[i][emailCol] || '').trim().toLowerCase();
+      if (rowEmail === email) {
+        return this.resolveToEmail(this.data[i][supervisorCol]);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Gets a person's notification preferences.
+   * People without a Directory row (e.g., guest requesters) get the defaults: email, immediate, nothing muted.
+   * @param {string} nameOrEmail - The person's name or email
+   * @returns {Object} {channels: string[], delivery: string, muted: Set<string>}
+   */
+  getNotificationPreferences(nameOrEmail) {
+    const email = this.resolveToEmail(nameOrEmail);
+    const preferences = email ? this.notificationPreferences.get(email) : undefined;
+    if (preferences) {
+      return preferences;
+    }
+
+    return {
+      channels: [NOTIFICATION_CHANNELS.EMAIL],
+      delivery: EMAIL_DELIVERY.IMMEDIATE,
+      muted: new Set()
+    };
+  }
+
+  /**
+   * Gets the unrecognized notification preference values found while loading.
+   * @returns {string[]} Issue descriptions (empty when every value was understood)
+   */
+  getNotificationPreferenceIssues() {
+    return [...this.preferenceIssues];
+  }
+
+  /**
+   * Gets every away window from the Directory, past, current, and future.
+   * @returns {Object[]} Array of {email, delegateEmail, from: Date|null, until: Date|null}
+   */
+  getDelegations() {
+    return this.delegations.map(d => Object.assign({}, d));
+  }
+
+  /**
+   * Gets who is covering for a person on a given day.
+   * @param {string} nameOrEmail - The person's name or email
+   * @param {Date} [date] - The day to check (default: today)
+   * @returns {string|null} Delegate email, or null if the person is not away that day
+   */
+  getActiveDelegate(nameOrEmail, date = null) {
+    const email = this.resolveToEmail(nameOrEmail);
+    if (!email) {
+      return null;
+    }
+
+    const day = date || getStartOfToday();
+    const delegation = this.delegations.find(d => d.email === email && isAwayOn(d, day));
+    return delegation ? delegation.delegateEmail : null;
+  }
+
+  /**
+   * Gets the unusable Delegate / Away From / Away Until values found while loading.
+   * @returns {string[]} Issue descriptions
+   */
+  getDelegationIssues() {
+    return [...this.delegationIssues];
+  }
+
   /**
    * Resolves a name or email to an email address.
    * If input is already a valid email, returns it.
@@ -504,3 +706,85 @@ function normalizeProjectScope(value) {
   return DIRECTORY_FOLDER_SCOPES.ASSIGNED_ONLY;
 }
 
+/**
+ * Checks whether a Directory away window covers a day (both ends inclusive).
+ * A blank Away From means the person is already away; a blank Away Until means open-ended.
+ * @param {Object} delegation - {from: Date|null, until: Date|null}
+ * @param {Date} date - The day to check
+ * @returns {boolean} True if the person is away that day
+ */
+function isAwayOn(delegation, date) {
+  const started = !delegation.from || daysBetween(delegation.from, date) >= 0;
+  const notEnded = !delegation.until || daysBetween(date, delegation.until) >= 0;
+  return started && notEnded;
+}
+
+/**
+ * Normalizes a Notification Channels cell (comma-separated) to internal channel values.
+ * Blank means email only; "None" turns notifications off.
+ * @param {string} value - Raw cell value
+ * @returns {Object} {channels: string[], unknown: string[]}
+ */
+function normalizeNotificationChannels(value) {
+  const channels = [];
+  const unknown = [];
+
+  for (const entry of parseCommaSeparated(value)) {
+    const lower = entry.toLowerCase();
+    if (lower === 'email' || lower === 'e-mail' || lower === 'gmail') {
+      channels.push(NOTIFICATION_CHANNELS.EMAIL);
+    } else if (lower === 'none' || lower === 'off') {
+      return { channels: [], unknown };
+    } else {
+      unknown.push(entry);
+    }
+  }
+
+  if (channels.length === 0) {
+    channels.push(NOTIFICATION_CHANNELS.EMAIL);
+  }
+
+  return { channels: [...new Set(channels)], unknown };
+}
+
+/**
+ * Normalizes an Email Delivery cell to an internal delivery mode.
+ * @param {string} value - Raw cell value
+ * @returns {Object} {delivery: string, unknown: string} (unknown is '' when recognized)
+ */
+function normalizeEmailDelivery(value) {
+  const lower = String(value || '').trim().toLowerCase();
+
+  if (!lower || lower === 'immediate' || lower === 'immediately') {
+    return { delivery: EMAIL_DELIVERY.IMMEDIATE, unknown: '' };
+  }
+
+  if (lower === 'daily digest' || lower === 'daily' || lower === 'digest') {
+    return { delivery: EMAIL_DELIVERY.DAILY_DIGEST, unknown: '' };
+  }
+
+  return { delivery: EMAIL_DELIVERY.IMMEDIATE, unknown: String(value).trim() };
+}
+
+/**
+ * Normalizes a Muted Notifications cell (comma-separated) to NOTIFICATION_TYPES values.
+ * Matching is case-insensitive and ignores a trailing "s" ("Reminder" mutes Reminders).
+ * @param {string} value - Raw cell value
+ * @returns {Object} {types: Set<string>, unknown: string[]}
+ */
+function normalizeMutedNotifications(value) {
+  const types = new Set();
+  const unknown = [];
+  const singular = text => text.toLowerCase().replace(/s$/, '');
+
+  for (const entry of parseCommaSeparated(value)) {
+    const match = Object.values(NOTIFICATION_TYPES).find(type => singular(type) === singular(entry));
+    if (match) {
+      types.add(match);
+    } else {
+      unknown.push(entry);
+    }
+  }
+
+  return { types, unknown };
+}
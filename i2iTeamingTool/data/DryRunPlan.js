@@ -0,0 +1,80 @@
+/**
+ * DryRunPlan class - Collects the side effects a dry run would have performed.
+ * Services record Drive, Calendar, Gmail, and sheet writes here instead of executing them;
+ * ExecutionContext.flush() writes the collected plan to the Dry Run Plan sheet.
+ */
+class DryRunPlan {
+  /**
+   * Creates a new, empty DryRunPlan.
+   */
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Records an action that was skipped because of dry-run mode.
+   * @param {string} category - DRY_RUN_CATEGORIES value (e.g., Drive, Calendar, Gmail)
+   * @param {string} action - What would have happened (e.g., "Create project folder")
+   * @param {Object} [details] - Optional details
+   * @param {string} [details.projectId] - Affected project ID
+   * @param {string} [details.target] - Target of the action (folder name, recipients, event title)
+   * @param {string} [details.message] - Extra detail (e.g., email subject)
+   */
+  record(category, action, details = {}) {
+    this.entries.push({
+      category,
+      action,
+      projectId: details.projectId || '',
+      target: details.target || '',
+      message: details.message || ''
+    });
+    DEBUG && console.log(`DryRunPlan: [${category}] ${action} ${details.projectId || ''} ${details.target || ''}`);
+  }
+
+  /**
+   * Gets all recorded entries.
+   * @returns {Object[]} Array of {category, action, projectId, target, message}
+   */
+  getEntries() {
+    return this.entries;
+  }
+
+  /**
+   * Summarizes the plan as counts per category.
+   * @returns {Object} { total, byCategory: {category: count} }
+   */
+  getSummary() {
+    const byCategory = {};
+    for (const entry of this.entries) {
+      byCategory[entry.category] = (byCategory[entry.category] || 0) + 1;
+    }
+    return { total: this.entries.length, byCategory };
+  }
+
+  /**
+   * Replaces the contents of the Dry Run Plan sheet with this plan (creating the sheet if needed).
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The Main Projects File
+   * @param {string} runLabel - Which entry point produced the plan (e.g., "processNewProjects")
+   * @param {Date} runAt - When the dry run started
+   */
+  writeReport(spreadsheet, runLabel, runAt) {
+    let sheet = spreadsheet.getSheetByName(SHEET_NAMES.DRY_RUN_PLAN);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(SHEET_NAMES.DRY_RUN_PLAN);
+    }
+    sheet.clearContents();
+
+    const header = [`Dry run of ${runLabel} at ${runAt.toLocaleString()} - ${this.entries.length} planned action(s). Nothing was changed.`];
+    const rows = this.entries.map(e => [e.category, e.action, e.projectId, e.target, e.message]);
+    const columnCount = DRY_RUN_PLAN_COLUMNS.length;
+
+    sheet.getRange(1, 1, 1, columnCount).setValues([header.concat(new Array(columnCount - 1).fill(''))]);
+    sheet.getRange(2, 1, 1, columnCount).setValues([DRY_RUN_PLAN_COLUMNS]).setFontWeight('bold');
+    if (rows.length > 0) {
+      sheet.getRange(3, 1, rows.length, columnCount).setValues(rows);
+    }
+    sheet.setFrozenRows(2);
+
+    console.log(`DryRunPlan: Wrote ${rows.length} planned action(s) to "${SHEET_NAMES.DRY_RUN_PLAN}"`);
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * EmailQueue class - Email Queue sheet.
+ * Outbound emails are buffered in memory and appended in one batch on flush(), so they
+ * survive a run that stops early (e.g. the daily Gmail quota runs out). NotificationService
+ * then sends due Pending rows and records the outcome back on each row, found by its Message ID.
+ */
+class EmailQueue {
+  /**
+   * Creates a new EmailQueue instance.
+   * The sheet is created on first write if it does not exist yet.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The Main Projects File
+   * @param {Date} [now] - The run's clock (ExecutionContext.now), used as Queued At
+   */
+  constructor(spreadsheet, now = null) {
+    this.spreadsheet = spreadsheet;
+    this.sheet = spreadsheet.getSheetByName(SHEET_NAMES.EMAIL_QUEUE);
+    this.now = now || new Date();
+    this.pending = [];
+  }
+
+  /**
+   * Buffers an email. Nothing is written until flush().
+   * @param {string} to - Comma-separated recipients
+   * @param {string} subject - Email subject
+   * @param {string} body - Email body
+   * @param {Object} options - cc, bcc, name, replyTo, htmlBody
+   */
+  add(to, subject, body, options) {
+    this.pending.push([this.now, EMAIL_QUEUE_STATUS.PENDING, to, subject, body, JSON.stringify(options), 0, '', '', '',
+      Utilities.getUuid()]);
+  }
+
+  /**
+   * Checks whether an email fits in the sheet's cells.
+   * @param {string} body - Email body
+   * @param {Object} options - cc, bcc, name, replyTo, htmlBody
+   * @returns {boolean} True if it can be queued
+   */
+  fits(body, options) {
+    return String(body).length <= EMAIL_QUEUE_MAX_CELL_LENGTH && JSON.stringify(options).length <= EMAIL_QUEUE_MAX_CELL_LENGTH;
+  }
+
+  /**
+   * Gets the number of buffered (not yet written) emails.
+   * @returns {number} Buffered email count
+   */
+  getPendingCount() {
+    return this.pending.length;
+  }
+
+  /**
+   * Writes all buffered emails to the Email Queue sheet in a single batch.
+   */
+  flush() {
+    if (this.pending.length === 0) {
+      return;
+    }
+
+    const entries = this.pending;
+    this.pending = [];
+
+    const sheet = this.getOrCreateSheet();
+    sheet.getRange(sheet.getLastRow() + 1, 1, entries.length, EMAIL_QUEUE_COLUMNS.length).setValues(entries);
+
+    DEBUG && console.log(`EmailQueue: Queued ${entries.length} email(s)`);
+  }
+
+  /**
+   * Reads every queued email.
+   * @returns {Object[]} Array of {id, row, queuedAt, status, to, subject, body, options, attempts,
+   *   nextAttempt, lastError, sentAt}; row is where the email was when read
+   */
+  getMessages() {
+    if (!this.sheet) {
+      return [];
+    }
+
+    const dataRows = Math.max(this.sheet.getLastRow() - 1, 0);
+    if (dataRows === 0) {
+      return [];
+    }
+
+    const rows = this.sheet.getRange(2, 1, dataRows, EMAIL_QUEUE_COLUMNS.length).getValues();
+    const messages = [];
+    rows.forEach((values, i) => {
+      const [queuedAt, status, to, subject, body, options, attempts, nextAttempt, lastError, sentAt, id] = values;
+      if (!String(to || '').trim()) {
+        return;
+      }
+
+      let parsedOptions = {};
+      try {
+        parsedOptions = options ? JSON.parse(options) : {};
+      } catch (error) {
+        console.warn(`EmailQueue: Row ${i + 2} has unreadable options: ${error.message}`);
+      }
+
+      messages.push({
+        id: String(id || '').trim(),
+        row: i + 2,
+        queuedAt,
+        status: String(status || '').trim(),
+        to: String(to),
+        subject: String(subject),
+        body: String(body),
+        options: parsedOptions,
+        attempts: Number(attempts) || 0,
+        nextAttempt: nextAttempt instanceof Date ? nextAttempt : null,
+        lastError: String(lastError || ''),
+        sentAt: sentAt instanceof Date ? sentAt : null
+      });
+    });
+
+    return messages;
+  }
+
+  /**
+   * Re-reads a message's Status from the sheet, e.g. right before sending it, in case someone
+   * changed the row since it was read.
+   * @param {Object} message - Message from getMessages()
+   * @returns {string} Current Status, or '' if the row is gone
+   */
+  getCurrentStatus(message) {
+    const idCol = EMAIL_QUEUE_COLUMNS.length;
+    if (message.row <= this.sheet.getLastRow()) {
+      const values = this.sheet.getRange(message.row, 1, 1, idCol).getValues()[0];
+      if (String(values[idCol - 1] || '').trim() === message.id) {
+        return String(values[1] || '').trim();
+      }
+    }
+
+    // The row moved (rows above it were removed): look it up by Message ID
+    const row = this.findRows([message]).get(message.id);
+    return row ? String(this.sheet.getRange(row, 2).getValue() || '').trim() : '';
+  }
+
+  /**
+   * Writes back the Status, Attempts, Next Attempt, Last Error, and Sent At of changed messages.
+   * Rows are found by Message ID (they may have moved since getMessages()), and each run of
+   * consecutive rows is written with two batch writes. Messages whose row is gone are skipped.
+   * @param {Object[]} messages - Changed messages from getMessages()
+   */
+  saveMessages(messages) {
+    if (!this.sheet || messages.length === 0) {
+      return;
+    }
+
+    const rowsById = this.findRows(messages);
+    const updates = messages
+      .filter(message => rowsById.has(message.id))
+      .map(message => ({ row: rowsById.get(message.id), message }))
+      .sort((a, b) => a.row - b.row);
+
+    for (let i = 0; i < updates.length;) {
+      let end = i + 1;
+      while (end < updates.length && updates[end].row === updates[end - 1].row + 1) {
+        end++;
+      }
+      const run = updates.slice(i, end).map(u => u.message);
+      this.sheet.getRange(updates[i].row, 2, run.length, 1).setValues(run.map(m => [m.status]));
+      this.sheet.getRange(updates[i].row, 7, run.length, 4).setValues(run.map(m =>
+        [m.attempts, m.nextAttempt || '', m.lastError, m.sentAt || '']));
+      i = end;
+    }
+
+    if (updates.length < messages.length) {
+      console.warn(`EmailQueue: ${messages.length - updates.length} email(s) were removed from the queue before they could be updated`);
+    }
+  }
+
+  /**
+   * Finds the current rows of messages by Message ID (one read of the Message ID column).
+   * @param {Object[]} messages - Messages from getMessages()
+   * @returns {Map<string, number>} Message ID -> current 1-based row
+   */
+  findRows(messages) {
+    const rows = new Map();
+    const lastRow = this.sheet.getLastRow();
+    if (lastRow < 2) {
+      return rows;
+    }
+
+    const ids = this.sheet.getRange(2, EMAIL_QUEUE_COLUMNS.length, lastRow - 1, 1).getValues();
+    const wanted = new Set(messages.map(m => m.id).filter(id => id));
+    ids.forEach(([id], i) => {
+      const key = String(id || '').trim();
+      if (wanted.has(key)) {
+        rows.set(key, i + 2);
+      }
+    });
+    return rows;
+  }
+
+  /**
+   * Deletes rows Sent before a cutoff (and blank rows). Called from daily maintenance, which holds
+   * the script lock. The rows are read and deleted in one pass, bottom-up, so row numbers stay
+   * valid while deleting; other runs find their rows again by Message ID afterwards.
+   * @param {Date} cutoff - Sent rows older than this are removed
+   * @returns {number} Number of rows removed
+   */
+  removeSentBefore(cutoff) {
+    if (!this.sheet) {
+      return 0;
+    }
+
+    const lastRow = this.sheet.getLastRow();
+    const keep = new Set(this.getMessages()
+      .filter(m => !(m.status === EMAIL_QUEUE_STATUS.SENT && m.sentAt && m.sentAt < cutoff))
+      .map(m => m.row));
+
+    // Delete each run of consecutive rows in one call
+    let removed = 0;
+    let row = lastRow;
+    while (row >= 2) {
+      if (keep.has(row)) {
+        row--;
+        continue;
+      }
+      let start = row;
+      while (start > 2 && !keep.has(start - 1)) {
+        start--;
+      }
+      this.sheet.deleteRows(start, row - start + 1);
+      removed += row - start + 1;
+      row = start - 1;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Gets the Email Queue sheet, creating it (with headers, frozen) if missing.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The Email Queue sheet
+   */
+  getOrCreateSheet() {
+    if (this.sheet) {
+      return this.sheet;
+    }
+
+    const sheet = this.spreadsheet.insertSheet(SHEET_NAMES.EMAIL_QUEUE);
+    sheet.getRange(1, 1, 1, EMAIL_QUEUE_COLUMNS.length)
+      .setValues([EMAIL_QUEUE_COLUMNS])
+      .setFontWeight('bold');
+    sheet.setFrozenRows(1);
+
+    console.log(`EmailQueue: Created "${SHEET_NAMES.EMAIL_QUEUE}" sheet`);
+    this.sheet = sheet;
+    return sheet;
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * GoalSheet class - Manages the optional Goals sheet.
+ * Lists the LCAP goals and their actions (goal #, action #, title, budget) that
+ * projects' goal_number and action_number are checked against and rolled up to.
+ */
+class GoalSheet {
+  /**
+   * Creates a new GoalSheet instance.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The Goals sheet
+   */
+  constructor(sheet) {
+    this.sheet = sheet;
+    this.data = null;
+    this.headerMap = null;
+    this.goals = [];
+    this.loadData();
+  }
+
+  /**
+   * Loads data from the Goals sheet into memory.
+   * Goals keep their sheet order; an action listed before its goal row creates the goal.
+   */
+  loadData() {
+    if (!this.sheet) {
+      throw new Error('Goals sheet not found');
+    }
+
+    this.data = this.sheet.getDataRange().getValues();
+    this.goals = [];
+
+    if (this.data.length === 0) {
+      DEBUG && console.log('GoalSheet: Sheet is empty');
+      return;
+    }
+
+    // Build header map from Row 1
+    this.headerMap = new Map();
+    const headers = this.data[0];
+    for (let i = 0; i < headers.length; i++) {
+      const header = String(headers[i]).trim();
+      if (header) {
+        this.headerMap.set(header, i);
+      }
+    }
+
+    const goalCol = this.headerMap.get(GOAL_COLUMNS.GOAL_NUMBER);
+    if (goalCol === undefined) {
+      console.warn(`GoalSheet: Missing required column (${GOAL_COLUMNS.GOAL_NUMBER})`);
+      return;
+    }
+
+    const actionCol = this.headerMap.get(GOAL_COLUMNS.ACTION_NUMBER);
+    const titleCol = this.headerMap.get(GOAL_COLUMNS.TITLE);
+    const budgetCol = this.headerMap.get(GOAL_COLUMNS.BUDGET);
+    const cell = (row, col) => (col !== undefined ? String(row[col] === undefined ? '' : row[col]).trim() : '');
+
+    // Skip header row, process data rows
+    for (let i = 1; i < this.data.length; i++) {
+      const row = this.data[i];
+      const goalNumber = cell(row, goalCol);
+      if (!goalNumber) {
+        continue;
+      }
+
+      let goal = this.findGoal(goalNumber);
+      if (!goal) {
+        goal = { goalNumber, title: '', budget: 0, actions: [] };
+        this.goals.push(goal);
+      }
+
+      const actionNumber = cell(row, actionCol);
+      const title = cell(row, titleCol);
+      const budget = budgetCol !== undefined ? parseAmount(row[budgetCol]) : 0;
+
+      if (actionNumber) {
+        goal.actions.push({ goalNumber, actionNumber, title, budget });
+      } else {
+        goal.title = title;
+        goal.budget = budget;
+      }
+    }
+
+    DEBUG && console.log(`GoalSheet: Loaded ${this.goals.length} goals`);
+  }
+
+  /**
+   * Gets all goals with their actions.
+   * @returns {Object[]} Array of {goalNumber, title, budget, actions: [{goalNumber, actionNumber, title, budget}]}
+   */
+  getGoals() {
+    return this.goals;
+  }
+
+  /**
+   * Finds a goal by number (case-insensitive).
+   * @param {string} goalNumber - Goal number
+   * @returns {Object|null} The goal, or null if not listed
+   */
+  findGoal(goalNumber) {
+    const normalized = String(goalNumber || '').trim().toLowerCase();
+    if (!normalized) return null;
+    return this.goals.find(g => g.goalNumber.toLowerCase() === normalized) || null;
+  }
+
+  /**
+   * Finds an action by number, within a goal or (when no goal is given) across all goals.
+   * @param {string} goalNumber - Goal number, or '' to search every goal
+   * @param {string} actionNumber - Action number
+   * @returns {Object|null} The action, or null if not listed (or ambiguous without a goal)
+   */
+  findAction(goalNumber, actionNumber) {
+    const normalized = String(actionNumber || '').trim().toLowerCase();
+    if (!normalized) return null;
+
+    const goals = goalNumber ? [this.findGoal(goalNumber)].filter(Boolean) : this.goals;
+    const matches = [];
+    for (const goal of goals) {
+      matches.push(...goal.actions.filter(a => a.actionNumber.toLowerCase() === normalized));
+    }
+    return matches.length === 1 ? matches[0] : null;
+  }
+}
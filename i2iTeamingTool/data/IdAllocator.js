@@ -1,6 +1,8 @@
 /**
  * IdAllocator class for project ID generation.
  * Generates IDs in the format DIST-yy_yy-#### (e.g., NUSD-25_26-0024).
+ * Serials come from Config "Next Serial", or, when "Serial Per School Year" is on,
+ * from the school year's "Next Serial - yy_yy" row so each year starts at 0001.
  * 
  * Note: Callers (processNewProjects, handleFormSubmission) are responsible for
  * acquiring a script lock before calling next(). This avoids nested lock conflicts
@@ -10,9 +12,13 @@ class IdAllocator {
   /**
    * Creates a new IdAllocator instance.
    * @param {Config} config - The Config instance for reading district/year and serial
+   * @param {Object} [options] - Allocator options
+   * @param {boolean} [options.dryRun=false] - Preview IDs without incrementing Next Serial
    */
-  constructor(config) {
+  constructor(config, options = {}) {
     this.config = config;
+    this.dryRun = options.dryRun === true;
+    this.previewCounts = new Map(); // counter key -> IDs previewed so far (dry runs)
   }
 
   /**
@@ -34,8 +40,19 @@ class IdAllocator {
       throw new Error('IdAllocator: School Year could not be inferred from deadline');
     }
 
-    // Get and increment the serial number
-    const serial = this.config.getAndIncrementSerial();
+    // Get and increment the serial number (dry runs only count locally so Config is untouched)
+    const perYear = this.config.serialPerSchoolYear;
+    let serial;
+    if (this.dryRun) {
+      const counterKey = perYear ? schoolYear : '';
+      const previewed = this.previewCounts.get(counterKey) || 0;
+      this.previewCounts.set(counterKey, previewed + 1);
+      serial = this.peekNextSerial(schoolYear) + previewed;
+    } else {
+      serial = perYear
+        ? this.config.getAndIncrementYearSerial(schoolYear)
+        : this.config.getAndIncrementSerial();
+    }
 
     // Format the ID
     const formattedSerial = padNumber(serial, 4);
@@ -82,10 +99,45 @@ class IdAllocator {
 
   /**
    * Gets the current serial number without incrementing.
+   * @param {string} [schoolYear] - School year (used in per-school-year mode)
    * @returns {number} The current next serial value
    */
-  peekNextSerial() {
-    return this.config.nextSerial;
+  peekNextSerial(schoolYear) {
+    return this.config.serialPerSchoolYear && schoolYear
+      ? this.config.getNextYearSerial(schoolYear)
+      : this.config.nextSerial;
+  }
+
+  /**
+   * Seeds the per-school-year counters from existing project IDs so the first per-year ID
+   * does not collide: each year's counter becomes one past its highest serial for this district.
+   * Counters are only ever raised. Caller must hold a script lock.
+   * @param {string[]} projectIds - Existing project IDs (other districts and malformed IDs are ignored)
+   * @returns {Map<string, number>} School year -> next serial, for every year that was raised
+   */
+  seedYearSerials(projectIds) {
+    const highest = new Map();
+    for (const projectId of projectIds) {
+      const parsed = this.parse(projectId);
+      if (parsed && parsed.districtId === this.config.districtId) {
+        highest.set(parsed.schoolYear, Math.max(highest.get(parsed.schoolYear) || 0, parsed.serial));
+      }
+    }
+
+    const raised = new Map();
+    for (const [schoolYear, serial] of highest) {
+      if (serial + 1 > this.config.getNextYearSerial(schoolYear)) {
+        raised.set(schoolYear, serial + 1);
+      }
+    }
+
+    for (const [schoolYear, nextSerial] of raised) {
+      this.config.setOrAdd(`${YEAR_SERIAL_KEY_PREFIX}${schoolYear}`, nextSerial);
+      console.log(`IdAllocator: ${schoolYear} serials will continue at ${nextSerial}`);
+    }
+    SpreadsheetApp.flush();
+
+    return raised;
   }
 }
 
@@ -0,0 +1,110 @@
+/**
+ * NotificationDigest class - Notification Digest sheet.
+ * Holds emails for staff whose Directory "Email Delivery" is "Daily Digest" until daily
+ * maintenance sends each of them one combined email. New entries are buffered in memory
+ * and written in one batch on flush().
+ */
+class NotificationDigest {
+  /**
+   * Creates a new NotificationDigest instance.
+   * The sheet is created on first write if it does not exist yet.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The Main Projects File
+   */
+  constructor(spreadsheet) {
+    this.spreadsheet = spreadsheet;
+    this.sheet = spreadsheet.getSheetByName(SHEET_NAMES.NOTIFICATION_DIGEST);
+    this.pending = [];
+  }
+
+  /**
+   * Buffers an email for the recipient's next daily digest. Nothing is written until flush().
+   * @param {string} recipient - Recipient email
+   * @param {string} type - NOTIFICATION_TYPES value
+   * @param {string} subject - Email subject
+   * @param {string} body - Email body
+   */
+  add(recipient, type, subject, body) {
+    this.pending.push([new Date(), recipient, type, subject, body]);
+  }
+
+  /**
+   * Writes all buffered entries to the Notification Digest sheet in a single batch.
+   */
+  flush() {
+    if (this.pending.length === 0) {
+      return;
+    }
+
+    const entries = this.pending;
+    this.pending = [];
+
+    const sheet = this.getOrCreateSheet();
+    sheet.getRange(sheet.getLastRow() + 1, 1, entries.length, NOTIFICATION_DIGEST_COLUMNS.length).setValues(entries);
+
+    DEBUG && console.log(`NotificationDigest: Held ${entries.length} email(s) for daily digests`);
+  }
+
+  /**
+   * Reads every held email, grouped by recipient.
+   * @returns {Map<string, Object[]>} Map of email -> array of {queuedAt, type, subject, body}
+   */
+  getEntriesByRecipient() {
+    const grouped = new Map();
+    if (!this.sheet) {
+      return grouped;
+    }
+
+    const dataRows = Math.max(this.sheet.getLastRow() - 1, 0);
+    if (dataRows === 0) {
+      return grouped;
+    }
+
+    const rows = this.sheet.getRange(2, 1, dataRows, NOTIFICATION_DIGEST_COLUMNS.length).getValues();
+    for (const [queuedAt, recipient, type, subject, body] of rows) {
+      const email = String(recipient || '').trim().toLowerCase();
+      if (!email) {
+        continue;
+      }
+      if (!grouped.has(email)) {
+        grouped.set(email, []);
+      }
+      grouped.get(email).push({ queuedAt, type: String(type), subject: String(subject), body: String(body) });
+    }
+
+    return grouped;
+  }
+
+  /**
+   * Removes every held email from the sheet (after the digests have been sent).
+   */
+  clear() {
+    if (!this.sheet) {
+      return;
+    }
+
+    const dataRows = Math.max(this.sheet.getLastRow() - 1, 0);
+    if (dataRows > 0) {
+      this.sheet.deleteRows(2, dataRows);
+    }
+  }
+
+  /**
+   * Gets the Notification Digest sheet, creating it (with headers, frozen) if missing.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The Notification Digest sheet
+   */
+  getOrCreateSheet() {
+    if (this.sheet) {
+      return this.sheet;
+    }
+
+    const sheet = this.spreadsheet.insertSheet(SHEET_NAMES.NOTIFICATION_DIGEST);
+    sheet.getRange(1, 1, 1, NOTIFICATION_DIGEST_COLUMNS.length)
+      .setValues([NOTIFICATION_DIGEST_COLUMNS])
+      .setFontWeight('bold');
+    sheet.setFrozenRows(1);
+
+    console.log(`NotificationDigest: Created "${SHEET_NAMES.NOTIFICATION_DIGEST}" sheet`);
+    this.sheet = sheet;
+    return sheet;
+  }
+}
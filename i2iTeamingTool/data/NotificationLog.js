@@ -0,0 +1,172 @@
+/**
+ * NotificationLog class - Notification Log sheet.
+ * Records each recipient, notification type, project, and day a notification went out to, so
+ * NotificationService can skip recipients already notified when a run is repeated (e.g. daily
+ * maintenance re-run after a partial failure). Entries are added once an email is actually sent
+ * (or held for a digest), buffered, and appended on flush(); emails still waiting in the Email
+ * Queue are only reserved, so they are not queued twice but are not logged until they go out.
+ */
+class NotificationLog {
+  /**
+   * Creates a new NotificationLog instance.
+   * The sheet is created on first write if it does not exist yet.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The Main Projects File
+   * @param {Date} [now] - The run's clock (ExecutionContext.now), used as Sent At
+   */
+  constructor(spreadsheet, now = null) {
+    this.spreadsheet = spreadsheet;
+    this.sheet = spreadsheet.getSheetByName(SHEET_NAMES.NOTIFICATION_LOG);
+    this.now = now || new Date();
+    this.pending = [];
+    this.keys = null;
+    this.reserved = new Set();
+  }
+
+  /**
+   * Builds the lookup key for one entry.
+   * @param {string} recipient - Recipient email
+   * @param {string} type - NOTIFICATION_TYPES value
+   * @param {string} project - Project ID (or "<project ID> / <task name>")
+   * @param {string} date - Day sent (YYYY-MM-DD)
+   * @returns {string} Key
+   */
+  buildKey(recipient, type, project, date) {
+    return [String(recipient).trim().toLowerCase(), type, String(project).trim().toUpperCase(), date].join('|');
+  }
+
+  /**
+   * Loads the keys of logged entries and of entries buffered by this run.
+   */
+  load() {
+    this.keys = new Set(this.pending.map(([, date, recipient, type, project]) => this.buildKey(recipient, type, project, date)));
+    if (!this.sheet) {
+      return;
+    }
+
+    const dataRows = Math.max(this.sheet.getLastRow() - 1, 0);
+    if (dataRows === 0) {
+      return;
+    }
+
+    const values = this.sheet.getRange(2, 1, dataRows, NOTIFICATION_LOG_COLUMNS.length).getValues();
+    for (const [, date, recipient, type, project] of values) {
+      // Sheets may turn the YYYY-MM-DD text into a date
+      const day = date instanceof Date ? formatDateISO(date) : String(date || '').trim();
+      if (recipient && day) {
+        this.keys.add(this.buildKey(recipient, type, project, day));
+      }
+    }
+
+    DEBUG && console.log(`NotificationLog: Loaded ${this.keys.size} entries`);
+  }
+
+  /**
+   * Checks whether a recipient was already sent a notification about a project on a day.
+   * @param {string} recipient - Recipient email
+   * @param {string} type - NOTIFICATION_TYPES value
+   * @param {string} project - Project ID (or "<project ID> / <task name>")
+   * @param {string} date - Day (YYYY-MM-DD)
+   * @returns {boolean} True if logged or reserved (including entries buffered by this run)
+   */
+  has(recipient, type, project, date) {
+    if (!this.keys) {
+      this.load();
+    }
+    const key = this.buildKey(recipient, type, project, date);
+    return this.keys.has(key) || this.reserved.has(key);
+  }
+
+  /**
+   * Marks a notification as on its way (queued but not sent yet) for the rest of this run.
+   * Nothing is written; the entry is logged by add() once the email is sent.
+   * @param {string} recipient - Recipient email
+   * @param {string} type - NOTIFICATION_TYPES value
+   * @param {string} project - Project ID (or "<project ID> / <task name>")
+   * @param {string} date - Day (YYYY-MM-DD)
+   */
+  reserve(recipient, type, project, date) {
+    this.reserved.add(this.buildKey(recipient, type, project, date));
+  }
+
+  /**
+   * Buffers an entry. Nothing is written until flush().
+   * @param {string} recipient - Recipient email
+   * @param {string} type - NOTIFICATION_TYPES value
+   * @param {string} project - Project ID (or "<project ID> / <task name>")
+   * @param {string} date - Day sent (YYYY-MM-DD)
+   * @param {string} subject - Email subject
+   */
+  add(recipient, type, project, date, subject) {
+    if (!this.keys) {
+      this.load();
+    }
+    this.keys.add(this.buildKey(recipient, type, project, date));
+    this.pending.push([this.now, date, recipient, type, project, subject]);
+  }
+
+  /**
+   * Writes all buffered entries to the Notification Log sheet in a single batch.
+   */
+  flush() {
+    if (this.pending.length === 0) {
+      return;
+    }
+
+    const entries = this.pending;
+    this.pending = [];
+
+    const sheet = this.getOrCreateSheet();
+    sheet.getRange(sheet.getLastRow() + 1, 1, entries.length, NOTIFICATION_LOG_COLUMNS.length).setValues(entries);
+
+    DEBUG && console.log(`NotificationLog: Logged ${entries.length} notification(s)`);
+  }
+
+  /**
+   * Deletes entries logged before a cutoff. Rows are appended in time order, so the old rows
+   * are the ones at the top and go in a single delete.
+   * @param {Date} cutoff - Entries older than this are removed
+   * @returns {number} Number of rows removed
+   */
+  removeBefore(cutoff) {
+    if (!this.sheet) {
+      return 0;
+    }
+
+    const dataRows = Math.max(this.sheet.getLastRow() - 1, 0);
+    if (dataRows === 0) {
+      return 0;
+    }
+
+    const sentAt = this.sheet.getRange(2, 1, dataRows, 1).getValues();
+    let count = 0;
+    while (count < sentAt.length && sentAt[count][0] instanceof Date && sentAt[count][0] < cutoff) {
+      count++;
+    }
+
+    if (count > 0) {
+      this.sheet.deleteRows(2, count);
+      this.keys = null;
+    }
+    return count;
+  }
+
+  /**
+   * Gets the Notification Log sheet, creating it (with headers, frozen) if missing.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The Notification Log sheet
+   */
+  getOrCreateSheet() {
+    if (this.sheet) {
+      return this.sheet;
+    }
+
+    const sheet = this.spreadsheet.insertSheet(SHEET_NAMES.NOTIFICATION_LOG);
+    sheet.getRange(1, 1, 1, NOTIFICATION_LOG_COLUMNS.length)
+      .setValues([NOTIFICATION_LOG_COLUMNS])
+      .setFontWeight('bold');
+    sheet.setFrozenRows(1);
+
+    console.log(`NotificationLog: Created "${SHEET_NAMES.NOTIFICATION_LOG}" sheet`);
+    this.sheet = sheet;
+    return sheet;
+  }
+}
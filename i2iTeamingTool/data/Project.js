@@ -138,6 +138,13 @@ class Project {
     return String(this.get('action_number') || '').trim();
   }
 
+  /**
+   * @returns {number} Total budget amount (0 if blank or not a number)
+   */
+  get totalBudget() {
+    return parseAmount(this.get('total_budget'));
+  }
+
   /**
    * @returns {string} Category (e.g., "LCAP")
    */
@@ -251,6 +258,85 @@ class Project {
     return String(this.get('notes') || '').trim();
   }
 
+  /**
+   * @returns {string} Raw depends_on value (comma-separated project IDs)
+   */
+  get dependsOnRaw() {
+    return String(this.get('depends_on') || '').trim();
+  }
+
+  /**
+   * @returns {string[]} Project IDs of predecessors this project depends on
+   */
+  get dependsOn() {
+    return parseCommaSeparated(this.dependsOnRaw).map(id => id.toUpperCase());
+  }
+
+  /**
+   * @returns {string} Predecessors currently blocking this project (written by daily maintenance)
+   */
+  get blockedBy() {
+    return String(this.get('blocked_by') || '').trim();
+  }
+
+  set blockedBy(value) {
+    this.set('blocked_by', value);
+  }
+
+  /**
+   * @returns {string} Raw recurrence rule (e.g., "Monthly", "Every 14 days")
+   */
+  get recurrenceRaw() {
+    return String(this.get('recurrence') || '').trim();
+  }
+
+  /**
+   * @returns {Object|null} Parsed recurrence rule, or null if not recurring
+   */
+  get recurrence() {
+    return parseRecurrenceRule(this.recurrenceRaw);
+  }
+
+  /**
+   * @returns {string} Project ID of the first instance in this project's recurring series
+   */
+  get seriesId() {
+    return String(this.get('series_id') || '').trim();
+  }
+
+  set seriesId(value) {
+    this.set('series_id', value);
+  }
+
+  /**
+   * @returns {number|null} Percent of tasks complete (0-100), or null if not tracked
+   */
+  get percentComplete() {
+    const value = this.get('percent_complete');
+    if (value === '' || value === null || value === undefined) {
+      return null;
+    }
+    const parsed = Number(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  set percentComplete(value) {
+    this.set('percent_complete', value);
+  }
+
+  /**
+   * @returns {number[]} Escalation levels (days late) already sent for this project
+   */
+  get escalationsSent() {
+    return parseCommaSeparated(this.get('escalations_sent'))
+      .map(v => parseInt(v, 10))
+      .filter(v => !isNaN(v));
+  }
+
+  set escalationsSent(levels) {
+    this.set('escalations_sent', joinCommaSeparated(levels.map(String)));
+  }
+
   // ===== TYPED SETTERS =====
 
   set projectId(value) {
@@ -285,6 +371,10 @@ class Project {
     this.set('folder_id', value);
   }
 
+  set notes(value) {
+    this.set('notes', value);
+  }
+
   /**
    * @returns {string} File ID (the copied project spreadsheet)
    */
@@ -371,6 +461,13 @@ class Project {
     return this.automationStatus === AUTOMATION_STATUS.DELETE_NOTIFY;
   }
 
+  /**
+   * @returns {boolean} True if held as a possible duplicate form submission
+   */
+  get isHeldDuplicate() {
+    return this.automationStatus === AUTOMATION_STATUS.HELD_DUPLICATE;
+  }
+
   /**
    * @returns {boolean} True if automation status is Deleted
    */
@@ -392,6 +489,27 @@ class Project {
     return this.projectStatus === PROJECT_STATUS.LATE;
   }
 
+  /**
+   * @returns {boolean} True if project status is Stuck
+   */
+  get isStuck() {
+    return this.projectStatus === PROJECT_STATUS.STUCK;
+  }
+
+  /**
+   * @returns {boolean} True if this project lists at least one predecessor
+   */
+  get hasDependencies() {
+    return this.dependsOn.length > 0;
+  }
+
+  /**
+   * @returns {boolean} True if a recurrence rule is set (valid or not)
+   */
+  get isRecurring() {
+    return this.recurrenceRaw !== '';
+  }
+
   /**
    * @returns {boolean} True if row has a project ID assigned
    */
@@ -162,6 +162,36 @@ class ProjectSheet {
     return this.projects.find(p => p.projectId === projectId);
   }
 
+  /**
+   * Gets active projects that list the given project ID in their depends_on column.
+   * @param {string} projectId - The predecessor project ID
+   * @returns {Project[]} Dependent projects
+   */
+  getDependents(projectId) {
+    if (!projectId) return [];
+    const normalizedId = projectId.toUpperCase();
+    return this.getProjectsWhere(p => !p.isDeleted && p.dependsOn.includes(normalizedId));
+  }
+
+  /**
+   * Gets all projects belonging to a recurring series (including the first instance).
+   * @param {string} seriesId - Project ID of the first instance in the series
+   * @returns {Project[]} Projects in the series
+   */
+  getSeriesProjects(seriesId) {
+    if (!seriesId) return [];
+    return this.getProjectsWhere(p => p.seriesId === seriesId || p.projectId === seriesId);
+  }
+
+  /**
+   * Checks if a column key exists in Row 2.
+   * @param {string} key - The column key
+   * @returns {boolean} True if the column exists
+   */
+  hasColumn(key) {
+    return this.getColumnIndex(key) !== undefined;
+  }
+
   /**
    * Gets the column map for constructing new Project instances.
    * @returns {Map} Column key -> index map
@@ -209,16 +239,7 @@ class ProjectSheet {
    * @returns {Project} The created Project instance
    */
   appendRow(data) {
-    // Build row array based on column map
-    const maxCol = Math.max(...this.columnMap.values()) + 1;
-    const rowArray = new Array(maxCol).fill('');
-
-    for (const [key, value] of Object.entries(data)) {
-      const colIndex = this.columnMap.get(key);
-      if (colIndex !== undefined) {
-        rowArray[colIndex] = value;
-      }
-    }
+    const rowArray = this.buildRow(data);
 
     // Append to sheet
     this.sheet.appendRow(rowArray);
@@ -235,6 +256,55 @@ class ProjectSheet {
     return project;
   }
 
+  /**
+   * Appends several rows in one write (used by bulk import).
+   * @param {Object[]} dataList - Key-value pairs for each new row
+   * @returns {Project[]} The created Project instances, in order
+   */
+  appendRows(dataList) {
+    if (dataList.length === 0) {
+      return [];
+    }
+
+    const rows = dataList.map(data => this.buildRow(data));
+    const startRow = this.sheet.getLastRow() + 1;
+    this.sheet.getRange(startRow, 1, rows.length, rows[0].length).setValues(rows);
+
+    const projects = rows.map((rowArray, i) => new Project(rowArray, startRow + i, this.columnMap));
+    this.projects.push(...projects);
+
+    DEBUG && console.log(`ProjectSheet.appendRows: Added rows ${startRow}-${startRow + rows.length - 1}`);
+
+    return projects;
+  }
+
+  /**
+   * Builds a Project that is not on the sheet yet (row index 0), e.g. to validate import rows.
+   * @param {Object} data - Key-value pairs for the row
+   * @returns {Project} The unsaved Project instance
+   */
+  buildProject(data) {
+    return new Project(this.buildRow(data), 0, this.columnMap);
+  }
+
+  /**
+   * Builds a row array in sheet column order.
+   * @param {Object} data - Key-value pairs; unknown keys are ignored
+   * @returns {Array} Row values
+   */
+  buildRow(data) {
+    const maxCol = Math.max(...this.columnMap.values()) + 1;
+    const rowArray = new Array(maxCol).fill('');
+
+    for (const [key, value] of Object.entries(data)) {
+      const colIndex = this.columnMap.get(key);
+      if (colIndex !== undefined) {
+        rowArray[colIndex] = value;
+      }
+    }
+    return rowArray;
+  }
+
   /**
    * Hides a row (used for soft-delete).
    * @param {Project} project - The project to hide
@@ -245,6 +315,39 @@ class ProjectSheet {
     DEBUG && console.log(`ProjectSheet.hideRow: Hidden row ${rowIndex}`);
   }
 
+  /**
+   * Gets the two header rows (Row 1: labels, Row 2: keys).
+   * @returns {Array[]} The header rows, as read by loadData
+   */
+  getHeaderRows() {
+    return this.data ? this.data.slice(0, this.headerRowCount) : [];
+  }
+
+  /**
+   * Permanently deletes project rows (used by the year-end archive), then reloads.
+   * Rows are deleted bottom-up in contiguous runs so earlier row numbers stay valid.
+   * Unflushed changes on the remaining projects are discarded by the reload.
+   * @param {Project[]} projects - Projects whose rows to delete
+   */
+  deleteRows(projects) {
+    const rowIndexes = projects.map(p => p.getRowIndex()).sort((a, b) => b - a);
+
+    let i = 0;
+    while (i < rowIndexes.length) {
+      let start = rowIndexes[i];
+      let count = 1;
+      while (i + count < rowIndexes.length && rowIndexes[i + count] === start - 1) {
+        start--;
+        count++;
+      }
+      this.sheet.deleteRows(start, count);
+      i += count;
+    }
+
+    DEBUG && console.log(`ProjectSheet.deleteRows: Deleted ${rowIndexes.length} row(s)`);
+    this.loadData();
+  }
+
   /**
    * Gets the underlying Sheet object.
    * @returns {GoogleAppsScript.Spreadsheet.Sheet} The sheet
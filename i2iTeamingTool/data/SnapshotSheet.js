@@ -106,6 +106,31 @@ class SnapshotSheet {
     return changes;
   }
 
+  /**
+   * Removes projects from the snapshot (used by the year-end archive).
+   * @param {Set<string>} projectIds - Project IDs to remove
+   * @returns {Array[]} Removed [projectId, projectStatus] rows
+   */
+  removeProjects(projectIds) {
+    const snapshot = this.loadSnapshot();
+    const removed = [];
+
+    for (const [projectId, status] of snapshot) {
+      if (projectIds.has(projectId)) {
+        removed.push([projectId, status]);
+        snapshot.delete(projectId);
+      }
+    }
+
+    if (removed.length > 0) {
+      this.overwriteWithCurrent(snapshot);
+      this.data = null;
+    }
+
+    DEBUG && console.log(`SnapshotSheet: Removed ${removed.length} entries`);
+    return removed;
+  }
+
   /**
    * Gets the count of entries in the snapshot.
    * @returns {number} Number of snapshot entries
@@ -0,0 +1,224 @@
+/**
+ * TaskSheet class - Manages the optional Tasks sheet.
+ * Each row is a subtask/checklist item keyed by its parent project's ID,
+ * with its own assignee, deadline, and status.
+ */
+class TaskSheet {
+  /**
+   * Creates a new TaskSheet instance.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The Tasks sheet
+   */
+  constructor(sheet) {
+    this.sheet = sheet;
+    this.data = null;
+    this.headerMap = null;
+    this.tasks = [];
+    this.loadData();
+  }
+
+  /**
+   * Loads data from the Tasks sheet into memory.
+   */
+  loadData() {
+    if (!this.sheet) {
+      throw new Error('Tasks sheet not found');
+    }
+
+    this.data = this.sheet.getDataRange().getValues();
+    this.tasks = [];
+
+    if (this.data.length === 0) {
+      DEBUG && console.log('TaskSheet: Sheet is empty');
+      return;
+    }
+
+    // Build header map from Row 1
+    this.headerMap = new Map();
+    const headers = this.data[0];
+    for (let i = 0; i < headers.length; i++) {
+      const header = String(headers[i]).trim();
+      if (header) {
+        this.headerMap.set(header, i);
+      }
+    }
+
+    const projectIdCol = this.headerMap.get(TASK_COLUMNS.PROJECT_ID);
+    const nameCol = this.headerMap.get(TASK_COLUMNS.TASK_NAME);
+
+    if (projectIdCol === undefined || nameCol === undefined) {
+      console.warn(`TaskSheet: Missing required columns (${TASK_COLUMNS.PROJECT_ID}, ${TASK_COLUMNS.TASK_NAME})`);
+      return;
+    }
+
+    const assigneeCol = this.headerMap.get(TASK_COLUMNS.ASSIGNEE);
+    const deadlineCol = this.headerMap.get(TASK_COLUMNS.DEADLINE);
+    const statusCol = this.headerMap.get(TASK_COLUMNS.STATUS);
+
+    // Skip header row, process data rows
+    for (let i = 1; i < this.data.length; i++) {
+      const row = this.data[i];
+      const projectId = String(row[projectIdCol] || '').trim().toUpperCase();
+      const name = String(row[nameCol] || '').trim();
+
+      if (!projectId || !name) {
+        continue;
+      }
+
+      const status = statusCol !== undefined ? String(row[statusCol] || '').trim() : '';
+
+      this.tasks.push({
+        rowIndex: i + 1, // 1-based for SpreadsheetApp APIs
+        projectId,
+        name,
+        assignee: assigneeCol !== undefined ? String(row[assigneeCol] || '').trim() : '',
+        deadline: deadlineCol !== undefined ? parseDate(row[deadlineCol]) : null,
+        status: status || TASK_STATUS.NOT_STARTED,
+        isComplete: status.toLowerCase() === TASK_STATUS.COMPLETE.toLowerCase()
+      });
+    }
+
+    DEBUG && console.log(`TaskSheet: Loaded ${this.tasks.length} tasks`);
+  }
+
+  /**
+   * Gets the column index for a header name.
+   * @param {string} header - The header name
+   * @returns {number|undefined} Column index (0-based) or undefined
+   */
+  getColumnIndex(header) {
+    return this.headerMap ? this.headerMap.get(header) : undefined;
+  }
+
+  /**
+   * Gets all tasks.
+   * @returns {Object[]} Array of task objects
+   */
+  getTasks() {
+    return this.tasks;
+  }
+
+  /**
+   * Gets the tasks belonging to a project.
+   * @param {string} projectId - The parent project ID
+   * @returns {Object[]} Array of task objects
+   */
+  getTasksForProject(projectId) {
+    if (!projectId) return [];
+    const normalizedId = projectId.toUpperCase();
+    return this.tasks.filter(t => t.projectId === normalizedId);
+  }
+
+  /**
+   * Gets tasks that are not yet complete.
+   * @returns {Object[]} Array of open task objects
+   */
+  getOpenTasks() {
+    return this.tasks.filter(t => !t.isComplete);
+  }
+
+  /**
+   * Gets the distinct parent project IDs referenced by tasks.
+   * @returns {string[]} Array of project IDs
+   */
+  getProjectIds() {
+    return [...new Set(this.tasks.map(t => t.projectId))];
+  }
+
+  /**
+   * Calculates the rollup progress for a project's tasks.
+   * @param {string} projectId - The parent project ID
+   * @returns {Object|null} { total, complete, percent } or null if the project has no tasks
+   */
+  getProgress(projectId) {
+    const tasks = this.getTasksForProject(projectId);
+    if (tasks.length === 0) {
+      return null;
+    }
+
+    const complete = tasks.filter(t => t.isComplete).length;
+    return {
+      total: tasks.length,
+      complete,
+      percent: Math.round((complete / tasks.length) * 100)
+    };
+  }
+
+  /**
+   * Gets the raw rows of the tasks belonging to any of the given projects,
+   * including rows without a task name (used by the year-end archive).
+   * @param {Set<string>} projectIds - Uppercase parent project IDs
+   * @returns {Object[]} Array of { rowIndex, values } in sheet order
+   */
+  getRowsForProjects(projectIds) {
+    const projectIdCol = this.getColumnIndex(TASK_COLUMNS.PROJECT_ID);
+    if (projectIdCol === undefined) {
+      return [];
+    }
+
+    const rows = [];
+    for (let i = 1; i < this.data.length; i++) {
+      const projectId = String(this.data[i][projectIdCol] || '').trim().toUpperCase();
+      if (projectIds.has(projectId)) {
+        rows.push({ rowIndex: i + 1, values: this.data[i] });
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Gets the header row (Row 1).
+   * @returns {Array} Header names, as read by loadData
+   */
+  getHeaderRow() {
+    return this.data && this.data.length > 0 ? this.data[0] : [];
+  }
+
+  /**
+   * Permanently deletes the tasks of the given projects (used by the year-end archive), then reloads.
+   * Rows are deleted bottom-up in contiguous runs so earlier row numbers stay valid.
+   * @param {Set<string>} projectIds - Uppercase parent project IDs
+   * @returns {number} Number of rows deleted
+   */
+  deleteRowsForProjects(projectIds) {
+    const rowIndexes = this.getRowsForProjects(projectIds).map(r => r.rowIndex).sort((a, b) => b - a);
+
+    let i = 0;
+    while (i < rowIndexes.length) {
+      let start = rowIndexes[i];
+      let count = 1;
+      while (i + count < rowIndexes.length && rowIndexes[i + count] === start - 1) {
+        start--;
+        count++;
+      }
+      this.sheet.deleteRows(start, count);
+      i += count;
+    }
+
+    DEBUG && console.log(`TaskSheet.deleteRowsForProjects: Deleted ${rowIndexes.length} row(s)`);
+    if (rowIndexes.length > 0) {
+      this.loadData();
+    }
+    return rowIndexes.length;
+  }
+
+  /**
+   * Sets the Completed At timestamp for a task row (if the column exists).
+   * @param {number} rowIndex - 1-based row index
+   * @param {Date|string} value - Timestamp, or '' to clear
+   */
+  setCompletedAt(rowIndex, value) {
+    const col = this.getColumnIndex(TASK_COLUMNS.COMPLETED_AT);
+    if (col === undefined) {
+      return;
+    }
+    this.sheet.getRange(rowIndex, col + 1).setValue(value);
+  }
+
+  /**
+   * Gets the underlying Sheet object.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The sheet
+   */
+  getSheet() {
+    return this.sheet;
+  }
+}
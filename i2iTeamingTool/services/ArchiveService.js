@@ -0,0 +1,401 @@
+/**
+ * ArchiveService class - Year-end archive of finished projects.
+ * Moves Complete and Deleted projects of a past school year (and their Status Snapshot entries
+ * and Tasks rows) into a per-year "Project Archive <year>" spreadsheet, and moves their folders into a
+ * "<year>" subfolder of the Parent Folder. Archived projects stay searchable through search().
+ */
+class ArchiveService {
+  /**
+   * Creates a new ArchiveService instance.
+   * @param {ExecutionContext} ctx - The execution context
+   */
+  constructor(ctx) {
+    this.ctx = ctx;
+    this.config = ctx.config;
+    this.projectSheet = ctx.projectSheet;
+    this.snapshotSheet = ctx.snapshotSheet;
+    this.taskSheet = ctx.taskSheet;
+    this.auditLog = ctx.auditLog;
+    this.today = ctx.now;
+    this.archivedIds = null;
+  }
+
+  /**
+   * Archives the finished projects of a past school year.
+   * @param {string} schoolYear - School year in YY_YY format (e.g., "24_25")
+   * @returns {Object} { schoolYear, archived, archiveName, archiveUrl, folderErrors }
+   * @throws {Error} If the school year is malformed or not in the past, or the archive cannot be written
+   */
+  archiveSchoolYear(schoolYear) {
+    const year = String(schoolYear || '').trim();
+    if (!/^\d{2}_\d{2}$/.test(year)) {
+      throw new Error(`"${year}" is not a school year. Use the YY_YY format, e.g. 24_25.`);
+    }
+
+    const currentYear = inferSchoolYear(this.today, this.config.schoolYearStartMonth);
+    if (parseInt(year, 10) >= parseInt(currentYear, 10)) {
+      throw new Error(`Only past school years can be archived (the current school year is ${currentYear}).`);
+    }
+
+    const archiveName = `${ARCHIVE_NAME_PREFIX} ${year}`;
+    const projects = this.projectSheet.getProjectsWhere(p => this.isArchivable(p, year));
+    const result = { schoolYear: year, archived: projects.length, archiveName, archiveUrl: '', folderErrors: [] };
+
+    if (projects.length === 0) {
+      console.log(`ArchiveService: No finished ${year} projects to archive`);
+      return result;
+    }
+
+    if (this.ctx.dryRun) {
+      this.ctx.plan.record(DRY_RUN_CATEGORIES.DRIVE, 'Write archive spreadsheet', { target: archiveName });
+      for (const project of projects) {
+        this.ctx.plan.record(DRY_RUN_CATEGORIES.SHEET, 'Move row to archive', {
+          projectId: project.projectId,
+          target: archiveName
+        });
+        if (this.taskSheet && this.taskSheet.getTasksForProject(project.projectId).length > 0) {
+          this.ctx.plan.record(DRY_RUN_CATEGORIES.SHEET, 'Move tasks to archive', {
+            projectId: project.projectId,
+            target: archiveName
+          });
+        }
+        if (project.folderId) {
+          this.ctx.plan.record(DRY_RUN_CATEGORIES.DRIVE, 'Move project folder', {
+            projectId: project.projectId,
+            target: `${year} subfolder`
+          });
+        }
+      }
+      return result;
+    }
+
+    const yearFolder = this.getYearFolder(year);
+    const archive = this.getOrCreateArchive(year, archiveName, yearFolder);
+    result.archiveUrl = archive.getUrl();
+
+    // Copy everything into the archive before anything is removed from the main file. Project rows
+    // go last, so a project already in the archive (a re-run after a partial failure) also had its
+    // snapshot entry and tasks copied and is only removed from the main file this time.
+    const alreadyArchived = this.readArchivedProjectIds(archive);
+    const projectIds = new Set(projects.map(p => p.projectId).filter(id => id));
+    const newIds = new Set([...projectIds].filter(id => !alreadyArchived.has(id)));
+
+    const snapshot = this.snapshotSheet.loadSnapshot();
+    this.appendSnapshotRows(archive, [...newIds].filter(id => snapshot.has(id)).map(id => [id, snapshot.get(id)]));
+    if (this.taskSheet) {
+      this.appendTaskRows(archive, this.taskSheet.getRowsForProjects(newIds).map(r => r.values));
+    }
+    this.appendProjectRows(archive, projects.filter(p => !alreadyArchived.has(p.projectId)));
+
+    this.snapshotSheet.removeProjects(projectIds);
+    if (this.taskSheet) {
+      this.taskSheet.deleteRowsForProjects(projectIds);
+    }
+
+    for (const project of projects) {
+      if (project.folderId) {
+        const error = this.moveFolder(project, yearFolder);
+        if (error) {
+          result.folderErrors.push(`${project.projectId}: ${error}`);
+        }
+      }
+      this.auditLog.log(AUDIT_ACTIONS.PROJECT_ARCHIVED, {
+        projectId: project.projectId,
+        before: project.projectStatus,
+        after: archiveName
+      });
+    }
+
+    this.projectSheet.deleteRows(projects);
+    if (this.archivedIds) {
+      projectIds.forEach(id => this.archivedIds.add(id));
+    }
+
+    console.log(`ArchiveService: Archived ${projects.length} ${year} project(s) to "${archiveName}"`);
+    return result;
+  }
+
+  /**
+   * Checks whether a project belongs in the school year's archive.
+   * Rows still waiting on the batch (Ready, Updated, pending delete) are left alone.
+   * @param {Project} project - The project
+   * @param {string} year - School year being archived
+   * @returns {boolean} True if the project should be archived
+   */
+  isArchivable(project, year) {
+    if (project.schoolYear !== year) {
+      return false;
+    }
+    if (project.isDeleted) {
+      return true;
+    }
+    return project.isComplete && !project.isReady && !project.isUpdated && !project.isPendingDelete;
+  }
+
+  /**
+   * Gets the school year's subfolder of the Parent Folder, creating it if missing.
+   * @param {string} year - School year
+   * @returns {GoogleAppsScript.Drive.Folder} The year folder
+   */
+  getYearFolder(year) {
+    const parentFolder = withBackoff(() => DriveApp.getFolderById(this.config.parentFolderId));
+    const existing = parentFolder.getFoldersByName(year);
+    if (existing.hasNext()) {
+      return existing.next();
+    }
+
+    const folder = withBackoff(() => parentFolder.createFolder(year));
+    console.log(`ArchiveService: Created "${year}" folder under the Parent Folder`);
+    return folder;
+  }
+
+  /**
+   * Opens the school year's archive spreadsheet, or creates it in the year folder
+   * (with the Projects header rows and a Status Snapshot tab) and records it in Config.
+   * @param {string} year - School year
+   * @param {string} archiveName - Archive spreadsheet name
+   * @param {GoogleAppsScript.Drive.Folder} yearFolder - Folder for a new archive
+   * @returns {GoogleAppsScript.Spreadsheet.Spreadsheet} The archive spreadsheet
+   */
+  getOrCreateArchive(year, archiveName, yearFolder) {
+    const existingId = this.config.archiveSpreadsheetIds.get(year);
+    if (existingId) {
+      try {
+        return withBackoff(() => SpreadsheetApp.openById(existingId));
+      } catch (error) {
+        console.warn(`ArchiveService: Cannot open archive ${existingId} for ${year}, creating a new one: ${error.message}`);
+      }
+    }
+
+    const archive = withBackoff(() => SpreadsheetApp.create(archiveName));
+    const headerRows = this.projectSheet.getHeaderRows();
+    const projectsSheet = archive.getSheets()[0];
+    projectsSheet.setName(SHEET_NAMES.PROJECTS);
+    projectsSheet.getRange(1, 1, headerRows.length, headerRows[0].length).setValues(headerRows);
+
+    const snapshotSheet = archive.insertSheet(SHEET_NAMES.STATUS_SNAPSHOT);
+    snapshotSheet.getRange(1, 1, 1, 2).setValues([['project_id', 'project_status']]);
+
+    withBackoff(() => DriveApp.getFileById(archive.getId()).moveTo(yearFolder));
+    this.config.setOrAdd(`${ARCHIVE_NAME_PREFIX} - ${year}`, archive.getId());
+
+    console.log(`ArchiveService: Created "${archiveName}"`);
+    return archive;
+  }
+
+  /**
+   * Appends project rows to the archive's Projects tab, matching columns by key.
+   * Keys the archive does not have yet (columns added since it was created) are added at the end.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} archive - The archive spreadsheet
+   * @param {Project[]} projects - Projects to copy
+   */
+  appendProjectRows(archive, projects) {
+    if (projects.length === 0) {
+      return;
+    }
+
+    const sheet = archive.getSheetByName(SHEET_NAMES.PROJECTS);
+    if (!sheet) {
+      throw new Error(`Archive "${archive.getName()}" has no "${SHEET_NAMES.PROJECTS}" sheet`);
+    }
+
+    const headerRows = sheet.getRange(1, 1, 2, sheet.getLastColumn()).getValues();
+    const keys = headerRows[1].map(k => String(k).trim());
+    const [labels] = this.projectSheet.getHeaderRows();
+
+    let addedColumns = false;
+    for (const key of this.projectSheet.getColumnKeys()) {
+      if (!keys.includes(key)) {
+        headerRows[0].push(labels[this.projectSheet.getColumnIndex(key)]);
+        headerRows[1].push(key);
+        keys.push(key);
+        addedColumns = true;
+      }
+    }
+    if (addedColumns) {
+      sheet.getRange(1, 1, 2, keys.length).setValues(headerRows);
+    }
+
+    const rows = projects.map(project => keys.map(key => {
+      const value = key && this.projectSheet.hasColumn(key) ? project.get(key) : '';
+      return value === undefined || value === null ? '' : value;
+    }));
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, keys.length).setValues(rows);
+  }
+
+  /**
+   * Appends Tasks rows to the archive's Tasks tab, matching columns by header.
+   * The tab is created with the main Tasks headers on first use.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} archive - The archive spreadsheet
+   * @param {Array[]} rows - Raw Tasks rows
+   */
+  appendTaskRows(archive, rows) {
+    if (rows.length === 0) {
+      return;
+    }
+
+    const sourceHeaders = this.taskSheet.getHeaderRow().map(h => String(h).trim());
+    const sheet = archive.getSheetByName(SHEET_NAMES.TASKS) || archive.insertSheet(SHEET_NAMES.TASKS);
+    if (sheet.getLastRow() === 0) {
+      sheet.getRange(1, 1, 1, sourceHeaders.length).setValues([sourceHeaders]);
+    }
+
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(h => String(h).trim());
+    let addedColumns = false;
+    for (const header of sourceHeaders) {
+      if (header && !headers.includes(header)) {
+        headers.push(header);
+        addedColumns = true;
+      }
+    }
+    if (addedColumns) {
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    }
+
+    const values = rows.map(row => headers.map(header => {
+      const index = header ? sourceHeaders.indexOf(header) : -1;
+      return index === -1 ? '' : row[index];
+    }));
+    sheet.getRange(sheet.getLastRow() + 1, 1, values.length, headers.length).setValues(values);
+  }
+
+  /**
+   * Reads the project IDs already in an archive spreadsheet's Projects tab.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} archive - The archive spreadsheet
+   * @returns {Set<string>} Uppercase project IDs
+   */
+  readArchivedProjectIds(archive) {
+    const sheet = archive.getSheetByName(SHEET_NAMES.PROJECTS);
+    if (!sheet || sheet.getLastRow() <= 2) {
+      return new Set();
+    }
+
+    const archiveSheet = new ProjectSheet(sheet);
+    archiveSheet.loadData();
+    return new Set(archiveSheet.getProjects().map(p => p.projectId.toUpperCase()).filter(id => id));
+  }
+
+  /**
+   * Checks whether a project ID was moved to a year-end archive. Dependencies on archived
+   * projects count as satisfied (only finished projects are archived).
+   * Every recorded archive is read once per run, on first use.
+   * @param {string} projectId - Project ID
+   * @returns {boolean} True if the project is in an archive
+   */
+  isArchived(projectId) {
+    if (!this.archivedIds) {
+      this.archivedIds = new Set();
+      for (const [year, archiveId] of this.config.archiveSpreadsheetIds) {
+        try {
+          const archive = withBackoff(() => SpreadsheetApp.openById(archiveId));
+          this.readArchivedProjectIds(archive).forEach(id => this.archivedIds.add(id));
+        } catch (error) {
+          console.error(`ArchiveService: Cannot open ${year} archive (${archiveId}): ${error.message}`);
+        }
+      }
+    }
+    return this.archivedIds.has(String(projectId || '').trim().toUpperCase());
+  }
+
+  /**
+   * Appends Status Snapshot entries to the archive's Status Snapshot tab.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} archive - The archive spreadsheet
+   * @param {Array[]} rows - [projectId, projectStatus] rows
+   */
+  appendSnapshotRows(archive, rows) {
+    if (rows.length === 0) {
+      return;
+    }
+
+    const sheet = archive.getSheetByName(SHEET_NAMES.STATUS_SNAPSHOT) ||
+                  archive.insertSheet(SHEET_NAMES.STATUS_SNAPSHOT);
+    if (sheet.getLastRow() === 0) {
+      sheet.getRange(1, 1, 1, 2).setValues([['project_id', 'project_status']]);
+    }
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, 2).setValues(rows);
+  }
+
+  /**
+   * Moves a project folder into the year folder. Failures are audited, not thrown:
+   * the folder stays where it was and folder_id in the archived row still points to it.
+   * @param {Project} project - The project
+   * @param {GoogleAppsScript.Drive.Folder} yearFolder - Destination folder
+   * @returns {string} Error message, or '' on success
+   */
+  moveFolder(project, yearFolder) {
+    try {
+      const folder = withBackoff(() => DriveApp.getFolderById(project.folderId));
+      withBackoff(() => folder.moveTo(yearFolder));
+      this.auditLog.log(AUDIT_ACTIONS.FOLDER_MOVED, {
+        projectId: project.projectId,
+        after: project.folderId,
+        message: `Moved to the ${yearFolder.getName()} folder`
+      });
+      return '';
+    } catch (error) {
+      console.error(`ArchiveService: Failed to move folder for ${project.projectId}: ${error.message}`);
+      this.auditLog.log(AUDIT_ACTIONS.FOLDER_MOVED, {
+        projectId: project.projectId,
+        after: project.folderId,
+        outcome: AUDIT_OUTCOME.FAILURE,
+        message: error.message
+      });
+      return error.message;
+    }
+  }
+
+  /**
+   * Searches every recorded archive spreadsheet.
+   * Matches project ID, title, description, assignee, requester, and category (case-insensitive).
+   * @param {string} query - Project ID or text to look for
+   * @returns {Object[]} Matches: { schoolYear, projectId, projectName, assignee, requestedBy,
+   *   dueDate, projectStatus, completedAt, folderUrl, archiveUrl }
+   * @throws {Error} If the query is blank
+   */
+  search(query) {
+    const needle = String(query || '').trim().toLowerCase();
+    if (!needle) {
+      throw new Error('Enter a project ID or some text to search for.');
+    }
+
+    const matches = [];
+    for (const [year, archiveId] of this.config.archiveSpreadsheetIds) {
+      let archive;
+      try {
+        archive = withBackoff(() => SpreadsheetApp.openById(archiveId));
+      } catch (error) {
+        console.error(`ArchiveService: Cannot open ${year} archive (${archiveId}): ${error.message}`);
+        continue;
+      }
+
+      const sheet = archive.getSheetByName(SHEET_NAMES.PROJECTS);
+      if (!sheet) {
+        continue;
+      }
+
+      const archiveSheet = new ProjectSheet(sheet);
+      archiveSheet.loadData();
+      for (const project of archiveSheet.getProjects()) {
+        const fields = [project.projectId, project.projectName, project.description,
+          project.assignee, project.requestedBy, project.category];
+        if (fields.some(value => value.toLowerCase().includes(needle))) {
+          matches.push({
+            schoolYear: year,
+            projectId: project.projectId,
+            projectName: project.projectName,
+            assignee: project.assignee,
+            requestedBy: project.requestedBy,
+            dueDate: project.dueDate,
+            projectStatus: project.projectStatus,
+            completedAt: project.completedAt,
+            folderUrl: folderIdToUrl(project.folderId),
+            archiveUrl: archive.getUrl()
+          });
+        }
+      }
+    }
+
+    DEBUG && console.log(`ArchiveService: ${matches.length} archived match(es) for "${needle}"`);
+    return matches;
+  }
+}
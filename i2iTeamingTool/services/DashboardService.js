@@ -0,0 +1,362 @@
+/**
+ * DashboardService class - Builds the pages served by doGet.
+ * The portfolio dashboard groups projects by status, assignee, category, or school year,
+ * filtered by the viewer's effective Project Folders scope from the Directory.
+ * The "My Projects" page lists the viewer's own open assignments and lets them change status.
+ */
+class DashboardService {
+  /**
+   * Creates a new DashboardService instance.
+   * @param {ExecutionContext} ctx - The execution context
+   */
+  constructor(ctx) {
+    this.ctx = ctx;
+    this.config = ctx.config;
+    this.projectSheet = ctx.projectSheet;
+    this.directory = ctx.directory;
+    this.codes = ctx.codes;
+    this.today = ctx.now;
+  }
+
+  /**
+   * Looks up the viewer's Directory access.
+   * @param {string} viewerEmail - Email of the person opening the dashboard
+   * @returns {Object|null} Active access row (see Directory.getAccessRows), or null if none
+   */
+  getViewerAccess(viewerEmail) {
+    const email = String(viewerEmail || '').trim().toLowerCase();
+    if (!email) {
+      return null;
+    }
+
+    const row = this.directory.getAccessRows().find(r => r.email === email);
+    return row && row.activeFlag === 'yes' ? row : null;
+  }
+
+  /**
+   * Gets the projects a viewer may see. "All" folder scopes see every project;
+   * assigned_only viewers see projects they are assigned to or requested.
+   * @param {Object} access - The viewer's access row
+   * @returns {Project[]} Visible projects (created, not deleted)
+   */
+  getVisibleProjects(access) {
+    const projects = this.projectSheet.getProjects().filter(p => p.hasProjectId && !p.isDeleted);
+
+    if (access.effectiveFolderScope === DIRECTORY_FOLDER_SCOPES.ALL_EDITOR ||
+        access.effectiveFolderScope === DIRECTORY_FOLDER_SCOPES.ALL_VIEWER) {
+      return projects;
+    }
+
+    return projects.filter(p => p.getAllRecipientEmails(this.directory).includes(access.email));
+  }
+
+  /**
+   * Groups projects for display. A project with several assignees appears under each of them.
+   * @param {Project[]} projects - Projects to group
+   * @param {string} groupBy - DASHBOARD_GROUPINGS key
+   * @returns {Map<string, Project[]>} Group label -> projects, in display order
+   */
+  groupProjects(projects, groupBy) {
+    const groups = new Map();
+    const add = (label, project) => {
+      if (!groups.has(label)) {
+        groups.set(label, []);
+      }
+      groups.get(label).push(project);
+    };
+
+    // Statuses follow the Codes sheet order; everything else is alphabetical
+    if (groupBy === 'status') {
+      for (const status of this.codes.getStatuses()) {
+        groups.set(status, []);
+      }
+    }
+
+    for (const project of projects) {
+      if (groupBy === 'assignee') {
+        const names = project.assignees.map(a => this.directory.getNameByEmail(a) || a);
+        for (const name of (names.length > 0 ? names : ['(Unassigned)'])) {
+          add(name, project);
+        }
+      } else if (groupBy === 'category') {
+        add(project.category || '(No category)', project);
+      } else if (groupBy === 'school_year') {
+        add(project.schoolYear || '(No school year)', project);
+      } else {
+        add(project.projectStatus || PROJECT_STATUS.PROJECT_ASSIGNED, project);
+      }
+    }
+
+    const ordered = groupBy === 'status'
+      ? [...groups.entries()]
+      : [...groups.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+
+    return new Map(ordered.filter(([, groupProjects]) => groupProjects.length > 0));
+  }
+
+  /**
+   * Checks whether a project is past its deadline and not complete.
+   * @param {Project} project - The project
+   * @returns {boolean} True if overdue
+   */
+  isOverdue(project) {
+    return !project.isComplete && Boolean(project.dueDate) && project.isPastDue(this.today);
+  }
+
+  /**
+   * Sorts projects by deadline, soonest first; projects without a deadline go last.
+   * @param {Project[]} projects - Projects to sort
+   * @returns {Project[]} A sorted copy
+   */
+  sortByDueDate(projects) {
+    return projects
+      .slice()
+      .sort((a, b) => (a.dueDate ? a.dueDate.getTime() : Infinity) - (b.dueDate ? b.dueDate.getTime() : Infinity));
+  }
+
+  /**
+   * Renders the dashboard page for a viewer.
+   * @param {string} viewerEmail - Email of the person opening the dashboard
+   * @param {string} [groupBy] - DASHBOARD_GROUPINGS key (default: status)
+   * @param {string} [webAppUrl] - Deployed web app URL, used for the grouping links
+   * @returns {string} HTML page
+   */
+  render(viewerEmail, groupBy, webAppUrl) {
+    const access = this.getViewerAccess(viewerEmail);
+    if (!access) {
+      return this.renderAccessDenied(viewerEmail);
+    }
+
+    const grouping = DASHBOARD_GROUPINGS[groupBy] ? groupBy : Object.keys(DASHBOARD_GROUPINGS)[0];
+    const projects = this.getVisibleProjects(access);
+    const groups = this.groupProjects(projects, grouping);
+
+    const openCount = projects.filter(p => !p.isComplete).length;
+    const overdueCount = projects.filter(p => this.isOverdue(p)).length;
+    const scopeNote = access.effectiveFolderScope === DIRECTORY_FOLDER_SCOPES.ASSIGNED_ONLY
+      ? 'Showing projects you are assigned to or requested.'
+      : 'Showing all projects.';
+
+    const groupLinks = Object.entries(DASHBOARD_GROUPINGS).map(([key, label]) => {
+      if (key === grouping) {
+        return `<strong>${label}</strong>`;
+      }
+      const href = `${webAppUrl || ''}?groupBy=${key}`;
+      return `<a href="${escapeHtml(href)}" target="_top">${label}</a>`;
+    }).join(' | ');
+
+    const sections = [];
+    for (const [label, groupProjects] of groups) {
+      const groupOverdue = groupProjects.filter(p => this.isOverdue(p)).length;
+      const rows = this.sortByDueDate(groupProjects)
+        .map(project => this.renderProjectRow(project))
+        .join('');
+
+      sections.push(
+        `<h2>${escapeHtml(label)} <span class="count">(${groupProjects.length}` +
+        `${groupOverdue > 0 ? `, <span class="overdue">${groupOverdue} overdue</span>` : ''})</span></h2>` +
+        '<table><tr><th>Project</th><th>ID</th><th>Status</th><th>Assigned to</th><th>Deadline</th></tr>' +
+        `${rows}</table>`
+      );
+    }
+
+    const body =
+      `<p>${escapeHtml(access.name || access.email)} - ${scopeNote} ` +
+      `${openCount} open, <span class="overdue">${overdueCount} overdue</span>.</p>` +
+      `<p>Group by: ${groupLinks} | ` +
+      `<a href="${escapeHtml(`${webAppUrl || ''}?view=${MY_PROJECTS_VIEW}`)}" target="_top">My Projects</a></p>` +
+      (sections.length > 0 ? sections.join('') : '<p>No projects to show.</p>');
+
+    return this.renderPage(`${this.config.districtId} Project Dashboard`, body);
+  }
+
+  /**
+   * Renders one project as a table row.
+   * @param {Project} project - The project
+   * @returns {string} HTML table row
+   */
+  renderProjectRow(project) {
+    const assigneeNames = project.assignees.map(a => this.directory.getNameByEmail(a) || a);
+    const title = project.folderUrl
+      ? `<a href="${escapeHtml(project.folderUrl)}" target="_blank">${escapeHtml(project.projectName)}</a>`
+      : escapeHtml(project.projectName);
+    const deadline = escapeHtml(formatDate(project.dueDate));
+
+    return `<tr${this.isOverdue(project) ? ' class="overdue"' : ''}>` +
+           `<td>${title}</td>` +
+           `<td>${escapeHtml(project.projectId)}</td>` +
+           `<td>${escapeHtml(project.projectStatus)}</td>` +
+           `<td>${escapeHtml(joinCommaSeparated(assigneeNames))}</td>` +
+           `<td>${deadline}</td>` +
+           '</tr>';
+  }
+
+  /**
+   * Gets the open projects a person is assigned to, soonest deadline first.
+   * @param {string} email - The person's email (lowercase)
+   * @returns {Project[]} Open assigned projects (created, not deleted, not complete)
+   */
+  getMyProjects(email) {
+    const projects = this.projectSheet.getProjects().filter(p =>
+      p.hasProjectId && !p.isDeleted && !p.isComplete &&
+      p.getAssigneeEmails(this.directory).includes(email)
+    );
+    return this.sortByDueDate(projects);
+  }
+
+  /**
+   * Checks that a viewer may set a project's status from the My Projects page:
+   * they must be an active Directory member assigned to the project, and the status must be
+   * one of the Codes sheet statuses.
+   * @param {string} viewerEmail - Email of the person making the change
+   * @param {string} projectId - The project ID
+   * @param {string} newStatus - The requested status
+   * @returns {Project} The project to update
+   * @throws {Error} If the change is not allowed
+   */
+  getStatusChangeTarget(viewerEmail, projectId, newStatus) {
+    const access = this.getViewerAccess(viewerEmail);
+    if (!access) {
+      throw new Error('Your account is not an active staff member in the Directory.');
+    }
+
+    const project = this.projectSheet.findByProjectId(String(projectId || '').trim().toUpperCase());
+    if (!project || project.isDeleted) {
+      throw new Error(`Project "${projectId}" was not found.`);
+    }
+
+    if (!project.getAssigneeEmails(this.directory).includes(access.email)) {
+      throw new Error(`You are not assigned to ${project.projectId}.`);
+    }
+
+    const status = String(newStatus || '').trim();
+    if (!this.codes.getStatuses().includes(status)) {
+      throw new Error(`"${status}" is not a valid project status.`);
+    }
+
+    return project;
+  }
+
+  /**
+   * Renders the viewer's "My Projects" page: open assignments with days until due,
+   * folder links, and a status dropdown that saves through google.script.run.
+   * @param {string} viewerEmail - Email of the person opening the page
+   * @param {string} [webAppUrl] - Deployed web app URL, used for the link back to the dashboard
+   * @returns {string} HTML page
+   */
+  renderMyProjects(viewerEmail, webAppUrl) {
+    const access = this.getViewerAccess(viewerEmail);
+    if (!access) {
+      return this.renderAccessDenied(viewerEmail);
+    }
+
+    const projects = this.getMyProjects(access.email);
+    const statuses = this.codes.getStatuses();
+    const rows = projects.map(project => this.renderMyProjectRow(project, statuses)).join('');
+
+    const body =
+      `<p>${escapeHtml(access.name || access.email)} - ${projects.length} open ` +
+      `project${projects.length === 1 ? '' : 's'} assigned to you. ` +
+      'Changing a status saves it to the Projects sheet.</p>' +
+      `<p><a href="${escapeHtml(webAppUrl || '')}" target="_top">All projects</a></p>` +
+      (projects.length > 0
+        ? '<table><tr><th>Project</th><th>ID</th><th>Deadline</th><th>Days until due</th><th>Status</th></tr>' +
+          `${rows}</table>`
+        : '<p>You have no open projects.</p>') +
+      '<p id="message"></p>' +
+      '<script>' +
+      'function updateStatus(select) {' +
+      'var message = document.getElementById("message");' +
+      'select.disabled = true;' +
+      'message.textContent = "Saving...";' +
+      'google.script.run' +
+      '.withSuccessHandler(function () {' +
+      'select.disabled = false;' +
+      'select.setAttribute("data-current", select.value);' +
+      'message.textContent = "Saved.";' +
+      '})' +
+      '.withFailureHandler(function (error) {' +
+      'select.disabled = false;' +
+      'select.value = select.getAttribute("data-current");' +
+      'message.textContent = "Could not save: " + error.message;' +
+      '})' +
+      '.updateMyProjectStatus(select.getAttribute("data-project-id"), select.value);' +
+      '}' +
+      '</script>';
+
+    return this.renderPage('My Projects', body);
+  }
+
+  /**
+   * Renders one My Projects row with an editable status dropdown.
+   * @param {Project} project - The project
+   * @param {string[]} statuses - Status options from the Codes sheet
+   * @returns {string} HTML table row
+   */
+  renderMyProjectRow(project, statuses) {
+    const title = project.folderUrl
+      ? `<a href="${escapeHtml(project.folderUrl)}" target="_blank">${escapeHtml(project.projectName)}</a>`
+      : escapeHtml(project.projectName);
+
+    let daysLabel = '';
+    if (project.dueDate) {
+      const days = project.daysUntilDue(this.today);
+      if (days < 0) {
+        daysLabel = `${-days} day${days === -1 ? '' : 's'} overdue`;
+      } else if (days === 0) {
+        daysLabel = 'Due today';
+      } else {
+        daysLabel = `${days} day${days === 1 ? '' : 's'}`;
+      }
+    }
+
+    // Keep a current value that is missing from Codes selectable so the dropdown shows it,
+    // and offer only the statuses the Codes workflow lets it change to
+    const current = project.projectStatus;
+    const allowed = new Set([current, ...(current ? this.codes.getAllowedNextStatuses(current) : statuses)]);
+    const options = (statuses.includes(current) ? statuses : [current, ...statuses]).filter(s => allowed.has(s));
+    const optionHtml = options.map(status =>
+      `<option${status === current ? ' selected' : ''}>${escapeHtml(status)}</option>`
+    ).join('');
+
+    return `<tr${this.isOverdue(project) ? ' class="overdue"' : ''}>` +
+           `<td>${title}</td>` +
+           `<td>${escapeHtml(project.projectId)}</td>` +
+           `<td>${escapeHtml(formatDate(project.dueDate))}</td>` +
+           `<td>${daysLabel}</td>` +
+           `<td><select data-project-id="${escapeHtml(project.projectId)}" data-current="${escapeHtml(current)}" ` +
+           'onchange="updateStatus(this)">' +
+           `${optionHtml}</select></td>` +
+           '</tr>';
+  }
+
+  /**
+   * Renders the page shown to people without an active Directory entry.
+   * @param {string} viewerEmail - Email of the person opening the page
+   * @returns {string} HTML page
+   */
+  renderAccessDenied(viewerEmail) {
+    console.warn(`DashboardService: No active Directory entry for "${viewerEmail || '(anonymous)'}"`);
+    return this.renderPage('Access denied',
+      '<p>Your account is not an active staff member in this district\'s Directory. ' +
+      'Ask an administrator to add you.</p>');
+  }
+
+  /**
+   * Wraps body HTML in the dashboard page layout.
+   * @param {string} title - Page heading
+   * @param {string} body - Body HTML
+   * @returns {string} Complete HTML page
+   */
+  renderPage(title, body) {
+    return '<!DOCTYPE html><html><head><meta charset="utf-8">' +
+           '<style>' +
+           'body{font-family:Arial,sans-serif;margin:24px;color:#202124}' +
+           'table{border-collapse:collapse;width:100%;margin-bottom:16px}' +
+           'th,td{border-bottom:1px solid #dadce0;padding:6px 8px;text-align:left}' +
+           '.count{font-weight:normal;color:#5f6368}' +
+           '.overdue{color:#c5221f}' +
+           '</style></head><body>' +
+           `<h1>${escapeHtml(title)}</h1>${body}</body></html>`;
+  }
+}
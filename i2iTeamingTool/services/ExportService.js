@@ -0,0 +1,234 @@
+/**
+ * ExportService class - Filtered project exports for board and superintendent reporting.
+ * Writes the matching projects as a CSV, XLSX, or JSON file to the Config "Export Folder ID"
+ * (default: the Root Folder), with EXPORT_COLUMNS headers and formatDate dates.
+ */
+class ExportService {
+  /**
+   * Creates a new ExportService instance.
+   * @param {ExecutionContext} ctx - The execution context
+   */
+  constructor(ctx) {
+    this.ctx = ctx;
+    this.config = ctx.config;
+    this.projectSheet = ctx.projectSheet;
+    this.directory = ctx.directory;
+    this.auditLog = ctx.auditLog;
+  }
+
+  /**
+   * Exports the projects that match every given filter.
+   * Deleted projects and held duplicates are never exported.
+   * @param {string} format - EXPORT_FORMATS value
+   * @param {Object} [filters] - Filters; blank ones are ignored, text comparisons ignore case
+   * @param {string} [filters.schoolYear] - School year (e.g., "25_26")
+   * @param {string} [filters.category] - Category (e.g., "LCAP")
+   * @param {string} [filters.goalNumber] - Goal number
+   * @param {string} [filters.status] - Project status
+   * @param {string} [filters.assignee] - Assignee name or email (matches any of a project's assignees)
+   * @returns {Object} { format, fileId, fileName, url, rowCount }
+   * @throws {Error} If the format is unknown, no export folder is configured, or the file cannot be written
+   */
+  exportProjects(format, filters = {}) {
+    const normalizedFormat = String(format || '').trim().toLowerCase();
+    if (!Object.values(EXPORT_FORMATS).includes(normalizedFormat)) {
+      throw new Error(`Unknown export format "${format}". Use ${Object.values(EXPORT_FORMATS).join(', ')}.`);
+    }
+
+    const folderId = this.config.exportFolderId;
+    if (!folderId) {
+      throw new Error('No export folder configured. Set "Export Folder ID" (or "Root Folder ID") in Config.');
+    }
+
+    const projects = this.findProjects(filters);
+    const columns = EXPORT_COLUMNS.filter(c => this.projectSheet.hasColumn(c.key));
+    const rows = projects.map(project => columns.map(c => this.formatValue(project, c.key)));
+    const fileName = `Project Export ${formatDateISO(this.ctx.now)}.${normalizedFormat}`;
+
+    const folder = withBackoff(() => DriveApp.getFolderById(folderId));
+    let file;
+    if (normalizedFormat === EXPORT_FORMATS.CSV) {
+      file = withBackoff(() => folder.createFile(fileName, this.toCsv(columns, rows), MimeType.CSV));
+    } else if (normalizedFormat === EXPORT_FORMATS.JSON) {
+      file = withBackoff(() => folder.createFile(fileName, this.toJson(columns, rows), 'application/json'));
+    } else {
+      file = this.writeXlsx(folder, fileName, columns, projects);
+    }
+
+    const filterText = this.describeFilters(filters);
+    this.auditLog.log(AUDIT_ACTIONS.PROJECTS_EXPORTED, {
+      after: fileName,
+      message: `${rows.length} project(s)${filterText ? `; ${filterText}` : ''}`
+    });
+    console.log(`ExportService: Exported ${rows.length} project(s) to ${fileName}`);
+
+    return {
+      format: normalizedFormat,
+      fileId: file.getId(),
+      fileName,
+      url: file.getUrl(),
+      rowCount: rows.length
+    };
+  }
+
+  /**
+   * Finds the projects matching the filters, in sheet order.
+   * @param {Object} filters - See exportProjects
+   * @returns {Project[]} Matching projects
+   */
+  findProjects(filters) {
+    const text = value => String(value || '').trim().toLowerCase();
+    const schoolYear = text(filters.schoolYear);
+    const category = text(filters.category);
+    const goalNumber = text(filters.goalNumber);
+    const status = text(filters.status);
+    const assignee = text(filters.assignee);
+    const assigneeEmail = assignee ? text(this.directory.resolveToEmail(assignee)) : '';
+
+    return this.projectSheet.getProjectsWhere(project => {
+      if (project.isDeleted || project.isPendingDelete || project.isHeldDuplicate) {
+        return false;
+      }
+      if (schoolYear && text(project.schoolYear) !== schoolYear) {
+        return false;
+      }
+      if (category && text(project.category) !== category) {
+        return false;
+      }
+      if (goalNumber && text(project.goalNumber) !== goalNumber) {
+        return false;
+      }
+      if (status && text(project.projectStatus) !== status) {
+        return false;
+      }
+      if (assignee) {
+        const names = project.assignees.map(text);
+        const emails = project.getAssigneeEmails(this.directory).map(text);
+        return names.includes(assignee) || (assigneeEmail !== '' && emails.includes(assigneeEmail));
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Formats one exported cell.
+   * @param {Project} project - The project
+   * @param {string} key - Column key
+   * @returns {string} Cell text
+   */
+  formatValue(project, key) {
+    if (key === 'folder_id') {
+      return project.folderId ? project.folderUrl : '';
+    }
+    const value = project.get(key);
+    if (value instanceof Date) {
+      return formatDate(value);
+    }
+    return value === null || value === undefined ? '' : String(value);
+  }
+
+  /**
+   * Gets one XLSX cell: a Date or number for typed columns (blank when empty or unparseable),
+   * otherwise the same text as the other formats.
+   * @param {Project} project - The project
+   * @param {Object} column - EXPORT_COLUMNS entry
+   * @returns {Date|number|string} Cell value
+   */
+  xlsxValue(project, column) {
+    const value = project.get(column.key);
+    if (column.type === 'date') {
+      return parseDate(value) || '';
+    }
+    if (column.type === 'number') {
+      return value === '' || value === null || value === undefined ? '' : parseAmount(value);
+    }
+    return this.formatValue(project, column.key);
+  }
+
+  /**
+   * Builds CSV text (RFC 4180 quoting).
+   * @param {Object[]} columns - EXPORT_COLUMNS entries
+   * @param {string[][]} rows - Cell text per project
+   * @returns {string} CSV text
+   */
+  toCsv(columns, rows) {
+    const quote = value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    return [columns.map(c => c.header)].concat(rows)
+      .map(row => row.map(quote).join(','))
+      .join('\r\n');
+  }
+
+  /**
+   * Builds JSON text: an array of objects keyed by the human headers.
+   * @param {Object[]} columns - EXPORT_COLUMNS entries
+   * @param {string[][]} rows - Cell text per project
+   * @returns {string} JSON text
+   */
+  toJson(columns, rows) {
+    const records = rows.map(row => {
+      const record = {};
+      columns.forEach((c, i) => {
+        record[c.header] = row[i];
+      });
+      return record;
+    });
+    return JSON.stringify(records, null, 2);
+  }
+
+  /**
+   * Writes an XLSX file by filling a temporary spreadsheet and downloading it as Excel.
+   * Dates and numbers stay real values; only text columns are formatted as plain text.
+   * The temporary spreadsheet is trashed afterwards.
+   * @param {GoogleAppsScript.Drive.Folder} folder - Export folder
+   * @param {string} fileName - File name
+   * @param {Object[]} columns - EXPORT_COLUMNS entries
+   * @param {Project[]} projects - Exported projects
+   * @returns {GoogleAppsScript.Drive.File} The XLSX file
+   */
+  writeXlsx(folder, fileName, columns, projects) {
+    const temp = withBackoff(() => SpreadsheetApp.create(fileName));
+    try {
+      const values = [columns.map(c => c.header)]
+        .concat(projects.map(project => columns.map(c => this.xlsxValue(project, c))));
+      const sheet = temp.getSheets()[0];
+      sheet.setName(SHEET_NAMES.PROJECTS);
+      // Plain text keeps IDs like "1.10" from being reinterpreted; set before the values are written
+      columns.forEach((column, i) => {
+        const range = sheet.getRange(1, i + 1, values.length, 1);
+        if (column.type === 'date') {
+          range.setNumberFormat(EXPORT_XLSX_DATE_FORMAT);
+        } else if (!column.type) {
+          range.setNumberFormat('@');
+        }
+      });
+      sheet.getRange(1, 1, values.length, columns.length).setValues(values);
+      sheet.getRange(1, 1, 1, columns.length).setFontWeight('bold');
+      SpreadsheetApp.flush();
+
+      const url = `https://docs.google.com/spreadsheets/d/${temp.getId()}/export?format=xlsx`;
+      const blob = withBackoff(() => UrlFetchApp.fetch(url, {
+        headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` }
+      }).getBlob());
+      blob.setName(fileName);
+      return withBackoff(() => folder.createFile(blob));
+    } finally {
+      try {
+        DriveApp.getFileById(temp.getId()).setTrashed(true);
+      } catch (error) {
+        console.warn(`ExportService: Could not trash temporary spreadsheet ${temp.getId()}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Describes the non-blank filters for the Audit Log.
+   * @param {Object} filters - See exportProjects
+   * @returns {string} e.g. "schoolYear=25_26, category=LCAP"
+   */
+  describeFilters(filters) {
+    return Object.entries(filters)
+      .filter(([, value]) => String(value || '').trim() !== '')
+      .map(([name, value]) => `${name}=${String(value).trim()}`)
+      .join(', ');
+  }
+}
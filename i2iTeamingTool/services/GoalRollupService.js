@@ -0,0 +1,138 @@
+/**
+ * GoalRollupService class - LCAP goal/action progress report.
+ * Rolls projects up to the goals and actions in the optional Goals sheet and writes the
+ * Goal Rollup sheet: project counts by status, percent complete, late count, and the
+ * total of the projects' total_budget, next to each goal's and action's planned budget.
+ */
+class GoalRollupService {
+  /**
+   * Creates a new GoalRollupService instance.
+   * @param {ExecutionContext} ctx - The execution context
+   */
+  constructor(ctx) {
+    this.ctx = ctx;
+    this.projectSheet = ctx.projectSheet;
+    this.goalSheet = ctx.goalSheet;
+    this.codes = ctx.codes;
+  }
+
+  /**
+   * Builds the rollup: one row per goal, followed by one row per action of that goal.
+   * Projects whose goal is not listed are collected in a final GOAL_ROLLUP_UNLISTED_LABEL row.
+   * Deleted projects and held duplicates are left out.
+   * @returns {Object} { statuses: string[], rows: [{goalNumber, actionNumber, title, plannedBudget,
+   *   count, byStatus: Object<string, number>, percentComplete, late, projectBudget}] }
+   * @throws {Error} If there is no Goals sheet
+   */
+  buildRollup() {
+    if (!this.goalSheet) {
+      throw new Error(`Add a "${SHEET_NAMES.GOALS}" sheet (${Object.values(GOAL_COLUMNS).join(', ')}) to build the goal rollup.`);
+    }
+
+    const projects = this.projectSheet.getProjectsWhere(p => !p.isDeleted && !p.isPendingDelete && !p.isHeldDuplicate);
+    const statuses = this.codes.getStatuses().slice();
+    for (const project of projects) {
+      if (project.projectStatus && !statuses.includes(project.projectStatus)) {
+        statuses.push(project.projectStatus);
+      }
+    }
+
+    const rows = [];
+    const placed = new Set();
+    for (const goal of this.goalSheet.getGoals()) {
+      const goalProjects = projects.filter(p => this.goalSheet.findGoal(p.goalNumber) === goal ||
+        (!p.goalNumber && goal.actions.includes(this.goalSheet.findAction('', p.actionNumber))));
+      goalProjects.forEach(p => placed.add(p));
+      rows.push(this.summarize(goal.goalNumber, '', goal.title, goal.budget, goalProjects));
+
+      for (const action of goal.actions) {
+        const actionProjects = goalProjects.filter(p => this.goalSheet.findAction(p.goalNumber, p.actionNumber) === action);
+        rows.push(this.summarize(goal.goalNumber, action.actionNumber, action.title, action.budget, actionProjects));
+      }
+    }
+
+    const unlisted = projects.filter(p => !placed.has(p));
+    if (unlisted.length > 0) {
+      rows.push(this.summarize(GOAL_ROLLUP_UNLISTED_LABEL, '', '', 0, unlisted));
+    }
+
+    return { statuses, rows };
+  }
+
+  /**
+   * Summarizes one goal or action.
+   * @param {string} goalNumber - Goal number (or the unlisted label)
+   * @param {string} actionNumber - Action number ('' for a goal row)
+   * @param {string} title - Goal/action title
+   * @param {number} plannedBudget - Budget from the Goals sheet
+   * @param {Project[]} projects - Projects rolled up to it
+   * @returns {Object} Rollup row (see buildRollup)
+   */
+  summarize(goalNumber, actionNumber, title, plannedBudget, projects) {
+    const byStatus = {};
+    for (const project of projects) {
+      if (project.projectStatus) {
+        byStatus[project.projectStatus] = (byStatus[project.projectStatus] || 0) + 1;
+      }
+    }
+
+    const complete = projects.filter(p => p.isComplete).length;
+    return {
+      goalNumber,
+      actionNumber,
+      title,
+      plannedBudget,
+      count: projects.length,
+      byStatus,
+      percentComplete: projects.length > 0 ? complete / projects.length : 0,
+      late: projects.filter(p => p.isLate).length,
+      projectBudget: projects.reduce((sum, p) => sum + p.totalBudget, 0)
+    };
+  }
+
+  /**
+   * Rebuilds the Goal Rollup sheet (creating it if needed).
+   * In dry-run mode, records the write instead.
+   * @returns {Object} The rollup (see buildRollup)
+   */
+  writeRollup() {
+    const rollup = this.buildRollup();
+
+    if (this.ctx.dryRun) {
+      this.ctx.plan.record(DRY_RUN_CATEGORIES.SHEET, 'Write goal rollup', {
+        target: SHEET_NAMES.GOAL_ROLLUP,
+        message: `${rollup.rows.length} row(s)`
+      });
+      return rollup;
+    }
+
+    const spreadsheet = this.ctx.getSpreadsheet();
+    let sheet = spreadsheet.getSheetByName(SHEET_NAMES.GOAL_ROLLUP);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(SHEET_NAMES.GOAL_ROLLUP);
+    }
+    sheet.clearContents();
+
+    const headers = ['Goal #', 'Action #', 'Title', 'Planned Budget', 'Projects']
+      .concat(rollup.statuses, ['% Complete', 'Late', 'Project Budget Total']);
+    const values = rollup.rows.map(row => [row.goalNumber, row.actionNumber, row.title, row.plannedBudget, row.count]
+      .concat(rollup.statuses.map(status => row.byStatus[status] || 0))
+      .concat([row.percentComplete, row.late, row.projectBudget]));
+    const columnCount = headers.length;
+    const title = `Goal rollup as of ${formatDate(this.ctx.now)}. Rebuilt by daily maintenance; action rows are included in their goal row.`;
+
+    sheet.getRange(1, 1, 1, columnCount).setValues([[title].concat(new Array(columnCount - 1).fill(''))]);
+    sheet.getRange(2, 1, 1, columnCount).setValues([headers]).setFontWeight('bold');
+    if (values.length > 0) {
+      sheet.getRange(3, 1, values.length, columnCount).setValues(values);
+      sheet.getRange(3, columnCount - 2, values.length, 1).setNumberFormat('0%');
+      sheet.getRange(3, 4, values.length, 1).setNumberFormat('$#,##0.00');
+      sheet.getRange(3, columnCount, values.length, 1).setNumberFormat('$#,##0.00');
+    }
+    sheet.setFrozenRows(2);
+
+    console.log(`GoalRollupService: Wrote ${rollup.rows.length} rollup row(s)`);
+
+    return rollup;
+  }
+}
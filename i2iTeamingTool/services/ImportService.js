@@ -0,0 +1,259 @@
+/**
+ * ImportService class - Bulk project import.
+ * Reads rows from a CSV file in Drive or the "Import" staging tab, maps headers through
+ * IMPORT_FIELD_MAP (the form question titles plus a requester column), validates each row
+ * like the batch run would, and appends the valid rows as Ready for the batch trigger.
+ * Every source row gets a line in the Import Report sheet.
+ */
+class ImportService {
+  /**
+   * Creates a new ImportService instance.
+   * @param {ExecutionContext} ctx - The execution context
+   */
+  constructor(ctx) {
+    this.ctx = ctx;
+    this.projectSheet = ctx.projectSheet;
+    this.projectService = ctx.projectService;
+    this.directory = ctx.directory;
+    this.auditLog = ctx.auditLog;
+  }
+
+  /**
+   * Imports projects from a CSV file, or from the Import tab when no file is given.
+   * Rows imported from the Import tab are removed from it; rows with errors stay so they can be fixed and re-run.
+   * @param {Object} [source] - Where to read from
+   * @param {string} [source.fileId] - Drive ID of a CSV file
+   * @returns {Object} { imported, failed, ignoredHeaders, results: [{sourceRow, projectName, result, details}] }
+   * @throws {Error} If the source cannot be read, is empty, or has no recognized headers
+   */
+  importProjects(source = {}) {
+    const fileId = String(source.fileId || '').trim();
+    const importTab = fileId ? null : this.ctx.getSpreadsheet().getSheetByName(SHEET_NAMES.IMPORT);
+    if (!fileId && !importTab) {
+      throw new Error(`Add an "${SHEET_NAMES.IMPORT}" tab with a header row, or choose a CSV file to import.`);
+    }
+
+    const rows = fileId ? this.readCsv(fileId) : importTab.getDataRange().getValues();
+    const headers = (rows[0] || []).map(h => String(h).trim());
+    const fieldKeys = headers.map(h => this.mapHeader(h));
+    if (!fieldKeys.some(key => key)) {
+      throw new Error('No recognized column headers. Use the form question titles (e.g. "Project Title", ' +
+                      '"Assigned to", "Deadline") plus "Requested By".');
+    }
+
+    const ignoredHeaders = headers.filter((h, i) => h && !fieldKeys[i]);
+    const defaultRequester = this.getDefaultRequester();
+    const results = [];
+    const accepted = [];
+    const keptRows = [rows[0]];
+    const importedKeys = new Set();
+
+    for (let i = 1; i < rows.length; i++) {
+      const row = rows[i];
+      if (row.every(cell => String(cell).trim() === '')) {
+        continue;
+      }
+
+      const data = this.buildProjectData(fieldKeys, row, defaultRequester);
+      const errors = this.validateRow(data, importedKeys);
+      const entry = { sourceRow: i + 1, projectName: data.project_name || '', result: 'Imported', details: '' };
+
+      if (errors.length > 0) {
+        entry.result = 'Error';
+        entry.details = errors.join('; ');
+        keptRows.push(row);
+      } else {
+        accepted.push({ data, entry });
+      }
+      results.push(entry);
+    }
+
+    const appended = this.appendProjects(accepted);
+    const summary = {
+      imported: appended,
+      failed: results.filter(r => r.result === 'Error').length,
+      ignoredHeaders,
+      results
+    };
+
+    if (this.ctx.dryRun) {
+      return summary;
+    }
+
+    if (importTab && appended > 0) {
+      this.rewriteImportTab(importTab, keptRows);
+    }
+    this.writeReport(summary, fileId ? 'CSV file' : `"${SHEET_NAMES.IMPORT}" tab`);
+
+    this.auditLog.log(AUDIT_ACTIONS.PROJECTS_IMPORTED, {
+      after: appended,
+      outcome: summary.failed > 0 ? AUDIT_OUTCOME.FAILURE : AUDIT_OUTCOME.SUCCESS,
+      message: `${appended} imported, ${summary.failed} with errors (see ${SHEET_NAMES.IMPORT_REPORT})`
+    });
+    console.log(`ImportService: Imported ${appended} project(s), ${summary.failed} row(s) with errors`);
+
+    return summary;
+  }
+
+  /**
+   * Reads and parses a CSV file from Drive.
+   * @param {string} fileId - Drive file ID
+   * @returns {Array[]} Parsed rows (header first)
+   * @throws {Error} If the file cannot be read
+   */
+  readCsv(fileId) {
+    try {
+      const text = withBackoff(() => DriveApp.getFileById(fileId).getBlob().getDataAsString());
+      return Utilities.parseCsv(text);
+    } catch (error) {
+      throw new Error(`Could not read CSV file ${fileId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Maps an import header to a Projects column key.
+   * Accepts form question titles, "Requested By", and the internal keys those map to.
+   * @param {string} header - Column header
+   * @returns {string|null} Column key, or null if the header is not imported
+   */
+  mapHeader(header) {
+    if (IMPORT_FIELD_MAP[header]) {
+      return IMPORT_FIELD_MAP[header];
+    }
+    return Object.values(IMPORT_FIELD_MAP).includes(header) ? header : null;
+  }
+
+  /**
+   * Gets the requester for rows without one: the person running the import.
+   * @returns {string} Directory name (or email) of the importer, or '' for automation runs
+   */
+  getDefaultRequester() {
+    const actor = this.ctx.actor;
+    if (!actor || actor === AUDIT_ACTOR_AUTOMATION) {
+      return '';
+    }
+    return this.directory.getNameByEmail(actor) || actor;
+  }
+
+  /**
+   * Builds the new row's values from a source row.
+   * @param {Array<string|null>} fieldKeys - Column key per source column (null = ignored)
+   * @param {Array} row - Source row values
+   * @param {string} defaultRequester - Requester when the row has none
+   * @returns {Object} Key-value pairs for ProjectSheet
+   */
+  buildProjectData(fieldKeys, row, defaultRequester) {
+    const data = {};
+    fieldKeys.forEach((key, i) => {
+      const value = row[i] instanceof Date ? row[i] : String(row[i] === undefined ? '' : row[i]).trim();
+      if (key && value !== '' && data[key] === undefined) {
+        data[key] = value;
+      }
+    });
+
+    if (!data.requested_by && defaultRequester) {
+      data.requested_by = defaultRequester;
+    }
+    if (data.due_date) {
+      data.due_date = parseDate(data.due_date) || data.due_date;
+    }
+    data.project_status = PROJECT_STATUS.PROJECT_ASSIGNED;
+    data.automation_status = AUTOMATION_STATUS.READY;
+    return data;
+  }
+
+  /**
+   * Validates an import row the same way the batch run validates Ready rows,
+   * and rejects likely duplicates of existing projects or earlier rows in this import.
+   * @param {Object} data - Row values from buildProjectData
+   * @param {Set<string>} importedKeys - Duplicate keys of rows accepted so far (updated when valid)
+   * @returns {string[]} Error messages (empty if the row can be imported)
+   */
+  validateRow(data, importedKeys) {
+    const project = this.projectSheet.buildProject(data);
+    let errors = this.projectService.validateProjectData(project).errors;
+
+    // A deadline that does not parse reads as missing; say what was wrong with it instead
+    if (data.due_date && !(data.due_date instanceof Date)) {
+      errors = errors.filter(e => !e.startsWith('Missing required field: Deadline'));
+      errors.push(`Deadline "${data.due_date}" is not a date`);
+    }
+
+    const key = this.projectService.getDuplicateKey(project);
+    const existing = this.projectService.findLikelyDuplicate(project);
+    if (existing) {
+      errors.push(`Looks like a duplicate of ${existing.projectId || `row ${existing.getRowIndex()}`}`);
+    } else if (key && importedKeys.has(key)) {
+      errors.push('Same title, assignee, requester, and deadline as an earlier row in this import');
+    }
+
+    if (errors.length === 0 && key) {
+      importedKeys.add(key);
+    }
+    return errors;
+  }
+
+  /**
+   * Appends the accepted rows as Ready in one write (or records them in dry-run mode).
+   * @param {Object[]} accepted - Array of {data, entry}; entry.details gets the new row number
+   * @returns {number} Rows appended (or that would be)
+   */
+  appendProjects(accepted) {
+    if (this.ctx.dryRun) {
+      for (const { data, entry } of accepted) {
+        this.ctx.plan.record(DRY_RUN_CATEGORIES.SHEET, 'Append imported row', {
+          target: `Source row ${entry.sourceRow}`,
+          message: data.project_name
+        });
+      }
+      return accepted.length;
+    }
+
+    const projects = this.projectSheet.appendRows(accepted.map(a => a.data));
+    projects.forEach((project, i) => {
+      accepted[i].entry.details = `Row ${project.getRowIndex()}`;
+      this.projectService.updateAutomationValidation(project);
+    });
+    return projects.length;
+  }
+
+  /**
+   * Leaves only the header and the rows that were not imported on the Import tab.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The Import tab
+   * @param {Array[]} keptRows - Header row followed by the rows to keep
+   */
+  rewriteImportTab(sheet, keptRows) {
+    const columnCount = keptRows[0].length;
+    sheet.clearContents();
+    sheet.getRange(1, 1, keptRows.length, columnCount).setValues(keptRows);
+  }
+
+  /**
+   * Replaces the contents of the Import Report sheet (creating it if needed).
+   * @param {Object} summary - Result of importProjects
+   * @param {string} sourceLabel - Where the rows came from
+   */
+  writeReport(summary, sourceLabel) {
+    const spreadsheet = this.ctx.getSpreadsheet();
+    let sheet = spreadsheet.getSheetByName(SHEET_NAMES.IMPORT_REPORT);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(SHEET_NAMES.IMPORT_REPORT);
+    }
+    sheet.clearContents();
+
+    const columnCount = IMPORT_REPORT_COLUMNS.length;
+    let title = `Import from ${sourceLabel} at ${this.ctx.now.toLocaleString()} - ` +
+                `${summary.imported} imported, ${summary.failed} with errors.`;
+    if (summary.ignoredHeaders.length > 0) {
+      title += ` Ignored columns: ${summary.ignoredHeaders.join(', ')}`;
+    }
+    const rows = summary.results.map(r => [r.sourceRow, r.projectName, r.result, r.details]);
+
+    sheet.getRange(1, 1, 1, columnCount).setValues([[title].concat(new Array(columnCount - 1).fill(''))]);
+    sheet.getRange(2, 1, 1, columnCount).setValues([IMPORT_REPORT_COLUMNS]).setFontWeight('bold');
+    if (rows.length > 0) {
+      sheet.getRange(3, 1, rows.length, columnCount).setValues(rows);
+    }
+    sheet.setFrozenRows(2);
+  }
+}
@@ -15,6 +15,7 @@ class MaintenanceService {
     this.directory = ctx.directory;
     this.codes = ctx.codes;
     this.notificationService = ctx.notificationService;
+    this.auditLog = ctx.auditLog;
     this.today = ctx.now;
   }
 
@@ -25,24 +26,67 @@ class MaintenanceService {
     console.log('MaintenanceService: Starting daily maintenance');
 
     try {
-      // 1. Send reminders for upcoming deadlines
+      // 1. Send reminders for upcoming deadlines (projects, then subtasks from the Tasks sheet)
       this.sendReminders();
+      this.sendTaskReminders();
 
-      // 2. Mark projects as late if due date is today and not completed
+      // 2. Roll task completion up into each parent project's percent_complete
+      this.rollUpTaskProgress();
+
+      // 3. Mark projects as late if due date is today and not completed
       // (Must happen BEFORE status change detection so Late changes appear in today's digest)
       this.markLateProjects();
 
-      // 3. Detect and notify status changes (includes Late status changes from step 2)
+      // 4. Walk the Codes escalation ladder for overdue projects (requester, supervisor, admins)
+      this.escalateOverdueProjects();
+
+      // 5. Flag dependent projects whose predecessors are Late or Stuck (uses Late marks from step 3)
+      this.flagAtRiskDependents();
+
+      // 6. Append the next instance of completed recurring projects (processed by the batch trigger)
+      this.regenerateRecurringProjects();
+
+      // 7. Detect and notify status changes (includes Late status changes from step 3
+      //    and "unblocked" emails for dependents of newly completed projects)
       this.detectAndNotifyStatusChanges();
 
-      // 4. Sync calendar events (safety net)
+      // 8. Re-narrow project_status dropdowns to each row's workflow transitions
+      //    (statuses changed by step 3 and by manual edits since yesterday)
+      this.ctx.validationService.updateAllProjectStatusValidations();
+
+      // 9. Sync calendar events (safety net)
       this.syncCalendarEvents();
 
-      // 5. Weekly backup on Sundays
+      // 10. Share project folders with delegates of away staff; unshare when the away window ends
+      this.ctx.permissionService.refreshDelegateFolderPermissions();
+
+      // 11. Weekly summary to each requester (uses today's Late marks and status changes)
+      if (this.today && this.today.getDay && this.today.getDay() === DEFAULTS.WEEKLY_SUMMARY_DAY) {
+        this.sendWeeklySummaries();
+      }
+
+      // 12. Weekly backup on Sundays
       if (this.today && this.today.getDay && this.today.getDay() === 0) {
         this.backupProjectDirectory();
       }
 
+      // 13. Send one digest of held-back emails to each "Daily Digest" staff member
+      this.sendDailyDigests();
+
+      // 14. Rebuild the Goal Rollup report (districts with a Goals sheet)
+      if (this.ctx.goalSheet) {
+        this.ctx.goalRollupService.writeRollup();
+      }
+
+      // 15. Roll over Audit Log rows past the retention window / row cap
+      this.pruneAuditLog();
+
+      // 16. Drop Email Queue rows sent more than a week ago
+      this.pruneEmailQueue();
+
+      // 17. Drop Notification Log entries older than DEFAULTS.NOTIFICATION_LOG_DAYS
+      this.pruneNotificationLog();
+
       console.log('MaintenanceService: Daily maintenance completed');
 
     } catch (error) {
@@ -120,6 +164,98 @@ class MaintenanceService {
     console.log(`MaintenanceService: Sent ${digestsSent} reminder digest(s) covering ${totalReminders} project(s)`);
   }
 
+  /**
+   * Sends task reminder digests for open tasks in the Tasks sheet.
+   * Tasks use their parent project's reminder offsets (or the Codes defaults),
+   * and each assignee receives one email covering all of their due tasks.
+   */
+  sendTaskReminders() {
+    const taskSheet = this.ctx.taskSheet;
+    if (!taskSheet) {
+      DEBUG && console.log('MaintenanceService: No Tasks sheet, skipping task reminders');
+      return;
+    }
+
+    const remindersByAssignee = new Map();
+
+    for (const task of taskSheet.getOpenTasks()) {
+      if (!task.deadline || !task.assignee) {
+        continue;
+      }
+
+      const project = this.projectSheet.findByProjectId(task.projectId);
+      if (!project || !project.isCreated || project.isComplete) {
+        continue;
+      }
+
+      const offsets = project.reminderOffsets.length > 0
+        ? project.reminderOffsets
+        : this.codes.getDefaultReminderOffsets();
+      const daysUntilDue = daysBetween(this.today, task.deadline);
+
+      if (!offsets.includes(daysUntilDue)) {
+        continue;
+      }
+
+      for (const email of this.directory.resolveAllToEmails(task.assignee)) {
+        if (!remindersByAssignee.has(email)) {
+          remindersByAssignee.set(email, []);
+        }
+        remindersByAssignee.get(email).push({ task, project, daysUntilDue });
+      }
+    }
+
+    let totalReminders = 0;
+    for (const [email, reminders] of remindersByAssignee) {
+      this.notificationService.sendTaskReminderDigest(email, reminders);
+      totalReminders += reminders.length;
+    }
+
+    console.log(`MaintenanceService: Sent ${remindersByAssignee.size} task reminder digest(s) covering ${totalReminders} task(s)`);
+  }
+
+  // ===== TASK ROLLUP =====
+
+  /**
+   * Writes each project's task completion percentage to percent_complete.
+   * Projects whose Tasks rows were all removed have the value cleared.
+   * Projects whose value changed get their calendar description refreshed (silently).
+   */
+  rollUpTaskProgress() {
+    const taskSheet = this.ctx.taskSheet;
+    if (!taskSheet || !this.projectSheet.hasColumn('percent_complete')) {
+      DEBUG && console.log('MaintenanceService: Tasks sheet or percent_complete column missing, skipping rollup');
+      return;
+    }
+
+    let updated = 0;
+    const taskProjectIds = taskSheet.getProjectIds();
+
+    for (const projectId of taskProjectIds) {
+      const project = this.projectSheet.findByProjectId(projectId);
+      if (!project) {
+        console.warn(`MaintenanceService: Tasks reference unknown project ${projectId}`);
+        continue;
+      }
+
+      if (this.ctx.projectService.applyTaskProgress(project)) {
+        updated++;
+      }
+    }
+
+    // Projects that still show a percentage but no longer have any tasks
+    const untracked = this.projectSheet.getProjectsWhere(p =>
+      p.percentComplete !== null && !taskProjectIds.includes(p.projectId.toUpperCase())
+    );
+    for (const project of untracked) {
+      if (this.ctx.projectService.applyTaskProgress(project)) {
+        updated++;
+      }
+    }
+
+    console.log(`MaintenanceService: Updated task progress for ${updated} project(s)`);
+  }
+
   // ===== STATUS CHANGE DETECTION =====
 
   /**
@@ -133,7 +269,8 @@ class MaintenanceService {
     const currentStatuses = this.projectSheet.getStatusMap();
 
     // Initialize snapshot if empty (first run)
-    if (this.snapshotSheet.initializeIfEmpty(currentStatuses)) {
+    if (this.snapshotSheet.isEmpty()) {
+      this.saveSnapshot(currentStatuses);
       console.log('MaintenanceService: Initialized empty snapshot, skipping change detection');
       return;
     }
@@ -143,7 +280,7 @@ class MaintenanceService {
 
     if (changes.length === 0) {
       DEBUG && console.log('MaintenanceService: No status changes detected');
-      this.snapshotSheet.overwriteWithCurrent(currentStatuses);
+      this.saveSnapshot(currentStatuses);
       return;
     }
 
@@ -188,7 +325,25 @@ class MaintenanceService {
 
     console.log(`MaintenanceService: Sent status change digest to ${changesByRecipient.size} recipient(s)`);
 
+    // Let assignees know when their project's last predecessor is complete
+    this.notifyUnblockedProjects(changeDetails);
+
     // Update snapshot with current statuses
+    this.saveSnapshot(currentStatuses);
+  }
+
+  /**
+   * Overwrites the Status Snapshot with today's statuses (recorded only in dry-run mode).
+   * @param {Map<string, string>} currentStatuses - Map of projectId -> projectStatus
+   */
+  saveSnapshot(currentStatuses) {
+    if (this.ctx.dryRun) {
+      this.ctx.plan.record(DRY_RUN_CATEGORIES.SHEET, 'Overwrite Status Snapshot', {
+        target: SHEET_NAMES.STATUS_SNAPSHOT,
+        message: `${currentStatuses.size} project(s)`
+      });
+      return;
+    }
     this.snapshotSheet.overwriteWithCurrent(currentStatuses);
   }
 
@@ -214,6 +369,73 @@ class MaintenanceService {
     return grouped;
   }
 
+  // ===== DAILY DIGESTS =====
+
+  /**
+   * Sends the emails held in the Notification Digest sheet, one combined email per recipient,
+   * then clears the sheet. The sheet is left as-is in dry-run mode.
+   */
+  sendDailyDigests() {
+    const digest = this.ctx.notificationDigest;
+    const entriesByRecipient = digest.getEntriesByRecipient();
+
+    if (entriesByRecipient.size === 0) {
+      DEBUG && console.log('MaintenanceService: No held emails for daily digests');
+      return;
+    }
+
+    for (const [email, entries] of entriesByRecipient) {
+      this.notificationService.sendDailyDigest(email, entries, this.today);
+    }
+
+    if (this.ctx.dryRun) {
+      this.ctx.plan.record(DRY_RUN_CATEGORIES.SHEET, 'Clear Notification Digest', {
+        target: SHEET_NAMES.NOTIFICATION_DIGEST,
+        message: `${entriesByRecipient.size} recipient(s)`
+      });
+    } else {
+      digest.clear();
+    }
+
+    console.log(`MaintenanceService: Sent daily digest to ${entriesByRecipient.size} recipient(s)`);
+  }
+
+  // ===== WEEKLY SUMMARY =====
+
+  /**
+   * Sends each requester one summary of their open projects, grouped by status.
+   * Skipped when the optional Weekly Summary template is not configured.
+   */
+  sendWeeklySummaries() {
+    if (!this.config.emailTemplateWeeklySummary) {
+      DEBUG && console.log('MaintenanceService: Weekly Summary template not configured, skipping');
+      return;
+    }
+
+    const openProjects = this.projectSheet.getIncompleteProjects().filter(p => p.isCreated);
+
+    // Group open projects by requester email
+    const projectsByRequester = new Map();
+    for (const project of openProjects) {
+      const email = this.directory.resolveToEmail(project.requestedBy);
+      if (!email) {
+        DEBUG && console.log(`MaintenanceService: No requester email for ${project.projectId}, leaving out of weekly summary`);
+        continue;
+      }
+      if (!projectsByRequester.has(email)) {
+        projectsByRequester.set(email, []);
+      }
+      projectsByRequester.get(email).push(project);
+    }
+
+    const statusOrder = this.codes.getStatuses();
+    for (const [email, projects] of projectsByRequester) {
+      this.notificationService.sendWeeklySummary(email, projects, this.today, statusOrder);
+    }
+
+    console.log(`MaintenanceService: Sent weekly summary to ${projectsByRequester.size} requester(s)`);
+  }
+
   // ===== LATE PROJECTS =====
 
   /**
@@ -234,6 +456,12 @@ class MaintenanceService {
       // Check if due today or past due
       if (project.isDueToday(this.today) || project.isPastDue(this.today)) {
         if (project.projectStatus !== PROJECT_STATUS.LATE) {
+          this.auditLog.log(AUDIT_ACTIONS.MARKED_LATE, {
+            projectId: project.projectId,
+            field: 'project_status',
+            before: project.projectStatus,
+            after: PROJECT_STATUS.LATE
+          });
           project.projectStatus = PROJECT_STATUS.LATE;
           marked++;
           DEBUG && console.log(`MaintenanceService: Marked ${project.projectId} as late`);
@@ -244,6 +472,338 @@ class MaintenanceService {
     console.log(`MaintenanceService: Marked ${marked} project(s) as late`);
   }
 
+  // ===== ESCALATION =====
+
+  /**
+   * Walks the Codes escalation ladder for every overdue project.
+   * Each level (days late) is emailed once per project and recorded in escalations_sent;
+   * the record is cleared when the project is no longer overdue (e.g. the deadline moved).
+   */
+  escalateOverdueProjects() {
+    const ladder = this.codes.getEscalationLadder();
+    if (ladder.length === 0) {
+      DEBUG && console.log('MaintenanceService: No escalation ladder in Codes, skipping escalations');
+      return;
+    }
+
+    if (!this.projectSheet.hasColumn('escalations_sent')) {
+      console.warn('MaintenanceService: escalations_sent column missing, skipping escalations');
+      return;
+    }
+
+    if (!this.config.emailTemplateEscalation) {
+      console.warn('MaintenanceService: Email Template - Escalation not configured, skipping escalations');
+      return;
+    }
+
+    let escalated = 0;
+
+    for (const project of this.projectSheet.getProjectsWhere(p => !p.isDeleted)) {
+      const daysLate = -project.daysUntilDue(this.today);
+      const alreadySent = project.escalationsSent;
+
+      if (!project.isCreated || project.isComplete || !project.dueDate || daysLate < 1) {
+        if (alreadySent.length > 0 && !project.isComplete) {
+          project.escalationsSent = [];
+          DEBUG && console.log(`MaintenanceService: Cleared escalation record for ${project.projectId}`);
+        }
+        continue;
+      }
+
+      const dueSteps = ladder.filter(step => daysLate >= step.daysLate && !alreadySent.includes(step.daysLate));
+      if (dueSteps.length === 0) {
+        continue;
+      }
+
+      const sent = [...alreadySent];
+
+      for (const step of dueSteps) {
+        const recipients = this.resolveEscalationRecipients(project, step.targets);
+
+        try {
+          const delivered = this.notificationService.sendEscalationNotification(project, step, recipients, daysLate);
+          if (delivered) {
+            escalated++;
+          }
+          // Record even when nobody could be resolved so the level isn't retried every day
+          sent.push(step.daysLate);
+          this.auditLog.log(AUDIT_ACTIONS.ESCALATION_SENT, {
+            projectId: project.projectId,
+            field: 'escalations_sent',
+            after: step.daysLate,
+            outcome: delivered ? AUDIT_OUTCOME.SUCCESS : AUDIT_OUTCOME.SKIPPED,
+            message: `${daysLate} days late -> ${joinCommaSeparated(step.targets)}: ${joinCommaSeparated(recipients) || 'no recipients'}`
+          });
+        } catch (error) {
+          console.error(`MaintenanceService: Escalation for ${project.projectId} (${step.daysLate} days) failed: ${error.message}`);
+          this.auditLog.log(AUDIT_ACTIONS.ESCALATION_SENT, {
+            projectId: project.projectId,
+            field: 'escalations_sent',
+            after: step.daysLate,
+            outcome: AUDIT_OUTCOME.FAILURE,
+            message: error.message
+          });
+        }
+      }
+
+      project.escalationsSent = sent.sort((a, b) => a - b);
+    }
+
+    console.log(`MaintenanceService: Sent ${escalated} escalation email(s)`);
+  }
+
+  /**
+   * Resolves escalation targets to email addresses for a project.
+   * @param {Project} project - The overdue project
+   * @param {string[]} targets - ESCALATION_TARGETS values
+   * @returns {string[]} De-duplicated email addresses
+   */
+  resolveEscalationRecipients(project, targets) {
+    const emails = new Set();
+
+    for (const target of targets) {
+      if (target === ESCALATION_TARGETS.REQUESTER) {
+        const requesterEmail = this.directory.resolveToEmail(project.requestedBy);
+        if (requesterEmail) emails.add(requesterEmail);
+      } else if (target === ESCALATION_TARGETS.SUPERVISOR) {
+        const supervisorEmail = this.directory.getSupervisorEmail(project.requestedBy);
+        if (supervisorEmail) {
+          emails.add(supervisorEmail);
+        } else {
+          console.warn(`MaintenanceService: No supervisor found for requester of ${project.projectId}`);
+        }
+      } else if (target === ESCALATION_TARGETS.ADMINS) {
+        for (const email of this.config.errorEmailAddresses) {
+          emails.add(email.toLowerCase());
+        }
+      }
+    }
+
+    return [...emails];
+  }
+
+  // ===== DEPENDENCIES =====
+
+  /**
+   * Flags dependent projects as at risk when any predecessor is Late or Stuck.
+   * Writes the blocking predecessors to the blocked_by column and clears it once resolved.
+   */
+  flagAtRiskDependents() {
+    if (!this.projectSheet.hasColumn('depends_on') || !this.projectSheet.hasColumn('blocked_by')) {
+      DEBUG && console.log('MaintenanceService: depends_on/blocked_by columns not present, skipping dependency check');
+      return;
+    }
+
+    const incompleteProjects = this.projectSheet.getIncompleteProjects();
+    let flagged = 0;
+    let cleared = 0;
+
+    for (const project of incompleteProjects) {
+      if (!project.isCreated) {
+        continue;
+      }
+
+      const blockers = [];
+      for (const predecessorId of project.dependsOn) {
+        const predecessor = this.projectSheet.findByProjectId(predecessorId);
+        if (predecessor && (predecessor.isLate || predecessor.isStuck)) {
+          blockers.push(`${predecessor.projectId} (${predecessor.projectStatus})`);
+        }
+      }
+
+      const blockedBy = joinCommaSeparated(blockers);
+      if (blockedBy === project.blockedBy) {
+        continue;
+      }
+
+      if (blockedBy) {
+        flagged++;
+        DEBUG && console.log(`MaintenanceService: ${project.projectId} at risk, blocked by ${blockedBy}`);
+      } else {
+        cleared++;
+      }
+      this.auditLog.log(AUDIT_ACTIONS.FIELD_CHANGED, {
+        projectId: project.projectId,
+        field: 'blocked_by',
+        before: project.blockedBy,
+        after: blockedBy
+      });
+      project.blockedBy = blockedBy;
+    }
+
+    console.log(`MaintenanceService: Flagged ${flagged} dependent project(s) as at risk, cleared ${cleared}`);
+  }
+
+  /**
+   * Sends an "unblocked" email for dependents whose predecessors are now all Complete.
+   * Only predecessors that changed to Complete since the last snapshot trigger an email.
+   * @param {Object[]} changeDetails - Array of {project, oldStatus, newStatus}
+   */
+  notifyUnblockedProjects(changeDetails) {
+    if (!this.projectSheet.hasColumn('depends_on')) {
+      return;
+    }
+
+    if (!this.config.emailTemplateUnblocked) {
+      DEBUG && console.log('MaintenanceService: Unblocked template not configured, skipping');
+      return;
+    }
+
+    const completedPredecessors = changeDetails
+      .filter(change => change.newStatus === PROJECT_STATUS.COMPLETE)
+      .map(change => change.project);
+
+    // A dependent may be unblocked by several predecessors completing on the same day - email once
+    const notified = new Set();
+
+    for (const predecessor of completedPredecessors) {
+      for (const dependent of this.projectSheet.getDependents(predecessor.projectId)) {
+        if (notified.has(dependent.projectId) || dependent.isComplete || !dependent.isCreated) {
+          continue;
+        }
+
+        // Archived predecessors are finished even though they are no longer in the sheet
+        const isUnblocked = dependent.dependsOn.every(id => {
+          const p = this.projectSheet.findByProjectId(id);
+          return p ? p.isComplete : this.ctx.archiveService.isArchived(id);
+        });
+
+        if (!isUnblocked) {
+          continue;
+        }
+
+        try {
+          if (this.notificationService.sendUnblockedNotification(dependent, predecessor)) {
+            notified.add(dependent.projectId);
+          }
+        } catch (error) {
+          console.error(`MaintenanceService: Failed to send unblocked notification for ${dependent.projectId}: ${error.message}`);
+        }
+      }
+    }
+
+    if (notified.size > 0) {
+      console.log(`MaintenanceService: Sent unblocked notification(s) for ${notified.size} project(s)`);
+    }
+  }
+
+  // ===== RECURRING PROJECTS =====
+
+  /**
+   * Appends the next instance of each completed recurring project as a new Ready row.
+   * The new row keeps a series_id link to the first instance and is picked up by
+   * ProjectService.processReadyProject on the next batch run.
+   */
+  regenerateRecurringProjects() {
+    if (!this.projectSheet.hasColumn('recurrence') || !this.projectSheet.hasColumn('series_id')) {
+      DEBUG && console.log('MaintenanceService: recurrence/series_id columns not present, skipping recurring projects');
+      return;
+    }
+
+    const completedRecurring = this.projectSheet.getProjectsWhere(p =>
+      p.isComplete && p.isCreated && p.isRecurring && p.dueDate
+    );
+    let created = 0;
+
+    for (const project of completedRecurring) {
+      const recurrence = project.recurrence;
+      if (!recurrence) {
+        console.warn(`MaintenanceService: Invalid recurrence "${project.recurrenceRaw}" on ${project.projectId}, skipping`);
+        continue;
+      }
+
+      // Back-fill the series link on the first instance so every row in the series carries it
+      if (!project.seriesId) {
+        project.seriesId = project.projectId;
+      }
+
+      // Idempotency: a later instance in the same series means this one was already rolled forward.
+      // Deleted or cancelled instances count too, so cancelling the next one does not bring it back.
+      const seriesProjects = this.projectSheet.getSeriesProjects(project.seriesId);
+      const hasLaterInstance = seriesProjects.some(p =>
+        p !== project && (!p.dueDate || p.dueDate > project.dueDate)
+      );
+      if (hasLaterInstance) {
+        continue;
+      }
+
+      const nextDueDate = this.getNextRecurrenceDate(project.dueDate, recurrence);
+
+      if (this.ctx.dryRun) {
+        this.ctx.plan.record(DRY_RUN_CATEGORIES.SHEET, 'Append next recurring instance as Ready', {
+          projectId: project.projectId,
+          target: project.projectName,
+          message: `Due ${formatDateISO(nextDueDate)}`
+        });
+        created++;
+        continue;
+      }
+
+      try {
+        const nextProject = this.projectSheet.appendRow({
+          series_id: project.seriesId,
+          recurrence: project.recurrenceRaw,
+          goal_number: project.goalNumber,
+          action_number: project.actionNumber,
+          category: project.category,
+          project_name: project.projectName,
+          description: project.description,
+          assignee: project.assignee,
+          requested_by: project.requestedBy,
+          due_date: nextDueDate,
+          reminder_offsets: project.reminderOffsetsRaw,
+          project_status: PROJECT_STATUS.PROJECT_ASSIGNED,
+          automation_status: AUTOMATION_STATUS.READY
+        });
+        this.ctx.projectService.updateAutomationValidation(nextProject);
+        created++;
+        this.auditLog.log(AUDIT_ACTIONS.RECURRENCE_CREATED, {
+          projectId: project.projectId,
+          field: 'due_date',
+          before: project.dueDate,
+          after: nextDueDate,
+          message: `Queued as Ready in row ${nextProject.getRowIndex()}`
+        });
+
+        console.log(`MaintenanceService: Queued next instance of ${project.projectId} due ${formatDateISO(nextDueDate)} (row ${nextProject.getRowIndex()})`);
+      } catch (error) {
+        console.error(`MaintenanceService: Failed to create next instance of ${project.projectId}: ${error.message}`);
+        this.auditLog.log(AUDIT_ACTIONS.RECURRENCE_CREATED, {
+          projectId: project.projectId,
+          outcome: AUDIT_OUTCOME.FAILURE,
+          message: error.message
+        });
+        this.notificationService.sendErrorNotification(
+          'Recurring Project Regeneration Failed',
+          `Could not create the next instance of ${project.displayTitle}.\nError: ${error.message}`
+        );
+      }
+    }
+
+    console.log(`MaintenanceService: Queued ${created} recurring project instance(s)`);
+  }
+
+  /**
+   * Rolls a due date forward by the recurrence interval until it lands after today.
+   * Completing a project several cycles late yields the next upcoming instance, not a backlog.
+   * @param {Date} dueDate - The completed instance's due date
+   * @param {Object} recurrence - Parsed recurrence rule
+   * @returns {Date} The next due date
+   */
+  getNextRecurrenceDate(dueDate, recurrence) {
+    const today = new Date(this.today.getFullYear(), this.today.getMonth(), this.today.getDate());
+    let cycles = 1;
+    let next = addRecurrenceInterval(dueDate, recurrence);
+
+    // Always step from the original date so month-end clamping doesn't drift (Jan 31 -> Feb 28 -> Mar 31)
+    while (next < today) {
+      cycles++;
+      next = addRecurrenceInterval(dueDate, { unit: recurrence.unit, interval: recurrence.interval * cycles });
+    }
+
+    return next;
+  }
+
   // ===== CALENDAR SYNC =====
 
   /**
@@ -373,6 +933,18 @@ class MaintenanceService {
         return;
       }
 
+      if (this.ctx.dryRun) {
+        this.ctx.plan.record(DRY_RUN_CATEGORIES.CALENDAR, 'Sync event date, title, description, and guests', {
+          projectId: project.projectId,
+          target: project.displayTitle,
+          message: `Event date ${formatDateISO(event.getAllDayStartDate())} -> ${formatDateISO(project.dueDate)}`
+        });
+        this.notificationService.sendUpdateNotification(project);
+        return;
+      }
+
+      const beforeDate = event.getAllDayStartDate();
+
       // Update date
       if (project.dueDate) {
         event.setAllDayDate(project.dueDate);
@@ -416,9 +988,21 @@ class MaintenanceService {
       this.notificationService.sendUpdateNotification(project);
 
       DEBUG && console.log(`MaintenanceService: Synced calendar event for ${project.projectId}`);
+      this.auditLog.log(AUDIT_ACTIONS.CALENDAR_EVENT_UPDATED, {
+        projectId: project.projectId,
+        field: 'due_date',
+        before: beforeDate,
+        after: project.dueDate,
+        message: 'Daily calendar sync (date, title, description, guests)'
+      });
 
     } catch (error) {
       console.warn(`MaintenanceService: Error syncing event for ${project && project.projectId ? project.projectId : '(unknown project)'}: ${error.message}`);
+      this.auditLog.log(AUDIT_ACTIONS.CALENDAR_EVENT_UPDATED, {
+        projectId: project && project.projectId,
+        outcome: AUDIT_OUTCOME.FAILURE,
+        message: `Daily calendar sync failed: ${error.message}`
+      });
 
       if (Array.isArray(syncErrors)) {
         const row = project && typeof project.getRowIndex === 'function' ? project.getRowIndex() : undefined;
@@ -432,6 +1016,53 @@ class MaintenanceService {
       }
     }
   }
+
+  // ===== RETENTION =====
+
+  /**
+   * Applies the Audit Log retention policy (days kept + row cap).
+   * Buffered entries from this run are written first so they count toward the cap.
+   */
+  pruneAuditLog() {
+    if (this.ctx.dryRun) {
+      DEBUG && console.log('MaintenanceService: Dry run, skipping Audit Log rollover');
+      return;
+    }
+
+    this.auditLog.flush();
+    const removed = this.auditLog.applyRetention(this.today);
+    console.log(`MaintenanceService: Rolled over ${removed} Audit Log row(s)`);
+  }
+
+  /**
+   * Removes Email Queue rows sent more than DEFAULTS.EMAIL_QUEUE_SENT_DAYS ago.
+   * Pending and Failed rows are kept until they are sent or retried.
+   */
+  pruneEmailQueue() {
+    if (this.ctx.dryRun) {
+      DEBUG && console.log('MaintenanceService: Dry run, skipping Email Queue cleanup');
+      return;
+    }
+
+    const cutoff = new Date(this.today.getTime() - DEFAULTS.EMAIL_QUEUE_SENT_DAYS * 24 * 60 * 60 * 1000);
+    const removed = this.ctx.emailQueue.removeSentBefore(cutoff);
+    console.log(`MaintenanceService: Removed ${removed} sent Email Queue row(s)`);
+  }
+
+  /**
+   * Removes Notification Log entries older than DEFAULTS.NOTIFICATION_LOG_DAYS.
+   * Only today's entries are needed to skip repeats; older ones are kept as a record of what was sent.
+   */
+  pruneNotificationLog() {
+    if (this.ctx.dryRun) {
+      DEBUG && console.log('MaintenanceService: Dry run, skipping Notification Log cleanup');
+      return;
+    }
+
+    const cutoff = new Date(this.today.getTime() - DEFAULTS.NOTIFICATION_LOG_DAYS * 24 * 60 * 60 * 1000);
+    const removed = this.ctx.notificationLog.removeBefore(cutoff);
+    console.log(`MaintenanceService: Removed ${removed} Notification Log row(s)`);
+  }
 }
 
 // ===== BACKUPS =====
@@ -474,6 +1105,11 @@ MaintenanceService.prototype.backupProjectDirectory = function() {
   const dateStr = formatDateISO(this.today);
   const backupName = `Project Directory Backup ${dateStr}`;
 
+  if (this.ctx.dryRun) {
+    this.ctx.plan.record(DRY_RUN_CATEGORIES.DRIVE, 'Create weekly backup copy', { target: backupName });
+    return;
+  }
+
   // Check if today's backup already exists
   let alreadyExists = false;
   const existingIterator = backupsFolder.getFiles();
@@ -497,6 +1133,7 @@ MaintenanceService.prototype.backupProjectDirectory = function() {
       this.cleanupBackupForm(backupFile.getId());
 
       console.log(`MaintenanceService: Created backup "${backupName}"`);
+      this.auditLog.log(AUDIT_ACTIONS.BACKUP_CREATED, { after: backupFile.getId(), message: backupName });
     } catch (error) {
       console.error(`MaintenanceService: Failed to create backup: ${error.message}`);
       try {
@@ -1,16 +1,35 @@
 /**
  * NotificationService class - Handles all email notifications.
  * Includes template loading, caching, token substitution, and email sending.
+ * New project, reminder, status change, and cancellation events are also published to
+ * channels (chat spaces and other webhooks, see publish).
  */
 class NotificationService {
   /**
    * Creates a new NotificationService instance.
    * @param {Config} config - The Config instance
    * @param {Directory} directory - The Directory instance
+   * @param {DryRunPlan|null} [plan] - When set (dry-run mode), emails are recorded here instead of sent
+   * @param {NotificationDigest|null} [digest] - Where emails for "Daily Digest" staff are held
+   * @param {StatusLinkService|null} [statusLinks] - Builds the one-click status links in reminders
+   * @param {EmailQueue|null} [queue] - Outbound queue; without one, emails are sent directly
+   * @param {NotificationLog|null} [log] - Who was already sent what today; without one, nothing is skipped
+   * @param {boolean} [forceResend] - Send even to recipients the log says were already notified today
+   * @param {Date} [now] - The run's clock (ExecutionContext.now); defaults to the current time
    */
-  constructor(config, directory) {
+  constructor(config, directory, plan = null, digest = null, statusLinks = null, queue = null, log = null, forceResend = false, now = null) {
     this.config = config;
     this.directory = directory;
+    this.plan = plan;
+    this.digest = digest;
+    this.statusLinks = statusLinks;
+    this.queue = queue;
+    this.log = log;
+    this.forceResend = forceResend;
+    this.now = now || new Date();
+    this.channels = null;
+    this.published = new Set();
+    this.queueReserved = false;
     this.templateCache = new Map();
   }
 
@@ -18,7 +37,9 @@ class NotificationService {
 
   /**
    * Loads and parses an email template from a Google Doc.
-   * First line = subject, remaining lines = body.
+   * First non-empty paragraph = subject (plain text), remaining content = body.
+   * The body keeps the Doc's formatting as HTML (see elementsToHtml); paragraphs are
+   * separated by newlines, which sendEmail turns into line breaks.
    * @param {string} templateDocId - The Google Doc ID
    * @returns {Object} Object with 'subject' and 'body' properties
    */
@@ -35,16 +56,16 @@ class NotificationService {
 
     // Load from Google Doc
     const doc = withBackoff(() => DocumentApp.openById(templateDocId));
-    const text = doc.getBody().getText();
-    const lines = text.split('\n');
-
-    // First non-empty line is the subject
-    const subject = lines.find(line => line.trim() !== '') || '';
+    const docBody = doc.getBody();
+    const elements = [];
+    for (let i = 0; i < docBody.getNumChildren(); i++) {
+      elements.push(docBody.getChild(i));
+    }
 
-    // Find where body starts (after first non-empty line)
-    const firstLineIndex = lines.findIndex(line => line.trim() !== '');
-    const bodyLines = firstLineIndex >= 0 ? lines.slice(firstLineIndex + 1) : [];
-    const body = bodyLines.join('\n').trim();
+    // First non-empty paragraph is the subject; the body starts after it
+    const subjectIndex = elements.findIndex(element => element.getText().trim() !== '');
+    const subject = subjectIndex >= 0 ? elements[subjectIndex].getText() : '';
+    const body = this.elementsToHtml(elements.slice(subjectIndex + 1), '\n').trim();
 
     const template = {
       subject: subject.trim(),
@@ -59,28 +80,187 @@ class NotificationService {
   }
 
   /**
-   * Prepares an email by loading template and substituting tokens.
+   * Converts Doc body elements to HTML: paragraphs, bulleted/numbered lists, and tables.
+   * Other elements (page breaks, images, ...) are skipped.
+   * Template tags at the very start or end of a list item or table row are moved outside
+   * the <li>/<tr>, so {{#each}} in a list item or table row repeats the item or row.
+   * @param {GoogleAppsScript.Document.Element[]} elements - Body or table cell children
+   * @param {string} separator - Joins paragraphs ('\n' in the body, '<br>' inside table cells)
+   * @returns {string} HTML
+   */
+  elementsToHtml(elements, separator) {
+    const blocks = [];
+    let list = null;
+
+    for (const element of elements) {
+      const type = element.getType();
+
+      if (type === DocumentApp.ElementType.LIST_ITEM) {
+        const item = element.asListItem();
+        const bullets = [DocumentApp.GlyphType.BULLET, DocumentApp.GlyphType.HOLLOW_BULLET, DocumentApp.GlyphType.SQUARE_BULLET];
+        const tag = bullets.includes(item.getGlyphType()) ? 'ul' : 'ol';
+        if (!list || list.tag !== tag) {
+          list = { tag, items: [] };
+          blocks.push(list);
+        }
+        list.items.push(this.wrapHoistingTags('li', this.textToRichHtml(item.editAsText())));
+        continue;
+      }
+
+      list = null;
+      if (type === DocumentApp.ElementType.PARAGRAPH) {
+        blocks.push(this.textToRichHtml(element.asParagraph().editAsText()));
+      } else if (type === DocumentApp.ElementType.TABLE) {
+        blocks.push(this.tableToHtml(element.asTable()));
+      }
+    }
+
+    return blocks.map(block => (typeof block === 'string' ? block
+      : `<${block.tag}>${block.items.join('')}</${block.tag}>`)).join(separator);
+  }
+
+  /**
+   * Converts a Doc table to an HTML table (kept on one line, so no line breaks are added).
+   * @param {GoogleAppsScript.Document.Table} table - The table
+   * @returns {string} HTML
+   */
+  tableToHtml(table) {
+    const cellStyle = 'border: 1px solid #ccc; padding: 4px 8px; vertical-align: top;';
+    const rows = [];
+
+    for (let r = 0; r < table.getNumRows(); r++) {
+      const row = table.getRow(r);
+      const cells = [];
+      for (let c = 0; c < row.getNumCells(); c++) {
+        const cell = row.getCell(c);
+        const children = [];
+        for (let i = 0; i < cell.getNumChildren(); i++) {
+          children.push(cell.getChild(i));
+        }
+        cells.push(this.elementsToHtml(children, '<br>'));
+      }
+
+      // Tags opening the first cell or closing the last one belong around the row
+      const lead = this.splitTemplateTags(cells[0] || '').lead;
+      cells[0] = (cells[0] || '').slice(lead.length);
+      const last = this.splitTemplateTags(cells[cells.length - 1]);
+      cells[cells.length - 1] = last.inner;
+
+      const html = cells.map(cell => `<td style="${cellStyle}">${cell}</td>`).join('');
+      rows.push(`${lead.trim()}<tr>${html}</tr>${last.trail.trim()}`);
+    }
+
+    return `<table style="border-collapse: collapse;">${rows.join('')}</table>`;
+  }
+
+  /**
+   * Wraps HTML in a tag, keeping template tags at its start and end outside.
+   * @param {string} tag - Element name (e.g., 'li')
+   * @param {string} html - Inner HTML
+   * @returns {string} HTML
+   */
+  wrapHoistingTags(tag, html) {
+    const { lead, inner, trail } = this.splitTemplateTags(html);
+    return `${lead.trim()}<${tag}>${inner}</${tag}>${trail.trim()}`;
+  }
+
+  /**
+   * Splits the template tags ({{#each X}}, {{/if}}, ...) at the start and end off some HTML.
+   * @param {string} html - The HTML
+   * @returns {Object} {lead, inner, trail}
+   */
+  splitTemplateTags(html) {
+    const edge = `(?:\\s*${TEMPLATE_TAG_PATTERN.source}\\s*)+`;
+    const lead = (html.match(new RegExp(`^${edge}`)) || [''])[0];
+    const rest = html.slice(lead.length);
+    const trail = (rest.match(new RegExp(`${edge}$`)) || [''])[0];
+    return { lead, inner: rest.slice(0, rest.length - trail.length), trail };
+  }
+
+  /**
+   * Converts a Doc text element to HTML, keeping bold, italic, underline, and links.
+   * The text itself is not escaped, so HTML typed into the Doc (e.g. <b>) still works.
+   * @param {GoogleAppsScript.Document.Text} text - The text element
+   * @returns {string} HTML
+   */
+  textToRichHtml(text) {
+    const content = text.getText();
+    if (!content) return '';
+
+    const starts = text.getTextAttributeIndices();
+    if (starts.length === 0 || starts[0] !== 0) {
+      starts.unshift(0);
+    }
+
+    let html = '';
+    for (let i = 0; i < starts.length; i++) {
+      const start = starts[i];
+      const end = i + 1 < starts.length ? starts[i + 1] : content.length;
+      // Soft line breaks (Shift+Enter) come through as \r
+      let run = content.slice(start, end).replace(/\r/g, '<br>');
+      if (!run) continue;
+
+      const link = text.getLinkUrl(start);
+      if (text.isBold(start)) run = `<strong>${run}</strong>`;
+      if (text.isItalic(start)) run = `<em>${run}</em>`;
+      if (text.isUnderline(start) && !link) run = `<u>${run}</u>`;
+      if (link) run = `<a href="${link}">${run}</a>`;
+      html += run;
+    }
+
+    return html;
+  }
+
+  /**
+   * Prepares an email by loading template and rendering it (see renderTemplate).
    * @param {string} templateDocId - The Google Doc ID
-   * @param {Object} tokenValues - Key-value pairs for token substitution
+   * @param {Object} tokenValues - Token values; lists for {{#each}} are arrays of objects
    * @returns {Object} Object with 'subject' and 'body' properties
    */
   prepareEmail(templateDocId, tokenValues) {
     const template = this.loadTemplate(templateDocId);
 
     return {
-      subject: substituteTokens(template.subject, tokenValues),
-      body: substituteTokens(template.body, tokenValues)
+      subject: renderTemplate(template.subject, tokenValues),
+      body: renderTemplate(template.body, tokenValues)
     };
   }
 
   /**
-   * Sends an email using Gmail.
+   * Sends an email: queues it in the Email Queue (sent when the run flushes, see drainEmailQueue),
+   * or sends it directly when there is no queue or options.immediate is set.
    * @param {string|string[]} to - Recipient email(s)
    * @param {string} subject - Email subject
    * @param {string} body - Email body (plain text)
    * @param {Object} options - Additional options (cc, bcc, htmlBody, etc.)
+   * @param {boolean} [options.immediate] - Send now instead of queueing (queued for retry if sending fails)
+   * @param {string} [options.type] - NOTIFICATION_TYPES value; when set, away To/CC recipients are
+   *   covered by their delegate, and each recipient's Directory notification preferences decide
+   *   whether they get it now, in their daily digest, or not at all
+   * @param {string[]} [options.projects] - Projects the email is about; for LOGGED_NOTIFICATION_TYPES,
+   *   recipients already sent this type about all of them today are skipped (see applyLog), and
+   *   the Notification Log entries are written once the email is actually sent
    */
   sendEmail(to, subject, body, options = {}) {
+    let logEntries = [];
+    if (options.type) {
+      const toList = this.applyLog(options.type, options.projects, this.applyDelegates(to), subject);
+      const ccList = this.applyLog(options.type, options.projects, this.applyDelegates(options.cc), subject);
+      const toNow = this.applyPreferences(options.type, toList, subject, body, options.projects);
+      const ccNow = this.applyPreferences(options.type, ccList, subject, body, options.projects)
+        .filter(email => !toNow.includes(email));
+      if (toNow.length === 0 && ccNow.length === 0) {
+        DEBUG && console.log(`NotificationService: No recipient wants "${subject}" now, not sending`);
+        return;
+      }
+      // Copied recipients still get the email when every primary recipient opted out
+      to = toNow.length > 0 ? toNow : ccNow;
+      options = Object.assign({}, options, {
+        cc: toNow.length > 0 && ccNow.length > 0 ? joinCommaSeparated(ccNow) : undefined
+      });
+      logEntries = this.buildLogEntries(options.type, options.projects, toNow.concat(ccNow));
+    }
+
     const recipients = Array.isArray(to) ? to.join(',') : to;
 
     if (!recipients) {
@@ -88,6 +268,55 @@ class NotificationService {
       return;
     }
 
+    if (this.plan) {
+      const copies = [options.cc, options.bcc].filter(Boolean).join(', ');
+      this.plan.record(DRY_RUN_CATEGORIES.GMAIL, 'Send email', {
+        target: copies ? `${recipients} (cc/bcc: ${copies})` : recipients,
+        message: subject
+      });
+      return;
+    }
+
+    // Undefined options drop out of the queued JSON; log holds the entries to write once sent
+    const sendOptions = {
+      cc: options.cc || undefined,
+      bcc: options.bcc || undefined,
+      name: options.name,
+      replyTo: options.replyTo,
+      htmlBody: options.htmlBody,
+      log: logEntries.length > 0 ? logEntries : undefined
+    };
+    const canQueue = this.queue && this.queue.fits(body, sendOptions);
+
+    if (canQueue && !options.immediate) {
+      this.queue.add(recipients, subject, body, sendOptions);
+      this.reserveLogEntries(logEntries);
+      DEBUG && console.log(`NotificationService: Queued email to ${recipients}: "${subject}"`);
+      return;
+    }
+
+    try {
+      this.deliverEmail(recipients, subject, body, sendOptions);
+      this.logSent(logEntries, subject);
+    } catch (error) {
+      if (!canQueue) {
+        throw error;
+      }
+      console.warn(`NotificationService: Queued "${subject}" for retry after: ${error.message}`);
+      this.queue.add(recipients, subject, body, sendOptions);
+      this.reserveLogEntries(logEntries);
+    }
+  }
+
+  /**
+   * Sends an email through Gmail now.
+   * @param {string} recipients - Comma-separated recipients
+   * @param {string} subject - Email subject
+   * @param {string} body - Email body (plain text)
+   * @param {Object} options - cc, bcc, name, replyTo, htmlBody
+   * @throws {Error} If Gmail refuses the email (after withBackoff retries)
+   */
+  deliverEmail(recipients, subject, body, options) {
     try {
       withBackoff(() => {
         GmailApp.sendEmail(recipients, subject, body, {
@@ -106,6 +335,408 @@ class NotificationService {
     }
   }
 
+  /**
+   * Sends the Pending emails in the Email Queue whose Next Attempt has come, oldest first,
+   * while the daily Gmail quota (MailApp.getRemainingDailyQuota, counted per recipient) lasts.
+   * Emails that do not fit in today's quota wait for a later run. A failed send is retried after
+   * DEFAULTS.EMAIL_RETRY_MINUTES, doubling each time, and marked Failed after
+   * DEFAULTS.EMAIL_MAX_ATTEMPTS attempts. Each email's Status is re-read just before it is sent, so
+   * one that was sent, failed, or removed since the queue was read is skipped.
+   * Callers hold the script lock (see ExecutionContext.flushEmails).
+   * @returns {Object} {sent, deferred, failed: Object[]} - failed lists emails marked Failed by this drain
+   */
+  drainEmailQueue() {
+    const result = { sent: 0, deferred: 0, failed: [] };
+    if (!this.queue || this.plan) {
+      return result;
+    }
+
+    const now = this.now;
+    const messages = this.queue.getMessages();
+    const due = messages.filter(m => m.status === EMAIL_QUEUE_STATUS.PENDING && (!m.nextAttempt || m.nextAttempt <= now));
+    if (due.length === 0) {
+      return result;
+    }
+
+    let quota = withBackoff(() => MailApp.getRemainingDailyQuota());
+    const changed = [];
+
+    for (let i = 0; i < due.length; i++) {
+      const message = due[i];
+      const recipientCount = [message.to, message.options.cc, message.options.bcc]
+        .reduce((count, list) => count + parseCommaSeparated(list || '').length, 0);
+
+      if (recipientCount > quota) {
+        result.deferred = due.length - i;
+        console.warn(`NotificationService: Daily email quota reached, ${result.deferred} queued email(s) wait for a later run`);
+        break;
+      }
+
+      if (this.queue.getCurrentStatus(message) !== EMAIL_QUEUE_STATUS.PENDING) {
+        DEBUG && console.log(`NotificationService: Queued "${message.subject}" is no longer Pending, skipping`);
+        continue;
+      }
+
+      message.attempts += 1;
+      try {
+        this.deliverEmail(message.to, message.subject, message.body, message.options);
+        this.logSent(message.options.log || [], message.subject);
+        message.status = EMAIL_QUEUE_STATUS.SENT;
+        message.sentAt = now;
+        message.nextAttempt = null;
+        message.lastError = '';
+        quota -= recipientCount;
+        result.sent++;
+      } catch (error) {
+        message.lastError = error.message;
+        if (/too many times|quota/i.test(error.message)) {
+          // Quota ran out sooner than reported: not the email's fault
+          message.attempts -= 1;
+          changed.push(message);
+          result.deferred = due.length - i;
+          break;
+        }
+        if (message.attempts >= DEFAULTS.EMAIL_MAX_ATTEMPTS) {
+          message.status = EMAIL_QUEUE_STATUS.FAILED;
+          message.nextAttempt = null;
+          result.failed.push(message);
+        } else {
+          const delayMinutes = DEFAULTS.EMAIL_RETRY_MINUTES * Math.pow(2, message.attempts - 1);
+          message.nextAttempt = new Date(now.getTime() + delayMinutes * 60 * 1000);
+        }
+      }
+      changed.push(message);
+    }
+
+    this.queue.saveMessages(changed);
+    console.log(`NotificationService: Email queue sent ${result.sent}, deferred ${result.deferred}, failed ${result.failed.length}`);
+
+    return result;
+  }
+
+  /**
+   * Summarizes the Email Queue for the status report.
+   * @returns {Object} {remainingQuota, sentCount, pending: Object[], failed: Object[]} - pending and
+   *   failed list {queuedAt, to, subject, attempts, nextAttempt, lastError}, oldest first
+   */
+  getEmailQueueStatus() {
+    const messages = this.queue ? this.queue.getMessages() : [];
+    const summarize = m => ({
+      queuedAt: m.queuedAt,
+      to: m.to,
+      subject: m.subject,
+      attempts: m.attempts,
+      nextAttempt: m.nextAttempt,
+      lastError: m.lastError
+    });
+
+    return {
+      remainingQuota: withBackoff(() => MailApp.getRemainingDailyQuota()),
+      sentCount: messages.filter(m => m.status === EMAIL_QUEUE_STATUS.SENT).length,
+      pending: messages.filter(m => m.status === EMAIL_QUEUE_STATUS.PENDING).map(summarize),
+      failed: messages.filter(m => m.status === EMAIL_QUEUE_STATUS.FAILED).map(summarize)
+    };
+  }
+
+  /**
+   * Puts every Failed email in the Email Queue back to Pending with a fresh set of attempts.
+   * @returns {number} Number of emails requeued
+   */
+  requeueFailedEmails() {
+    if (!this.queue || this.plan) {
+      return 0;
+    }
+
+    const failed = this.queue.getMessages().filter(m => m.status === EMAIL_QUEUE_STATUS.FAILED);
+    for (const message of failed) {
+      message.status = EMAIL_QUEUE_STATUS.PENDING;
+      message.attempts = 0;
+      message.nextAttempt = null;
+    }
+    this.queue.saveMessages(failed);
+
+    console.log(`NotificationService: Requeued ${failed.length} failed email(s)`);
+    return failed.length;
+  }
+
+  // ===== CHANNELS =====
+
+  /**
+   * Gets the registered channels, starting with a WebhookChannel per Config "Webhook - <category>" row.
+   * @returns {Object[]} Array of {channel, category} (category is WEBHOOK_ALL_CATEGORIES for every category)
+   */
+  getChannels() {
+    if (!this.channels) {
+      this.channels = [];
+      for (const [category, url] of this.config.webhookUrls) {
+        this.addChannel(new WebhookChannel(`${WEBHOOK_KEY_PREFIX}${category}`, url), category);
+      }
+    }
+    return this.channels;
+  }
+
+  /**
+   * Registers a channel. A channel is any object with an id (unique, used in the Notification
+   * Log) and a send(event) method that throws when delivery fails.
+   * @param {Object} channel - e.g. a WebhookChannel
+   * @param {string} [category] - Only this category's projects (default: WEBHOOK_ALL_CATEGORIES)
+   */
+  addChannel(channel, category = WEBHOOK_ALL_CATEGORIES) {
+    this.getChannels().push({ channel, category });
+  }
+
+  /**
+   * Publishes a project event to the channels for its category. Each event goes to a channel
+   * once per project and day: repeats in the same run (one per recipient's email) and re-runs
+   * logged in the Notification Log are skipped unless forceResend is set. Failures are logged
+   * and left out of the Notification Log so the next run tries again; they never stop the run.
+   * @param {Object} event - {type, project, daysUntilDue?, oldStatus?, newStatus?}; type is a
+   *   CHANNEL_NOTIFICATION_TYPES value
+   */
+  publish(event) {
+    if (!CHANNEL_NOTIFICATION_TYPES.includes(event.type)) {
+      return;
+    }
+
+    const project = event.project;
+    const category = project.category.toLowerCase();
+    const today = formatDateISO(this.now);
+    const logProject = this.getLogProject(event.type, project.projectId, event.newStatus);
+
+    for (const { channel, category: channelCategory } of this.getChannels()) {
+      if (channelCategory !== WEBHOOK_ALL_CATEGORIES && channelCategory.toLowerCase() !== category) {
+        continue;
+      }
+
+      const key = [channel.id, event.type, logProject].join('|');
+      if (this.published.has(key)) {
+        continue;
+      }
+      this.published.add(key);
+
+      if (this.log && !this.forceResend && this.log.has(channel.id, event.type, logProject, today)) {
+        console.log(`NotificationService: ${channel.id} already got ${event.type} for ${project.projectId} today`);
+        continue;
+      }
+
+      if (this.plan) {
+        this.plan.record(DRY_RUN_CATEGORIES.WEBHOOK, 'Post message', {
+          projectId: project.projectId,
+          target: channel.id,
+          message: event.type
+        });
+        continue;
+      }
+
+      try {
+        channel.send(event);
+        if (this.log) {
+          this.log.add(channel.id, event.type, logProject, today, `${event.type}: ${project.displayTitle}`);
+        }
+      } catch (error) {
+        console.error(`NotificationService: Could not post ${event.type} for ${project.projectId} to ${channel.id}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Adds (or, in Redirect mode, substitutes) the Directory delegate of each recipient who is away today.
+   * @param {string|string[]} emails - Recipient email(s), comma-separated or array
+   * @returns {string[]} Recipients with delegates applied, without duplicates
+   */
+  applyDelegates(emails) {
+    const list = Array.isArray(emails) ? emails : parseCommaSeparated(emails);
+    const redirect = this.config.delegateNotificationMode === DELEGATE_NOTIFICATION_MODES.REDIRECT;
+    const result = [];
+
+    for (const email of list) {
+      const delegateEmail = this.directory.getActiveDelegate(email, this.now);
+      if (!delegateEmail || !redirect) {
+        result.push(email.toLowerCase());
+      }
+      if (delegateEmail) {
+        DEBUG && console.log(`NotificationService: ${email} is away, ${redirect ? 'redirecting' : 'copying'} to ${delegateEmail}`);
+        result.push(delegateEmail);
+      }
+    }
+
+    return [...new Set(result)];
+  }
+
+  /**
+   * Drops recipients the Notification Log says already got this notification about every one of
+   * the projects today, or who have it waiting in the Email Queue. Only LOGGED_NOTIFICATION_TYPES
+   * are checked; with forceResend nobody is dropped. Nothing is logged here: entries are written
+   * when the email is sent (see logSent).
+   * @param {string} type - NOTIFICATION_TYPES value
+   * @param {string[]|undefined} projects - Projects the email is about
+   * @param {string[]} emails - Recipients (delegates already applied)
+   * @param {string} subject - Email subject (logged with the entry)
+   * @returns {string[]} Recipients not yet notified today
+   */
+  applyLog(type, projects, emails, subject) {
+    if (!this.log || !projects || projects.length === 0 || !LOGGED_NOTIFICATION_TYPES.includes(type)) {
+      return emails;
+    }
+
+    this.reserveQueuedNotifications();
+    const today = formatDateISO(this.now);
+    const result = [];
+
+    for (const email of emails) {
+      if (projects.every(project => this.log.has(email, type, project, today))) {
+        if (!this.forceResend) {
+          console.log(`NotificationService: ${email} already got "${subject}" today, not sending again`);
+          continue;
+        }
+        console.log(`NotificationService: Resending "${subject}" to ${email} (forced)`);
+      }
+      result.push(email);
+    }
+
+    return result;
+  }
+
+  /**
+   * Builds the Notification Log entries for an email: one per recipient and project, dated today.
+   * @param {string} type - NOTIFICATION_TYPES value
+   * @param {string[]|undefined} projects - Projects the email is about
+   * @param {string[]} emails - Recipients getting the email
+   * @returns {Object[]} Entries as {recipient, type, project, date}; empty for types that are not logged
+   */
+  buildLogEntries(type, projects, emails) {
+    if (!this.log || !projects || projects.length === 0 || !LOGGED_NOTIFICATION_TYPES.includes(type)) {
+      return [];
+    }
+
+    const date = formatDateISO(this.now);
+    return emails.flatMap(email => projects.map(project => ({ recipient: email, type, project, date })));
+  }
+
+  /**
+   * Writes the Notification Log entries of an email that was sent (or held for a digest).
+   * Dry runs never write to the log.
+   * @param {Object[]} entries - From buildLogEntries
+   * @param {string} subject - Email subject
+   */
+  logSent(entries, subject) {
+    if (!this.log || this.plan) {
+      return;
+    }
+    for (const { recipient, type, project, date } of entries) {
+      this.log.add(recipient, type, project, date, subject);
+    }
+  }
+
+  /**
+   * Reserves the Notification Log entries of an email left in the Email Queue, so this run does
+   * not queue it again before it is sent.
+   * @param {Object[]} entries - From buildLogEntries
+   */
+  reserveLogEntries(entries) {
+    for (const { recipient, type, project, date } of entries) {
+      this.log.reserve(recipient, type, project, date);
+    }
+  }
+
+  /**
+   * Reserves the entries of emails still Pending in the Email Queue (e.g. deferred by the daily
+   * quota in an earlier run), once per run, so a re-run does not queue them a second time.
+   */
+  reserveQueuedNotifications() {
+    if (this.queueReserved || !this.queue) {
+      return;
+    }
+    this.queueReserved = true;
+
+    for (const message of this.queue.getMessages()) {
+      if (message.status === EMAIL_QUEUE_STATUS.PENDING && Array.isArray(message.options.log)) {
+        this.reserveLogEntries(message.options.log);
+      }
+    }
+  }
+
+  /**
+   * Gets the Project value a notification is logged under. Status changes include the new
+   * status, so a second change of the same project on the same day is still notified.
+   * @param {string} type - NOTIFICATION_TYPES value
+   * @param {string} projectId - Project ID
+   * @param {string} [newStatus] - New status (status changes only)
+   * @returns {string} Project ID, or "<project ID> / <new status>" for status changes
+   */
+  getLogProject(type, projectId, newStatus) {
+    return type === NOTIFICATION_TYPES.STATUS_CHANGE && newStatus ? `${projectId} / ${newStatus}` : projectId;
+  }
+
+  /**
+   * Checks a recipient's Directory notification preferences for one kind of email.
+   * @param {string} email - Recipient email
+   * @param {string} type - NOTIFICATION_TYPES value
+   * @returns {boolean} False if they muted the type (unless it cannot be muted) or have no email channel
+   */
+  wantsType(email, type) {
+    const preferences = this.directory.getNotificationPreferences(email);
+    const muted = preferences.muted.has(type) && !UNMUTABLE_NOTIFICATION_TYPES.includes(type);
+    return !muted && preferences.channels.includes(NOTIFICATION_CHANNELS.EMAIL);
+  }
+
+  /**
+   * Filters recipients by their Directory notification preferences for one kind of email.
+   * Muted recipients (except for UNMUTABLE_NOTIFICATION_TYPES) and recipients with no email
+   * channel are dropped; "Daily Digest" recipients of a digestible type have the email held for
+   * their next digest.
+   * @param {string} type - NOTIFICATION_TYPES value
+   * @param {string|string[]} emails - Recipient email(s), comma-separated or array
+   * @param {string} subject - Email subject (held with the email)
+   * @param {string} body - Email body (held with the email)
+   * @param {string[]} [projects] - Projects the email is about; held emails are logged right away
+   * @returns {string[]} Recipients who should get the email now
+   */
+  applyPreferences(type, emails, subject, body, projects = null) {
+    const list = Array.isArray(emails) ? emails : parseCommaSeparated(emails);
+    const sendNow = [];
+
+    for (const email of list) {
+      if (!this.wantsType(email, type)) {
+        DEBUG && console.log(`NotificationService: ${email} opted out of ${type} emails`);
+        continue;
+      }
+
+      const preferences = this.directory.getNotificationPreferences(email);
+      if (preferences.delivery === EMAIL_DELIVERY.DAILY_DIGEST &&
+          DIGESTIBLE_NOTIFICATION_TYPES.includes(type) &&
+          (this.plan || this.digest)) {
+        this.holdForDigest(email, type, subject, body);
+        this.logSent(this.buildLogEntries(type, projects, [email]), subject);
+        continue;
+      }
+
+      sendNow.push(email);
+    }
+
+    return sendNow;
+  }
+
+  /**
+   * Holds an email for the recipient's next daily digest (recorded only in dry-run mode).
+   * @param {string} email - Recipient email
+   * @param {string} type - NOTIFICATION_TYPES value
+   * @param {string} subject - Email subject
+   * @param {string} body - Email body
+   */
+  holdForDigest(email, type, subject, body) {
+    if (this.plan) {
+      this.plan.record(DRY_RUN_CATEGORIES.GMAIL, 'Hold email for daily digest', {
+        target: email,
+        message: subject
+      });
+      return;
+    }
+
+    this.digest.add(email, type, subject, body);
+    DEBUG && console.log(`NotificationService: Held "${subject}" for ${email}'s daily digest`);
+  }
+
   /**
    * Converts text to basic HTML.
    * TRUSTS the input to contain valid HTML tags.
@@ -124,7 +755,7 @@ class NotificationService {
     // Convert URLs to links (if not already linked)
     // Simple lookahead to avoid double-linking
     html = html.replace(
-      /(?<!href=")(https?:\/\/[^\s<]+)/g,
+      /(?<!href="|<a [^>]*>)(https?:\/\/[^\s<]+)/g,
       '<a href="$1">$1</a>'
     );
 
@@ -139,6 +770,8 @@ class NotificationService {
    * @param {Project} project - The project
    */
   sendNewProjectEmail(project) {
+    this.publish({ type: NOTIFICATION_TYPES.NEW_PROJECT, project });
+
     const templateId = this.config.emailTemplateNewProject;
     if (!templateId) {
       console.warn('NotificationService: New Project email template not configured');
@@ -170,7 +803,9 @@ class NotificationService {
 
     // Send single email to all assignees, CC the requester
     this.sendEmail(assigneeEmails, prepared.subject, prepared.body, {
-      cc: requesterEmail || undefined
+      cc: requesterEmail || undefined,
+      type: NOTIFICATION_TYPES.NEW_PROJECT,
+      projects: [project.projectId]
     });
   }
 
@@ -180,6 +815,10 @@ class NotificationService {
    * @param {Object[]} reminders - Array of {project, daysUntilDue}
    */
   sendReminderDigest(assigneeEmail, reminders) {
+    for (const { project, daysUntilDue } of reminders) {
+      this.publish({ type: NOTIFICATION_TYPES.REMINDER, project, daysUntilDue });
+    }
+
     const templateId = this.config.emailTemplateReminder;
     if (!templateId) {
       console.warn('NotificationService: Reminder email template not configured');
@@ -191,17 +830,32 @@ class NotificationService {
     }
 
     const assigneeName = this.directory.getNameByEmail(assigneeEmail) || assigneeEmail;
+    const template = this.loadTemplate(templateId);
+    const usesLinksToken = template.body.includes(EMAIL_TOKENS.STATUS_LINKS);
+    const usesList = new RegExp(`{{\\s*#each\\s+${EMAIL_LIST_TOKENS.REMINDERS}\\s*}}`).test(template.body);
+
+    const tokenValues = this.buildReminderValues(assigneeEmail, reminders);
+    const items = tokenValues[EMAIL_LIST_TOKENS.REMINDERS];
+    const emailOptions = { type: NOTIFICATION_TYPES.REMINDER, projects: reminders.map(r => r.project.projectId) };
 
     // If single reminder, use the standard template format
     if (reminders.length === 1) {
-      const { project, daysUntilDue } = reminders[0];
-      const tokenValues = project.getTokenValues(this.directory, {
-        ASSIGNEE_NAME: assigneeName,
-        DAYS_UNTIL_DUE: String(daysUntilDue)
-      });
+      const statusLinks = items[0].STATUS_LINKS;
 
       const prepared = this.prepareEmail(templateId, tokenValues);
-      this.sendEmail(assigneeEmail, prepared.subject, prepared.body);
+      // Templates written before {{STATUS_LINKS}} existed still get the links, at the end
+      const body = statusLinks && !usesLinksToken ? `${prepared.body}<br><br>${statusLinks}` : prepared.body;
+      this.sendEmail(assigneeEmail, prepared.subject, body, emailOptions);
+      return;
+    }
+
+    // Multiple reminders with a template that loops over {{#each REMINDERS}}: the template owns the layout
+    if (usesList) {
+      const prepared = this.prepareEmail(templateId, tokenValues);
+      const links = items.filter(item => item.STATUS_LINKS)
+        .map(item => `<strong>${item.PROJECT_TITLE}</strong>: ${item.STATUS_LINKS}`);
+      const body = links.length > 0 && !usesLinksToken ? `${prepared.body}<br><br>${links.join('<br>')}` : prepared.body;
+      this.sendEmail(assigneeEmail, prepared.subject, body, emailOptions);
       return;
     }
 
@@ -209,9 +863,11 @@ class NotificationService {
     // Use a custom subject and build the list ourselves
     const subject = `Reminder: ${reminders.length} projects with upcoming deadlines`;
 
-    const remindersList = reminders.map(({ project, daysUntilDue }) => {
+    const remindersList = reminders.map(({ project, daysUntilDue }, i) => {
+      const statusLinks = items[i].STATUS_LINKS;
       return `• <strong>${project.projectName}</strong> - Due in ${daysUntilDue} days (${formatDate(project.dueDate)})<br>` +
-             `  Project ID: ${project.projectId} | <a href="${project.folderUrl}">View Project Folder</a>`;
+             `  Project ID: ${project.projectId} | <a href="${project.folderUrl}">View Project Folder</a>` +
+             (statusLinks ? `<br>  ${statusLinks}` : '');
     }).join('<br><br>');
 
     const body = `Hello ${assigneeName},<br><br>` +
@@ -220,7 +876,72 @@ class NotificationService {
                  `Please ensure all work is completed and submitted by the deadlines.<br><br>` +
                  `Thank you.`;
 
-    this.sendEmail(assigneeEmail, subject, body);
+    this.sendEmail(assigneeEmail, subject, body, emailOptions);
+  }
+
+  /**
+   * Builds the reminder template's token values: REMINDERS (one item per project) and,
+   * for a single reminder, that project's tokens at the top level too.
+   * @param {string} assigneeEmail - The assignee's email
+   * @param {Object[]} reminders - Array of {project, daysUntilDue}
+   * @returns {Object} Token values
+   */
+  buildReminderValues(assigneeEmail, reminders) {
+    const assigneeName = this.directory.getNameByEmail(assigneeEmail) || assigneeEmail;
+    const items = reminders.map(({ project, daysUntilDue }) => project.getTokenValues(this.directory, {
+      DAYS_UNTIL_DUE: String(daysUntilDue),
+      STATUS_LINKS: this.buildStatusLinks(project, assigneeEmail)
+    }));
+
+    return Object.assign({}, items.length === 1 ? items[0] : {}, {
+      ASSIGNEE_NAME: assigneeName,
+      RECIPIENT_NAME: assigneeName,
+      REMINDER_COUNT: String(reminders.length),
+      [EMAIL_LIST_TOKENS.REMINDERS]: items
+    });
+  }
+
+  /**
+   * Builds the one-click status links for a reminder.
+   * @param {Project} project - The project
+   * @param {string} recipientEmail - The reminder recipient
+   * @returns {string} HTML line of links, or '' when status links are not configured
+   */
+  buildStatusLinks(project, recipientEmail) {
+    return this.statusLinks ? this.statusLinks.buildLinksHtml(project, recipientEmail) : '';
+  }
+
+  /**
+   * Sends a task reminder digest to a single assignee covering their upcoming subtasks.
+   * @param {string} assigneeEmail - The assignee's email
+   * @param {Object[]} taskReminders - Array of {task, project, daysUntilDue}
+   */
+  sendTaskReminderDigest(assigneeEmail, taskReminders) {
+    if (taskReminders.length === 0) {
+      return;
+    }
+
+    const assigneeName = this.directory.getNameByEmail(assigneeEmail) || assigneeEmail;
+
+    const subject = taskReminders.length === 1
+      ? `Reminder: Task "${taskReminders[0].task.name}" due in ${taskReminders[0].daysUntilDue} days`
+      : `Reminder: ${taskReminders.length} tasks with upcoming deadlines`;
+
+    const tasksList = taskReminders.map(({ task, project, daysUntilDue }) => {
+      return `• <strong>${task.name}</strong> - Due in ${daysUntilDue} days (${formatDate(task.deadline)})<br>` +
+             `  Project: ${project.projectName} (${project.projectId}) | <a href="${project.folderUrl}">View Project Folder</a>`;
+    }).join('<br><br>');
+
+    const body = `Hello ${assigneeName},<br><br>` +
+                 `This is a reminder that the following tasks are approaching their deadlines:<br><br>` +
+                 `${tasksList}<br><br>` +
+                 `Please mark each task Complete in the Tasks sheet when it is done.<br><br>` +
+                 `Thank you.`;
+
+    this.sendEmail(assigneeEmail, subject, body, {
+      type: NOTIFICATION_TYPES.REMINDER,
+      projects: taskReminders.map(({ task }) => `${task.projectId} / ${task.name}`)
+    });
   }
 
   /**
@@ -230,6 +951,10 @@ class NotificationService {
    * @param {Date} date - The date of the digest
    */
   sendStatusChangeDigest(recipientEmail, changes, date) {
+    for (const { project, oldStatus, newStatus } of changes) {
+      this.publish({ type: NOTIFICATION_TYPES.STATUS_CHANGE, project, oldStatus, newStatus });
+    }
+
     const templateId = this.config.emailTemplateStatusChange;
     if (!templateId) {
       console.warn('NotificationService: Status Change email template not configured');
@@ -241,7 +966,23 @@ class NotificationService {
     }
 
     const recipientName = this.directory.getNameByEmail(recipientEmail) || recipientEmail;
+    const tokenValues = this.buildStatusChangeValues(recipientName, changes, date);
 
+    const prepared = this.prepareEmail(templateId, tokenValues);
+    this.sendEmail(recipientEmail, prepared.subject, prepared.body, {
+      type: NOTIFICATION_TYPES.STATUS_CHANGE,
+      projects: changes.map(change => this.getLogProject(NOTIFICATION_TYPES.STATUS_CHANGE, change.project.projectId, change.newStatus))
+    });
+  }
+
+  /**
+   * Builds the status change template's token values.
+   * @param {string} recipientName - Recipient's name
+   * @param {Object[]} changes - Array of {project, oldStatus, newStatus}
+   * @param {Date} date - The date of the digest
+   * @returns {Object} Token values (STATUS_CHANGES_LIST and the STATUS_CHANGES list)
+   */
+  buildStatusChangeValues(recipientName, changes, date) {
     // Build the status changes list
     const changesList = changes.map(change => {
       const { project, newStatus } = change;
@@ -249,14 +990,129 @@ class NotificationService {
              `  Project ID: ${project.projectId} | <a href="${project.folderUrl}">View Project Folder</a>`;
     }).join('<br><br>');
 
-    const tokenValues = {
+    return {
       RECIPIENT_NAME: recipientName,
       DATE: formatDate(date),
-      STATUS_CHANGES_LIST: changesList
+      STATUS_CHANGES_LIST: changesList,
+      [EMAIL_LIST_TOKENS.STATUS_CHANGES]: changes.map(({ project, oldStatus, newStatus }) =>
+        project.getTokenValues(this.directory, { OLD_STATUS: oldStatus || '', NEW_STATUS: newStatus }))
     };
+  }
+
+  /**
+   * Sends a requester their weekly summary of open projects.
+   * Projects that need attention (Late, Stuck, Behind Schedule) and deadlines in the next
+   * DEFAULTS.WEEKLY_SUMMARY_UPCOMING_DAYS days are listed first, then every project by status.
+   * @param {string} recipientEmail - Requester email
+   * @param {Project[]} projects - The requester's open projects
+   * @param {Date} date - The date of the summary
+   * @param {string[]} [statusOrder] - Status display order (Codes sheet order); others follow
+   */
+  sendWeeklySummary(recipientEmail, projects, date, statusOrder = []) {
+    const templateId = this.config.emailTemplateWeeklySummary;
+    if (!templateId) {
+      console.warn('NotificationService: Weekly Summary email template not configured');
+      return;
+    }
+
+    if (projects.length === 0) {
+      return;
+    }
+
+    const recipientName = this.directory.getNameByEmail(recipientEmail) || recipientEmail;
+    const tokenValues = this.buildWeeklySummaryValues(recipientName, projects, date, statusOrder);
 
     const prepared = this.prepareEmail(templateId, tokenValues);
-    this.sendEmail(recipientEmail, prepared.subject, prepared.body);
+    this.sendEmail(recipientEmail, prepared.subject, prepared.body, {
+      type: NOTIFICATION_TYPES.WEEKLY_SUMMARY,
+      projects: projects.map(project => project.projectId)
+    });
+  }
+
+  /**
+   * Builds the weekly summary template's token values.
+   * @param {string} recipientName - Requester's name
+   * @param {Project[]} projects - The requester's open projects
+   * @param {Date} date - The date of the summary
+   * @param {string[]} [statusOrder] - Status display order (Codes sheet order); others follow
+   * @returns {Object} Token values
+   */
+  buildWeeklySummaryValues(recipientName, projects, date, statusOrder = []) {
+    const byDueDate = [...projects].sort((a, b) => a.daysUntilDue(date) - b.daysUntilDue(date));
+
+    const attentionStatuses = [PROJECT_STATUS.LATE, PROJECT_STATUS.STUCK, PROJECT_STATUS.BEHIND_SCHEDULE];
+    const attention = byDueDate.filter(p => attentionStatuses.includes(p.projectStatus));
+    const upcoming = byDueDate.filter(p => {
+      const daysUntilDue = p.daysUntilDue(date);
+      return daysUntilDue >= 0 && daysUntilDue <= DEFAULTS.WEEKLY_SUMMARY_UPCOMING_DAYS;
+    });
+
+    const attentionList = attention.map(project => {
+      return `• <strong>${project.projectName}</strong> - <strong>${project.projectStatus}</strong> ` +
+             `(due ${formatDate(project.dueDate)})<br>` +
+             `  Project ID: ${project.projectId} | <a href="${project.folderUrl}">View Project Folder</a>`;
+    }).join('<br><br>');
+
+    const upcomingList = upcoming.map(project => {
+      return `• <strong>${project.projectName}</strong> - Due in ${project.daysUntilDue(date)} days ` +
+             `(${formatDate(project.dueDate)}) - ${project.projectStatus}<br>` +
+             `  Project ID: ${project.projectId} | <a href="${project.folderUrl}">View Project Folder</a>`;
+    }).join('<br><br>');
+
+    // Group by status: Codes order first, then any other statuses in order of appearance
+    const projectsByStatus = new Map(statusOrder.map(status => [status, []]));
+    for (const project of byDueDate) {
+      const status = project.projectStatus || PROJECT_STATUS.PROJECT_ASSIGNED;
+      if (!projectsByStatus.has(status)) {
+        projectsByStatus.set(status, []);
+      }
+      projectsByStatus.get(status).push(project);
+    }
+
+    const statusSections = [];
+    for (const [status, statusProjects] of projectsByStatus) {
+      if (statusProjects.length === 0) {
+        continue;
+      }
+      const items = statusProjects.map(project => {
+        return `• <strong>${project.projectName}</strong> - Due ${formatDate(project.dueDate)}<br>` +
+               `  Project ID: ${project.projectId} | <a href="${project.folderUrl}">View Project Folder</a>`;
+      }).join('<br>');
+      statusSections.push(`<strong>${status} (${statusProjects.length})</strong><br>${items}`);
+    }
+
+    return {
+      RECIPIENT_NAME: recipientName,
+      DATE: formatDate(date),
+      OPEN_PROJECT_COUNT: String(projects.length),
+      ATTENTION_LIST: attentionList || 'None - nothing is Late, Stuck, or Behind Schedule.',
+      UPCOMING_LIST: upcomingList || `No deadlines in the next ${DEFAULTS.WEEKLY_SUMMARY_UPCOMING_DAYS} days.`,
+      PROJECTS_BY_STATUS: statusSections.join('<br><br>')
+    };
+  }
+
+  /**
+   * Sends one email combining everything held for a "Daily Digest" recipient.
+   * @param {string} recipientEmail - Recipient email
+   * @param {Object[]} entries - Held emails: array of {type, subject, body}
+   * @param {Date} date - The date of the digest
+   */
+  sendDailyDigest(recipientEmail, entries, date) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    const recipientName = this.directory.getNameByEmail(recipientEmail) || recipientEmail;
+    const subject = `Daily Project Digest - ${formatDate(date)} (${entries.length} update${entries.length === 1 ? '' : 's'})`;
+
+    const sections = entries.map(entry => `<strong>${entry.subject}</strong><br>${entry.body}`);
+
+    const body = `Hello ${recipientName},<br><br>` +
+                 `Here are the project emails from the last day, collected into one digest:<br><br>` +
+                 sections.join('<br><br><hr><br>') +
+                 `<br><br>To get these emails as they happen, set your Email Delivery to "Immediate" in the Directory.`;
+
+    this.sendEmail(recipientEmail, subject, body);
   }
 
   /**
@@ -301,7 +1157,8 @@ class NotificationService {
 
     // Send single email to all assignees, CC the requester
     this.sendEmail(assigneeEmails, prepared.subject, prepared.body, {
-      cc: requesterEmail || undefined
+      cc: requesterEmail || undefined,
+      type: NOTIFICATION_TYPES.UPDATE
     });
   }
 
@@ -380,6 +1237,8 @@ class NotificationService {
    * @param {Project} project - The cancelled project
    */
   sendCancellationNotification(project) {
+    this.publish({ type: NOTIFICATION_TYPES.CANCELLATION, project });
+
     const templateId = this.config.emailTemplateCancellation;
     if (!templateId) {
       console.warn('NotificationService: Project Cancellation email template not configured');
@@ -411,10 +1270,88 @@ class NotificationService {
 
     // Send single email to all assignees, CC the requester
     this.sendEmail(assigneeEmails, prepared.subject, prepared.body, {
-      cc: requesterEmail || undefined
+      cc: requesterEmail || undefined,
+      type: NOTIFICATION_TYPES.CANCELLATION,
+      projects: [project.projectId]
     });
   }
 
+  /**
+   * Sends an escalation email for an overdue project using the Escalation template.
+   * @param {Project} project - The overdue project
+   * @param {Object} step - Escalation ladder step {daysLate, targets}
+   * @param {string[]} recipientEmails - Resolved recipient emails for this step
+   * @param {number} daysLate - How many days past the deadline the project is
+   * @returns {boolean} True if the email was sent
+   */
+  sendEscalationNotification(project, step, recipientEmails, daysLate) {
+    const templateId = this.config.emailTemplateEscalation;
+    if (!templateId) {
+      console.warn('NotificationService: Escalation email template not configured');
+      return false;
+    }
+
+    if (recipientEmails.length === 0) {
+      console.warn(`NotificationService: No escalation recipients for ${project.projectId}`);
+      return false;
+    }
+
+    const recipientNames = recipientEmails.map(email => this.directory.getNameByEmail(email) || email);
+
+    const tokenValues = project.getTokenValues(this.directory, {
+      RECIPIENT_NAME: joinCommaSeparated(recipientNames),
+      DAYS_LATE: String(daysLate),
+      ESCALATION_LEVEL: joinCommaSeparated(step.targets),
+      ESCALATION_RECIPIENTS: joinCommaSeparated(recipientNames)
+    });
+
+    const prepared = this.prepareEmail(templateId, tokenValues);
+    this.sendEmail(recipientEmails, prepared.subject, prepared.body, { type: NOTIFICATION_TYPES.ESCALATION });
+    return true;
+  }
+
+  /**
+   * Sends an "unblocked" notification to assignees, CC'ing the requester, using the Unblocked template.
+   * Sent when every project listed in depends_on has reached Complete.
+   * @param {Project} project - The dependent project that is now unblocked
+   * @param {Project} predecessor - The predecessor whose completion unblocked it
+   * @returns {boolean} True if the email was sent
+   */
+  sendUnblockedNotification(project, predecessor) {
+    const templateId = this.config.emailTemplateUnblocked;
+    if (!templateId) {
+      console.warn('NotificationService: Unblocked email template not configured');
+      return false;
+    }
+
+    const assigneeEmails = project.getAssigneeEmails(this.directory);
+    if (assigneeEmails.length === 0) {
+      console.warn(`NotificationService: No assignee emails for project ${project.projectId}`);
+      return false;
+    }
+
+    let recipientName;
+    if (assigneeEmails.length === 1) {
+      recipientName = this.directory.getNameByEmail(assigneeEmails[0]) || assigneeEmails[0];
+    } else {
+      recipientName = 'All';
+    }
+
+    const tokenValues = project.getTokenValues(this.directory, {
+      RECIPIENT_NAME: recipientName,
+      PREDECESSOR_TITLE: predecessor.displayTitle
+    });
+
+    const prepared = this.prepareEmail(templateId, tokenValues);
+    const requesterEmail = this.directory.resolveToEmail(project.requestedBy);
+
+    this.sendEmail(assigneeEmails, prepared.subject, prepared.body, {
+      cc: requesterEmail || undefined,
+      type: NOTIFICATION_TYPES.UNBLOCKED
+    });
+    return true;
+  }
+
   /**
    * Sends error notification to configured admin emails.
    * @param {string} subject - Error subject
@@ -433,8 +1370,8 @@ class NotificationService {
     const body = `An error occurred in the ${PRODUCT_NAME} automation:\n\n${message}\n\n` +
                  `Time: ${new Date().toLocaleString()}`;
 
-    // CC is best-effort - if provided and valid, include it
-    const emailOptions = {};
+    // Errors go out now rather than waiting in the queue; CC is best-effort - if provided and valid, include it
+    const emailOptions = { immediate: true };
     if (options.cc && isValidEmail(options.cc)) {
       emailOptions.cc = options.cc;
     }
@@ -442,6 +1379,32 @@ class NotificationService {
     this.sendEmail(adminEmails, fullSubject, body, emailOptions);
   }
 
+  /**
+   * Tells the admins (Error Email Addresses) that a form submission was held as a likely duplicate.
+   * @param {Project} project - The held submission
+   * @param {Project} duplicateOf - The existing project it matches
+   */
+  sendDuplicateHeldNotification(project, duplicateOf) {
+    const adminEmails = this.config.errorEmailAddresses;
+    if (adminEmails.length === 0) {
+      console.warn('NotificationService: No admin emails configured for duplicate notices');
+      return;
+    }
+
+    const subject = `${PRODUCT_NAME}: Possible duplicate submission held`;
+    const body = `A form submission matches an existing project and was held instead of being created:\n\n` +
+                 `Held row: ${project.getRowIndex()}\n` +
+                 `Project Name: ${project.projectName}\n` +
+                 `Assignee: ${project.assignee}\n` +
+                 `Requested By: ${project.requestedBy}\n` +
+                 `Deadline: ${formatDate(project.dueDate)}\n` +
+                 `Matches: ${duplicateOf.projectId || `row ${duplicateOf.getRowIndex()}`}\n\n` +
+                 `Use Admin Tools > Review Held Duplicates to merge it into the existing project ` +
+                 `or release it as a new project.`;
+
+    this.sendEmail(adminEmails, subject, body);
+  }
+
   /**
    * Clears the template cache.
    */
@@ -6,7 +6,7 @@
  * - The main spreadsheet (Project Directory)
  * - The root instance folder
  * - The Project Folders parent folder
- * - Each individual project folder
+ * - Each individual project folder (including temporary access for away staff's delegates)
  */
 class PermissionService {
   /**
@@ -19,6 +19,8 @@ class PermissionService {
     this.directory = ctx.directory;
     this.projectSheet = ctx.projectSheet;
     this.notificationService = ctx.notificationService;
+    this.auditLog = ctx.auditLog;
+    this.allFoldersEditors = null;
   }
 
   /**
@@ -115,6 +117,11 @@ class PermissionService {
       permissionErrors.push(`Unexpected error while refreshing individual project folder permissions: ${e.message}`);
     }
 
+    this.auditLog.log(AUDIT_ACTIONS.PERMISSIONS_REFRESHED, {
+      outcome: permissionErrors.length > 0 ? AUDIT_OUTCOME.FAILURE : AUDIT_OUTCOME.SUCCESS,
+      message: permissionErrors.length > 0 ? `${permissionErrors.length} error(s); see admin email` : ''
+    });
+
     this.notifyIfErrors(permissionErrors, spreadsheetId);
   }
 
@@ -127,6 +134,9 @@ class PermissionService {
    * inherited access removals are applied first, and then explicit project-level
    * access is restored where appropriate.
    *
+   * Delegates of away assignees/requesters (Directory Delegate / Away From / Away Until)
+   * are granted access to open projects for the away window and revoked once it has ended.
+   *
    * @param {string[]} permissionErrors - Array to append error messages into
    */
   refreshProjectFolderPermissions(permissionErrors) {
@@ -141,6 +151,8 @@ class PermissionService {
 
     DEBUG && console.log(`PermissionService: Refreshing explicit sharing for ${projects.length} project folder(s)`);
 
+    const delegations = this.directory.getDelegations();
+
     for (const project of projects) {
       const folderId = project && typeof project.folderId === 'string'
         ? project.folderId
@@ -156,6 +168,8 @@ class PermissionService {
         // - Uses Advanced Drive API to add writers without notification emails
         // - Sends its own detailed error notifications on partial failures
         this.ctx.projectService.shareProjectFolder(project, folderId);
+
+        this.syncDelegateFolderAccess(project, folderId, delegations, permissionErrors);
       } catch (e) {
         const projectId = project && typeof project.projectId === 'string'
           ? project.projectId
@@ -166,6 +180,138 @@ class PermissionService {
         );
       }
     }
+
+    this.ctx.delegateAccess.flush();
+  }
+
+  /**
+   * Grants and revokes delegate access on project folders without re-sharing anything else.
+   * Run by daily maintenance so away windows take effect on their start and end dates.
+   */
+  refreshDelegateFolderPermissions() {
+    const delegations = this.directory.getDelegations();
+    if (delegations.length === 0 && this.ctx.delegateAccess.getCount() === 0) {
+      return;
+    }
+
+    const permissionErrors = [];
+    for (const project of this.projectSheet.getProjects()) {
+      if (!project.folderId) {
+        continue;
+      }
+      this.syncDelegateFolderAccess(project, project.folderId, delegations, permissionErrors);
+    }
+
+    this.ctx.delegateAccess.flush();
+    this.notifyIfErrors(permissionErrors, this.ctx.spreadsheetId);
+  }
+
+  /**
+   * Gives the delegates of an open project's away assignees/requesters edit access to its folder,
+   * and removes the delegate access this service granted once it is no longer needed (the away
+   * window has ended, the Directory row changed, or the project was completed or deleted).
+   * Only shares recorded in the Delegate Access sheet are removed, and each is removed once;
+   * delegates who are on the project themselves keep their access.
+   * @param {Project} project - The project
+   * @param {string} folderId - The project's folder ID
+   * @param {Object[]} delegations - Directory away windows (Directory.getDelegations())
+   * @param {string[]} permissionErrors - Array to append error messages into
+   */
+  syncDelegateFolderAccess(project, folderId, delegations, permissionErrors) {
+    const granted = this.ctx.delegateAccess.getDelegates(project.projectId);
+    const isOpen = !project.isComplete && !project.isDeleted;
+    if (!isOpen && granted.size === 0) {
+      return;
+    }
+
+    const memberEmails = new Set(project.getAllRecipientEmails(this.directory));
+
+    // Delegate email -> the away person they cover for on this project today
+    const covering = new Map();
+    if (isOpen) {
+      for (const d of delegations) {
+        if (memberEmails.has(d.email) && !memberEmails.has(d.delegateEmail) && isAwayOn(d, this.ctx.now)) {
+          covering.set(d.delegateEmail, d.email);
+        }
+      }
+    }
+
+    const toGrant = [...covering.keys()].filter(email => !granted.has(email));
+    const finished = [...granted].filter(email => !covering.has(email));
+    if (toGrant.length === 0 && finished.length === 0) {
+      return;
+    }
+
+    const label = `project folder ${project.projectId} (delegate)`;
+
+    if (this.ctx.dryRun) {
+      for (const email of toGrant) {
+        this.ctx.plan.record(DRY_RUN_CATEGORIES.DRIVE, 'Grant delegate folder access', { projectId: project.projectId, target: email });
+      }
+      for (const email of finished) {
+        this.ctx.plan.record(DRY_RUN_CATEGORIES.DRIVE, 'Revoke delegate folder access', { projectId: project.projectId, target: email });
+      }
+      return;
+    }
+
+    let currentEditors;
+    let folder;
+    try {
+      folder = withBackoff(() => DriveApp.getFolderById(folderId));
+      currentEditors = folder.getEditors().map(e => e.getEmail().toLowerCase());
+    } catch (e) {
+      permissionErrors.push(`Could not read sharing for ${label} (Folder ID: ${folderId}): ${e.message}`);
+      return;
+    }
+
+    for (const email of toGrant) {
+      // Access they already have for another reason is theirs to keep, so it is not recorded
+      if (currentEditors.includes(email)) {
+        continue;
+      }
+      try {
+        // Advanced Drive Service suppresses the "shared with you" email, as in ProjectService.shareProjectFolder
+        withBackoff(() => {
+          Drive.Permissions.insert({ role: 'writer', type: 'user', value: email }, folderId, { sendNotificationEmails: false });
+        });
+        this.ctx.delegateAccess.add(project.projectId, folderId, email, covering.get(email), this.ctx.now);
+        DEBUG && console.log(`PermissionService: Granted delegate ${email} access to ${label}`);
+        this.auditPermissionChange(AUDIT_ACTIONS.PERMISSION_GRANTED, label, email, '', 'edit');
+      } catch (e) {
+        permissionErrors.push(`Could not share ${label} with delegate ${email}: ${e.message}`);
+        this.auditPermissionChange(AUDIT_ACTIONS.PERMISSION_GRANTED, label, email, '', 'edit', e);
+      }
+    }
+
+    for (const email of finished) {
+      // Already gone, now on the project, or an "All - Editor" (access through the Project Folders parent)
+      if (!currentEditors.includes(email) || memberEmails.has(email) || this.getAllFoldersEditors().has(email)) {
+        this.ctx.delegateAccess.remove(project.projectId, email);
+        continue;
+      }
+      try {
+        withBackoff(() => folder.removeEditor(email));
+        this.ctx.delegateAccess.remove(project.projectId, email);
+        DEBUG && console.log(`PermissionService: Revoked delegate ${email} access to ${label}`);
+        this.auditPermissionChange(AUDIT_ACTIONS.PERMISSION_REVOKED, label, email, 'edit', '');
+      } catch (e) {
+        permissionErrors.push(`Could not remove delegate ${email} from ${label}: ${e.message}`);
+        this.auditPermissionChange(AUDIT_ACTIONS.PERMISSION_REVOKED, label, email, 'edit', '', e);
+      }
+    }
+  }
+
+  /**
+   * Gets the staff whose Directory roles make them editors of every project folder (cached).
+   * @returns {Set<string>} Lowercase emails
+   */
+  getAllFoldersEditors() {
+    if (!this.allFoldersEditors) {
+      this.allFoldersEditors = new Set(this.directory.getAccessRows()
+        .filter(row => row.activeFlag === 'yes' && row.effectiveFolderScope === DIRECTORY_FOLDER_SCOPES.ALL_EDITOR)
+        .map(row => row.email));
+    }
+    return this.allFoldersEditors;
   }
 
   /**
@@ -325,8 +471,10 @@ class PermissionService {
             }
             entity.addEditor(email);
             DEBUG && console.log(`PermissionService: Set editor on ${label}: ${email}`);
+            this.auditPermissionChange(AUDIT_ACTIONS.PERMISSION_GRANTED, label, email, isViewer ? 'view' : '', 'edit');
           } catch (e) {
             permissionErrors.push(`Could not set editor on ${label} for ${email}: ${e.message}`);
+            this.auditPermissionChange(AUDIT_ACTIONS.PERMISSION_GRANTED, label, email, isViewer ? 'view' : '', 'edit', e);
           }
         }
       } else if (desiredPerm === 'view') {
@@ -335,15 +483,19 @@ class PermissionService {
             entity.removeEditor(email);
             entity.addViewer(email);
             DEBUG && console.log(`PermissionService: Downgraded to viewer on ${label}: ${email}`);
+            this.auditPermissionChange(AUDIT_ACTIONS.PERMISSION_REVOKED, label, email, 'edit', 'view');
           } catch (e) {
             permissionErrors.push(`Could not downgrade editor to viewer on ${label} for ${email}: ${e.message}`);
+            this.auditPermissionChange(AUDIT_ACTIONS.PERMISSION_REVOKED, label, email, 'edit', 'view', e);
           }
         } else if (!isViewer) {
           try {
             entity.addViewer(email);
             DEBUG && console.log(`PermissionService: Set viewer on ${label}: ${email}`);
+            this.auditPermissionChange(AUDIT_ACTIONS.PERMISSION_GRANTED, label, email, '', 'view');
           } catch (e) {
             permissionErrors.push(`Could not add viewer on ${label} for ${email}: ${e.message}`);
+            this.auditPermissionChange(AUDIT_ACTIONS.PERMISSION_GRANTED, label, email, '', 'view', e);
           }
         }
       }
@@ -371,12 +523,33 @@ class PermissionService {
           entity.removeViewer(email);
         }
         DEBUG && console.log(`PermissionService: Removed access on ${label}: ${email}`);
+        this.auditPermissionChange(AUDIT_ACTIONS.PERMISSION_REVOKED, label, email, isEditor ? 'edit' : 'view', '');
       } catch (e) {
         permissionErrors.push(`Could not remove access on ${label} for ${email}: ${e.message}`);
+        this.auditPermissionChange(AUDIT_ACTIONS.PERMISSION_REVOKED, label, email, isEditor ? 'edit' : 'view', '', e);
       }
     }
   }
 
+  /**
+   * Records a single sharing change in the Audit Log.
+   * @param {string} action - AUDIT_ACTIONS.PERMISSION_GRANTED or PERMISSION_REVOKED
+   * @param {string} label - Human-readable label of the file/folder
+   * @param {string} email - Affected user's email
+   * @param {string} before - Previous role ('edit', 'view', or '')
+   * @param {string} after - New role ('edit', 'view', or '')
+   * @param {Error} [error] - The failure, if the change could not be applied
+   */
+  auditPermissionChange(action, label, email, before, after, error) {
+    this.auditLog.log(action, {
+      field: label,
+      before,
+      after,
+      outcome: error ? AUDIT_OUTCOME.FAILURE : AUDIT_OUTCOME.SUCCESS,
+      message: error ? `${email}: ${error.message}` : email
+    });
+  }
+
   /**
    * Sends a consolidated error notification if any permission errors occurred.
    * @param {string[]} permissionErrors - Array of error messages
@@ -14,6 +14,7 @@ class ProjectService {
     this.idAllocator = ctx.idAllocator;
     this.directory = ctx.directory;
     this.notificationService = ctx.notificationService;
+    this.auditLog = ctx.auditLog;
   }
 
   // ===== VALIDATION METHODS =====
@@ -72,9 +73,120 @@ class ProjectService {
 
     // Optional field: Category - default to LCAP if missing (handled in processing, not an error)
 
+    // Optional field: Depends On - every predecessor must be an existing, non-deleted project
+    if (project.hasDependencies) {
+      errors.push(...this.validateDependencies(project));
+    }
+
+    // Optional fields: Goal # / Action # - must be listed in the Goals sheet when the district keeps one
+    errors.push(...this.validateGoalAndAction(project));
+
+    // Optional field: Recurrence - must be a rule the daily regeneration understands
+    if (project.isRecurring && !project.recurrence) {
+      errors.push(`Recurrence: "${project.recurrenceRaw}" is not a recognized rule ` +
+                  '(use Weekly, Monthly, Quarterly, Yearly, or "Every N days/weeks/months")');
+    }
+
     return { valid: errors.length === 0, errors };
   }
 
+  /**
+   * Validates goal_number and action_number against the optional Goals sheet.
+   * Without a Goals sheet (or with an empty one) any value is accepted.
+   * @param {Project} project - The project to validate
+   * @returns {string[]} Array of error messages (empty if valid)
+   */
+  validateGoalAndAction(project) {
+    const goalSheet = this.ctx.goalSheet;
+    if (!goalSheet || goalSheet.getGoals().length === 0) {
+      return [];
+    }
+
+    const goalNumber = project.goalNumber;
+    const actionNumber = project.actionNumber;
+
+    if (goalNumber && !goalSheet.findGoal(goalNumber)) {
+      return [`Goal #: "${goalNumber}" is not listed in the ${SHEET_NAMES.GOALS} sheet`];
+    }
+    if (actionNumber && !goalSheet.findAction(goalNumber, actionNumber)) {
+      return [goalNumber
+        ? `Action #: "${actionNumber}" is not listed under goal ${goalNumber} in the ${SHEET_NAMES.GOALS} sheet`
+        : `Action #: "${actionNumber}" is not listed in the ${SHEET_NAMES.GOALS} sheet (or is under more than one goal; add the Goal #)`];
+    }
+    return [];
+  }
+
+  /**
+   * Validates the depends_on list of a project.
+   * Checks ID format, existence, self-references, and dependency cycles.
+   * Predecessors moved to a year-end archive are finished, so they are accepted.
+   * @param {Project} project - The project to validate
+   * @returns {string[]} Array of error messages (empty if valid)
+   */
+  validateDependencies(project) {
+    const errors = [];
+    const ownId = project.projectId.toUpperCase();
+
+    for (const predecessorId of project.dependsOn) {
+      if (!this.idAllocator.isValidFormat(predecessorId)) {
+        errors.push(`Depends On: "${predecessorId}" is not a valid project ID`);
+        continue;
+      }
+
+      if (ownId && predecessorId === ownId) {
+        errors.push('Depends On: A project cannot depend on itself');
+        continue;
+      }
+
+      const predecessor = this.projectSheet.findByProjectId(predecessorId);
+      if (!predecessor && this.ctx.archiveService.isArchived(predecessorId)) {
+        continue; // Finished and moved to a year-end archive
+      }
+      if (!predecessor) {
+        errors.push(`Depends On: Project "${predecessorId}" was not found`);
+      } else if (predecessor.isDeleted || predecessor.isPendingDelete) {
+        errors.push(`Depends On: Project "${predecessorId}" has been deleted`);
+      }
+    }
+
+    // A cycle is only possible once this project has an ID that others can reference
+    if (ownId && errors.length === 0 && this.hasDependencyCycle(ownId)) {
+      errors.push(`Depends On: Circular dependency detected involving "${ownId}"`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Checks whether following depends_on links from a project leads back to it.
+   * @param {string} startId - The project ID to start from
+   * @returns {boolean} True if a cycle exists
+   */
+  hasDependencyCycle(startId) {
+    const visited = new Set();
+    const stack = [startId];
+
+    while (stack.length > 0) {
+      const currentId = stack.pop();
+      const current = this.projectSheet.findByProjectId(currentId);
+      if (!current) {
+        continue;
+      }
+
+      for (const predecessorId of current.dependsOn) {
+        if (predecessorId === startId) {
+          return true;
+        }
+        if (!visited.has(predecessorId)) {
+          visited.add(predecessorId);
+          stack.push(predecessorId);
+        }
+      }
+    }
+
+    return false;
+  }
+
   /**
    * Builds a detailed error message for notification purposes.
    * @param {Project} project - The project that encountered an error
@@ -123,6 +235,11 @@ class ProjectService {
       } catch (error) {
         console.error(`ProjectService: Error processing project at row ${project.getRowIndex()}: ${error.message}`);
         this.setAutomationStatus(project, AUTOMATION_STATUS.ERROR);
+        this.auditLog.log(AUDIT_ACTIONS.PROJECT_CREATED, {
+          projectId: project.projectId,
+          outcome: AUDIT_OUTCOME.FAILURE,
+          message: error.message
+        });
 
         // Build detailed error message
         const errorMessage = this.buildErrorMessage(
@@ -159,6 +276,11 @@ class ProjectService {
       );
       console.error(`ProjectService: Validation failed for row ${project.getRowIndex()}: ${validation.errors.join('; ')}`);
       this.setAutomationStatus(project, AUTOMATION_STATUS.ERROR);
+      this.auditLog.log(AUDIT_ACTIONS.PROJECT_CREATED, {
+        projectId: project.projectId,
+        outcome: AUDIT_OUTCOME.FAILURE,
+        message: `Validation failed (row ${project.getRowIndex()}): ${validation.errors.join('; ')}`
+      });
 
       // Send error notification - CC requester if we can resolve their email
       // (they might not be in directory, which is one of the validation errors)
@@ -205,6 +327,7 @@ class ProjectService {
     } else {
       folderId = this.createProjectFolder(project);
       project.folderId = folderId;
+      this.auditLog.log(AUDIT_ACTIONS.FOLDER_CREATED, { projectId, field: 'folder_id', after: folderId });
     }
 
     // Copy template(s) into folder (idempotent check)
@@ -235,6 +358,12 @@ class ProjectService {
     } else {
       eventId = this.createCalendarEvent(project);
       project.calendarEventId = eventId;
+      this.auditLog.log(AUDIT_ACTIONS.CALENDAR_EVENT_CREATED, {
+        projectId,
+        field: 'calendar_event_id',
+        after: eventId,
+        message: `Deadline ${formatDateISO(project.dueDate)}`
+      });
     }
 
     // Set default reminder timelines if not already specified
@@ -252,11 +381,17 @@ class ProjectService {
     // Add to status snapshot immediately so status changes are tracked from creation
     // This ensures changes are detected even if they occur before the first daily maintenance
     // Only add for new projects, not resumes (to avoid duplicate snapshot entries)
-    if (!isResume) {
+    if (!isResume && !this.ctx.dryRun) {
       this.ctx.snapshotSheet.addProject(project.projectId, project.projectStatus);
     }
 
     DEBUG && console.log(`ProjectService: Created/Resumed project ${projectId} with folder ${folderId} and event ${eventId}`);
+    this.auditLog.log(AUDIT_ACTIONS.PROJECT_CREATED, {
+      projectId,
+      field: 'automation_status',
+      after: AUTOMATION_STATUS.CREATED,
+      message: isResume ? 'Resumed processing of existing project' : ''
+    });
 
     // Determine notification logic
     // If everything already existed, we treat this as a silent success (no email).
@@ -287,6 +422,11 @@ class ProjectService {
       } catch (error) {
         console.error(`ProjectService: Error processing update for ${project.projectId}: ${error.message}`);
         this.setAutomationStatus(project, AUTOMATION_STATUS.ERROR);
+        this.auditLog.log(AUDIT_ACTIONS.PROJECT_UPDATED, {
+          projectId: project.projectId,
+          outcome: AUDIT_OUTCOME.FAILURE,
+          message: error.message
+        });
 
         // Build detailed error message
         const errorMessage = this.buildErrorMessage(
@@ -334,9 +474,57 @@ class ProjectService {
 
     // Detect what changed and send update notification
     const changes = this.detectProjectChanges(beforeState, project);
+    this.auditProjectChanges(project, changes);
     this.notificationService.sendUpdateNotification(project, changes);
   }
 
+  /**
+   * Records the calendar-visible changes of an update in the Audit Log.
+   * @param {Project} project - The updated project
+   * @param {Object|null} changes - Result of detectProjectChanges
+   */
+  auditProjectChanges(project, changes) {
+    const projectId = project.projectId;
+
+    if (!changes) {
+      this.auditLog.log(AUDIT_ACTIONS.PROJECT_UPDATED, {
+        projectId,
+        message: 'Calendar event unavailable; changes could not be compared'
+      });
+      return;
+    }
+
+    if (changes.noKeyChanges) {
+      this.auditLog.log(AUDIT_ACTIONS.PROJECT_UPDATED, { projectId, message: 'No deadline, title, or team changes' });
+      return;
+    }
+
+    if (changes.dateChanged) {
+      this.auditLog.log(AUDIT_ACTIONS.CALENDAR_EVENT_UPDATED, {
+        projectId,
+        field: 'due_date',
+        before: changes.dateChanged.old,
+        after: changes.dateChanged.new
+      });
+    }
+    if (changes.titleChanged) {
+      this.auditLog.log(AUDIT_ACTIONS.CALENDAR_EVENT_UPDATED, {
+        projectId,
+        field: 'project_name',
+        before: changes.titleChanged.old,
+        after: changes.titleChanged.new
+      });
+    }
+    if (changes.peopleAdded.length > 0 || changes.peopleRemoved.length > 0) {
+      this.auditLog.log(AUDIT_ACTIONS.CALENDAR_EVENT_UPDATED, {
+        projectId,
+        field: 'guests',
+        before: changes.peopleRemoved.length > 0 ? `Removed: ${joinCommaSeparated(changes.peopleRemoved)}` : '',
+        after: changes.peopleAdded.length > 0 ? `Added: ${joinCommaSeparated(changes.peopleAdded)}` : ''
+      });
+    }
+  }
+
   /**
    * Gets a snapshot of the current calendar event state for comparison.
    * @param {Project} project - The project to get calendar state for
@@ -469,6 +657,11 @@ class ProjectService {
       } catch (error) {
         console.error(`ProjectService: Error processing delete for ${project.projectId}: ${error.message}`);
         this.setAutomationStatus(project, AUTOMATION_STATUS.ERROR);
+        this.auditLog.log(AUDIT_ACTIONS.PROJECT_DELETED, {
+          projectId: project.projectId,
+          outcome: AUDIT_OUTCOME.FAILURE,
+          message: error.message
+        });
 
         // Build detailed error message
         const errorMessage = this.buildErrorMessage(
@@ -508,6 +701,13 @@ class ProjectService {
     // Update status
     this.setAutomationStatus(project, AUTOMATION_STATUS.DELETED);
 
+    this.auditLog.log(AUDIT_ACTIONS.PROJECT_DELETED, {
+      projectId: project.projectId,
+      field: 'automation_status',
+      after: AUTOMATION_STATUS.DELETED,
+      message: shouldNotify ? 'Cancellation email sent' : 'No notification'
+    });
+
     // Hide the row (after flush)
     // Note: We'll hide after flush in the main processing loop
     project._pendingHide = true;
@@ -524,13 +724,18 @@ class ProjectService {
   }
 
   /**
-   * Refreshes automation_status validation for a single project row.
+   * Refreshes automation_status validation (and project_status workflow validation) for a single project row.
    * @param {Project} project - The project whose row should be updated
    */
   updateAutomationValidation(project) {
+    if (this.ctx && this.ctx.dryRun) {
+      return;
+    }
+
     const validationService = this.ctx && this.ctx.validationService;
     if (validationService && typeof validationService.updateDropdownValidation === 'function') {
       validationService.updateDropdownValidation(project);
+      validationService.updateProjectStatusValidation(project);
     }
   }
 
@@ -547,9 +752,15 @@ class ProjectService {
       throw new Error('Parent Folder ID not configured');
     }
 
-    const parentFolder = withBackoff(() => DriveApp.getFolderById(parentFolderId));
     const folderName = `${project.projectName} [${project.projectId}]`;
 
+    if (this.ctx.dryRun) {
+      this.ctx.plan.record(DRY_RUN_CATEGORIES.DRIVE, 'Create project folder', { projectId: project.projectId, target: folderName });
+      return DRY_RUN_PLACEHOLDER_ID;
+    }
+
+    const parentFolder = withBackoff(() => DriveApp.getFolderById(parentFolderId));
+
     const newFolder = withBackoff(() => parentFolder.createFolder(folderName));
     const folderId = newFolder.getId();
 
@@ -571,11 +782,17 @@ class ProjectService {
       return;
     }
 
-    const folder = withBackoff(() => DriveApp.getFolderById(folderId));
-    const templateFile = withBackoff(() => DriveApp.getFileById(templateId));
-
     // Create copy with project name
     const copyName = `${project.projectName} - Project File`;
+
+    if (this.ctx.dryRun) {
+      this.ctx.plan.record(DRY_RUN_CATEGORIES.DRIVE, 'Copy project template', { projectId: project.projectId, target: copyName });
+      project.fileId = DRY_RUN_PLACEHOLDER_ID;
+      return;
+    }
+
+    const folder = withBackoff(() => DriveApp.getFolderById(folderId));
+    const templateFile = withBackoff(() => DriveApp.getFileById(templateId));
     const copiedFile = withBackoff(() => templateFile.makeCopy(copyName, folder));
     const fileId = copiedFile.getId();
     
@@ -639,8 +856,30 @@ class ProjectService {
       }
     }
 
+    if (this.ctx.dryRun) {
+      this.ctx.plan.record(DRY_RUN_CATEGORIES.DRIVE, 'Share project folder', {
+        projectId: project.projectId,
+        target: joinCommaSeparated([...emailsToShare]),
+        message: sharingErrors.join('; ')
+      });
+      return;
+    }
+
+    // People who are already editors are skipped, so the Audit Log only records access actually added
+    let currentEditors = [];
+    try {
+      const folder = withBackoff(() => DriveApp.getFolderById(folderId));
+      currentEditors = folder.getEditors().map(e => e.getEmail().toLowerCase());
+    } catch (e) {
+      console.warn(`ProjectService: Could not read folder sharing, sharing with everyone: ${e.message}`);
+    }
+
     // Share with each person using Advanced Drive Service (suppresses notification emails)
+    const granted = [];
     for (const email of emailsToShare) {
+      if (currentEditors.includes(email)) {
+        continue;
+      }
       try {
         withBackoff(() => {
           Drive.Permissions.insert(
@@ -655,6 +894,7 @@ class ProjectService {
             }
           );
         });
+        granted.push(email);
         DEBUG && console.log(`ProjectService: Shared folder with ${email}`);
       } catch (e) {
         // Check if error is "already has access" - this is not a real error
@@ -668,6 +908,16 @@ class ProjectService {
       }
     }
 
+    if (granted.length > 0 || sharingErrors.length > 0) {
+      this.auditLog.log(AUDIT_ACTIONS.PERMISSION_GRANTED, {
+        projectId: project.projectId,
+        field: 'project folder',
+        after: granted,
+        outcome: sharingErrors.length > 0 ? AUDIT_OUTCOME.FAILURE : AUDIT_OUTCOME.SUCCESS,
+        message: sharingErrors.join('; ')
+      });
+    }
+
     // Send error notification if there were sharing problems
     if (sharingErrors.length > 0) {
       const errorMessage = this.buildErrorMessage(
@@ -698,6 +948,11 @@ class ProjectService {
       return;
     }
 
+    if (this.ctx.dryRun) {
+      this.ctx.plan.record(DRY_RUN_CATEGORIES.DRIVE, 'Update project file Overview', { projectId: project.projectId, target: fileId });
+      return;
+    }
+
     try {
       // Open the specific project file
       const sSht = withBackoff(() => SpreadsheetApp.openById(fileId));
@@ -794,6 +1049,15 @@ class ProjectService {
     const description = this.buildCalendarDescription(project);
     const guestEmails = project.getAllRecipientEmails(this.directory);
 
+    if (this.ctx.dryRun) {
+      this.ctx.plan.record(DRY_RUN_CATEGORIES.CALENDAR, 'Create all-day event and send invites', {
+        projectId: project.projectId,
+        target: title,
+        message: `${formatDateISO(dueDate)}; guests: ${joinCommaSeparated(guestEmails)}`
+      });
+      return DRY_RUN_PLACEHOLDER_ID;
+    }
+
     // Create event with guests and send invites at creation time
     const event = withBackoff(() =>
       calendar.createAllDayEvent(title, dueDate, {
@@ -824,6 +1088,15 @@ class ProjectService {
       return;
     }
 
+    if (this.ctx.dryRun) {
+      this.ctx.plan.record(DRY_RUN_CATEGORIES.CALENDAR, 'Update event title, date, description, and guests', {
+        projectId: project.projectId,
+        target: project.displayTitle,
+        message: formatDateISO(project.dueDate)
+      });
+      return;
+    }
+
     const calendar = CalendarApp.getDefaultCalendar();
 
     try {
@@ -915,6 +1188,11 @@ class ProjectService {
       return;
     }
 
+    if (this.ctx.dryRun) {
+      this.ctx.plan.record(DRY_RUN_CATEGORIES.CALENDAR, 'Delete event', { projectId: project.projectId, target: eventId });
+      return;
+    }
+
     const calendar = CalendarApp.getDefaultCalendar();
 
     try {
@@ -922,9 +1200,16 @@ class ProjectService {
       if (event) {
         event.deleteEvent();
         DEBUG && console.log(`ProjectService: Cancelled calendar event ${eventId}`);
+        this.auditLog.log(AUDIT_ACTIONS.CALENDAR_EVENT_CANCELLED, { projectId: project.projectId, before: eventId });
       }
     } catch (error) {
       console.warn(`ProjectService: Error cancelling calendar event: ${error.message}`);
+      this.auditLog.log(AUDIT_ACTIONS.CALENDAR_EVENT_CANCELLED, {
+        projectId: project.projectId,
+        before: eventId,
+        outcome: AUDIT_OUTCOME.FAILURE,
+        message: error.message
+      });
     }
   }
 
@@ -944,6 +1229,11 @@ class ProjectService {
       lines.push(`Status: ${project.projectStatus}`);
     }
 
+    // Rolled up from the Tasks sheet by daily maintenance / task edits
+    if (project.percentComplete !== null) {
+      lines.push(`Progress: ${project.percentComplete}% of tasks complete`);
+    }
+
     lines.push(
       `Project ID: ${project.projectId}`,
       `Category: ${project.category}`,
@@ -958,6 +1248,35 @@ class ProjectService {
     return lines.join('\n');
   }
 
+  /**
+   * Recalculates a project's percent_complete from the Tasks sheet.
+   * When the value changes, the calendar description is refreshed so guests see the new progress.
+   * @param {Project} project - The parent project
+   * @returns {boolean} True if the percentage changed
+   */
+  applyTaskProgress(project) {
+    const taskSheet = this.ctx.taskSheet;
+    if (!taskSheet) {
+      return false;
+    }
+
+    const progress = taskSheet.getProgress(project.projectId);
+    const percent = progress ? progress.percent : null;
+
+    if (project.percentComplete === percent) {
+      return false;
+    }
+
+    project.percentComplete = percent === null ? '' : percent;
+    DEBUG && console.log(`ProjectService: ${project.projectId} progress now ${percent === null ? 'untracked' : `${percent}%`}`);
+
+    if (project.isCreated) {
+      this.updateCalendarEventDescription(project);
+    }
+
+    return true;
+  }
+
   /**
    * Updates the calendar event color based on project status.
    * This is a silent operation - no notifications are sent.
@@ -971,6 +1290,14 @@ class ProjectService {
       return false;
     }
 
+    if (this.ctx.dryRun) {
+      this.ctx.plan.record(DRY_RUN_CATEGORIES.CALENDAR, 'Set event color', {
+        projectId: project.projectId,
+        message: `Status: ${project.projectStatus}`
+      });
+      return true;
+    }
+
     try {
       const calendar = CalendarApp.getDefaultCalendar();
       const event = withBackoff(() => calendar.getEventById(eventId));
@@ -984,6 +1311,12 @@ class ProjectService {
       event.setColor(color);
 
       DEBUG && console.log(`ProjectService: Set color for ${project.projectId} to ${color} (status: ${project.projectStatus})`);
+      this.auditLog.log(AUDIT_ACTIONS.CALENDAR_EVENT_UPDATED, {
+        projectId: project.projectId,
+        field: 'color',
+        after: color,
+        message: `Status: ${project.projectStatus}`
+      });
       return true;
 
     } catch (error) {
@@ -1005,6 +1338,11 @@ class ProjectService {
       return false;
     }
 
+    if (this.ctx.dryRun) {
+      this.ctx.plan.record(DRY_RUN_CATEGORIES.CALENDAR, 'Update event description', { projectId: project.projectId });
+      return true;
+    }
+
     try {
       const calendar = CalendarApp.getDefaultCalendar();
       const event = withBackoff(() => calendar.getEventById(eventId));
@@ -1018,6 +1356,7 @@ class ProjectService {
       event.setDescription(description);
 
       DEBUG && console.log(`ProjectService: Updated description for ${project.projectId}`);
+      this.auditLog.log(AUDIT_ACTIONS.CALENDAR_EVENT_UPDATED, { projectId: project.projectId, field: 'description' });
       return true;
 
     } catch (error) {
@@ -1065,17 +1404,170 @@ class ProjectService {
     // Set initial project status
     projectData.project_status = PROJECT_STATUS.PROJECT_ASSIGNED;
 
-    // Set automation status to Ready
-    projectData.automation_status = AUTOMATION_STATUS.READY;
+    // Set automation status to Ready, or hold a likely double submission for an admin
+    const duplicateOf = this.findLikelyDuplicate({
+      projectName: projectData.project_name,
+      assignee: projectData.assignee,
+      requestedBy: projectData.requested_by,
+      dueDate: parseDate(projectData.due_date)
+    });
+    projectData.automation_status = duplicateOf ? AUTOMATION_STATUS.HELD_DUPLICATE : AUTOMATION_STATUS.READY;
 
     // Append the row
     const project = this.projectSheet.appendRow(projectData);
 
-    // Ensure validation matches the initialized Ready status
+    // Ensure validation matches the initialized status
     this.updateAutomationValidation(project);
 
     DEBUG && console.log(`ProjectService: Appended form response as row ${project.getRowIndex()}`);
 
+    if (duplicateOf) {
+      this.holdDuplicate(project, duplicateOf);
+    }
+
+    return project;
+  }
+
+  // ===== DUPLICATE SUBMISSIONS =====
+
+  /**
+   * Finds an existing project that a submission most likely duplicates: same title, assignees,
+   * requester, and deadline, created within Config "Duplicate Window Days" (or not processed yet).
+   * @param {Object} candidate - Project, or object with projectName, assignee, requestedBy, dueDate
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.anyAge=false] - Ignore the window (when an admin resolves a hold)
+   * @returns {Project|null} The earliest matching project, or null
+   */
+  findLikelyDuplicate(candidate, options = {}) {
+    const windowDays = this.config.duplicateWindowDays;
+    if (windowDays === 0 && !options.anyAge) {
+      return null;
+    }
+
+    const key = this.getDuplicateKey(candidate);
+    if (!key) {
+      return null;
+    }
+
+    const cutoff = new Date(this.ctx.now.getTime() - windowDays * 24 * 60 * 60 * 1000);
+    return this.projectSheet.getProjects().find(project => {
+      if (project === candidate || project.isDeleted || project.isPendingDelete || project.isHeldDuplicate) {
+        return false;
+      }
+      const createdAt = project.createdAt;
+      const recent = options.anyAge || (createdAt ? createdAt >= cutoff : project.isReady);
+      return recent && this.getDuplicateKey(project) === key;
+    }) || null;
+  }
+
+  /**
+   * Builds the comparison key for duplicate detection.
+   * People are compared by Directory email when they resolve, otherwise by lowercase name.
+   * @param {Object} project - Project, or object with projectName, assignee, requestedBy, dueDate
+   * @returns {string} Key, or '' when the title or deadline is missing
+   */
+  getDuplicateKey(project) {
+    const title = String(project.projectName || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    const dueDate = formatDateISO(project.dueDate);
+    if (!title || !dueDate) {
+      return '';
+    }
+
+    const person = name => (this.directory.resolveToEmail(name) || name).toLowerCase();
+    const assignees = parseCommaSeparated(project.assignee).map(person).sort().join(',');
+    const requester = project.requestedBy ? person(project.requestedBy) : '';
+    return [title, assignees, requester, dueDate].join('|');
+  }
+
+  /**
+   * Records a held duplicate: notes which project it matches, audits it, and tells the admins.
+   * @param {Project} project - The held submission
+   * @param {Project} duplicateOf - The project it appears to duplicate
+   */
+  holdDuplicate(project, duplicateOf) {
+    const original = duplicateOf.projectId || `row ${duplicateOf.getRowIndex()}`;
+    project.notes = [`Possible duplicate of ${original}; held for review.`, project.notes].filter(Boolean).join('\n');
+
+    console.log(`ProjectService: Held row ${project.getRowIndex()} as a possible duplicate of ${original}`);
+    this.auditLog.log(AUDIT_ACTIONS.DUPLICATE_HELD, {
+      field: 'automation_status',
+      after: AUTOMATION_STATUS.HELD_DUPLICATE,
+      message: `Row ${project.getRowIndex()} matches ${original}`
+    });
+
+    try {
+      this.notificationService.sendDuplicateHeldNotification(project, duplicateOf);
+    } catch (error) {
+      console.error(`ProjectService: Failed to send duplicate notice: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists the held duplicates with the project each one matches now.
+   * @returns {Object[]} Array of {row, projectName, assignee, requestedBy, dueDate, duplicateOf}
+   *   (duplicateOf is the matching project ID, or '' if nothing matches any more)
+   */
+  getHeldDuplicates() {
+    return this.projectSheet.getProjectsWhere(p => p.isHeldDuplicate).map(project => {
+      const original = this.findLikelyDuplicate(project, { anyAge: true });
+      return {
+        row: project.getRowIndex(),
+        projectName: project.projectName,
+        assignee: project.assignee,
+        requestedBy: project.requestedBy,
+        dueDate: project.dueDate,
+        duplicateOf: original ? original.projectId : ''
+      };
+    });
+  }
+
+  /**
+   * Merges or releases a held duplicate.
+   * Merge marks the row Deleted (it has no folder, event, or emails yet) and hides it;
+   * release sets it to Ready so it is processed as a new project.
+   * @param {number} row - Sheet row of the held submission
+   * @param {string} action - HELD_DUPLICATE_ACTIONS value
+   * @returns {Project} The held project
+   * @throws {Error} If the row is not held, the action is unknown, or a merge has nothing to merge into
+   */
+  resolveHeldDuplicate(row, action) {
+    const project = this.projectSheet.getProjectsWhere(p => p.getRowIndex() === row && p.isHeldDuplicate)[0];
+    if (!project) {
+      throw new Error(`Row ${row} is not a held duplicate.`);
+    }
+
+    if (action === HELD_DUPLICATE_ACTIONS.RELEASE) {
+      this.setAutomationStatus(project, AUTOMATION_STATUS.READY);
+      this.auditLog.log(AUDIT_ACTIONS.DUPLICATE_RELEASED, {
+        field: 'automation_status',
+        before: AUTOMATION_STATUS.HELD_DUPLICATE,
+        after: AUTOMATION_STATUS.READY,
+        message: `Row ${row}`
+      });
+      console.log(`ProjectService: Released held row ${row}`);
+      return project;
+    }
+
+    if (action !== HELD_DUPLICATE_ACTIONS.MERGE) {
+      throw new Error(`Unknown action "${action}". Use "${HELD_DUPLICATE_ACTIONS.MERGE}" or "${HELD_DUPLICATE_ACTIONS.RELEASE}".`);
+    }
+
+    const original = this.findLikelyDuplicate(project, { anyAge: true });
+    if (!original) {
+      throw new Error(`Row ${row} no longer matches another project. Release it instead.`);
+    }
+
+    const target = original.projectId || `row ${original.getRowIndex()}`;
+    project.notes = [`Merged into ${target}.`, project.notes].filter(Boolean).join('\n');
+    this.setAutomationStatus(project, AUTOMATION_STATUS.DELETED);
+    project._pendingHide = true;
+
+    this.auditLog.log(AUDIT_ACTIONS.DUPLICATE_MERGED, {
+      projectId: original.projectId,
+      before: `Row ${row}`,
+      after: target
+    });
+    console.log(`ProjectService: Merged held row ${row} into ${target}`);
     return project;
   }
 
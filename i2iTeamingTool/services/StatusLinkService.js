@@ -0,0 +1,173 @@
+/**
+ * StatusLinkService class - Builds and verifies the signed one-click status links in reminder emails.
+ * A link names the project, the new status, the recipient it was sent to, and an expiry time,
+ * signed with HMAC-SHA256 using a per-district secret kept in the script properties. The client
+ * web app serves them (?action=status): opening a link shows a confirmation page, and the change
+ * is applied only when that page is submitted (POST), as if the recipient had edited the cell.
+ */
+class StatusLinkService {
+  /**
+   * Creates a new StatusLinkService instance.
+   * @param {ExecutionContext} ctx - The execution context
+   */
+  constructor(ctx) {
+    this.ctx = ctx;
+    this.config = ctx.config;
+    this.codes = ctx.codes;
+    this.now = ctx.now;
+    this.secret = null;
+  }
+
+  /**
+   * @returns {string} The configured Web App URL, or '' if not set
+   */
+  getWebAppUrl() {
+    return String(this.config.get('Web App URL') || '').trim();
+  }
+
+  /**
+   * @returns {string} Script property key of this district's secret
+   */
+  getPropertyKey() {
+    return `${STATUS_LINK_SECRET_PROPERTY_PREFIX}${this.ctx.spreadsheetId}`;
+  }
+
+  /**
+   * Reads the signing secret without creating one.
+   * @returns {string} The secret, or '' if none has been generated yet
+   */
+  readSecret() {
+    return withBackoff(() => PropertiesService.getScriptProperties().getProperty(this.getPropertyKey())) || '';
+  }
+
+  /**
+   * Gets the signing secret, generating and saving one to the script properties on first use.
+   * Dry runs use a throwaway secret so nothing is written.
+   * @returns {string} The secret
+   */
+  getSecret() {
+    if (this.secret) {
+      return this.secret;
+    }
+
+    const properties = PropertiesService.getScriptProperties();
+    const key = this.getPropertyKey();
+    const stored = withBackoff(() => properties.getProperty(key));
+    if (stored) {
+      this.secret = stored;
+      return stored;
+    }
+
+    const secret = Utilities.getUuid().replace(/-/g, '') + Utilities.getUuid().replace(/-/g, '');
+    if (!this.ctx.dryRun) {
+      withBackoff(() => properties.setProperty(key, secret));
+    }
+
+    this.secret = secret;
+    return secret;
+  }
+
+  /**
+   * Discards the signing secret so every link already sent stops working.
+   * A new secret is generated the next time links are sent.
+   */
+  resetSecret() {
+    withBackoff(() => PropertiesService.getScriptProperties().deleteProperty(this.getPropertyKey()));
+    this.secret = null;
+    console.log('StatusLinkService: Reset the status link secret');
+  }
+
+  /**
+   * Signs a link payload.
+   * @param {string} projectId - The project ID
+   * @param {string} status - The status the link sets
+   * @param {string} email - The recipient the link was sent to
+   * @param {number} expires - Expiry time in milliseconds since the epoch
+   * @param {string} secret - The signing secret
+   * @returns {string} Web-safe base64 signature
+   */
+  sign(projectId, status, email, expires, secret) {
+    const payload = [projectId, status, email, expires].join('|');
+    return Utilities.base64EncodeWebSafe(Utilities.computeHmacSha256Signature(payload, secret));
+  }
+
+  /**
+   * Builds the signed status links for one project and recipient.
+   * Only STATUS_LINK_STATUSES that are also in the Codes sheet and that the Codes workflow
+   * allows from the current status are offered.
+   * @param {Project} project - The project
+   * @param {string} email - The recipient's email
+   * @returns {Object[]} Array of {status, url}; empty when links are not enabled
+   */
+  buildLinks(project, email) {
+    const webAppUrl = this.getWebAppUrl();
+    if (!webAppUrl) {
+      return [];
+    }
+
+    const secret = this.getSecret();
+    const recipient = String(email).trim().toLowerCase();
+    const expires = this.now.getTime() + DEFAULTS.STATUS_LINK_DAYS * 24 * 60 * 60 * 1000;
+    const statuses = this.codes.getStatuses();
+
+    return STATUS_LINK_STATUSES
+      .filter(status => statuses.includes(status) && status !== project.projectStatus &&
+        !this.ctx.validationService.getStatusTransitionError(project, project.projectStatus, status))
+      .map(status => {
+        const params = {
+          action: STATUS_LINK_ACTION,
+          project: project.projectId,
+          status,
+          by: recipient,
+          exp: expires,
+          sig: this.sign(project.projectId, status, recipient, expires, secret)
+        };
+        const query = Object.entries(params)
+          .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+          .join('&');
+        return { status, url: `${webAppUrl}?${query}` };
+      });
+  }
+
+  /**
+   * Builds the "Update status" line for an email.
+   * @param {Project} project - The project
+   * @param {string} email - The recipient's email
+   * @returns {string} HTML line of links, or '' when links are not enabled
+   */
+  buildLinksHtml(project, email) {
+    const links = this.buildLinks(project, email);
+    if (links.length === 0) {
+      return '';
+    }
+
+    return 'Update status: ' +
+           links.map(({ status, url }) => `<a href="${escapeHtml(url)}">${escapeHtml(status)}</a>`).join(' | ');
+  }
+
+  /**
+   * Verifies the parameters of a clicked link (or of its submitted confirmation page).
+   * @param {Object} params - The doGet/doPost e.parameter object
+   * @returns {Object} {projectId, status, email} from the link
+   * @throws {Error} If the link is incomplete, tampered with, or expired
+   */
+  verify(params) {
+    const projectId = String(params.project || '').trim();
+    const status = String(params.status || '').trim();
+    const email = String(params.by || '').trim().toLowerCase();
+    const expires = parseInt(params.exp, 10);
+    const signature = String(params.sig || '');
+
+    const secret = this.readSecret();
+    if (!projectId || !status || !email || isNaN(expires) || !signature || !secret ||
+        !constantTimeEquals(this.sign(projectId, status, email, expires, secret), signature)) {
+      throw new Error('This status link is not valid. Please update the project from the Project Management Sheet.');
+    }
+
+    if (this.now.getTime() > expires) {
+      throw new Error('This status link has expired. Use the links in your latest reminder, or update the Project Management Sheet.');
+    }
+
+    return { projectId, status, email };
+  }
+}
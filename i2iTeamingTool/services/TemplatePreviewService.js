@@ -0,0 +1,265 @@
+/**
+ * TemplatePreviewService class - Email template check and preview.
+ * Loads every configured "Email Template - *" Doc the way NotificationService does, flags
+ * problems (missing subject line, broken {{#if}}/{{#each}} blocks, misspelled tokens, tokens
+ * the email never fills in, required tokens left out), and renders each template against
+ * sample projects so admins can see the email before staff do.
+ */
+class TemplatePreviewService {
+  /**
+   * Creates a new TemplatePreviewService instance.
+   * @param {ExecutionContext} ctx - The execution context
+   */
+  constructor(ctx) {
+    this.ctx = ctx;
+    this.config = ctx.config;
+    this.directory = ctx.directory;
+    this.codes = ctx.codes;
+    this.projectSheet = ctx.projectSheet;
+    this.notificationService = ctx.notificationService;
+  }
+
+  /**
+   * Checks and renders every configured email template.
+   * Optional templates that are not configured are left out.
+   * @param {string} recipientEmail - Whose name fills the sample recipient tokens
+   * @returns {Object[]} Array of {name, docId, subject, body, issues: string[]}
+   */
+  checkTemplates(recipientEmail) {
+    const results = [];
+
+    for (const name of Object.keys(EMAIL_TEMPLATE_REQUIRED_TOKENS)) {
+      const docId = String(this.config.get(name) || '').trim();
+      if (!docId) {
+        if (REQUIRED_CONFIG_KEYS.includes(name)) {
+          results.push({ name, docId, subject: '', body: '', issues: ['Not set in Config.'] });
+        }
+        continue;
+      }
+      results.push(this.checkTemplate(name, docId, recipientEmail));
+    }
+
+    const problems = results.filter(r => r.issues.length > 0).length;
+    console.log(`TemplatePreviewService: Checked ${results.length} template(s), ${problems} with problems`);
+
+    return results;
+  }
+
+  /**
+   * Checks and renders one template.
+   * @param {string} name - Config key (e.g., "Email Template - Reminder")
+   * @param {string} docId - Template Doc ID
+   * @param {string} recipientEmail - Whose name fills the sample recipient tokens
+   * @returns {Object} {name, docId, subject, body, issues: string[]}
+   */
+  checkTemplate(name, docId, recipientEmail) {
+    const result = { name, docId, subject: '', body: '', issues: [] };
+
+    let template;
+    try {
+      template = this.notificationService.loadTemplate(docId);
+    } catch (error) {
+      result.issues.push(`Could not open the Doc: ${error.message}`);
+      return result;
+    }
+
+    if (!template.subject) {
+      result.issues.push('The Doc is empty, so there is no subject line.');
+    } else if (/^(hello|hi|dear|good (morning|afternoon|evening))\b/i.test(template.subject) || /,$/.test(template.subject)) {
+      result.issues.push(`The first line "${template.subject}" becomes the subject. Is the subject line missing?`);
+    }
+
+    for (const part of [template.subject, template.body]) {
+      try {
+        parseTemplate(part);
+      } catch (error) {
+        result.issues.push(`${error.message}.`);
+        return result;
+      }
+    }
+
+    const text = `${template.subject}\n${template.body}`;
+    const knownNames = Object.keys(EMAIL_TOKENS).concat(Object.values(EMAIL_LIST_TOKENS));
+    const usedNames = new Set();
+    for (const match of text.matchAll(/{{\s*(?:#if\s+|#each\s+)?(\w+)\s*}}/g)) {
+      if (match[1] !== 'else') {
+        usedNames.add(match[1]);
+      }
+    }
+
+    for (const tokenName of usedNames) {
+      if (!knownNames.includes(tokenName)) {
+        const suggestion = this.suggestToken(tokenName, knownNames);
+        result.issues.push(`Unknown token {{${tokenName}}}${suggestion ? ` (did you mean {{${suggestion}}}?)` : ''}.`);
+      }
+    }
+
+    for (const required of EMAIL_TEMPLATE_REQUIRED_TOKENS[name]) {
+      const alternatives = [].concat(required);
+      if (!alternatives.some(tokenName => usedNames.has(tokenName))) {
+        const listed = alternatives.map(tokenName => (Object.values(EMAIL_LIST_TOKENS).includes(tokenName)
+          ? `{{#each ${tokenName}}}` : `{{${tokenName}}}`));
+        result.issues.push(`Missing ${listed.join(' or ')}.`);
+      }
+    }
+
+    const prepared = this.notificationService.prepareEmail(docId, this.buildSampleValues(name, recipientEmail, template));
+    result.subject = prepared.subject;
+    result.body = prepared.body;
+
+    // Known tokens still showing after rendering are ones this email never fills in
+    const leftover = new Set();
+    for (const match of `${prepared.subject}\n${prepared.body}`.matchAll(/{{\s*(\w+)\s*}}/g)) {
+      if (knownNames.includes(match[1])) {
+        leftover.add(match[1]);
+      }
+    }
+    for (const tokenName of leftover) {
+      result.issues.push(`{{${tokenName}}} is not filled in for this email and will show as typed.`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Suggests the known token closest to a misspelled one.
+   * @param {string} tokenName - The unknown token
+   * @param {string[]} knownNames - Known token names
+   * @returns {string} The closest known name within two edits (or differing only in case), or ''
+   */
+  suggestToken(tokenName, knownNames) {
+    const distance = (a, b) => {
+      let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+      for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+          current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+      }
+      return previous[b.length];
+    };
+
+    const upper = tokenName.toUpperCase();
+    let best = '';
+    let bestDistance = 3;
+    for (const known of knownNames) {
+      const d = distance(upper, known);
+      if (d < bestDistance) {
+        best = known;
+        bestDistance = d;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Builds two sample projects (unsaved) for previews.
+   * @param {string} recipientName - Used as the assignee
+   * @returns {Project[]} Sample projects
+   */
+  buildSampleProjects(recipientName) {
+    const now = this.ctx.now;
+    const category = this.codes.getCategories()[0] || '';
+    const status = this.codes.getStatuses()[0] || PROJECT_STATUS.PROJECT_ASSIGNED;
+    const sample = (serial, projectName, daysOut, description) => this.projectSheet.buildProject({
+      project_id: `${this.config.districtId}-SAMPLE-000${serial}`,
+      project_name: projectName,
+      category,
+      assignee: recipientName,
+      requested_by: recipientName,
+      due_date: new Date(now.getFullYear(), now.getMonth(), now.getDate() + daysOut),
+      description,
+      folder_id: this.config.rootFolderId,
+      project_status: status
+    });
+
+    return [
+      sample(1, 'Sample Project: Family Literacy Night', 3, 'Plan and host a literacy night for families.'),
+      sample(2, 'Sample Project: Attendance Review', 7, '')
+    ];
+  }
+
+  /**
+   * Builds the token values a template is sent with, using sample projects.
+   * Mirrors what NotificationService passes for each email.
+   * @param {string} name - Config key (e.g., "Email Template - Reminder")
+   * @param {string} recipientEmail - Sample recipient
+   * @param {Object} template - The loaded template ({subject, body})
+   * @returns {Object} Token values
+   */
+  buildSampleValues(name, recipientEmail, template) {
+    const recipientName = this.directory.getNameByEmail(recipientEmail) || recipientEmail;
+    const projects = this.buildSampleProjects(recipientName);
+    const [first, second] = projects;
+    const now = this.ctx.now;
+
+    switch (name) {
+      case 'Email Template - Reminder': {
+        // Templates that loop over REMINDERS are previewed with several projects
+        const loops = new RegExp(`{{\\s*#each\\s+${EMAIL_LIST_TOKENS.REMINDERS}\\s*}}`).test(template.body);
+        const reminders = (loops ? projects : [first]).map(project => ({ project, daysUntilDue: project.daysUntilDue(now) }));
+        return this.notificationService.buildReminderValues(recipientEmail, reminders);
+      }
+      case 'Email Template - Status Change':
+        return this.notificationService.buildStatusChangeValues(recipientName, [
+          { project: first, oldStatus: PROJECT_STATUS.ON_TRACK, newStatus: PROJECT_STATUS.BEHIND_SCHEDULE },
+          { project: second, oldStatus: PROJECT_STATUS.PROJECT_ASSIGNED, newStatus: PROJECT_STATUS.COMPLETE }
+        ], now);
+      case 'Email Template - Project Update':
+        return first.getTokenValues(this.directory, {
+          RECIPIENT_NAME: recipientName,
+          CHANGES_SUMMARY: this.notificationService.buildChangesSummary({
+            dateChanged: { old: now, new: first.dueDate },
+            peopleAdded: [],
+            peopleRemoved: []
+          })
+        });
+      case 'Email Template - Escalation':
+        return first.getTokenValues(this.directory, {
+          RECIPIENT_NAME: recipientName,
+          DAYS_LATE: '3',
+          ESCALATION_LEVEL: ESCALATION_TARGETS.SUPERVISOR,
+          ESCALATION_RECIPIENTS: recipientName
+        });
+      case 'Email Template - Weekly Summary':
+        return this.notificationService.buildWeeklySummaryValues(recipientName, projects, now, this.codes.getStatuses());
+      case 'Email Template - Project Cancellation':
+        return first.getTokenValues(this.directory, { RECIPIENT_NAME: recipientName });
+      case 'Email Template - Unblocked':
+        return first.getTokenValues(this.directory, {
+          RECIPIENT_NAME: recipientName,
+          PREDECESSOR_TITLE: second.displayTitle
+        });
+      default:
+        return first.getTokenValues(this.directory, { ASSIGNEE_NAME: recipientName });
+    }
+  }
+
+  /**
+   * Emails the check results and rendered previews in one message.
+   * @param {string} recipientEmail - Who gets the previews
+   * @param {Object[]} results - From checkTemplates
+   */
+  sendPreviews(recipientEmail, results) {
+    const problems = results.reduce((sum, r) => sum + r.issues.length, 0);
+    const subject = `${PRODUCT_NAME}: Email template check (${problems} problem${problems === 1 ? '' : 's'})`;
+
+    const sections = results.map(result => {
+      const issues = result.issues.length > 0
+        ? `<ul>${result.issues.map(issue => `<li>${issue}</li>`).join('')}</ul>`
+        : '<p>No problems found.</p>';
+      const preview = result.subject || result.body
+        ? `<p><strong>Subject:</strong> ${result.subject}</p>` +
+          `<div style="border: 1px solid #ccc; padding: 12px;">${this.notificationService.textToHtml(result.body)}</div>`
+        : '';
+      return `<h3>${result.name}</h3>${issues}${preview}`;
+    });
+
+    const htmlBody = '<p>Sample projects fill in the tokens below. Nothing was sent to staff.</p>' + sections.join('<hr>');
+    const body = results.map(r => `${r.name}: ${r.issues.length > 0 ? r.issues.join(' ') : 'OK'}`).join('\n');
+
+    // Sent now: the admin is waiting for it
+    this.notificationService.sendEmail(recipientEmail, subject, body, { htmlBody, immediate: true });
+  }
+}
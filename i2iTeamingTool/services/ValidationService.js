@@ -1,6 +1,7 @@
 /**
  * ValidationService class - Manages dropdown data validation rules.
- * Dynamically updates automation_status dropdown options based on current state.
+ * Dynamically updates automation_status dropdown options based on current state, and
+ * project_status options based on the Codes sheet status workflow when one is defined.
  */
 class ValidationService {
   /**
@@ -41,6 +42,8 @@ class ValidationService {
       updated++;
     }
 
+    this.updateAllProjectStatusValidations();
+
     // Also handle any blank rows at the end (rows without projects)
     const lastRow = sheet.getLastRow();
     const dataRowCount = projects.length + 2; // +2 for header rows
@@ -78,6 +81,136 @@ class ValidationService {
     this.setDropdownValidation(sheet, row, statusCol, allowedValues);
   }
 
+  /**
+   * Explains why a person may not change a project's status, per the Codes sheet workflow.
+   * Automation (Late marking, dependents) does not go through this check.
+   * @param {Project|null} project - The project (for its Notes)
+   * @param {string} fromStatus - The current status
+   * @param {string} toStatus - The requested status
+   * @returns {string} Reason the change is not allowed, or '' if it is
+   */
+  getStatusTransitionError(project, fromStatus, toStatus) {
+    const codes = this.ctx.codes;
+    if (!codes.hasStatusWorkflow() || fromStatus === toStatus) {
+      return '';
+    }
+
+    if (fromStatus) {
+      const allowed = codes.getAllowedNextStatuses(fromStatus);
+      if (!allowed.includes(toStatus)) {
+        return allowed.length > 0
+          ? `"${fromStatus}" can only change to ${allowed.map(s => `"${s}"`).join(', ')}.`
+          : `"${fromStatus}" cannot be changed.`;
+      }
+    }
+
+    if (codes.statusRequiresNote(toStatus) && !this.hasNoteSinceStatusChange(project)) {
+      return `"${toStatus}" requires a new note. Explain the change in the Notes column, then set the status again.`;
+    }
+
+    return '';
+  }
+
+  /**
+   * Checks whether the project's Notes were edited since its status last changed, so a note
+   * written for an earlier status does not satisfy "Requires Note" again. Uses the project's
+   * recent Audit Log entries; rows not created yet only need a note.
+   * @param {Project|null} project - The project
+   * @returns {boolean} True if a note was added for the status change being made
+   */
+  hasNoteSinceStatusChange(project) {
+    if (!project || !String(project.notes || '').trim()) {
+      return false;
+    }
+    if (!project.projectId) {
+      return true;
+    }
+
+    for (const entry of this.ctx.auditLog.getRecentEntries(project.projectId)) {
+      if (entry.action === AUDIT_ACTIONS.FIELD_CHANGED && entry.field === 'notes' && String(entry.after || '').trim()) {
+        return true;
+      }
+      if (entry.action === AUDIT_ACTIONS.STATUS_CHANGED || entry.action === AUDIT_ACTIONS.MARKED_LATE) {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Updates project_status dropdown validation for every project row.
+   * Only applies when the Codes sheet defines a status workflow.
+   */
+  updateAllProjectStatusValidations() {
+    if (this.ctx.dryRun || !this.ctx.codes.hasStatusWorkflow()) {
+      return;
+    }
+
+    const statusColIndex = this.projectSheet.getColumnIndex('project_status');
+    if (statusColIndex === undefined) {
+      return;
+    }
+
+    // One rule per set of allowed statuses; consecutive rows sharing a rule get one call
+    const sheet = this.projectSheet.getSheet();
+    const rules = new Map();
+    const rows = this.projectSheet.getProjects()
+      .map(project => {
+        const allowedValues = this.getAllowedProjectStatuses(project);
+        const key = JSON.stringify(allowedValues);
+        if (!rules.has(key)) {
+          rules.set(key, this.buildDropdownRule(allowedValues, PROJECT_STATUS_DROPDOWN_HELP));
+        }
+        return { row: project.getRowIndex(), key };
+      })
+      .sort((a, b) => a.row - b.row);
+
+    let calls = 0;
+    for (let i = 0; i < rows.length;) {
+      let end = i + 1;
+      while (end < rows.length && rows[end].key === rows[i].key && rows[end].row === rows[end - 1].row + 1) {
+        end++;
+      }
+      sheet.getRange(rows[i].row, statusColIndex + 1, end - i, 1).setDataValidation(rules.get(rows[i].key));
+      calls++;
+      i = end;
+    }
+
+    DEBUG && console.log(`ValidationService: Set project_status validation on ${rows.length} row(s) in ${calls} call(s)`);
+  }
+
+  /**
+   * Gets the statuses a project's status dropdown offers: its current status and the statuses
+   * it may change to next, or every status when it has none yet.
+   * @param {Project} project - The project
+   * @returns {string[]} Allowed project_status values
+   */
+  getAllowedProjectStatuses(project) {
+    const current = project.projectStatus;
+    return current
+      ? [current, ...this.ctx.codes.getAllowedNextStatuses(current)]
+      : this.ctx.codes.getStatuses();
+  }
+
+  /**
+   * Limits a row's project_status dropdown to its current status and the statuses it may
+   * change to next. Only applies when the Codes sheet defines a status workflow.
+   * @param {Project} project - The project to update
+   */
+  updateProjectStatusValidation(project) {
+    if (this.ctx.dryRun || !this.ctx.codes.hasStatusWorkflow()) {
+      return;
+    }
+
+    const statusColIndex = this.projectSheet.getColumnIndex('project_status');
+    if (statusColIndex === undefined) {
+      return;
+    }
+
+    this.setDropdownValidation(this.projectSheet.getSheet(), project.getRowIndex(), statusColIndex + 1,
+      this.getAllowedProjectStatuses(project), PROJECT_STATUS_DROPDOWN_HELP);
+  }
+
   /**
    * Gets the allowed automation status values based on current status.
    *
@@ -110,6 +243,10 @@ class ValidationService {
         // Error - user can retry by setting back to Ready
         return [AUTOMATION_STATUS.ERROR, AUTOMATION_STATUS.READY];
 
+      case AUTOMATION_STATUS.HELD_DUPLICATE:
+        // Held duplicate - an admin can release it by setting Ready (or merge it from the menu)
+        return [AUTOMATION_STATUS.HELD_DUPLICATE, AUTOMATION_STATUS.READY];
+
       case AUTOMATION_STATUS.READY:
         // Ready - locked, automation will process it
         return [AUTOMATION_STATUS.READY];
@@ -139,8 +276,9 @@ class ValidationService {
    * @param {number} row - Row number (1-based)
    * @param {number} col - Column number (1-based)
    * @param {string[]} allowedValues - Array of allowed dropdown values
+   * @param {string} [helpText] - Help text (default: derived from the automation status values)
    */
-  setDropdownValidation(sheet, row, col, allowedValues) {
+  setDropdownValidation(sheet, row, col, allowedValues, helpText = '') {
     const cell = sheet.getRange(row, col);
 
     if (allowedValues.length === 0) {
@@ -149,13 +287,21 @@ class ValidationService {
       return;
     }
 
-    const rule = SpreadsheetApp.newDataValidation()
+    cell.setDataValidation(this.buildDropdownRule(allowedValues, helpText));
+  }
+
+  /**
+   * Builds a dropdown rule that only accepts the listed values.
+   * @param {string[]} allowedValues - Array of allowed dropdown values
+   * @param {string} [helpText] - Help text (default: derived from the automation status values)
+   * @returns {GoogleAppsScript.Spreadsheet.DataValidation} The rule
+   */
+  buildDropdownRule(allowedValues, helpText = '') {
+    return SpreadsheetApp.newDataValidation()
       .requireValueInList(allowedValues, true) // true = show dropdown
       .setAllowInvalid(false) // Reject invalid values
-      .setHelpText(this.getHelpText(allowedValues))
+      .setHelpText(helpText || this.getHelpText(allowedValues))
       .build();
-
-    cell.setDataValidation(rule);
   }
 
   /**
@@ -220,6 +366,9 @@ class ValidationService {
     const dataRange = sheet.getRange(3, statusCol, lastRow - 2, 1);
     dataRange.setDataValidation(rule);
 
+    // Narrow existing rows to their workflow transitions
+    this.updateAllProjectStatusValidations();
+
     DEBUG && console.log(`ValidationService: Set project_status validation with ${allStatuses.length} options`);
   }
 
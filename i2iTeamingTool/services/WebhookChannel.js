@@ -0,0 +1,126 @@
+/**
+ * WebhookChannel class - Posts project notifications to a chat space or JSON webhook.
+ * Google Chat incoming webhooks (GOOGLE_CHAT_WEBHOOK_PATTERN) get a card; any other URL gets
+ * a plain JSON body. NotificationService decides which events reach which channel.
+ */
+class WebhookChannel {
+  /**
+   * Creates a new WebhookChannel instance.
+   * @param {string} id - Identifies the channel in logs and the Notification Log (e.g., "Webhook - LCAP")
+   * @param {string} url - Webhook URL
+   */
+  constructor(id, url) {
+    this.id = id;
+    this.url = url;
+    this.isGoogleChat = GOOGLE_CHAT_WEBHOOK_PATTERN.test(url);
+  }
+
+  /**
+   * Posts one event.
+   * @param {Object} event - {type, project, daysUntilDue?, oldStatus?, newStatus?}
+   * @throws {Error} If the webhook cannot be reached or does not answer with a 2xx status
+   */
+  send(event) {
+    const payload = this.isGoogleChat ? this.buildChatMessage(event) : this.buildJsonMessage(event);
+
+    const response = withBackoff(() => UrlFetchApp.fetch(this.url, {
+      method: 'post',
+      contentType: 'application/json; charset=UTF-8',
+      payload: JSON.stringify(payload),
+      muteHttpExceptions: true
+    }));
+
+    const code = response.getResponseCode();
+    if (code < 200 || code >= 300) {
+      throw new Error(`${this.id} answered HTTP ${code}: ${String(response.getContentText() || '').substring(0, 200)}`);
+    }
+
+    console.log(`WebhookChannel: Posted ${event.type} for ${event.project.projectId} to ${this.id}`);
+  }
+
+  /**
+   * Describes an event in one line (the message headline).
+   * @param {Object} event - See send
+   * @returns {string} e.g. "Status changed: On Track → Late"
+   */
+  describe(event) {
+    switch (event.type) {
+      case NOTIFICATION_TYPES.NEW_PROJECT:
+        return 'New project assigned';
+      case NOTIFICATION_TYPES.REMINDER:
+        return `Due in ${event.daysUntilDue} day${event.daysUntilDue === 1 ? '' : 's'}`;
+      case NOTIFICATION_TYPES.STATUS_CHANGE:
+        return `Status changed: ${event.oldStatus || '(none)'} → ${event.newStatus}`;
+      case NOTIFICATION_TYPES.CANCELLATION:
+        return 'Project cancelled';
+      default:
+        return event.type;
+    }
+  }
+
+  /**
+   * Builds a Google Chat card message.
+   * @param {Object} event - See send
+   * @returns {Object} Chat message body (text fallback + cardsV2)
+   */
+  buildChatMessage(event) {
+    const project = event.project;
+    const headline = this.describe(event);
+    const field = (label, value) => ({ decoratedText: { topLabel: label, text: value || '-' } });
+
+    const widgets = [
+      field('Assigned to', project.assignee),
+      field('Requested by', project.requestedBy),
+      field('Deadline', formatDate(project.dueDate)),
+      field('Status', event.newStatus || project.projectStatus)
+    ];
+    if (project.folderId) {
+      widgets.push({
+        buttonList: {
+          buttons: [{ text: 'Open project folder', onClick: { openLink: { url: project.folderUrl } } }]
+        }
+      });
+    }
+
+    return {
+      text: `${headline}: ${project.displayTitle}`,
+      cardsV2: [{
+        cardId: `${event.type}-${project.projectId}`.replace(/[^\w-]/g, '-'),
+        card: {
+          header: { title: project.displayTitle, subtitle: headline },
+          sections: [{ widgets }]
+        }
+      }]
+    };
+  }
+
+  /**
+   * Builds the plain JSON message for generic webhooks.
+   * @param {Object} event - See send
+   * @returns {Object} {event, text, project: {...}, daysUntilDue?, oldStatus?, newStatus?}
+   */
+  buildJsonMessage(event) {
+    const project = event.project;
+    const message = {
+      event: event.type,
+      text: `${this.describe(event)}: ${project.displayTitle}`,
+      project: {
+        id: project.projectId,
+        title: project.projectName,
+        category: project.category,
+        assignee: project.assignee,
+        requestedBy: project.requestedBy,
+        deadline: formatDateISO(project.dueDate),
+        status: project.projectStatus,
+        folderUrl: project.folderId ? project.folderUrl : ''
+      }
+    };
+
+    for (const key of ['daysUntilDue', 'oldStatus', 'newStatus']) {
+      if (event[key] !== undefined) {
+        message[key] = event[key];
+      }
+    }
+    return message;
+  }
+}
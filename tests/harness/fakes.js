@@ -0,0 +1,1578 @@
+/**
+ * In-memory stand-ins for the Apps Script services used by the i2iTeamingTool library.
+ *
+ * Every fake reads and writes a single FakeWorld, so a scenario can seed Drive, Docs, Forms,
+ * and spreadsheets up front and then assert on what the library did (sheet cells, folders,
+ * sharing, calendar events, sent email). Only the API surface the library actually calls is
+ * implemented; anything else is simply missing, so gaps show up as TypeErrors rather than silent no-ops.
+ */
+
+const crypto = require('node:crypto');
+
+const RealDate = Date;
+
+// ===== IDS & ERRORS =====
+
+/**
+ * Error thrown when a Drive/Docs/Forms/Spreadsheet ID does not exist (mirrors Apps Script wording).
+ * @param {string} kind - What was being opened (e.g., "file", "folder")
+ * @param {string} id - The missing ID
+ * @returns {Error} The error
+ */
+function notFound(kind, id) {
+  return new Error(`No ${kind} with the given ID could be found, or you do not have permission to access it. (${id})`);
+}
+
+/**
+ * Converts a column letter sequence (e.g., "A", "AB") to a 1-based column number.
+ * @param {string} letters - Column letters
+ * @returns {number} 1-based column number
+ */
+function columnLettersToNumber(letters) {
+  let column = 0;
+  for (const ch of letters.toUpperCase()) {
+    column = column * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return column;
+}
+
+/**
+ * Converts a 1-based column number to letters (e.g., 28 -> "AB").
+ * @param {number} column - 1-based column number
+ * @returns {string} Column letters
+ */
+function columnNumberToLetters(column) {
+  let letters = '';
+  let n = column;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+// ===== SPREADSHEETS =====
+
+/**
+ * Fake Range - a rectangular window onto a FakeSheet grid.
+ */
+class FakeRange {
+  /**
+   * @param {FakeSheet} sheet - Owning sheet
+   * @param {number} row - 1-based top row
+   * @param {number} column - 1-based left column
+   * @param {number} numRows - Row count
+   * @param {number} numColumns - Column count
+   */
+  constructor(sheet, row, column, numRows, numColumns) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error(`The coordinates or dimensions of the range are invalid (${row}, ${column}, ${numRows}, ${numColumns})`);
+    }
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getSheet() { return this.sheet; }
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+  getLastRow() { return this.row + this.numRows - 1; }
+  getLastColumn() { return this.column + this.numColumns - 1; }
+
+  /**
+   * @returns {string} A1 notation of the range
+   */
+  getA1Notation() {
+    const start = `${columnNumberToLetters(this.column)}${this.row}`;
+    if (this.numRows === 1 && this.numColumns === 1) {
+      return start;
+    }
+    return `${start}:${columnNumberToLetters(this.getLastColumn())}${this.getLastRow()}`;
+  }
+
+  /**
+   * @returns {Array[]} Copy of the cell values ('' for empty cells)
+   */
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const rowValues = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        rowValues.push(this.sheet.readCell(this.row + r, this.column + c));
+      }
+      values.push(rowValues);
+    }
+    return values;
+  }
+
+  /**
+   * @returns {*} Value of the top-left cell
+   */
+  getValue() {
+    return this.sheet.readCell(this.row, this.column);
+  }
+
+  /**
+   * Writes a 2D array; dimensions must match the range exactly (as in Apps Script).
+   * @param {Array[]} values - Values to write
+   * @returns {FakeRange} This range
+   */
+  setValues(values) {
+    if (!Array.isArray(values) || values.length !== this.numRows) {
+      throw new Error(`The number of rows in the data does not match the number of rows in the range. The data has ${values && values.length} but the range has ${this.numRows}.`);
+    }
+    for (let r = 0; r < this.numRows; r++) {
+      if (values[r].length !== this.numColumns) {
+        throw new Error(`The number of columns in the data does not match the number of columns in the range. The data has ${values[r].length} but the range has ${this.numColumns}.`);
+      }
+      for (let c = 0; c < this.numColumns; c++) {
+        this.sheet.writeCell(this.row + r, this.column + c, values[r][c]);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Writes the same value to every cell in the range.
+   * @param {*} value - Value to write
+   * @returns {FakeRange} This range
+   */
+  setValue(value) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        this.sheet.writeCell(this.row + r, this.column + c, value);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * @returns {FakeRange} This range
+   */
+  clearContent() {
+    return this.setValue('');
+  }
+
+  /**
+   * @param {Object} rule - Rule from newDataValidation().build()
+   * @returns {FakeRange} This range
+   */
+  setDataValidation(rule) {
+    this.forEachCell((r, c) => this.sheet.validations.set(`${r},${c}`, rule));
+    return this;
+  }
+
+  /**
+   * @returns {Object|null} Validation rule of the top-left cell
+   */
+  getDataValidation() {
+    return this.sheet.validations.get(`${this.row},${this.column}`) || null;
+  }
+
+  /**
+   * @returns {FakeRange} This range
+   */
+  clearDataValidations() {
+    this.forEachCell((r, c) => this.sheet.validations.delete(`${r},${c}`));
+    return this;
+  }
+
+  /**
+   * @param {string} note - Cell note ('' removes it)
+   * @returns {FakeRange} This range
+   */
+  setNote(note) {
+    this.forEachCell((r, c) => {
+      if (note) {
+        this.sheet.notes.set(`${r},${c}`, String(note));
+      } else {
+        this.sheet.notes.delete(`${r},${c}`);
+      }
+    });
+    return this;
+  }
+
+  /**
+   * @returns {string} Note of the top-left cell ('' if none)
+   */
+  getNote() {
+    return this.sheet.notes.get(`${this.row},${this.column}`) || '';
+  }
+
+  setFontWeight() { return this; }
+  setBackground() { return this; }
+  setNumberFormat() { return this; }
+
+  /**
+   * Calls fn(row, column) for each cell in the range.
+   * @param {Function} fn - Callback
+   */
+  forEachCell(fn) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        fn(this.row + r, this.column + c);
+      }
+    }
+  }
+}
+
+/**
+ * Fake Sheet - a sparse grid of values stored as an array of rows.
+ */
+class FakeSheet {
+  /**
+   * @param {FakeSpreadsheet} spreadsheet - Owning spreadsheet
+   * @param {string} name - Sheet name
+   * @param {Array[]} [rows] - Initial values (row-major, 0-based)
+   */
+  constructor(spreadsheet, name, rows = []) {
+    this.spreadsheet = spreadsheet;
+    this.name = name;
+    this.rows = rows.map(row => row.slice());
+    this.hiddenRows = new Set();
+    this.validations = new Map();
+    this.notes = new Map();
+    this.frozenRows = 0;
+    this.protections = [];
+  }
+
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  getParent() { return this.spreadsheet; }
+
+  /**
+   * @param {number} row - 1-based row
+   * @param {number} column - 1-based column
+   * @returns {*} Cell value ('' when empty)
+   */
+  readCell(row, column) {
+    const rowValues = this.rows[row - 1];
+    if (!rowValues) {
+      return '';
+    }
+    const value = rowValues[column - 1];
+    return value === undefined || value === null ? '' : value;
+  }
+
+  /**
+   * @param {number} row - 1-based row
+   * @param {number} column - 1-based column
+   * @param {*} value - Value to store
+   */
+  writeCell(row, column, value) {
+    while (this.rows.length < row) {
+      this.rows.push([]);
+    }
+    const rowValues = this.rows[row - 1];
+    while (rowValues.length < column) {
+      rowValues.push('');
+    }
+    rowValues[column - 1] = value === undefined || value === null ? '' : value;
+  }
+
+  /**
+   * @returns {number} Last row containing any non-empty cell (0 if the sheet is empty)
+   */
+  getLastRow() {
+    for (let r = this.rows.length; r >= 1; r--) {
+      if (this.rows[r - 1].some(v => v !== '' && v !== undefined && v !== null)) {
+        return r;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * @returns {number} Last column containing any non-empty cell (0 if the sheet is empty)
+   */
+  getLastColumn() {
+    let last = 0;
+    for (const rowValues of this.rows) {
+      for (let c = rowValues.length; c > last; c--) {
+        const v = rowValues[c - 1];
+        if (v !== '' && v !== undefined && v !== null) {
+          last = c;
+          break;
+        }
+      }
+    }
+    return last;
+  }
+
+  getMaxRows() { return Math.max(this.rows.length, 1000); }
+  getMaxColumns() { return Math.max(this.getLastColumn(), 26); }
+
+  /**
+   * getRange(row, column[, numRows[, numColumns]]) or getRange('A1:B2').
+   * @returns {FakeRange} The range
+   */
+  getRange(rowOrA1, column, numRows, numColumns) {
+    if (typeof rowOrA1 === 'string') {
+      const match = rowOrA1.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
+      if (!match) {
+        throw new Error(`FakeSheet: Unsupported A1 notation "${rowOrA1}"`);
+      }
+      const startCol = columnLettersToNumber(match[1]);
+      const startRow = parseInt(match[2], 10);
+      const endCol = match[3] ? columnLettersToNumber(match[3]) : startCol;
+      const endRow = match[4] ? parseInt(match[4], 10) : startRow;
+      return new FakeRange(this, startRow, startCol, endRow - startRow + 1, endCol - startCol + 1);
+    }
+    return new FakeRange(this, rowOrA1, column, numRows || 1, numColumns || 1);
+  }
+
+  /**
+   * @returns {FakeRange} Range covering A1 to the last row/column with content
+   */
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  /**
+   * @param {Array} rowValues - Values for the new row
+   * @returns {FakeSheet} This sheet
+   */
+  appendRow(rowValues) {
+    const row = this.getLastRow() + 1;
+    this.rows.length = Math.max(this.rows.length, row - 1);
+    this.rows[row - 1] = rowValues.map(v => (v === undefined || v === null ? '' : v));
+    return this;
+  }
+
+  /**
+   * @param {number} start - 1-based first row to delete
+   * @param {number} [count=1] - Number of rows
+   */
+  deleteRows(start, count = 1) {
+    this.rows.splice(start - 1, count);
+
+    // Rows below shift up, taking their hidden state, validations, and notes with them
+    const shift = row => (row < start ? row : row >= start + count ? row - count : null);
+    this.hiddenRows = new Set([...this.hiddenRows].map(shift).filter(row => row !== null));
+    for (const cells of [this.validations, this.notes]) {
+      const entries = [...cells.entries()];
+      cells.clear();
+      for (const [key, value] of entries) {
+        const [row, column] = key.split(',').map(Number);
+        const shifted = shift(row);
+        if (shifted !== null) {
+          cells.set(`${shifted},${column}`, value);
+        }
+      }
+    }
+  }
+
+  deleteRow(row) { this.deleteRows(row, 1); }
+
+  /**
+   * @param {number} row - 1-based first row to hide
+   * @param {number} [count=1] - Number of rows
+   */
+  hideRows(row, count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.hiddenRows.add(row + i);
+    }
+  }
+
+  /**
+   * @param {number} row - 1-based row
+   * @returns {boolean} True if hidden by hideRows()
+   */
+  isRowHiddenByUser(row) {
+    return this.hiddenRows.has(row);
+  }
+
+  /**
+   * Clears all values (validations and formatting are kept, as in Apps Script).
+   * @returns {FakeSheet} This sheet
+   */
+  clearContents() {
+    this.rows = [];
+    return this;
+  }
+
+  clear() { return this.clearContents(); }
+  setFrozenRows(n) { this.frozenRows = n; }
+  getFrozenRows() { return this.frozenRows; }
+  autoResizeColumns() { return this; }
+  setColumnWidth() { return this; }
+
+  /**
+   * @returns {Object} Chainable protection stub
+   */
+  protect() {
+    const protection = {
+      description: '',
+      warningOnly: false,
+      setDescription(text) { this.description = text; return this; },
+      setWarningOnly(flag) { this.warningOnly = flag; return this; }
+    };
+    this.protections.push(protection);
+    return protection;
+  }
+
+  /**
+   * Test helper: all values as a trimmed 2D array.
+   * @returns {Array[]} Values from A1 to the last row/column with content
+   */
+  dump() {
+    return this.getDataRange().getValues();
+  }
+}
+
+/**
+ * Fake Spreadsheet - a named list of sheets, also registered as a Drive file.
+ */
+class FakeSpreadsheet {
+  /**
+   * @param {FakeWorld} world - Owning world
+   * @param {string} id - Spreadsheet (and Drive file) ID
+   * @param {string} name - Spreadsheet name
+   */
+  constructor(world, id, name) {
+    this.world = world;
+    this.id = id;
+    this.name = name;
+    this.sheets = [];
+    this.formUrl = null;
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getUrl() { return `https://docs.google.com/spreadsheets/d/${this.id}/edit`; }
+  getSheets() { return this.sheets.slice(); }
+  getFormUrl() { return this.formUrl; }
+
+  /**
+   * @param {string} name - Sheet name
+   * @returns {FakeSheet|null} The sheet, or null
+   */
+  getSheetByName(name) {
+    return this.sheets.find(s => s.name === name) || null;
+  }
+
+  /**
+   * @param {string} name - New sheet name (must be unique)
+   * @param {Array[]} [rows] - Test helper: initial values
+   * @returns {FakeSheet} The new sheet
+   */
+  insertSheet(name, rows) {
+    if (this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists. Please enter another name.`);
+    }
+    const sheet = new FakeSheet(this, name, Array.isArray(rows) ? rows : []);
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  /**
+   * @param {FakeSheet} sheet - Sheet to remove
+   */
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter(s => s !== sheet);
+  }
+
+  /**
+   * @returns {FakeSpreadsheet} Deep copy with a new ID (used by Drive makeCopy)
+   */
+  cloneAs(id, name) {
+    const copy = new FakeSpreadsheet(this.world, id, name);
+    for (const sheet of this.sheets) {
+      copy.sheets.push(new FakeSheet(copy, sheet.name, sheet.rows));
+    }
+    copy.formUrl = this.formUrl;
+    return copy;
+  }
+}
+
+/**
+ * Builds a fake DataValidation builder (SpreadsheetApp.newDataValidation()).
+ * @returns {Object} Chainable builder whose build() returns a plain rule object
+ */
+function newDataValidationBuilder() {
+  const rule = { values: [], showDropdown: true, allowInvalid: true, helpText: '' };
+  const builder = {
+    requireValueInList(values, showDropdown = true) {
+      rule.values = values.slice();
+      rule.showDropdown = showDropdown;
+      return builder;
+    },
+    setAllowInvalid(flag) { rule.allowInvalid = flag; return builder; },
+    setHelpText(text) { rule.helpText = text; return builder; },
+    build() {
+      return Object.assign({}, rule, {
+        getCriteriaValues: () => [rule.values.slice(), rule.showDropdown],
+        getHelpText: () => rule.helpText
+      });
+    }
+  };
+  return builder;
+}
+
+// ===== DRIVE =====
+
+/**
+ * Fake Drive user (as returned by getEditors/getViewers/getOwner).
+ * @param {string} email - User email
+ * @returns {Object} Object with getEmail()
+ */
+function fakeUser(email) {
+  return { getEmail: () => email };
+}
+
+/**
+ * Fake Drive item (file or folder) with sharing state.
+ */
+class FakeDriveItem {
+  /**
+   * @param {FakeWorld} world - Owning world
+   * @param {string} id - Item ID
+   * @param {string} name - Item name
+   * @param {string} mimeType - 'folder', 'spreadsheet', 'document', 'form', or 'file'
+   */
+  constructor(world, id, name, mimeType) {
+    this.world = world;
+    this.id = id;
+    this.name = name;
+    this.mimeType = mimeType;
+    this.parentId = null;
+    this.owner = world.ownerEmail;
+    this.editors = new Set();
+    this.viewers = new Set();
+    this.trashed = false;
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  getUrl() { return `https://drive.google.com/open?id=${this.id}`; }
+  getOwner() { return this.owner ? fakeUser(this.owner) : null; }
+  getEditors() { return [...this.editors].map(fakeUser); }
+  getViewers() { return [...this.viewers].map(fakeUser); }
+  isTrashed() { return this.trashed; }
+  setTrashed(flag) { this.trashed = flag; return this; }
+
+  addEditor(email) {
+    const normalized = this.world.checkShareable(email);
+    this.viewers.delete(normalized);
+    this.editors.add(normalized);
+    return this;
+  }
+
+  addViewer(email) {
+    const normalized = this.world.checkShareable(email);
+    if (!this.editors.has(normalized)) {
+      this.viewers.add(normalized);
+    }
+    return this;
+  }
+
+  removeEditor(email) { this.editors.delete(String(email).toLowerCase()); return this; }
+  removeViewer(email) { this.viewers.delete(String(email).toLowerCase()); return this; }
+
+  /**
+   * @returns {Object} Iterator over parent folders
+   */
+  getParents() {
+    const parent = this.parentId ? this.world.driveItems.get(this.parentId) : null;
+    return fakeIterator(parent ? [parent] : []);
+  }
+
+  /**
+   * @param {FakeDriveItem} folder - Destination folder
+   * @returns {FakeDriveItem} This item
+   */
+  moveTo(folder) {
+    this.parentId = folder.getId();
+    return this;
+  }
+}
+
+/**
+ * Fake Drive folder.
+ */
+class FakeFolder extends FakeDriveItem {
+  constructor(world, id, name) {
+    super(world, id, name, 'folder');
+  }
+
+  /**
+   * @param {string} name - Folder name
+   * @returns {FakeFolder} The new child folder
+   */
+  createFolder(name) {
+    return this.world.addFolder(name, this);
+  }
+
+  getFiles() {
+    return fakeIterator(this.world.childrenOf(this.id).filter(item => item.mimeType !== 'folder'));
+  }
+
+  getFolders() {
+    return fakeIterator(this.world.childrenOf(this.id).filter(item => item.mimeType === 'folder'));
+  }
+
+  getFilesByName(name) {
+    return fakeIterator(this.world.childrenOf(this.id).filter(item => item.mimeType !== 'folder' && item.name === name));
+  }
+
+  getFoldersByName(name) {
+    return fakeIterator(this.world.childrenOf(this.id).filter(item => item.mimeType === 'folder' && item.name === name));
+  }
+
+  /**
+   * Creates a file from text or from a blob, like Folder.createFile.
+   * @param {string|Object} nameOrBlob - File name, or a blob (from fakeBlob)
+   * @param {string} [content] - File contents (with a name)
+   * @param {string} [mimeType] - MIME type (with a name)
+   * @returns {FakeFile} The new file
+   */
+  createFile(nameOrBlob, content, mimeType) {
+    this.world.maybeFail('Folder.createFile');
+    const isBlob = typeof nameOrBlob === 'object';
+    const name = isBlob ? nameOrBlob.getName() : nameOrBlob;
+    const file = this.world.addFile(name, isBlob ? nameOrBlob.getContentType() : (mimeType || 'text/plain'), this);
+    this.world.documents.set(file.id, isBlob ? nameOrBlob.getDataAsString() : String(content));
+    return file;
+  }
+}
+
+/**
+ * Fake Drive file. Spreadsheet files are backed by a FakeSpreadsheet with the same ID.
+ */
+class FakeFile extends FakeDriveItem {
+  /**
+   * @param {string} name - Copy name
+   * @param {FakeFolder} [folder] - Destination folder (defaults to this file's folder)
+   * @returns {FakeFile} The copy
+   */
+  makeCopy(name, folder) {
+    const copy = this.world.copyFile(this, name || `Copy of ${this.name}`);
+    copy.parentId = folder ? folder.getId() : this.parentId;
+    return copy;
+  }
+
+  getMimeType() { return this.mimeType; }
+
+  /**
+   * @returns {Object} Blob with the file's text (documents and text files)
+   */
+  getBlob() {
+    return fakeBlob(this.world.documents.get(this.id) || '', this.mimeType, this.name);
+  }
+}
+
+/**
+ * Builds a text-backed stand-in for an Apps Script Blob.
+ * @param {string} text - Contents
+ * @param {string} contentType - MIME type
+ * @param {string} [name] - Blob name
+ * @returns {Object} Blob with getDataAsString/getContentType/getName/setName
+ */
+function fakeBlob(text, contentType, name = '') {
+  const blob = {
+    getDataAsString: () => text,
+    getContentType: () => contentType,
+    getName: () => name,
+    setName(newName) { name = newName; return blob; }
+  };
+  return blob;
+}
+
+/**
+ * Builds a stand-in for a Docs Text element from formatted runs.
+ * @param {Array<string|{text: string, bold?: boolean, italic?: boolean, underline?: boolean, link?: string}>} runs - Runs
+ * @returns {Object} Text with getText/getTextAttributeIndices/isBold/isItalic/isUnderline/getLinkUrl
+ */
+function fakeDocText(runs) {
+  const spans = [];
+  let content = '';
+  for (const run of [].concat(runs)) {
+    const span = typeof run === 'string' ? { text: run } : run;
+    if (!span.text) continue;
+    spans.push(Object.assign({ start: content.length }, span));
+    content += span.text;
+  }
+  const at = offset => spans.slice().reverse().find(span => span.start <= offset) || {};
+
+  return {
+    getText: () => content,
+    getTextAttributeIndices: () => (spans.length > 0 ? spans.map(span => span.start) : [0]),
+    isBold: offset => Boolean(at(offset).bold),
+    isItalic: offset => Boolean(at(offset).italic),
+    isUnderline: offset => Boolean(at(offset).underline),
+    getLinkUrl: offset => at(offset).link || null
+  };
+}
+
+/**
+ * Builds a stand-in for a Docs container (body or table cell).
+ * Blocks: a string or run array is a paragraph, {listItem: runs, ordered?} a list item,
+ * and {table: [[cell, ...], ...]} a table whose cells are plain text or block arrays.
+ * @param {string|Array} content - Plain text (one paragraph per line) or blocks
+ * @returns {Object} Container with getText/getNumChildren/getChild
+ */
+function fakeDocContainer(content) {
+  const blocks = Array.isArray(content) ? content : String(content).split('\n');
+  const children = blocks.map(fakeDocElement);
+  return {
+    getText: () => children.map(child => child.getText()).join('\n'),
+    getNumChildren: () => children.length,
+    getChild: index => children[index]
+  };
+}
+
+/**
+ * Builds a stand-in for one Docs body element (see fakeDocContainer for the block shapes).
+ * @param {string|Array|Object} block - The block
+ * @returns {Object} Element with getType/getText and asParagraph/asListItem/asTable
+ */
+function fakeDocElement(block) {
+  if (block && block.table) {
+    const rows = block.table.map(cells => {
+      const fakeCells = cells.map(cell => fakeDocContainer(cell));
+      return { getNumCells: () => fakeCells.length, getCell: index => fakeCells[index] };
+    });
+    const table = {
+      getType: () => 'TABLE',
+      getText: () => rows.map(row => Array.from({ length: row.getNumCells() }, (_, i) => row.getCell(i).getText()).join('\t')).join('\n'),
+      getNumRows: () => rows.length,
+      getRow: index => rows[index]
+    };
+    table.asTable = () => table;
+    return table;
+  }
+
+  const isListItem = Boolean(block && block.listItem !== undefined);
+  const text = fakeDocText(isListItem ? block.listItem : block);
+  const element = {
+    getType: () => (isListItem ? 'LIST_ITEM' : 'PARAGRAPH'),
+    getText: () => text.getText(),
+    editAsText: () => text,
+    getGlyphType: () => (block.ordered ? 'NUMBER' : 'BULLET')
+  };
+  element.asParagraph = () => element;
+  element.asListItem = () => element;
+  return element;
+}
+
+/**
+ * Parses CSV text like Utilities.parseCsv: quoted fields may hold commas, newlines, and "" escapes.
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Wraps an array in a Drive-style iterator.
+ * @param {Array} items - Items
+ * @returns {Object} Iterator with hasNext()/next()
+ */
+function fakeIterator(items) {
+  let index = 0;
+  return {
+    hasNext: () => index < items.length,
+    next: () => {
+      if (index >= items.length) {
+        throw new Error('Iterator has no more elements');
+      }
+      return items[index++];
+    }
+  };
+}
+
+// ===== CALENDAR =====
+
+/**
+ * Fake all-day calendar event.
+ */
+class FakeCalendarEvent {
+  /**
+   * @param {FakeCalendar} calendar - Owning calendar
+   * @param {string} id - Event ID
+   * @param {string} title - Title
+   * @param {Date} date - All-day date
+   * @param {Object} options - { description, guests (comma-separated), sendInvites }
+   */
+  constructor(calendar, id, title, date, options = {}) {
+    this.calendar = calendar;
+    this.id = id;
+    this.title = title;
+    this.date = startOfDay(date);
+    this.description = options.description || '';
+    this.guests = new Set(String(options.guests || '').split(',').map(g => g.trim().toLowerCase()).filter(Boolean));
+    this.color = '';
+    this.deleted = false;
+  }
+
+  getId() { return this.id; }
+  getTitle() { return this.title; }
+  setTitle(title) { this.title = title; return this; }
+  getDescription() { return this.description; }
+  setDescription(text) { this.description = text; return this; }
+  getColor() { return this.color; }
+  setColor(color) { this.color = color; return this; }
+  isAllDayEvent() { return true; }
+  getAllDayStartDate() { return new Date(this.date.getTime()); }
+  getStartTime() { return new Date(this.date.getTime()); }
+  setAllDayDate(date) { this.date = startOfDay(date); return this; }
+  getGuestList() { return [...this.guests].map(email => ({ getEmail: () => email })); }
+  addGuest(email) { this.guests.add(String(email).toLowerCase()); return this; }
+  removeGuest(email) { this.guests.delete(String(email).toLowerCase()); return this; }
+  deleteEvent() { this.deleted = true; }
+}
+
+/**
+ * Fake default calendar of the automation account.
+ */
+class FakeCalendar {
+  /**
+   * @param {FakeWorld} world - Owning world
+   * @param {string} id - Calendar ID (the owner's email)
+   */
+  constructor(world, id) {
+    this.world = world;
+    this.id = id;
+    this.events = new Map();
+  }
+
+  getId() { return this.id; }
+
+  /**
+   * @returns {FakeCalendarEvent} The new event
+   */
+  createAllDayEvent(title, date, options) {
+    const event = new FakeCalendarEvent(this, this.world.newId('event'), title, date, options);
+    this.events.set(event.id, event);
+    return event;
+  }
+
+  /**
+   * @param {string} id - Event ID
+   * @returns {FakeCalendarEvent|null} The event, or null if missing/deleted
+   */
+  getEventById(id) {
+    const event = this.events.get(id);
+    return event && !event.deleted ? event : null;
+  }
+
+  /**
+   * Test helper: events that have not been deleted.
+   * @returns {FakeCalendarEvent[]} Live events
+   */
+  getLiveEvents() {
+    return [...this.events.values()].filter(e => !e.deleted);
+  }
+}
+
+/**
+ * @param {Date} date - Any date
+ * @returns {Date} Local midnight of that date
+ */
+function startOfDay(date) {
+  const d = new Date(date.getTime());
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+// ===== FORMS =====
+
+/**
+ * Fake form question with choices.
+ */
+class FakeFormItem {
+  /**
+   * @param {string} title - Question title
+   * @param {string} type - FormApp.ItemType value
+   * @param {string[]} [choices] - Initial choices
+   */
+  constructor(title, type, choices = []) {
+    this.title = title;
+    this.type = type;
+    this.choices = choices.slice();
+  }
+
+  getTitle() { return this.title; }
+  getType() { return this.type; }
+  asListItem() { return this; }
+  asCheckboxItem() { return this; }
+  asMultipleChoiceItem() { return this; }
+  createChoice(value) { return { getValue: () => value }; }
+  setChoices(choices) { this.choices = choices.map(c => c.getValue()); return this; }
+  setChoiceValues(values) { this.choices = values.slice(); return this; }
+  getChoices() { return this.choices.map(value => ({ getValue: () => value })); }
+}
+
+/**
+ * Fake Google Form.
+ */
+class FakeForm {
+  /**
+   * @param {string} id - Form ID
+   * @param {string} title - Form title
+   * @param {FakeFormItem[]} items - Questions
+   */
+  constructor(id, title, items) {
+    this.id = id;
+    this.title = title;
+    this.items = items;
+    this.destinationId = null;
+  }
+
+  getId() { return this.id; }
+  getTitle() { return this.title; }
+  getItems() { return this.items.slice(); }
+  getPublishedUrl() { return `https://docs.google.com/forms/d/${this.id}/viewform`; }
+  getEditUrl() { return `https://docs.google.com/forms/d/${this.id}/edit`; }
+  removeDestination() { this.destinationId = null; return this; }
+}
+
+// ===== HTML SERVICE =====
+
+/**
+ * Fake HtmlOutput returned by HtmlService.createHtmlOutput.
+ */
+class FakeHtmlOutput {
+  /**
+   * @param {string} [html] - Initial content
+   */
+  constructor(html) {
+    this.content = html || '';
+    this.title = '';
+    this.metaTags = {};
+  }
+
+  getContent() { return this.content; }
+  append(html) { this.content += html; return this; }
+  getTitle() { return this.title; }
+  setTitle(title) { this.title = title; return this; }
+  addMetaTag(name, content) { this.metaTags[name] = content; return this; }
+  setXFrameOptionsMode() { return this; }
+}
+
+// ===== WORLD =====
+
+/**
+ * All fake Google state for one scenario.
+ */
+class FakeWorld {
+  /**
+   * @param {Object} [options] - World options
+   * @param {string} [options.ownerEmail] - Automation account (owns files, runs the calendar)
+   */
+  constructor(options = {}) {
+    this.ownerEmail = options.ownerEmail || 'automation@example.org';
+    this.idCounter = 0;
+    this.spreadsheets = new Map();
+    this.driveItems = new Map();
+    this.documents = new Map();
+    this.forms = new Map();
+    this.calendar = new FakeCalendar(this, this.ownerEmail);
+    this.sentEmails = [];
+    this.emailQuota = 1500;
+    this.httpStandIns = [];
+    this.httpRequests = [];
+    this.logs = [];
+    this.activeUserEmail = '';
+    this.scriptProperties = new Map();
+    this.lockAvailable = true;
+    this.failures = new Map();
+    this.now = null;
+  }
+
+  /**
+   * @param {string} prefix - ID prefix
+   * @returns {string} A unique fake ID
+   */
+  newId(prefix) {
+    this.idCounter++;
+    return `${prefix}-${String(this.idCounter).padStart(4, '0')}`;
+  }
+
+  /**
+   * Serves UrlFetchApp requests to URLs starting with a prefix (a local stand-in for a webhook).
+   * Every request is recorded in httpRequests as {url, method, contentType, payload, json}.
+   * @param {string} urlPrefix - e.g. 'https://chat.googleapis.com/v1/spaces/AAA'
+   * @param {Function} [handler] - (request) => {status, body}; default answers 200 with '{}'
+   */
+  addHttpStandIn(urlPrefix, handler = () => ({ status: 200, body: '{}' })) {
+    this.httpStandIns.push({ urlPrefix, handler });
+  }
+
+  /**
+   * Makes the named fake method throw (e.g., to simulate quota or permission errors).
+   * @param {string} name - Method key, e.g. 'GmailApp.sendEmail', 'Drive.Permissions.insert'
+   * @param {Error|string} error - Error (or message) to throw
+   */
+  failOn(name, error) {
+    this.failures.set(name, typeof error === 'string' ? new Error(error) : error);
+  }
+
+  /**
+   * Throws the configured failure for a method, if any.
+   * @param {string} name - Method key
+   */
+  maybeFail(name) {
+    if (this.failures.has(name)) {
+      throw this.failures.get(name);
+    }
+  }
+
+  /**
+   * Rejects share targets that could not be real accounts.
+   * @param {string} email - Email to share with
+   * @returns {string} Normalized email
+   */
+  checkShareable(email) {
+    const normalized = String(email || '').trim().toLowerCase();
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(normalized)) {
+      throw new Error(`Invalid email: ${email}`);
+    }
+    return normalized;
+  }
+
+  // --- Drive ---
+
+  /**
+   * @param {string} name - Folder name
+   * @param {FakeFolder} [parent] - Parent folder
+   * @returns {FakeFolder} The new folder
+   */
+  addFolder(name, parent) {
+    const folder = new FakeFolder(this, this.newId('folder'), name);
+    folder.parentId = parent ? parent.getId() : null;
+    this.driveItems.set(folder.id, folder);
+    return folder;
+  }
+
+  /**
+   * @param {string} name - File name
+   * @param {string} mimeType - Kind of file
+   * @param {FakeFolder} [parent] - Parent folder
+   * @param {string} [id] - Explicit ID (spreadsheets reuse their spreadsheet ID)
+   * @returns {FakeFile} The new file
+   */
+  addFile(name, mimeType, parent, id) {
+    const file = new FakeFile(this, id || this.newId(mimeType), name, mimeType);
+    file.parentId = parent ? parent.getId() : null;
+    this.driveItems.set(file.id, file);
+    return file;
+  }
+
+  /**
+   * @param {string} parentId - Folder ID
+   * @returns {FakeDriveItem[]} Non-trashed direct children
+   */
+  childrenOf(parentId) {
+    return [...this.driveItems.values()].filter(item => item.parentId === parentId && !item.trashed);
+  }
+
+  /**
+   * Copies a Drive file, including the spreadsheet or document behind it.
+   * @param {FakeFile} file - Source file
+   * @param {string} name - Copy name
+   * @returns {FakeFile} The copy
+   */
+  copyFile(file, name) {
+    const copy = this.addFile(name, file.mimeType, null);
+    if (this.spreadsheets.has(file.id)) {
+      this.spreadsheets.set(copy.id, this.spreadsheets.get(file.id).cloneAs(copy.id, name));
+    }
+    if (this.documents.has(file.id)) {
+      this.documents.set(copy.id, this.documents.get(file.id));
+    }
+    return copy;
+  }
+
+  // --- Spreadsheets ---
+
+  /**
+   * Creates a spreadsheet (and its Drive file).
+   * @param {string} name - Spreadsheet name
+   * @param {Object<string, Array[]>} [sheets] - Sheet name -> initial rows
+   * @param {FakeFolder} [parent] - Drive folder
+   * @returns {FakeSpreadsheet} The spreadsheet
+   */
+  addSpreadsheet(name, sheets = {}, parent) {
+    const file = this.addFile(name, 'spreadsheet', parent);
+    const spreadsheet = new FakeSpreadsheet(this, file.id, name);
+    for (const [sheetName, rows] of Object.entries(sheets)) {
+      spreadsheet.insertSheet(sheetName, rows);
+    }
+    this.spreadsheets.set(file.id, spreadsheet);
+    return spreadsheet;
+  }
+
+  /**
+   * @param {string} id - Spreadsheet ID
+   * @returns {FakeSpreadsheet} The spreadsheet
+   */
+  getSpreadsheet(id) {
+    const spreadsheet = this.spreadsheets.get(id);
+    const file = this.driveItems.get(id);
+    if (!spreadsheet || (file && file.trashed)) {
+      throw notFound('spreadsheet', id);
+    }
+    return spreadsheet;
+  }
+
+  // --- Docs & Forms ---
+
+  /**
+   * @param {string} name - File name (e.g., "projects.csv")
+   * @param {string} text - File contents
+   * @param {FakeFolder} [parent] - Drive folder
+   * @returns {string} File ID
+   */
+  addTextFile(name, text, parent) {
+    const file = this.addFile(name, 'text', parent);
+    this.documents.set(file.id, text);
+    return file.id;
+  }
+
+  /**
+   * @param {string} name - Document name
+   * @param {string|Array} text - Body text, or formatted blocks (see fakeDocContainer)
+   * @param {FakeFolder} [parent] - Drive folder
+   * @returns {string} Document ID
+   */
+  addDocument(name, text, parent) {
+    const file = this.addFile(name, 'document', parent);
+    this.documents.set(file.id, text);
+    return file.id;
+  }
+
+  /**
+   * @param {string} title - Form title
+   * @param {Array<{title: string, type: string, choices?: string[]}>} items - Questions
+   * @returns {FakeForm} The form
+   */
+  addForm(title, items) {
+    const file = this.addFile(title, 'form', null);
+    const form = new FakeForm(file.id, title, items.map(i => new FakeFormItem(i.title, i.type, i.choices)));
+    this.forms.set(file.id, form);
+    return form;
+  }
+
+  // --- Assertions helpers ---
+
+  /**
+   * @param {string} email - Recipient
+   * @returns {Object[]} Sent emails whose To, CC, or BCC contains the email
+   */
+  emailsTo(email) {
+    const needle = email.toLowerCase();
+    return this.sentEmails.filter(m =>
+      [m.to, m.cc, m.bcc].some(list => String(list || '').toLowerCase().split(',').map(s => s.trim()).includes(needle))
+    );
+  }
+}
+
+// ===== GLOBAL SERVICES =====
+
+/**
+ * Builds the Apps Script global services bound to a world accessor.
+ * @param {Function} getWorld - Returns the current FakeWorld
+ * @returns {Object} Map of global name -> fake service
+ */
+function createGlobals(getWorld) {
+  const world = () => getWorld();
+
+  const SpreadsheetApp = {
+    openById(id) {
+      world().maybeFail('SpreadsheetApp.openById');
+      return world().getSpreadsheet(id);
+    },
+    create(name) {
+      const spreadsheet = world().addSpreadsheet(name, { Sheet1: [] });
+      return spreadsheet;
+    },
+    flush() {},
+    newDataValidation: newDataValidationBuilder,
+    getUi() {
+      const menu = {
+        addItem() { return menu; },
+        addSeparator() { return menu; },
+        addSubMenu() { return menu; },
+        addToUi() {}
+      };
+      return {
+        createMenu: () => menu,
+        alert: () => 'OK',
+        ButtonSet: { OK: 'OK', YES_NO: 'YES_NO' },
+        Button: { OK: 'OK', YES: 'YES', NO: 'NO' }
+      };
+    }
+  };
+
+  const DriveApp = {
+    getFolderById(id) {
+      world().maybeFail('DriveApp.getFolderById');
+      const item = world().driveItems.get(id);
+      if (!item || item.mimeType !== 'folder') {
+        throw notFound('folder', id);
+      }
+      return item;
+    },
+    getFileById(id) {
+      world().maybeFail('DriveApp.getFileById');
+      const item = world().driveItems.get(id);
+      if (!item || item.mimeType === 'folder') {
+        throw notFound('item', id);
+      }
+      return item;
+    }
+  };
+
+  // Advanced Drive service (v2)
+  const Drive = {
+    Permissions: {
+      insert(resource, fileId) {
+        world().maybeFail('Drive.Permissions.insert');
+        const item = world().driveItems.get(fileId);
+        if (!item) {
+          throw notFound('file', fileId);
+        }
+        if (resource.role === 'reader') {
+          item.addViewer(resource.value);
+        } else {
+          item.addEditor(resource.value);
+        }
+        return { id: `perm-${resource.value}`, role: resource.role };
+      }
+    }
+  };
+
+  const CalendarApp = {
+    EventColor: {
+      PALE_BLUE: '1',
+      PALE_GREEN: '2',
+      MAUVE: '3',
+      PALE_RED: '4',
+      YELLOW: '5',
+      ORANGE: '6',
+      CYAN: '7',
+      GRAY: '8',
+      BLUE: '9',
+      GREEN: '10',
+      RED: '11'
+    },
+    getDefaultCalendar() {
+      world().maybeFail('CalendarApp.getDefaultCalendar');
+      return world().calendar;
+    }
+  };
+
+  const GmailApp = {
+    sendEmail(to, subject, body, options = {}) {
+      world().maybeFail('GmailApp.sendEmail');
+      // Each recipient (to, cc, bcc) counts against the daily quota
+      const recipients = [to, options.cc, options.bcc].join(',').split(',').filter(e => e.trim()).length;
+      if (recipients > world().emailQuota) {
+        throw new Error('Service invoked too many times for one day: email.');
+      }
+      world().emailQuota -= recipients;
+      world().sentEmails.push({
+        to,
+        subject,
+        body,
+        htmlBody: options.htmlBody || '',
+        cc: options.cc || '',
+        bcc: options.bcc || '',
+        name: options.name || '',
+        replyTo: options.replyTo || ''
+      });
+    }
+  };
+
+  const MailApp = {
+    getRemainingDailyQuota() {
+      return world().emailQuota;
+    }
+  };
+
+  const DocumentApp = {
+    ElementType: { PARAGRAPH: 'PARAGRAPH', LIST_ITEM: 'LIST_ITEM', TABLE: 'TABLE' },
+    GlyphType: { BULLET: 'BULLET', HOLLOW_BULLET: 'HOLLOW_BULLET', SQUARE_BULLET: 'SQUARE_BULLET', NUMBER: 'NUMBER' },
+    openById(id) {
+      world().maybeFail('DocumentApp.openById');
+      if (!world().documents.has(id)) {
+        throw notFound('document', id);
+      }
+      const body = fakeDocContainer(world().documents.get(id));
+      return {
+        getId: () => id,
+        getBody: () => body
+      };
+    }
+  };
+
+  const FormApp = {
+    ItemType: {
+      CHECKBOX: 'CHECKBOX',
+      LIST: 'LIST',
+      MULTIPLE_CHOICE: 'MULTIPLE_CHOICE',
+      TEXT: 'TEXT',
+      PARAGRAPH_TEXT: 'PARAGRAPH_TEXT',
+      DATE: 'DATE'
+    },
+    openById(id) {
+      world().maybeFail('FormApp.openById');
+      const form = world().forms.get(id);
+      if (!form) {
+        throw notFound('form', id);
+      }
+      return form;
+    },
+    openByUrl(url) {
+      const match = String(url).match(/\/d\/([^/]+)/);
+      return FormApp.openById(match ? match[1] : url);
+    }
+  };
+
+  const LockService = {
+    getScriptLock() {
+      let held = false;
+      return {
+        tryLock() {
+          held = world().lockAvailable;
+          return held;
+        },
+        waitLock() {
+          if (!world().lockAvailable) {
+            throw new Error('Lock timeout: another process was holding the lock for too long.');
+          }
+          held = true;
+        },
+        hasLock: () => held,
+        releaseLock() { held = false; }
+      };
+    }
+  };
+
+  // Backed by world.scriptProperties (key -> string value)
+  const PropertiesService = {
+    getScriptProperties() {
+      return {
+        getProperty: key => (world().scriptProperties.has(key) ? world().scriptProperties.get(key) : null),
+        setProperty(key, value) {
+          world().scriptProperties.set(key, String(value));
+          return this;
+        },
+        deleteProperty(key) {
+          world().scriptProperties.delete(key);
+          return this;
+        }
+      };
+    }
+  };
+
+  const Session = {
+    getActiveUser: () => ({ getEmail: () => world().activeUserEmail }),
+    getEffectiveUser: () => ({ getEmail: () => world().ownerEmail }),
+    getScriptTimeZone: () => 'America/Los_Angeles'
+  };
+
+  const HtmlService = {
+    XFrameOptionsMode: { ALLOWALL: 'ALLOWALL', DEFAULT: 'DEFAULT' },
+    createHtmlOutput: html => new FakeHtmlOutput(html)
+  };
+
+  const Utilities = {
+    sleep() {},
+    getUuid: () => crypto.randomUUID(),
+    // Apps Script returns signed Java bytes (-128..127)
+    computeHmacSha256Signature: (value, key) =>
+      [...crypto.createHmac('sha256', key).update(value).digest()].map(b => (b > 127 ? b - 256 : b)),
+    parseCsv: text => parseCsv(text),
+    base64EncodeWebSafe: bytes =>
+      Buffer.from(Array.isArray(bytes) ? bytes.map(b => b & 255) : String(bytes))
+        .toString('base64').replace(/\+/g, '-').replace(/\//g, '_')
+  };
+
+  const MimeType = {
+    CSV: 'text/csv',
+    PLAIN_TEXT: 'text/plain',
+    MICROSOFT_EXCEL: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    GOOGLE_SHEETS: 'application/vnd.google-apps.spreadsheet'
+  };
+
+  // Webhook URLs go to the world's HTTP stand-ins; otherwise only spreadsheet exports are
+  // fetched, and the "xlsx" blob holds the first sheet's values as JSON
+  const UrlFetchApp = {
+    fetch(url, options = {}) {
+      world().maybeFail('UrlFetchApp.fetch');
+      const standIn = world().httpStandIns.find(s => String(url).startsWith(s.urlPrefix));
+      if (standIn) {
+        const payload = options.payload || '';
+        let json = null;
+        try {
+          json = payload ? JSON.parse(payload) : null;
+        } catch (error) {
+          json = null;
+        }
+        const request = { url, method: (options.method || 'get').toLowerCase(), contentType: options.contentType || '', payload, json };
+        world().httpRequests.push(request);
+        const { status = 200, body = '' } = standIn.handler(request) || {};
+        if (status >= 400 && !options.muteHttpExceptions) {
+          throw new Error(`Request failed for ${url} returned code ${status}`);
+        }
+        return {
+          getResponseCode: () => status,
+          getContentText: () => body
+        };
+      }
+
+      const match = String(url).match(/\/spreadsheets\/d\/([^/]+)\/export\?format=xlsx/);
+      if (!match) {
+        throw new Error(`UrlFetchApp fake: unsupported URL ${url}`);
+      }
+      const sheet = world().getSpreadsheet(match[1]).getSheets()[0];
+      return {
+        getResponseCode: () => 200,
+        getBlob: () => fakeBlob(JSON.stringify(sheet.dump()), MimeType.MICROSOFT_EXCEL)
+      };
+    }
+  };
+
+  const ScriptApp = {
+    getOAuthToken: () => 'fake-oauth-token'
+  };
+
+  const Logger = {
+    log(...args) { world().logs.push(['log', args.join(' ')]); }
+  };
+
+  return {
+    SpreadsheetApp,
+    DriveApp,
+    Drive,
+    CalendarApp,
+    GmailApp,
+    MailApp,
+    DocumentApp,
+    FormApp,
+    LockService,
+    PropertiesService,
+    Session,
+    HtmlService,
+    Utilities,
+    MimeType,
+    UrlFetchApp,
+    ScriptApp,
+    Logger
+  };
+}
+
+/**
+ * Builds a Date class whose no-argument constructor and Date.now() follow world.now
+ * (when set), so scenarios can pin "today".
+ * @param {Function} getWorld - Returns the current FakeWorld
+ * @returns {Function} Date replacement
+ */
+function createClockDate(getWorld) {
+  class ClockDate extends RealDate {
+    constructor(...args) {
+      const world = getWorld();
+      if (args.length === 0 && world && world.now) {
+        super(world.now.getTime());
+      } else {
+        super(...args);
+      }
+    }
+
+    static now() {
+      const world = getWorld();
+      return world && world.now ? world.now.getTime() : RealDate.now();
+    }
+  }
+  return ClockDate;
+}
+
+/**
+ * Builds a console that records library output on the world (printed only when
+ * I2I_TEST_VERBOSE is set) so test output stays readable.
+ * @param {Function} getWorld - Returns the current FakeWorld
+ * @param {Console} realConsole - The original console
+ * @returns {Object} Console replacement
+ */
+function createCapturingConsole(getWorld, realConsole) {
+  const verbose = Boolean(process.env.I2I_TEST_VERBOSE);
+  const capture = level => (...args) => {
+    const world = getWorld();
+    if (world) {
+      world.logs.push([level, args.map(String).join(' ')]);
+    }
+    if (verbose) {
+      realConsole[level](...args);
+    }
+  };
+  return Object.assign(Object.create(realConsole), {
+    log: capture('log'),
+    info: capture('info'),
+    warn: capture('warn'),
+    error: capture('error')
+  });
+}
+
+module.exports = {
+  FakeWorld,
+  FakeSpreadsheet,
+  FakeSheet,
+  FakeRange,
+  FakeFolder,
+  FakeFile,
+  FakeCalendar,
+  FakeCalendarEvent,
+  FakeForm,
+  FakeFormItem,
+  FakeHtmlOutput,
+  createGlobals,
+  createClockDate,
+  createCapturingConsole,
+  RealDate
+};
@@ -0,0 +1,301 @@
+/**
+ * Builds a complete fake district install in a FakeWorld: the Main Projects File with its
+ * Config, Projects, Status Snapshot, Directory, and Codes sheets, plus the Drive folders,
+ * project template, email template Docs, and intake Form that Config points at.
+ */
+
+const PROJECT_COLUMNS = [
+  ['Project ID', 'project_id'],
+  ['Created At', 'created_at'],
+  ['School Year', 'school_year'],
+  ['Goal #', 'goal_number'],
+  ['Action #', 'action_number'],
+  ['Category', 'category'],
+  ['Project Title', 'project_name'],
+  ['Description', 'description'],
+  ['Assigned to', 'assignee'],
+  ['Requested by', 'requested_by'],
+  ['Deadline', 'due_date'],
+  ['Project Status', 'project_status'],
+  ['Completed At', 'completed_at'],
+  ['Reminder Timeline', 'reminder_offsets'],
+  ['Automation Status', 'automation_status'],
+  ['Calendar Event ID', 'calendar_event_id'],
+  ['Folder ID', 'folder_id'],
+  ['File ID', 'file_id'],
+  ['Notes', 'notes']
+];
+
+const DEFAULT_STAFF = [
+  // Name, Email, Active?, Global Access, Project Directory Role, Project Folders Role, Supervisor
+  ['Alex Admin', 'alex.admin@example.org', 'Yes', 'Editor', '', '', ''],
+  ['Pat Planner', 'pat.planner@example.org', 'Yes', '', 'Editor', '', 'Sam Supervisor'],
+  ['Riley Requester', 'riley.requester@example.org', 'Yes', '', 'Viewer', 'All - Viewer', 'Sam Supervisor'],
+  ['Sam Supervisor', 'sam.supervisor@example.org', 'Yes', 'Viewer', '', '', ''],
+  ['Former Staff', 'former.staff@example.org', 'No', '', '', '', '']
+];
+
+const DIRECTORY_HEADERS = [
+  'Name',
+  'Email Address',
+  'Active?',
+  'Global Access',
+  'Project Directory Role',
+  'Project Folders Role',
+  'Supervisor'
+];
+
+// First line is the subject, the rest is the body (same layout as planning/email_templates.md)
+const EMAIL_TEMPLATES = {
+  'Email Template - New Project': 'New Project Assigned: {{PROJECT_TITLE}}\nHello {{ASSIGNEE_NAME}},\nDeadline: {{DEADLINE}}\nProject ID: {{PROJECT_ID}}\nFolder: {{FOLDER_LINK}}',
+  'Email Template - Reminder': 'Reminder: {{PROJECT_TITLE}} - Due in {{DAYS_UNTIL_DUE}} days\nHello {{ASSIGNEE_NAME}},\nDeadline: {{DEADLINE}}',
+  'Email Template - Status Change': 'Project Status Updates - {{DATE}}\nHello {{RECIPIENT_NAME}},\n{{STATUS_CHANGES_LIST}}',
+  'Email Template - Project Update': 'Project Updated: {{PROJECT_TITLE}}\nHello {{RECIPIENT_NAME}},\n{{CHANGES_SUMMARY}}\nDeadline: {{DEADLINE}}',
+  'Email Template - Project Cancellation': 'Project Cancelled: {{PROJECT_TITLE}}\nHello {{RECIPIENT_NAME}},\nProject ID: {{PROJECT_ID}}'
+};
+
+/**
+ * Returns local midnight `days` days after the world's "today".
+ * @param {FakeWorld} world - The world (uses world.now when set)
+ * @param {number} days - Offset in days (negative for the past)
+ * @returns {Date} The date
+ */
+function daysFromToday(world, days) {
+  const date = world.now ? new Date(world.now.getTime()) : new Date();
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + days);
+  return date;
+}
+
+/**
+ * Creates the district in the world.
+ * @param {FakeWorld} world - The world to populate
+ * @param {Object} [options] - Overrides
+ * @param {string} [options.districtId='TEST'] - Config District ID
+ * @param {number} [options.nextSerial=1] - Config Next Serial
+ * @param {Array[]} [options.staff] - Directory rows (see DEFAULT_STAFF)
+ * @param {Object} [options.config] - Extra/overriding Config key -> value pairs
+ * @param {string[]} [options.extraProjectColumns] - Optional Projects keys (e.g., 'depends_on')
+ * @returns {Object} District handle (IDs, sheets, and row helpers)
+ */
+function buildDistrict(world, options = {}) {
+  const districtId = options.districtId || 'TEST';
+  const staff = options.staff || DEFAULT_STAFF;
+
+  // Drive layout: Root Folder > (Main Projects File, Project Folders, Templates)
+  const rootFolder = world.addFolder(`${districtId} Project Management`);
+  const parentFolder = world.addFolder('Project Folders', rootFolder);
+  const templatesFolder = world.addFolder('Templates', rootFolder);
+
+  const projectTemplate = world.addSpreadsheet('Project Template', {
+    Overview: [
+      ['Field', 'Value'],
+      ['School Year', ''],
+      ['Goal #', ''],
+      ['Action #', ''],
+      ['Category (default is LCAP)', ''],
+      ['Title', ''],
+      ['Description', ''],
+      ['Assigned to', ''],
+      ['Requested by', ''],
+      ['Deadline', '']
+    ]
+  }, templatesFolder);
+
+  const templateIds = {};
+  for (const [key, text] of Object.entries(EMAIL_TEMPLATES)) {
+    templateIds[key] = world.addDocument(key, text, templatesFolder);
+  }
+
+  const form = world.addForm('Project Request Form', [
+    { title: 'Project Title', type: 'TEXT' },
+    { title: 'Assigned to', type: 'CHECKBOX', choices: [] },
+    { title: 'Category', type: 'LIST', choices: [] },
+    { title: 'Deadline', type: 'DATE' },
+    { title: 'Reminder Timeline', type: 'CHECKBOX', choices: [] }
+  ]);
+
+  const extraColumns = options.extraProjectColumns || [];
+  const projectColumns = PROJECT_COLUMNS.concat(extraColumns.map(key => [key, key]));
+
+  const spreadsheet = world.addSpreadsheet(`${districtId} Project Directory`, {}, rootFolder);
+
+  const config = Object.assign({
+    'District ID': districtId,
+    'Next Serial': options.nextSerial || 1,
+    'Parent Folder ID': parentFolder.getId(),
+    'Root Folder ID': rootFolder.getId(),
+    'Main Spreadsheet ID': spreadsheet.getId(),
+    'Project Template ID': projectTemplate.getId(),
+    'Form ID': form.getId(),
+    'Error Email Addresses': 'alex.admin@example.org'
+  }, templateIds, options.config || {});
+
+  spreadsheet.insertSheet('Config', [['Key', 'Value']].concat(Object.entries(config)));
+  spreadsheet.insertSheet('Project Management Sheet', [
+    projectColumns.map(c => c[0]),
+    projectColumns.map(c => c[1])
+  ]);
+  spreadsheet.insertSheet('Status Snapshot', [['project_id', 'project_status']]);
+  spreadsheet.insertSheet('Directory', [DIRECTORY_HEADERS].concat(staff));
+  spreadsheet.insertSheet('Codes', [
+    ['Codes'],
+    [''],
+    ['Category', '', 'Status', '', 'Reminder Days', 'Reminder Days: Readable'],
+    ['LCAP', '', 'Project Assigned', '', 3, '3 days before'],
+    ['Operations', '', 'On Track', '', 7, '1 week before'],
+    ['', '', 'Behind Schedule', '', 14, '2 weeks before'],
+    ['', '', 'Stuck', '', '', ''],
+    ['', '', 'Late', '', '', ''],
+    ['', '', 'Complete', '', '', '']
+  ]);
+  spreadsheet.insertSheet('Form Responses (Raw)', [['Timestamp', 'Email Address', 'Project Title']]);
+
+  const projectsSheet = spreadsheet.getSheetByName('Project Management Sheet');
+  const keys = projectColumns.map(c => c[1]);
+
+  return {
+    spreadsheet,
+    spreadsheetId: spreadsheet.getId(),
+    rootFolder,
+    parentFolder,
+    projectTemplateId: projectTemplate.getId(),
+    templateIds,
+    form,
+    projectsSheet,
+    keys,
+
+    /**
+     * Appends a project row (keys are Projects row-2 keys).
+     * @param {Object} values - Column key -> value
+     * @returns {number} The 1-based row number
+     */
+    addProject(values) {
+      projectsSheet.appendRow(keys.map(key => (values[key] === undefined ? '' : values[key])));
+      return projectsSheet.getLastRow();
+    },
+
+    /**
+     * Overwrites one cell of a project row, as a user editing the sheet would.
+     * @param {number} row - 1-based row number
+     * @param {string} key - Column key
+     * @param {*} value - New value
+     */
+    setProjectValue(row, key, value) {
+      const index = keys.indexOf(key);
+      if (index === -1) {
+        throw new Error(`buildDistrict: Unknown project column "${key}"`);
+      }
+      projectsSheet.getRange(row, index + 1).setValue(value);
+    },
+
+    /**
+     * Edits one cell of a project row and builds the onEdit event Apps Script would pass.
+     * @param {number} row - 1-based row number
+     * @param {string} key - Column key
+     * @param {*} value - New value
+     * @param {string} [userEmail] - Editor's email
+     * @returns {Object} Edit event for handleEdit
+     */
+    editProject(row, key, value, userEmail = '') {
+      const index = keys.indexOf(key);
+      if (index === -1) {
+        throw new Error(`buildDistrict: Unknown project column "${key}"`);
+      }
+      const range = projectsSheet.getRange(row, index + 1);
+      const oldValue = range.getValue();
+      range.setValue(value);
+      return {
+        range,
+        value,
+        oldValue: oldValue === '' ? undefined : oldValue,
+        user: { getEmail: () => userEmail }
+      };
+    },
+
+    /**
+     * Reads a project row as an object keyed by column key.
+     * @param {number} row - 1-based row number
+     * @returns {Object} Column key -> value
+     */
+    readProject(row) {
+      const values = projectsSheet.getRange(row, 1, 1, keys.length).getValues()[0];
+      const result = {};
+      keys.forEach((key, i) => {
+        result[key] = values[i];
+      });
+      return result;
+    },
+
+    /**
+     * @returns {Object[]} Every data row (row 3 onward) as an object, with its row number
+     */
+    readProjects() {
+      const rows = [];
+      for (let row = 3; row <= projectsSheet.getLastRow(); row++) {
+        rows.push(Object.assign({ row }, this.readProject(row)));
+      }
+      return rows;
+    },
+
+    /**
+     * @param {string} name - Config key
+     * @returns {*} Current Config value
+     */
+    readConfig(name) {
+      const entry = spreadsheet.getSheetByName('Config').dump().find(r => r[0] === name);
+      return entry ? entry[1] : undefined;
+    },
+
+    /**
+     * Sets a Config value, adding the key if it is not present yet.
+     * @param {string} name - Config key
+     * @param {*} value - New value
+     */
+    setConfig(name, value) {
+      const configSheet = spreadsheet.getSheetByName('Config');
+      const index = configSheet.dump().findIndex(r => r[0] === name);
+      if (index === -1) {
+        configSheet.appendRow([name, value]);
+      } else {
+        configSheet.getRange(index + 1, 2).setValue(value);
+      }
+    },
+
+    /**
+     * Sets one Directory cell for a staff member, adding the column header if it is missing.
+     * @param {string} staffName - Value in the Name column
+     * @param {string} header - Column header (e.g., 'Email Delivery')
+     * @param {*} value - New value
+     */
+    setStaffValue(staffName, header, value) {
+      const directory = spreadsheet.getSheetByName('Directory');
+      const rows = directory.dump();
+      let col = rows[0].indexOf(header);
+      if (col === -1) {
+        col = rows[0].length;
+        directory.getRange(1, col + 1).setValue(header);
+      }
+      const index = rows.findIndex(r => r[0] === staffName);
+      if (index === -1) {
+        throw new Error(`buildDistrict: Unknown staff member "${staffName}"`);
+      }
+      directory.getRange(index + 1, col + 1).setValue(value);
+    },
+
+    /**
+     * @param {string} name - Sheet name
+     * @returns {FakeSheet|null} The sheet
+     */
+    sheet(name) {
+      return spreadsheet.getSheetByName(name);
+    }
+  };
+}
+
+module.exports = {
+  buildDistrict,
+  daysFromToday,
+  DEFAULT_STAFF,
+  PROJECT_COLUMNS
+};
@@ -0,0 +1,112 @@
+/**
+ * Loads the i2iTeamingTool library sources into this Node process, the way Apps Script does:
+ * every .js file runs as a separate script in one shared global scope, so top-level classes,
+ * constants, and functions from one file are visible to the others.
+ *
+ * The library is loaded once per process (node --test runs each test file in its own
+ * process). Scenarios get isolation by calling resetWorld() for a fresh FakeWorld.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {
+  FakeWorld,
+  createGlobals,
+  createClockDate,
+  createCapturingConsole
+} = require('./fakes');
+
+const LIBRARY_DIR = path.resolve(__dirname, '..', '..', 'i2iTeamingTool');
+
+// Load order: shared constants/utilities first, then data layer, services, and entry points
+const SOURCE_DIRS = ['core', 'data', 'services', '.'];
+
+let currentWorld = null;
+let library = null;
+
+/**
+ * Lists the library's .js files in load order.
+ * @returns {string[]} Absolute file paths
+ */
+function listSourceFiles() {
+  const files = [];
+  for (const dir of SOURCE_DIRS) {
+    const absoluteDir = path.join(LIBRARY_DIR, dir);
+    const names = fs.readdirSync(absoluteDir)
+      .filter(name => name.endsWith('.js'))
+      .sort();
+    // Constants must run before anything that references its top-level values
+    names.sort((a, b) => (a === 'Constants.js' ? -1 : b === 'Constants.js' ? 1 : 0));
+    files.push(...names.map(name => path.join(absoluteDir, name)));
+  }
+  return files;
+}
+
+/**
+ * Installs the fakes on globalThis and evaluates the library sources (once per process).
+ * @returns {Object} Library handle: { resetWorld, world, global, call }
+ */
+function loadLibrary() {
+  if (library) {
+    return library;
+  }
+
+  currentWorld = new FakeWorld();
+  const getWorld = () => currentWorld;
+
+  Object.assign(globalThis, createGlobals(getWorld));
+  globalThis.Date = createClockDate(getWorld);
+  globalThis.console = createCapturingConsole(getWorld, console);
+
+  for (const file of listSourceFiles()) {
+    vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+  }
+
+  library = {
+    /**
+     * Replaces the current world with an empty one.
+     * @param {Object} [options] - FakeWorld options
+     * @returns {FakeWorld} The new world
+     */
+    resetWorld(options) {
+      currentWorld = new FakeWorld(options);
+      return currentWorld;
+    },
+
+    /**
+     * @returns {FakeWorld} The current world
+     */
+    world() {
+      return currentWorld;
+    },
+
+    /**
+     * Reads a top-level library binding (class, const, or function) by name.
+     * Classes and consts live in the global lexical scope, not on globalThis.
+     * @param {string} name - Binding name (e.g., 'ExecutionContext', 'SHEET_NAMES')
+     * @returns {*} The value
+     */
+    global(name) {
+      return vm.runInThisContext(name);
+    },
+
+    /**
+     * Calls a public library function (e.g., 'processNewProjects') like a client script would.
+     * @param {string} name - Function name
+     * @param {...*} args - Arguments
+     * @returns {*} The function's return value
+     */
+    call(name, ...args) {
+      const fn = globalThis[name];
+      if (typeof fn !== 'function') {
+        throw new Error(`loadLibrary: "${name}" is not a public library function`);
+      }
+      return fn(...args);
+    }
+  };
+
+  return library;
+}
+
+module.exports = { loadLibrary, LIBRARY_DIR };
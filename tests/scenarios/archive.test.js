@@ -0,0 +1,191 @@
+/**
+ * End-to-end scenarios for the year-end archive (archiveSchoolYear / findArchivedProjects).
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025 (school year 25_26)
+  district = buildDistrict(world, { extraProjectColumns: ['depends_on'] });
+
+  const rows = [
+    ['Budget Review', new Date(2025, 4, 20)],   // 24_25, completed
+    ['Old Survey', new Date(2025, 2, 3)],       // 24_25, deleted
+    ['Still Open', new Date(2025, 5, 1)],       // 24_25, never finished
+    ['This Year', new Date(2025, 10, 20)]       // 25_26, completed
+  ].map(([name, due]) => district.addProject({
+    project_name: name,
+    description: `${name} for the board`,
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: due,
+    automation_status: 'Ready'
+  }));
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  district.setProjectValue(rows[0], 'project_status', 'Complete');
+  district.setProjectValue(rows[3], 'project_status', 'Complete');
+  district.setProjectValue(rows[1], 'automation_status', 'Delete (Don\'t Notify)');
+  lib.call('processNewProjects', district.spreadsheetId);
+});
+
+/**
+ * @param {string} name - Project name
+ * @returns {Object} The project's current row values
+ */
+function projectNamed(name) {
+  return district.readProjects().find(p => p.project_name === name);
+}
+
+test('moves finished projects, snapshot entries, and folders into the year archive', () => {
+  const budget = projectNamed('Budget Review');
+  const survey = projectNamed('Old Survey');
+  const open = projectNamed('Still Open');
+
+  const result = lib.call('archiveSchoolYear', district.spreadsheetId, '24_25');
+
+  assert.equal(result.archived, 2);
+  assert.equal(result.archiveName, 'Project Archive 24_25');
+  assert.deepEqual([...result.folderErrors], []);
+  assert.deepEqual(district.readProjects().map(p => p.project_name), ['Still Open', 'This Year']);
+  assert.deepEqual(district.sheet('Status Snapshot').dump().slice(1).map(r => r[0]).sort(),
+    [open.project_id, projectNamed('This Year').project_id].sort());
+
+  const archiveId = district.readConfig('Project Archive - 24_25');
+  const archive = world.getSpreadsheet(archiveId);
+  const archivedRows = archive.getSheetByName('Project Management Sheet').dump();
+  assert.deepEqual(archivedRows.slice(0, 2), district.projectsSheet.dump().slice(0, 2));
+  const idColumn = district.keys.indexOf('project_id');
+  assert.deepEqual(archivedRows.slice(2).map(r => r[idColumn]), [budget.project_id, survey.project_id]);
+  assert.deepEqual(archive.getSheetByName('Status Snapshot').dump(), [
+    ['project_id', 'project_status'],
+    [budget.project_id, 'Project Assigned'],
+    [survey.project_id, 'Project Assigned']
+  ]);
+
+  const yearFolder = world.childrenOf(district.parentFolder.getId()).find(item => item.name === '24_25');
+  assert.equal(world.driveItems.get(archiveId).parentId, yearFolder.getId());
+  assert.equal(world.driveItems.get(budget.folder_id).parentId, yearFolder.getId());
+  assert.equal(world.driveItems.get(survey.folder_id).parentId, yearFolder.getId());
+  assert.equal(world.driveItems.get(open.folder_id).parentId, district.parentFolder.getId());
+
+  const audit = district.sheet('Audit Log').dump().slice(1).filter(r => r[3] === 'Project Archived');
+  assert.deepEqual(audit.map(r => [r[2], r[6]]), [
+    [budget.project_id, 'Project Archive 24_25'],
+    [survey.project_id, 'Project Archive 24_25']
+  ]);
+});
+
+test('moves the Tasks rows of archived projects into the archive Tasks tab', () => {
+  const budgetId = projectNamed('Budget Review').project_id;
+  const openId = projectNamed('Still Open').project_id;
+  district.spreadsheet.insertSheet('Tasks', [
+    ['Project ID', 'Task', 'Assignee', 'Deadline', 'Status'],
+    [budgetId, 'Gather figures', 'Pat Planner', new Date(2025, 4, 1), 'Complete'],
+    [openId, 'Draft outline', 'Pat Planner', new Date(2025, 4, 1), ''],
+    [budgetId, 'Present to board', 'Pat Planner', new Date(2025, 4, 15), 'Complete']
+  ]);
+
+  lib.call('archiveSchoolYear', district.spreadsheetId, '24_25');
+
+  assert.deepEqual(district.sheet('Tasks').dump().slice(1).map(r => r[1]), ['Draft outline']);
+  const archive = world.getSpreadsheet(district.readConfig('Project Archive - 24_25'));
+  assert.deepEqual(archive.getSheetByName('Tasks').dump().map(r => r.slice(0, 2)), [
+    ['Project ID', 'Task'],
+    [budgetId, 'Gather figures'],
+    [budgetId, 'Present to board']
+  ]);
+});
+
+test('a re-run after a partial failure does not copy already archived projects again', () => {
+  const budgetRow = district.projectsSheet.dump()[district.readProjects().findIndex(p => p.project_name === 'Budget Review') + 2];
+  lib.call('archiveSchoolYear', district.spreadsheetId, '24_25');
+  const archiveId = district.readConfig('Project Archive - 24_25');
+
+  // As if the first run had copied Budget Review but failed before removing its row
+  district.projectsSheet.appendRow(budgetRow);
+  const result = lib.call('archiveSchoolYear', district.spreadsheetId, '24_25');
+
+  assert.equal(result.archived, 1);
+  assert.deepEqual(district.readProjects().map(p => p.project_name), ['Still Open', 'This Year']);
+  const idColumn = district.keys.indexOf('project_id');
+  const archivedIds = world.getSpreadsheet(archiveId).getSheetByName('Project Management Sheet').dump().slice(2)
+    .map(r => r[idColumn]);
+  assert.equal(archivedIds.length, 2);
+  assert.equal(new Set(archivedIds).size, 2);
+});
+
+test('depends_on accepts projects that were moved to an archive', () => {
+  const budgetId = projectNamed('Budget Review').project_id;
+  lib.call('archiveSchoolYear', district.spreadsheetId, '24_25');
+  world.sentEmails = [];
+
+  const row = district.addProject({
+    project_name: 'Budget Follow-up',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: new Date(2025, 11, 1),
+    depends_on: budgetId,
+    automation_status: 'Ready'
+  });
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  assert.equal(district.readProject(row).automation_status, 'Created');
+  assert.ok(!world.sentEmails.some(m => /Validation Failed/.test(m.subject)));
+});
+
+test('a second run appends to the same archive and reuses the year folder', () => {
+  lib.call('archiveSchoolYear', district.spreadsheetId, '24_25');
+  const archiveId = district.readConfig('Project Archive - 24_25');
+
+  district.setProjectValue(3, 'project_status', 'Complete'); // Still Open moved up to row 3
+  const result = lib.call('archiveSchoolYear', district.spreadsheetId, '24_25');
+
+  assert.equal(result.archived, 1);
+  assert.equal(district.readConfig('Project Archive - 24_25'), archiveId);
+  assert.equal(world.getSpreadsheet(archiveId).getSheetByName('Project Management Sheet').dump().length, 5);
+  assert.equal(world.childrenOf(district.parentFolder.getId()).filter(item => item.name === '24_25').length, 1);
+});
+
+test('archived projects are found by ID or text', () => {
+  const budgetId = projectNamed('Budget Review').project_id;
+  lib.call('archiveSchoolYear', district.spreadsheetId, '24_25');
+
+  const byId = lib.call('findArchivedProjects', district.spreadsheetId, budgetId.toLowerCase());
+  assert.deepEqual(byId.map(m => [m.schoolYear, m.projectId, m.projectStatus]), [['24_25', budgetId, 'Complete']]);
+  assert.match(byId[0].folderUrl, /^https:\/\/drive\.google\.com\/drive\/folders\//);
+
+  const byText = lib.call('findArchivedProjects', district.spreadsheetId, 'for the BOARD');
+  assert.deepEqual(byText.map(m => m.projectName), ['Budget Review', 'Old Survey']);
+
+  assert.equal(lib.call('findArchivedProjects', district.spreadsheetId, 'Still Open').length, 0);
+  assert.throws(() => lib.call('findArchivedProjects', district.spreadsheetId, '  '), /Enter a project ID/);
+});
+
+test('dry run previews without touching the sheet or Drive', () => {
+  const before = district.projectsSheet.dump();
+
+  const result = lib.call('archiveSchoolYear', district.spreadsheetId, '24_25', { dryRun: true });
+
+  assert.equal(result.archived, 2);
+  assert.deepEqual(district.projectsSheet.dump(), before);
+  assert.equal(district.readConfig('Project Archive - 24_25'), undefined);
+  const plan = district.sheet('Dry Run Plan').dump().map(r => r[1]);
+  assert.equal(plan.filter(action => action === 'Move row to archive').length, 2);
+  assert.equal(plan.filter(action => action === 'Move project folder').length, 2);
+});
+
+test('refuses the current school year and malformed years', () => {
+  assert.throws(() => lib.call('archiveSchoolYear', district.spreadsheetId, '25_26'), /Only past school years/);
+  assert.throws(() => lib.call('archiveSchoolYear', district.spreadsheetId, '2024-25'), /Use the YY_YY format/);
+  assert.equal(district.readProjects().length, 4);
+});
@@ -0,0 +1,167 @@
+/**
+ * End-to-end scenarios for out-of-office delegation (Directory Delegate / Away From / Away Until).
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world);
+});
+
+/**
+ * Marks Pat Planner away with Sam Supervisor covering.
+ * @param {number} fromDays - Away From, in days from today
+ * @param {number} untilDays - Away Until, in days from today
+ */
+function sendPatAway(fromDays, untilDays) {
+  district.setStaffValue('Pat Planner', 'Delegate', 'Sam Supervisor');
+  district.setStaffValue('Pat Planner', 'Away From', daysFromToday(world, fromDays));
+  district.setStaffValue('Pat Planner', 'Away Until', daysFromToday(world, untilDays));
+}
+
+/**
+ * Adds a Ready row for Pat (requested by Riley) and runs the batch.
+ * @param {Object} [overrides] - Column key -> value
+ * @returns {number} The row number
+ */
+function createProject(overrides = {}) {
+  const row = district.addProject(Object.assign({
+    project_name: 'Budget Review',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 30),
+    automation_status: 'Ready'
+  }, overrides));
+  lib.call('processNewProjects', district.spreadsheetId);
+  return row;
+}
+
+test('copies new assignments to the delegate while the assignee is away', () => {
+  sendPatAway(-1, 5);
+
+  createProject();
+
+  assert.deepEqual(world.sentEmails.map(m => [m.to, m.cc]), [
+    ['pat.planner@example.org,sam.supervisor@example.org', 'riley.requester@example.org']
+  ]);
+});
+
+test('redirects reminders to the delegate only in Redirect mode, and not outside the away window', () => {
+  district.setConfig('Delegate Notifications', 'Redirect');
+  createProject({ due_date: daysFromToday(world, 3) });
+  sendPatAway(0, 0);
+  world.sentEmails = [];
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  const reminders = world.sentEmails.filter(m => m.subject.startsWith('Reminder'));
+  assert.deepEqual(reminders.map(m => m.to), ['sam.supervisor@example.org']);
+
+  sendPatAway(1, 5);
+  world.sentEmails = [];
+  createProject({ project_name: 'Before Leave' });
+  assert.deepEqual(world.sentEmails.map(m => m.to), ['pat.planner@example.org']);
+});
+
+test('shares the away person\'s project folders with the delegate and unshares after the window', () => {
+  const row = createProject();
+  const folder = world.driveItems.get(district.readProject(row).folder_id);
+  sendPatAway(0, 2);
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.ok(folder.editors.has('sam.supervisor@example.org'));
+
+  world.now = new Date(2025, 9, 17, 8, 0, 0); // Last day away
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.ok(folder.editors.has('sam.supervisor@example.org'));
+
+  world.now = new Date(2025, 9, 18, 8, 0, 0); // Back
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.ok(!folder.editors.has('sam.supervisor@example.org'));
+  assert.ok(folder.editors.has('pat.planner@example.org'));
+
+  const audit = district.sheet('Audit Log').dump().slice(1)
+    .filter(r => /\(delegate\)/.test(r[4]))
+    .map(r => [r[3], r[8]]);
+  assert.deepEqual(audit, [
+    ['Permission Granted', 'sam.supervisor@example.org'],
+    ['Permission Revoked', 'sam.supervisor@example.org']
+  ]);
+});
+
+test('removes only the access it granted, and only once', () => {
+  const row = createProject();
+  const otherRow = createProject({ project_name: 'Bus Routes' });
+  const folder = world.driveItems.get(district.readProject(row).folder_id);
+  const otherFolder = world.driveItems.get(district.readProject(otherRow).folder_id);
+  otherFolder.editors.add('sam.supervisor@example.org'); // Shared by hand before the leave
+  sendPatAway(0, 2);
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.deepEqual(district.sheet('Delegate Access').dump().slice(1).map(r => [r[1], r[3], r[4]]), [
+    [district.readProject(row).project_id, 'sam.supervisor@example.org', 'pat.planner@example.org']
+  ]);
+
+  world.now = new Date(2025, 9, 18, 8, 0, 0); // Back
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.ok(!folder.editors.has('sam.supervisor@example.org'));
+  assert.ok(otherFolder.editors.has('sam.supervisor@example.org'));
+  assert.equal(district.sheet('Delegate Access').getLastRow(), 1);
+
+  // Shared again by hand later: not touched by the next runs
+  folder.editors.add('sam.supervisor@example.org');
+  world.now = new Date(2025, 9, 19, 8, 0, 0);
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.ok(folder.editors.has('sam.supervisor@example.org'));
+});
+
+test('skips closed projects and removes delegate access when a project is completed', () => {
+  const doneRow = createProject({ project_name: 'Done Already' });
+  district.setProjectValue(doneRow, 'project_status', 'Complete');
+  const row = createProject();
+  sendPatAway(-1, 10);
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  const doneFolder = world.driveItems.get(district.readProject(doneRow).folder_id);
+  const folder = world.driveItems.get(district.readProject(row).folder_id);
+  assert.ok(!doneFolder.editors.has('sam.supervisor@example.org'));
+  assert.ok(folder.editors.has('sam.supervisor@example.org'));
+
+  district.setProjectValue(row, 'project_status', 'Complete');
+  world.now = new Date(2025, 9, 16, 8, 0, 0);
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.ok(!folder.editors.has('sam.supervisor@example.org'));
+});
+
+test('Refresh Permissions applies delegate access too', () => {
+  const row = createProject();
+  sendPatAway(-3, 3);
+
+  lib.call('refreshPermissions', district.spreadsheetId);
+
+  const folder = world.driveItems.get(district.readProject(row).folder_id);
+  assert.ok(folder.editors.has('sam.supervisor@example.org'));
+});
+
+test('validateConfiguration reports unusable delegation rows', () => {
+  district.setStaffValue('Pat Planner', 'Delegate', 'Somebody Else');
+  district.setStaffValue('Pat Planner', 'Away Until', daysFromToday(world, 3));
+  district.setStaffValue('Riley Requester', 'Delegate', 'Riley Requester');
+  district.setStaffValue('Riley Requester', 'Away From', daysFromToday(world, 1));
+
+  const result = lib.call('validateConfiguration', district.spreadsheetId);
+
+  assert.equal(result.valid, false);
+  assert.match(result.errors[0], /Directory row 3 \(Pat Planner\): Delegate "Somebody Else" not found in Directory/);
+  assert.match(result.errors[0], /Directory row 4 \(Riley Requester\): cannot be their own Delegate/);
+});
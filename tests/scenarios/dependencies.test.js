@@ -0,0 +1,108 @@
+/**
+ * End-to-end scenarios for project dependencies: depends_on validation when a row is
+ * processed, and the "ready to start" email once every predecessor is Complete.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+const UNBLOCKED_TEMPLATE = 'Ready to start: {{PROJECT_TITLE}}\n' +
+  'Hello {{RECIPIENT_NAME}},\n' +
+  '{{PREDECESSOR_TITLE}} has been marked Complete.\n' +
+  'Deadline: {{DEADLINE}}';
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world, { extraProjectColumns: ['depends_on', 'blocked_by'] });
+  district.setConfig('Email Template - Unblocked', world.addDocument('Email Template - Unblocked', UNBLOCKED_TEMPLATE));
+});
+
+/**
+ * Adds a Ready row and runs the batch.
+ * @param {Object} overrides - Column key -> value
+ * @returns {number} The row number
+ */
+function createProject(overrides) {
+  const row = district.addProject(Object.assign({
+    project_name: 'Bus Routes',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 30),
+    automation_status: 'Ready'
+  }, overrides));
+  lib.call('processNewProjects', district.spreadsheetId);
+  return row;
+}
+
+/**
+ * @returns {Object[]} "Ready to start" emails sent so far
+ */
+function unblockedEmails() {
+  return world.sentEmails.filter(m => m.subject.startsWith('Ready to start'));
+}
+
+test('rejects depends_on entries that are malformed, unknown, or deleted', () => {
+  const deletedRow = createProject({ project_name: 'Old Plan' });
+  const deletedId = district.readProject(deletedRow).project_id;
+  district.setProjectValue(deletedRow, 'automation_status', 'Delete (Don\'t Notify)');
+  lib.call('processNewProjects', district.spreadsheetId);
+  world.sentEmails = [];
+
+  const row = createProject({ depends_on: `not-an-id, TEST-25_26-0099, ${deletedId}` });
+
+  const project = district.readProject(row);
+  assert.equal(project.automation_status, 'Error');
+  assert.equal(project.project_id, '');
+  const [email] = world.sentEmails;
+  assert.match(email.subject, /Project Validation Failed/);
+  assert.match(email.body, /Depends On: "NOT-AN-ID" is not a valid project ID/);
+  assert.match(email.body, /Depends On: Project "TEST-25_26-0099" was not found/);
+  assert.match(email.body, new RegExp(`Depends On: Project "${deletedId}" has been deleted`));
+});
+
+test('emails the assignees once every predecessor is Complete, and only once', () => {
+  const firstRow = createProject({ project_name: 'Survey Families' });
+  const secondRow = createProject({ project_name: 'Survey Staff' });
+  const firstId = district.readProject(firstRow).project_id;
+  const secondId = district.readProject(secondRow).project_id;
+  createProject({ project_name: 'Write Report', assignee: 'Sam Supervisor', depends_on: `${firstId}, ${secondId}` });
+  world.sentEmails = [];
+
+  // One of two predecessors done: still waiting
+  district.setProjectValue(firstRow, 'project_status', 'Complete');
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.equal(unblockedEmails().length, 0);
+
+  district.setProjectValue(secondRow, 'project_status', 'Complete');
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  const [email] = unblockedEmails();
+  assert.equal(unblockedEmails().length, 1);
+  assert.equal(email.to, 'sam.supervisor@example.org');
+  assert.equal(email.cc, 'riley.requester@example.org');
+  assert.match(email.subject, /^Ready to start: Write Report/);
+  assert.match(email.body, new RegExp(`Survey Staff \\[${secondId}\\] has been marked Complete`));
+
+  world.now = new Date(2025, 9, 16, 8, 0, 0);
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.equal(unblockedEmails().length, 1);
+});
+
+test('skips the unblocked email when the template is not configured', () => {
+  district.setConfig('Email Template - Unblocked', '');
+  const firstRow = createProject({ project_name: 'Survey Families' });
+  const firstId = district.readProject(firstRow).project_id;
+  createProject({ project_name: 'Write Report', depends_on: firstId });
+
+  district.setProjectValue(firstRow, 'project_status', 'Complete');
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  assert.equal(unblockedEmails().length, 0);
+});
@@ -0,0 +1,112 @@
+/**
+ * End-to-end scenarios for holding likely duplicate form submissions
+ * (Config "Duplicate Window Days") and resolving them with resolveHeldDuplicate.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world, { nextSerial: 7 });
+});
+
+/**
+ * Submits the form as Riley Requester.
+ * @param {Object<string, string>} [overrides] - Question title -> answer, replacing the defaults
+ */
+function submit(overrides = {}) {
+  const answers = Object.assign({
+    'Project Title': 'Family Survey',
+    'Assigned to': 'Pat Planner',
+    'Deadline': '11/20/2025'
+  }, overrides);
+  const namedValues = { 'Timestamp': ['10/15/2025 8:00:00'], 'Email Address': ['riley.requester@example.org'] };
+  for (const [title, answer] of Object.entries(answers)) {
+    namedValues[title] = [answer];
+  }
+  lib.call('handleFormSubmission', district.spreadsheetId,
+    { namedValues, values: Object.values(namedValues).map(v => v[0]) });
+}
+
+test('a repeat submission is held, noted, audited, and reported to admins', () => {
+  submit();
+  world.sentEmails.length = 0;
+
+  submit({ 'Project Title': '  family   SURVEY ' });
+
+  const [original, held] = district.readProjects();
+  assert.equal(original.automation_status, 'Created');
+  assert.equal(held.automation_status, 'Held (Possible Duplicate)');
+  assert.equal(held.project_id, '');
+  assert.equal(held.folder_id, '');
+  assert.match(held.notes, new RegExp(`Possible duplicate of ${original.project_id}`));
+
+  assert.deepEqual(world.sentEmails.map(m => [m.to, m.subject]), [
+    ['alex.admin@example.org', 'Project Management Tool: Possible duplicate submission held']
+  ]);
+  assert.match(world.sentEmails[0].body, /Held row: 4/);
+
+  const audit = district.sheet('Audit Log').dump().slice(1).filter(r => r[3] === 'Duplicate Held');
+  assert.equal(audit.length, 1);
+});
+
+test('different deadlines, assignees, or an expired window are not duplicates', () => {
+  submit();
+  submit({ 'Deadline': '11/21/2025' });
+  submit({ 'Assigned to': 'Pat Planner, Riley Requester' });
+
+  world.now = new Date(2025, 9, 23, 8, 0, 0); // 8 days later, past the default 7-day window
+  submit();
+
+  assert.deepEqual(district.readProjects().map(p => p.automation_status),
+    ['Created', 'Created', 'Created', 'Created']);
+});
+
+test('a window of 0 turns the check off', () => {
+  district.setConfig('Duplicate Window Days', 0);
+  submit();
+  submit();
+
+  assert.deepEqual(district.readProjects().map(p => p.automation_status), ['Created', 'Created']);
+});
+
+test('merging marks the held row Deleted, hides it, and notes the original', () => {
+  submit();
+  submit();
+  const original = district.readProjects()[0];
+
+  assert.deepEqual(lib.call('getHeldDuplicates', district.spreadsheetId).map(h => [h.row, h.duplicateOf]),
+    [[4, original.project_id]]);
+
+  lib.call('resolveHeldDuplicate', district.spreadsheetId, 4, 'merge');
+
+  const held = district.readProject(4);
+  assert.equal(held.automation_status, 'Deleted');
+  assert.match(held.notes, new RegExp(`^Merged into ${original.project_id}`));
+  assert.equal(district.projectsSheet.isRowHiddenByUser(4), true);
+  assert.equal(lib.call('getHeldDuplicates', district.spreadsheetId).length, 0);
+});
+
+test('releasing creates the held row as a new project', () => {
+  submit();
+  submit();
+
+  lib.call('resolveHeldDuplicate', district.spreadsheetId, 4, 'release');
+
+  const held = district.readProject(4);
+  assert.equal(held.automation_status, 'Created');
+  assert.equal(held.project_id, 'TEST-25_26-0008');
+  assert.ok(held.folder_id);
+
+  assert.throws(() => lib.call('resolveHeldDuplicate', district.spreadsheetId, 4, 'release'),
+    /Row 4 is not a held duplicate/);
+});
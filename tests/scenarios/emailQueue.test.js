@@ -0,0 +1,194 @@
+/**
+ * End-to-end scenarios for the Email Queue: daily quota awareness, retry with backoff,
+ * the status report, and cleanup of sent rows.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  world.activeUserEmail = 'pat.planner@example.org';
+  district = buildDistrict(world);
+});
+
+/**
+ * @param {string} projectName - Project Title
+ * @returns {number} The new Ready row
+ */
+function addReadyProject(projectName) {
+  return district.addProject({
+    project_name: projectName,
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 30),
+    automation_status: 'Ready'
+  });
+}
+
+/**
+ * @returns {Object[]} Email Queue rows as {status, to, subject, attempts, nextAttempt, lastError}
+ */
+function queueRows() {
+  return district.sheet('Email Queue').dump().slice(1).map(r => ({
+    status: r[1], to: r[2], subject: r[3], attempts: r[6], nextAttempt: r[7], lastError: r[8], sentAt: r[9]
+  }));
+}
+
+/**
+ * @param {number} minutes - Minutes to move the clock forward
+ */
+function advanceMinutes(minutes) {
+  world.now = new Date(world.now.getTime() + minutes * 60 * 1000);
+}
+
+test('emails that do not fit in the daily quota wait in the queue for the next batch run', () => {
+  addReadyProject('Bus Routes');
+  addReadyProject('Lunch Menu');
+  addReadyProject('Field Trip');
+  world.emailQuota = 3; // Each email goes to the assignee and cc's the requester
+
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  assert.equal(world.sentEmails.length, 1);
+  assert.deepEqual(queueRows().map(r => r.status), ['Sent', 'Pending', 'Pending']);
+  assert.ok(queueRows().every(r => r.attempts === (r.status === 'Sent' ? 1 : 0)));
+
+  const status = lib.call('getEmailQueueStatus', district.spreadsheetId);
+  assert.equal(status.remainingQuota, 1);
+  assert.equal(status.sentCount, 1);
+  assert.deepEqual(status.pending.map(m => m.subject), [
+    'New Project Assigned: Lunch Menu',
+    'New Project Assigned: Field Trip'
+  ]);
+
+  // The quota resets overnight; the next batch run sends what was deferred
+  world.emailQuota = 1500;
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  assert.deepEqual(world.sentEmails.map(m => m.subject), [
+    'New Project Assigned: Bus Routes',
+    'New Project Assigned: Lunch Menu',
+    'New Project Assigned: Field Trip'
+  ]);
+  assert.ok(queueRows().every(r => r.status === 'Sent'));
+});
+
+test('failed sends are retried with growing delays, then marked Failed, audited, and retried from the menu', () => {
+  world.failOn('GmailApp.sendEmail', 'Invalid email: pat.planner@example.org');
+  addReadyProject('Bus Routes');
+
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  let [row] = queueRows();
+  assert.equal(row.status, 'Pending');
+  assert.equal(row.attempts, 1);
+  assert.equal(row.lastError, 'Invalid email: pat.planner@example.org');
+  assert.equal(row.nextAttempt.getTime(), new Date(2025, 9, 15, 8, 10, 0).getTime());
+
+  // Not due yet: nothing is attempted
+  advanceMinutes(5);
+  lib.call('processNewProjects', district.spreadsheetId);
+  assert.equal(queueRows()[0].attempts, 1);
+
+  // 10, 20, 40, 80 minutes between attempts; the fifth failure gives up
+  for (const minutes of [5, 20, 40, 80]) {
+    advanceMinutes(minutes);
+    lib.call('processNewProjects', district.spreadsheetId);
+  }
+  [row] = queueRows();
+  assert.equal(row.status, 'Failed');
+  assert.equal(row.attempts, 5);
+  assert.equal(row.nextAttempt, '');
+
+  const audit = district.sheet('Audit Log').dump().slice(1).filter(r => r[3] === 'Email Failed');
+  assert.equal(audit.length, 1);
+  assert.equal(audit[0][7], 'Failure');
+  assert.match(audit[0][8], /^"New Project Assigned: Bus Routes" to pat\.planner@example\.org after 5 attempts: Invalid email/);
+
+  const status = lib.call('getEmailQueueStatus', district.spreadsheetId);
+  assert.equal(status.pending.length, 0);
+  assert.deepEqual(status.failed.map(m => [m.subject, m.attempts]), [['New Project Assigned: Bus Routes', 5]]);
+
+  world.failures.delete('GmailApp.sendEmail');
+  assert.equal(lib.call('retryFailedEmails', district.spreadsheetId), 1);
+  assert.equal(queueRows()[0].status, 'Sent');
+  assert.equal(world.sentEmails.length, 1);
+});
+
+test('error notifications skip the queue, and daily maintenance removes rows sent over a week ago', () => {
+  addReadyProject('Bus Routes');
+  lib.call('processNewProjects', district.spreadsheetId);
+  assert.equal(queueRows().length, 1);
+
+  // Error emails are sent at once, not queued behind the run's other emails
+  lib.call('sendAdminErrorNotification', district.spreadsheetId, null, 'Batch Failed', 'Details');
+  assert.equal(world.sentEmails.at(-1).subject, '[Project Management Tool Error] Batch Failed');
+  assert.equal(queueRows().length, 1);
+
+  world.now = new Date(2025, 9, 21, 8, 0, 0);
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.ok(queueRows().some(r => r.subject === 'New Project Assigned: Bus Routes'));
+
+  world.now = new Date(2025, 9, 23, 8, 0, 0);
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.ok(!queueRows().some(r => r.subject === 'New Project Assigned: Bus Routes'));
+});
+
+test('edits leave queued emails for the next batch run instead of sending them', () => {
+  const row = addReadyProject('Bus Routes');
+  world.emailQuota = 0;
+  lib.call('processNewProjects', district.spreadsheetId);
+  assert.deepEqual(queueRows().map(r => r.status), ['Pending']);
+  world.emailQuota = 1500;
+
+  lib.call('handleEdit', district.spreadsheetId, district.editProject(row, 'notes', 'Kickoff moved', 'pat.planner@example.org'));
+
+  assert.equal(world.sentEmails.length, 0);
+  assert.deepEqual(queueRows().map(r => r.status), ['Pending']);
+
+  lib.call('processNewProjects', district.spreadsheetId);
+  assert.deepEqual(world.sentEmails.map(m => m.subject), ['New Project Assigned: Bus Routes']);
+  assert.deepEqual(queueRows().map(r => r.status), ['Sent']);
+});
+
+test('sending re-checks each row and records outcomes by Message ID after rows move', () => {
+  const queued = (subject, status, sentAt, id) =>
+    [new Date(2025, 9, 1), status, 'pat.planner@example.org', subject, 'Body', '{}', status === 'Sent' ? 1 : 0, '', '', sentAt, id];
+  district.spreadsheet.insertSheet('Email Queue', [
+    ['Queued At', 'Status', 'To', 'Subject', 'Body', 'Options', 'Attempts', 'Next Attempt', 'Last Error', 'Sent At', 'Message ID'],
+    queued('Old', 'Sent', new Date(2025, 9, 1), 'id-old'),
+    queued('First', 'Pending', '', 'id-first'),
+    queued('Second', 'Pending', '', 'id-second')
+  ]);
+
+  // While the first email goes out, another run removes the old row and sends the second email
+  const GmailApp = lib.global('GmailApp');
+  const sendEmail = GmailApp.sendEmail;
+  GmailApp.sendEmail = (...args) => {
+    GmailApp.sendEmail = sendEmail;
+    const sheet = district.sheet('Email Queue');
+    sheet.deleteRows(2, 1);
+    sheet.getRange(3, 2).setValue('Sent');
+    return sendEmail(...args);
+  };
+  try {
+    lib.call('processNewProjects', district.spreadsheetId);
+  } finally {
+    GmailApp.sendEmail = sendEmail;
+  }
+
+  assert.deepEqual(world.sentEmails.map(m => m.subject), ['First']);
+  assert.deepEqual(queueRows().map(r => [r.subject, r.status, r.attempts]), [
+    ['First', 'Sent', 1],
+    ['Second', 'Sent', 0]
+  ]);
+});
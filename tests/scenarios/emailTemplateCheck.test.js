@@ -0,0 +1,77 @@
+/**
+ * End-to-end scenarios for the email template check and preview (checkEmailTemplates).
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  world.activeUserEmail = 'pat.planner@example.org';
+  district = buildDistrict(world);
+});
+
+/**
+ * @param {Object} result - checkEmailTemplates result
+ * @returns {Object<string, string[]>} Issues by template name
+ */
+function issuesByName(result) {
+  return Object.fromEntries(result.templates.map(t => [t.name, t.issues]));
+}
+
+test('well-formed templates pass and the caller gets one email previewing each with sample projects', () => {
+  const result = lib.call('checkEmailTemplates', district.spreadsheetId);
+
+  assert.deepEqual(result.templates.map(t => t.name), [
+    'Email Template - New Project',
+    'Email Template - Reminder',
+    'Email Template - Status Change',
+    'Email Template - Project Update',
+    'Email Template - Project Cancellation'
+  ]);
+  assert.ok(result.templates.every(t => t.issues.length === 0));
+  assert.equal(result.templates[1].subject, 'Reminder: Sample Project: Family Literacy Night - Due in 3 days');
+  assert.equal(result.previewSentTo, 'pat.planner@example.org');
+
+  assert.equal(world.sentEmails.length, 1);
+  const email = world.sentEmails[0];
+  assert.equal(email.to, 'pat.planner@example.org');
+  assert.equal(email.subject, 'Project Management Tool: Email template check (0 problems)');
+  assert.match(email.htmlBody, /Hello Pat Planner,<br>.*<strong>Sample Project: Attendance Review<\/strong> - Status changed to/);
+  assert.match(email.htmlBody, /Deadline: October 15, 2025 → October 18, 2025/);
+});
+
+test('flags misspelled, unavailable, and missing tokens, a dropped subject line, and broken blocks', () => {
+  const setTemplate = (name, text) => world.documents.set(district.templateIds[name], text);
+  setTemplate('Email Template - New Project', 'Hello {{ASSIGNEE_NAME}},\nDeadline: {{DEADLINE}}\nProject: {{PROJECT_TITLE}}');
+  setTemplate('Email Template - Reminder', 'Reminder: {{PROJECT_TITLE}}\nDue {{DEADLNE}} ({{days_until_due}} days), {{FAVORITE_COLOR}}');
+  setTemplate('Email Template - Status Change', 'Updates\n{{#each STATUS_CHANGES}}\n{{PROJECT_TITLE}}\n');
+  setTemplate('Email Template - Project Cancellation', 'Cancelled: {{PROJECT_TITLE}}\n{{DAYS_LATE}} days late');
+  district.setConfig('Email Template - Weekly Summary', 'missing-doc');
+
+  const issues = issuesByName(lib.call('checkEmailTemplates', district.spreadsheetId, { sendPreview: false }));
+
+  assert.deepEqual(issues['Email Template - New Project'],
+    ['The first line "Hello {{ASSIGNEE_NAME}}," becomes the subject. Is the subject line missing?']);
+  assert.deepEqual(issues['Email Template - Reminder'], [
+    'Unknown token {{DEADLNE}} (did you mean {{DEADLINE}}?).',
+    'Unknown token {{days_until_due}} (did you mean {{DAYS_UNTIL_DUE}}?).',
+    'Unknown token {{FAVORITE_COLOR}}.',
+    'Missing {{DEADLINE}}.'
+  ]);
+  assert.deepEqual(issues['Email Template - Status Change'],
+    ['Template is missing {{/each}} for {{#each STATUS_CHANGES}}.']);
+  assert.deepEqual(issues['Email Template - Project Cancellation'],
+    ['{{DAYS_LATE}} is not filled in for this email and will show as typed.']);
+  assert.equal(issues['Email Template - Weekly Summary'].length, 1);
+  assert.match(issues['Email Template - Weekly Summary'][0], /^Could not open the Doc: No document with the given ID/);
+  assert.equal(world.sentEmails.length, 0);
+});
@@ -0,0 +1,140 @@
+/**
+ * End-to-end scenarios for the email template language ({{#if}}, {{#each}}) and for
+ * formatting (bold, links, lists, tables) carried over from the template Docs.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world);
+});
+
+/**
+ * Replaces a template Doc's content.
+ * @param {string} configName - Config entry (e.g., "Email Template - Reminder")
+ * @param {string|Array} content - Plain text or formatted blocks (see fakeDocContainer)
+ */
+function setTemplate(configName, content) {
+  world.documents.set(district.templateIds[configName], content);
+}
+
+/**
+ * Adds a Ready row and runs the batch so it becomes a Created project.
+ * @param {Object} overrides - Column key -> value
+ * @returns {number} The row number
+ */
+function createProject(overrides) {
+  const row = district.addProject(Object.assign({
+    project_name: 'Budget Review',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 30),
+    automation_status: 'Ready'
+  }, overrides));
+  lib.call('processNewProjects', district.spreadsheetId);
+  return row;
+}
+
+test('renders nested conditionals and loops, dropping the lines that only hold block tags', () => {
+  const render = lib.global('renderTemplate');
+  const template = [
+    'Hello {{RECIPIENT_NAME}},',
+    '{{#each ITEMS}}',
+    '- {{NAME}}{{#if NOTE}} ({{NOTE}}){{/if}} for {{RECIPIENT_NAME}}',
+    '{{else}}',
+    'Nothing today.',
+    '{{/each}}',
+    '{{UNKNOWN}} stays'
+  ].join('\n');
+
+  assert.equal(render(template, { RECIPIENT_NAME: 'Pat', ITEMS: [{ NAME: 'A', NOTE: 'late' }, { NAME: 'B', NOTE: ' ' }] }),
+    'Hello Pat,\n- A (late) for Pat\n- B for Pat\n{{UNKNOWN}} stays');
+  assert.equal(render(template, { RECIPIENT_NAME: 'Pat', ITEMS: [] }), 'Hello Pat,\nNothing today.\n{{UNKNOWN}} stays');
+
+  assert.throws(() => render('{{#each ITEMS}}x', {}), /missing \{\{\/each\}\} for \{\{#each ITEMS\}\}/);
+  assert.throws(() => render('{{#if A}}x{{/each}}', {}), /closes \{\{#if A\}\} with \{\{\/each\}\}/);
+});
+
+test('a reminder template that loops over REMINDERS lays out multi-project reminders, keeping Doc formatting', () => {
+  setTemplate('Email Template - Reminder', [
+    'Reminder: {{REMINDER_COUNT}} project(s) due soon',
+    ['Hello ', { text: '{{RECIPIENT_NAME}}', bold: true }, ','],
+    '',
+    { listItem: ['{{#each REMINDERS}}', { text: '{{PROJECT_TITLE}}', link: '{{FOLDER_LINK}}' }, ' - due {{DEADLINE}}{{/each}}'] },
+    [{ text: 'Thanks!', italic: true }]
+  ]);
+  createProject({ project_name: 'Bus Routes', due_date: daysFromToday(world, 3) });
+  createProject({ project_name: 'Lunch Menu', due_date: daysFromToday(world, 3) });
+  world.sentEmails = [];
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  const reminders = world.sentEmails.filter(m => m.subject.startsWith('Reminder'));
+  assert.equal(reminders.length, 1);
+  assert.equal(reminders[0].subject, 'Reminder: 2 project(s) due soon');
+  const html = reminders[0].htmlBody;
+  assert.match(html, /^Hello <strong>Pat Planner<\/strong>,<br><br><ul><li><a href="https:\/\/drive\.google\.com\/[^"]+">Bus Routes<\/a> - due October 18, 2025<\/li><li><a href="[^"]+">Lunch Menu<\/a> - due October 18, 2025<\/li><\/ul><br><em>Thanks!<\/em>$/);
+});
+
+test('plain reminder templates still get the built-in digest when several projects are due', () => {
+  createProject({ project_name: 'Bus Routes', due_date: daysFromToday(world, 3) });
+  createProject({ project_name: 'Lunch Menu', due_date: daysFromToday(world, 3) });
+  world.sentEmails = [];
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  const reminders = world.sentEmails.filter(m => m.subject.startsWith('Reminder'));
+  assert.equal(reminders[0].subject, 'Reminder: 2 projects with upcoming deadlines');
+});
+
+test('status change digests can repeat a table row per change, and conditionals hide empty fields', () => {
+  setTemplate('Email Template - Status Change', [
+    'Project Status Updates - {{DATE}}',
+    'Hello {{RECIPIENT_NAME}},',
+    {
+      table: [
+        [[[{ text: 'Project', bold: true }]], [[{ text: 'Change', bold: true }]]],
+        ['{{#each STATUS_CHANGES}}{{PROJECT_TITLE}}{{#if DESCRIPTION}}\r{{DESCRIPTION}}{{/if}}', '{{OLD_STATUS}} → {{NEW_STATUS}}{{/each}}']
+      ]
+    }
+  ]);
+  const described = createProject({ project_name: 'Overdue Report', description: 'Quarterly numbers', due_date: daysFromToday(world, 5) });
+  const bare = createProject({ project_name: 'Overdue Survey', due_date: daysFromToday(world, 5) });
+  district.setProjectValue(described, 'due_date', daysFromToday(world, -2));
+  district.setProjectValue(bare, 'due_date', daysFromToday(world, -2));
+  world.sentEmails = [];
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  const digest = world.emailsTo('riley.requester@example.org').find(m => m.subject.startsWith('Project Status Updates'));
+  const rows = digest.htmlBody.match(/<tr>.*?<\/tr>/g).map(row => row.replace(/<td[^>]*>/g, '|').replace(/<\/?tr>|<\/td>/g, ''));
+  assert.deepEqual(rows, [
+    '|<strong>Project</strong>|<strong>Change</strong>',
+    '|Overdue Report<br>Quarterly numbers|Project Assigned → Late',
+    '|Overdue Survey|Project Assigned → Late'
+  ]);
+  assert.doesNotMatch(digest.htmlBody, /\{\{/);
+});
+
+test('links whose text is the URL are not linked twice', () => {
+  setTemplate('Email Template - New Project', [
+    'New Project Assigned: {{PROJECT_TITLE}}',
+    ['Folder: ', { text: 'https://example.org/help', link: 'https://example.org/help' }],
+    'Plain URL: https://example.org/faq'
+  ]);
+  createProject({});
+
+  const email = world.emailsTo('pat.planner@example.org').find(m => m.subject.startsWith('New Project Assigned'));
+  assert.equal(email.htmlBody, 'Folder: <a href="https://example.org/help">https://example.org/help</a><br>' +
+    'Plain URL: <a href="https://example.org/faq">https://example.org/faq</a>');
+});
@@ -0,0 +1,110 @@
+/**
+ * End-to-end scenarios for the Codes escalation ladder
+ * (Escalation Days Late / Escalate To) walked by runDailyMaintenance for overdue projects.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+const ESCALATION_TEMPLATE = 'Overdue: {{PROJECT_TITLE}} is {{DAYS_LATE}} days past its deadline\n' +
+  'Hello {{RECIPIENT_NAME}},\n' +
+  'Escalated to: {{ESCALATION_LEVEL}}';
+
+let world;
+let district;
+let row;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world, { extraProjectColumns: ['escalations_sent'] });
+  district.setConfig('Email Template - Escalation', world.addDocument('Email Template - Escalation', ESCALATION_TEMPLATE));
+  district.sheet('Codes').getRange(3, 8, 4, 2).setValues([
+    ['Escalation Days Late', 'Escalate To'],
+    [1, 'Requester'],
+    [7, 'Supervisor'],
+    [14, 'Admins']
+  ]);
+
+  row = district.addProject({
+    project_name: 'Bus Routes',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 2),
+    automation_status: 'Ready'
+  });
+  lib.call('processNewProjects', district.spreadsheetId);
+  world.sentEmails = [];
+});
+
+/**
+ * @returns {Object[]} Escalation emails sent so far as {to, subject}
+ */
+function escalations() {
+  return world.sentEmails
+    .filter(m => m.subject.startsWith('Overdue:'))
+    .map(m => ({ to: m.to, subject: m.subject }));
+}
+
+test('a project 8 days late gets levels 1 and 7 in one run, each once', () => {
+  world.now = new Date(2025, 9, 25, 8, 0, 0); // Deadline was October 17
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  assert.deepEqual(escalations(), [
+    { to: 'riley.requester@example.org', subject: 'Overdue: Bus Routes is 8 days past its deadline' },
+    { to: 'sam.supervisor@example.org', subject: 'Overdue: Bus Routes is 8 days past its deadline' }
+  ]);
+  assert.equal(district.readProject(row).escalations_sent, '1, 7');
+  const audit = district.sheet('Audit Log').dump().slice(1).filter(r => r[3] === 'Escalation Sent');
+  assert.equal(audit.length, 2);
+
+  // The next day sends nothing new; a week later the admins get level 14
+  world.now = new Date(2025, 9, 26, 8, 0, 0);
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.equal(escalations().length, 2);
+
+  world.now = new Date(2025, 9, 31, 8, 0, 0);
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.deepEqual(escalations().slice(2).map(m => m.to), ['alex.admin@example.org']);
+  assert.equal(district.readProject(row).escalations_sent, '1, 7, 14');
+});
+
+test('moving the deadline clears the record so the ladder starts over', () => {
+  world.now = new Date(2025, 9, 19, 8, 0, 0);
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.equal(district.readProject(row).escalations_sent, '1');
+
+  district.setProjectValue(row, 'due_date', daysFromToday(world, 5));
+  district.setProjectValue(row, 'project_status', 'On Track');
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.equal(district.readProject(row).escalations_sent, '');
+
+  world.now = new Date(2025, 9, 25, 8, 0, 0);
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.equal(escalations().length, 2);
+  assert.equal(district.readProject(row).escalations_sent, '1');
+});
+
+test('complete projects are not escalated', () => {
+  district.setProjectValue(row, 'project_status', 'Complete');
+  world.now = new Date(2025, 9, 25, 8, 0, 0);
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  assert.equal(escalations().length, 0);
+});
+
+test('escalations reach people who muted them', () => {
+  district.setStaffValue('Riley Requester', 'Muted Notifications', 'Escalations, Reminders');
+  world.now = new Date(2025, 9, 19, 8, 0, 0);
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  assert.deepEqual(escalations().map(m => m.to), ['riley.requester@example.org']);
+  assert.equal(district.readProject(row).escalations_sent, '1');
+});
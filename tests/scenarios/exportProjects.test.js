@@ -0,0 +1,100 @@
+/**
+ * End-to-end scenarios for filtered project exports (exportProjects).
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world);
+
+  const projects = [
+    ['Tutoring, Grades 3-5', 'LCAP', '1', 'Pat Planner', new Date(2025, 10, 20)],
+    ['Counseling', 'LCAP', '2', 'Riley Requester', new Date(2025, 11, 1)],
+    ['Site Plan', 'SPSA', '1', 'Pat Planner, Riley Requester', new Date(2026, 0, 15)],
+    ['Last Year', 'LCAP', '1', 'Pat Planner', new Date(2025, 4, 1)]
+  ];
+  for (const [name, category, goal, assignee, due] of projects) {
+    district.addProject({
+      project_name: name,
+      category,
+      goal_number: goal,
+      assignee,
+      requested_by: 'Riley Requester',
+      due_date: due,
+      automation_status: 'Ready'
+    });
+  }
+  lib.call('processNewProjects', district.spreadsheetId);
+});
+
+/**
+ * @param {string} fileId - Exported file ID
+ * @returns {string} The file's text
+ */
+function fileText(fileId) {
+  return world.driveItems.get(fileId).getBlob().getDataAsString();
+}
+
+test('writes a CSV with human headers and formatted dates to the Root Folder by default', () => {
+  const result = lib.call('exportProjects', district.spreadsheetId, 'CSV', { schoolYear: '25_26', category: 'lcap' });
+
+  assert.equal(result.rowCount, 2);
+  assert.equal(result.fileName, 'Project Export 2025-10-15.csv');
+  assert.equal(world.driveItems.get(result.fileId).parentId, district.rootFolder.getId());
+
+  const lines = fileText(result.fileId).split('\r\n');
+  const headers = lines[0].split(',');
+  assert.deepEqual(headers.slice(0, 4), ['Project ID', 'Project Title', 'School Year', 'Category']);
+  assert.ok(headers.includes('Deadline'));
+  assert.ok(headers.includes('Project Folder'));
+  assert.match(lines[1], /"Tutoring, Grades 3-5"/);
+  assert.match(lines[1], /November 20, 2025/);
+  assert.match(lines[1], /https:\/\/drive\.google\.com\/drive\/folders\//);
+  assert.match(lines[2], /^TEST-25_26-\d{4},Counseling,/);
+
+  const audit = district.sheet('Audit Log').dump().slice(1).filter(r => r[3] === 'Projects Exported');
+  assert.deepEqual(audit.map(r => r[8]), ['2 project(s); schoolYear=25_26, category=lcap']);
+});
+
+test('JSON exports use the headers as keys and match assignees by name or email', () => {
+  district.setConfig('Export Folder ID', district.parentFolder.getId());
+
+  const result = lib.call('exportProjects', district.spreadsheetId, 'json',
+    { assignee: 'riley.requester@example.org', goalNumber: '' });
+
+  assert.equal(world.driveItems.get(result.fileId).parentId, district.parentFolder.getId());
+  const records = JSON.parse(fileText(result.fileId));
+  assert.deepEqual(records.map(r => r['Project Title']), ['Counseling', 'Site Plan']);
+  assert.equal(records[1]['Assigned To'], 'Pat Planner, Riley Requester');
+  assert.equal(records[1]['Deadline'], 'January 15, 2026');
+});
+
+test('XLSX exports go through a temporary spreadsheet that is trashed afterwards', () => {
+  const result = lib.call('exportProjects', district.spreadsheetId, 'xlsx', { goalNumber: '1', status: 'project assigned' });
+
+  assert.equal(result.rowCount, 3);
+  assert.equal(world.driveItems.get(result.fileId).getMimeType(),
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  const values = JSON.parse(fileText(result.fileId));
+  assert.equal(values[0][1], 'Project Title');
+  assert.deepEqual(values.slice(1).map(r => r[1]), ['Tutoring, Grades 3-5', 'Site Plan', 'Last Year']);
+  const deadline = values[0].indexOf('Deadline');
+  assert.equal(values[1][deadline], new Date(2025, 10, 20).toISOString()); // a real date, not text
+
+  const temp = [...world.driveItems.values()].find(item => item.mimeType === 'spreadsheet' && item.name === result.fileName);
+  assert.equal(temp.trashed, true);
+});
+
+test('unknown formats are refused', () => {
+  assert.throws(() => lib.call('exportProjects', district.spreadsheetId, 'pdf'), /Unknown export format "pdf"/);
+});
@@ -0,0 +1,109 @@
+/**
+ * End-to-end scenarios for the optional Goals sheet: goal/action validation of new projects
+ * and the Goal Rollup report (refreshGoalRollup and daily maintenance).
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world, { extraProjectColumns: ['total_budget'] });
+  district.spreadsheet.insertSheet('Goals', [
+    ['Goal #', 'Action #', 'Title', 'Budget'],
+    [1, '', 'Student Achievement', '$100,000'],
+    [1, '1.1', 'Tutoring', 60000],
+    [1, '1.2', 'Counseling', '40,000'],
+    [2, '', 'Family Engagement', 25000],
+    [2, '2.1', 'Family Nights', 25000]
+  ]);
+});
+
+/**
+ * Adds a Ready project and returns its row.
+ * @param {string} name - Project title
+ * @param {Object} values - Extra column values (goal_number, action_number, total_budget, ...)
+ * @returns {number} The row number
+ */
+function addProject(name, values) {
+  return district.addProject(Object.assign({
+    project_name: name,
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: new Date(2025, 11, 1),
+    automation_status: 'Ready'
+  }, values));
+}
+
+test('new projects must use goals and actions listed in the Goals sheet', () => {
+  const listed = addProject('Tutoring Pilot', { goal_number: '1', action_number: '1.1' });
+  const actionOnly = addProject('Family Night 1', { action_number: '2.1' });
+  const badGoal = addProject('Mystery Goal', { goal_number: '9' });
+  const wrongGoal = addProject('Misfiled', { goal_number: '2', action_number: '1.2' });
+
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  assert.equal(district.readProject(listed).automation_status, 'Created');
+  assert.equal(district.readProject(actionOnly).automation_status, 'Created');
+  assert.equal(district.readProject(badGoal).automation_status, 'Error');
+  assert.equal(district.readProject(wrongGoal).automation_status, 'Error');
+
+  const adminBodies = world.emailsTo('alex.admin@example.org').map(m => m.body).join('\n');
+  assert.match(adminBodies, /Goal #: "9" is not listed in the Goals sheet/);
+  assert.match(adminBodies, /Action #: "1.2" is not listed under goal 2/);
+});
+
+test('the rollup counts projects by status, percent complete, late, and budget per goal and action', () => {
+  const rows = [
+    addProject('Tutoring A', { goal_number: '1', action_number: '1.1', total_budget: '$10,000' }),
+    addProject('Tutoring B', { goal_number: '1', action_number: '1.1', total_budget: 5000 }),
+    addProject('Counseling A', { goal_number: '1', action_number: '1.2', total_budget: '2,500.50' }),
+    addProject('Goal 1 Overall', { goal_number: '1' }),
+    addProject('Family Night', { action_number: '2.1', total_budget: 1200 }),
+    addProject('Unfiled', {})
+  ];
+  lib.call('processNewProjects', district.spreadsheetId);
+  district.setProjectValue(rows[0], 'project_status', 'Complete');
+  district.setProjectValue(rows[2], 'project_status', 'Late');
+
+  const rollup = lib.call('refreshGoalRollup', district.spreadsheetId);
+
+  const summary = rollup.rows.map(r => [r.goalNumber, r.actionNumber, r.count, r.percentComplete, r.late, r.projectBudget]);
+  assert.deepEqual(summary, [
+    ['1', '', 4, 0.25, 1, 17500.5],
+    ['1', '1.1', 2, 0.5, 0, 15000],
+    ['1', '1.2', 1, 0, 1, 2500.5],
+    ['2', '', 1, 0, 0, 1200],
+    ['2', '2.1', 1, 0, 0, 1200],
+    ['(Not in Goals sheet)', '', 1, 0, 0, 0]
+  ]);
+  assert.equal(rollup.rows[0].plannedBudget, 100000);
+  assert.deepEqual({ ...rollup.rows[0].byStatus }, { 'Complete': 1, 'Late': 1, 'Project Assigned': 2 });
+
+  const sheet = district.sheet('Goal Rollup').dump();
+  assert.deepEqual(sheet[1], ['Goal #', 'Action #', 'Title', 'Planned Budget', 'Projects', 'Project Assigned',
+    'On Track', 'Behind Schedule', 'Stuck', 'Late', 'Complete', '% Complete', 'Late', 'Project Budget Total']);
+  assert.deepEqual(sheet[3], ['1', '1.1', 'Tutoring', 60000, 2, 1, 0, 0, 0, 0, 1, 0.5, 0, 15000]);
+});
+
+test('daily maintenance rebuilds the rollup; without a Goals sheet nothing is validated or written', () => {
+  addProject('Tutoring A', { goal_number: '1', action_number: '1.1' });
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.equal(district.sheet('Goal Rollup').dump()[2][4], 1);
+
+  district.spreadsheet.deleteSheet(district.spreadsheet.getSheetByName('Goals'));
+  const free = addProject('Any Goal', { goal_number: 'Anything' });
+  lib.call('processNewProjects', district.spreadsheetId);
+  assert.equal(district.readProject(free).automation_status, 'Created');
+  assert.throws(() => lib.call('refreshGoalRollup', district.spreadsheetId), /Add a "Goals" sheet/);
+});
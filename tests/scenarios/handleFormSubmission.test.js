@@ -0,0 +1,105 @@
+/**
+ * End-to-end scenarios for handleFormSubmission (the spreadsheet onFormSubmit trigger).
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world, { nextSerial: 7 });
+});
+
+/**
+ * Builds an onFormSubmit event like the one Sheets passes to the trigger.
+ * @param {Object<string, string>} answers - Question title -> answer
+ * @param {string} [email] - Submitter email ("Collect email addresses")
+ * @returns {Object} Event with namedValues and values
+ */
+function formEvent(answers, email = 'riley.requester@example.org') {
+  const namedValues = { 'Timestamp': ['10/15/2025 8:00:00'] };
+  if (email) {
+    namedValues['Email Address'] = [email];
+  }
+  for (const [title, answer] of Object.entries(answers)) {
+    namedValues[title] = [answer];
+  }
+  return { namedValues, values: Object.values(namedValues).map(v => v[0]) };
+}
+
+test('appends the response as a project and creates it immediately', () => {
+  lib.call('handleFormSubmission', district.spreadsheetId, formEvent({
+    'Project Title': 'Family Survey',
+    'Assigned to': 'Pat Planner',
+    'Category': 'Operations',
+    'Deadline': '11/20/2025',
+    'Description': 'Spring family engagement survey'
+  }));
+
+  const projects = district.readProjects();
+  assert.equal(projects.length, 1);
+  const project = projects[0];
+  assert.equal(project.row, 3);
+  assert.equal(project.project_id, 'TEST-25_26-0007');
+  assert.equal(project.project_name, 'Family Survey');
+  assert.equal(project.category, 'Operations');
+  assert.equal(project.requested_by, 'Riley Requester');
+  assert.equal(project.project_status, 'Project Assigned');
+  assert.equal(project.automation_status, 'Created');
+  assert.ok(project.folder_id);
+  assert.ok(world.calendar.getEventById(project.calendar_event_id));
+
+  assert.deepEqual(world.sentEmails.map(m => [m.to, m.subject]), [
+    ['pat.planner@example.org', 'New Project Assigned: Family Survey']
+  ]);
+});
+
+test('keeps an unknown submitter email as the requester', () => {
+  lib.call('handleFormSubmission', district.spreadsheetId, formEvent({
+    'Project Title': 'Outside Request',
+    'Assigned to': 'Pat Planner',
+    'Deadline': '11/20/2025'
+  }, 'guest.principal@example.org'));
+
+  const project = district.readProjects()[0];
+  assert.equal(project.requested_by, 'guest.principal@example.org');
+  assert.equal(project.automation_status, 'Created');
+  assert.equal(world.sentEmails[0].cc, 'guest.principal@example.org');
+});
+
+test('flags a submission with an unknown assignee as Error and emails admins', () => {
+  lib.call('handleFormSubmission', district.spreadsheetId, formEvent({
+    'Project Title': 'Mystery Task',
+    'Assigned to': 'Someone Else',
+    'Deadline': '11/20/2025'
+  }));
+
+  const project = district.readProjects()[0];
+  assert.equal(project.automation_status, 'Error');
+  assert.equal(project.project_id, '');
+  assert.equal(world.sentEmails.length, 1);
+  assert.match(world.sentEmails[0].subject, /Project Validation Failed/);
+  assert.match(world.sentEmails[0].body, /Someone Else/);
+});
+
+test('fails loudly and emails admins when the lock is never acquired', () => {
+  world.lockAvailable = false;
+
+  assert.throws(
+    () => lib.call('handleFormSubmission', district.spreadsheetId, formEvent({ 'Project Title': 'Late Night' })),
+    /Could not acquire lock/
+  );
+
+  assert.equal(district.readProjects().length, 0);
+  assert.equal(world.sentEmails.length, 1);
+  assert.equal(world.sentEmails[0].to, 'alex.admin@example.org');
+  assert.match(world.sentEmails[0].subject, /Form Submission Lock Timeout/);
+});
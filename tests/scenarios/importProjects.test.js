@@ -0,0 +1,118 @@
+/**
+ * End-to-end scenarios for bulk project import (importProjects) from the Import tab or a CSV file.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 7, 1, 8, 0, 0); // Friday, August 1, 2025
+  world.activeUserEmail = 'alex.admin@example.org';
+  district = buildDistrict(world, { nextSerial: 1 });
+});
+
+test('imports valid Import tab rows as Ready, keeps failed rows, and reports every row', () => {
+  district.spreadsheet.insertSheet('Import', [
+    ['Project Title', 'Assigned to', 'Deadline', 'Requested By', 'LCAP Action # (if available)', 'Owner Notes'],
+    ['Action 1.1 Tutoring', 'Pat Planner', '9/30/2025', 'Riley Requester', '1.1', 'x'],
+    ['', '', '', '', '', ''],
+    ['Action 1.2 Counseling', 'Nobody Known', '10/15/2025', '', '1.2', ''],
+    ['Action 2.1 Family Nights', 'Pat Planner', 'someday', '', '2.1', '']
+  ]);
+
+  const result = lib.call('importProjects', district.spreadsheetId);
+
+  assert.equal(result.imported, 1);
+  assert.equal(result.failed, 2);
+  assert.deepEqual([...result.ignoredHeaders], ['Owner Notes']);
+
+  const [project] = district.readProjects();
+  assert.equal(project.project_name, 'Action 1.1 Tutoring');
+  assert.equal(project.automation_status, 'Ready');
+  assert.equal(project.project_status, 'Project Assigned');
+  assert.equal(project.requested_by, 'Riley Requester');
+  assert.equal(project.action_number, '1.1');
+  assert.ok(project.due_date instanceof Date);
+
+  // Imported rows leave the Import tab; rows with errors stay to be fixed
+  assert.deepEqual(district.sheet('Import').dump().map(r => r[0]),
+    ['Project Title', 'Action 1.2 Counseling', 'Action 2.1 Family Nights']);
+
+  const report = district.sheet('Import Report').dump();
+  assert.match(report[0][0], /1 imported, 2 with errors\. Ignored columns: Owner Notes/);
+  assert.deepEqual(report.slice(2).map(r => [r[0], r[2]]), [[2, 'Imported'], [4, 'Error'], [5, 'Error']]);
+  assert.equal(report[2][3], 'Row 3');
+  assert.match(report[3][3], /No valid assignees found/);
+  assert.equal(report[4][3], 'Deadline "someday" is not a date');
+
+  // The batch trigger creates the imported project as usual
+  lib.call('processNewProjects', district.spreadsheetId);
+  assert.equal(district.readProjects()[0].automation_status, 'Created');
+});
+
+test('imports a CSV file from Drive, defaulting the requester to the importer', () => {
+  const fileId = world.addTextFile('lcap.csv', [
+    'Title,Assigned to,Deadline,Description',
+    '"Action 3.1, Reading",Pat Planner,11/1/2025,"Literacy ""boost"""',
+    'Action 3.2 Math,Pat Planner,11/2/2025,'
+  ].join('\n'));
+
+  const result = lib.call('importProjects', district.spreadsheetId, { fileId });
+
+  assert.equal(result.imported, 2);
+  const projects = district.readProjects();
+  assert.deepEqual(projects.map(p => p.project_name), ['Action 3.1, Reading', 'Action 3.2 Math']);
+  assert.equal(projects[0].description, 'Literacy "boost"');
+  assert.equal(projects[0].requested_by, 'Alex Admin');
+
+  const audit = district.sheet('Audit Log').dump().slice(1).filter(r => r[3] === 'Projects Imported');
+  assert.equal(audit.length, 1);
+});
+
+test('repeated rows and re-imports are rejected as duplicates', () => {
+  const csv = [
+    'Project Title,Assigned to,Deadline',
+    'Board Report,Pat Planner,12/1/2025',
+    'Board Report,Pat Planner,12/1/2025'
+  ].join('\n');
+  const fileId = world.addTextFile('board.csv', csv);
+
+  const first = lib.call('importProjects', district.spreadsheetId, { fileId });
+  assert.deepEqual(first.results.map(r => r.result), ['Imported', 'Error']);
+  assert.match(first.results[1].details, /earlier row in this import/);
+
+  const second = lib.call('importProjects', district.spreadsheetId, { fileId });
+  assert.equal(second.imported, 0);
+  assert.match(second.results[0].details, /Looks like a duplicate of row 3/);
+  assert.equal(district.readProjects().length, 1);
+});
+
+test('dry run validates and plans without writing', () => {
+  district.spreadsheet.insertSheet('Import', [
+    ['Project Title', 'Assigned to', 'Deadline'],
+    ['Action 4.1', 'Pat Planner', '12/5/2025']
+  ]);
+
+  const preview = lib.call('importProjects', district.spreadsheetId, { dryRun: true });
+
+  assert.equal(preview.imported, 1);
+  assert.equal(district.readProjects().length, 0);
+  assert.equal(district.sheet('Import').dump().length, 2);
+  assert.equal(district.spreadsheet.getSheetByName('Import Report'), null);
+  assert.ok(district.sheet('Dry Run Plan').dump().some(r => r[1] === 'Append imported row'));
+});
+
+test('a source with no recognized headers is refused', () => {
+  district.spreadsheet.insertSheet('Import', [['Name', 'Due'], ['Something', '1/1/2026']]);
+
+  assert.throws(() => lib.call('importProjects', district.spreadsheetId), /No recognized column headers/);
+  assert.equal(district.readProjects().length, 0);
+});
@@ -0,0 +1,143 @@
+/**
+ * End-to-end scenarios for the "My Projects" web app view (?view=mine) and updateProjectStatus.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world);
+
+  district.addProject({
+    project_name: 'Budget Review',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 5),
+    automation_status: 'Ready'
+  });
+  district.addProject({
+    project_name: 'Bus Routes',
+    assignee: 'Sam Supervisor, Pat Planner',
+    requested_by: 'Sam Supervisor',
+    due_date: daysFromToday(world, 12),
+    automation_status: 'Ready'
+  });
+  district.addProject({
+    project_name: 'Requested Only',
+    assignee: 'Sam Supervisor',
+    requested_by: 'Pat Planner',
+    due_date: daysFromToday(world, 3),
+    automation_status: 'Ready'
+  });
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  // Bus Routes slips past its deadline
+  district.setProjectValue(4, 'due_date', daysFromToday(world, -2));
+});
+
+/**
+ * Opens the My Projects page as a user.
+ * @param {string} email - Viewer email
+ * @returns {string} Page HTML
+ */
+function openMyProjects(email) {
+  world.activeUserEmail = email;
+  const output = lib.call('renderDashboard', district.spreadsheetId, { parameter: { view: 'mine' } }, { webAppUrl: 'https://script.example/exec' });
+  assert.equal(output.getTitle(), 'My Projects');
+  return output.getContent();
+}
+
+/**
+ * Changes a status as a user, the way the page's google.script.run call does.
+ * @param {string} email - Acting user's email
+ * @param {string} projectId - Project ID
+ * @param {string} status - New status
+ * @returns {Object} updateProjectStatus result
+ */
+function changeStatus(email, projectId, status) {
+  world.activeUserEmail = email;
+  return lib.call('updateProjectStatus', district.spreadsheetId, projectId, status);
+}
+
+test('lists only open projects the viewer is assigned to, with days until due, folder links, and status dropdowns', () => {
+  const html = openMyProjects('pat.planner@example.org');
+
+  assert.match(html, /2 open projects assigned to you/);
+  assert.doesNotMatch(html, /Requested Only/);
+
+  // Overdue first, then by deadline
+  assert.match(html, /<tr class="overdue"><td><a [^>]+>Bus Routes<\/a>[\s\S]*<td>2 days overdue<\/td>[\s\S]*Budget Review[\s\S]*<td>5 days<\/td>/);
+
+  const folderId = district.readProject(3).folder_id;
+  assert.ok(html.includes(`<a href="https://drive.google.com/drive/folders/${folderId}" target="_blank">Budget Review</a>`));
+
+  const budgetId = district.readProject(3).project_id;
+  assert.ok(html.includes(`<select data-project-id="${budgetId}" data-current="Project Assigned" onchange="updateStatus(this)">`));
+  assert.match(html, /<option selected>Project Assigned<\/option><option>On Track<\/option>/);
+  assert.match(html, /google\.script\.run[\s\S]*\.updateMyProjectStatus\(/);
+  assert.ok(html.includes('<a href="https://script.example/exec" target="_top">All projects</a>'));
+});
+
+test('the dashboard links to My Projects', () => {
+  world.activeUserEmail = 'pat.planner@example.org';
+  const html = lib.call('renderDashboard', district.spreadsheetId, { parameter: {} }, { webAppUrl: 'https://script.example/exec' }).getContent();
+
+  assert.ok(html.includes('<a href="https://script.example/exec?view=mine" target="_top">My Projects</a>'));
+});
+
+test('completing a project applies the manual-edit rules and drops it from the list', () => {
+  const budgetId = district.readProject(3).project_id;
+
+  const result = changeStatus('pat.planner@example.org', budgetId.toLowerCase(), 'Complete');
+
+  assert.deepEqual({ ...result }, { projectId: budgetId, projectStatus: 'Complete' });
+  const project = district.readProject(3);
+  assert.equal(project.project_status, 'Complete');
+  assert.ok(project.completed_at instanceof Date);
+
+  const audit = district.sheet('Audit Log').dump().slice(1).filter(r => r[3] === 'Status Changed');
+  assert.deepEqual(audit.map(r => [r[1], r[2], r[4], r[5], r[6]]), [
+    ['pat.planner@example.org', budgetId, 'project_status', 'Project Assigned', 'Complete']
+  ]);
+
+  assert.doesNotMatch(openMyProjects('pat.planner@example.org'), /Budget Review/);
+});
+
+test('status changes from My Projects feed the daily status-change emails', () => {
+  const budgetId = district.readProject(3).project_id;
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  world.sentEmails = [];
+
+  changeStatus('pat.planner@example.org', budgetId, 'On Track');
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  const statusEmails = world.sentEmails.filter(m => m.subject.startsWith('Project Status Updates'));
+  assert.deepEqual(statusEmails.map(m => m.to).sort(), ['pat.planner@example.org', 'riley.requester@example.org']);
+  assert.match(statusEmails[0].htmlBody, /Budget Review/);
+});
+
+test('rejects non-assignees, unknown statuses, and unknown projects without changing the sheet', () => {
+  const requestedId = district.readProject(5).project_id;
+
+  assert.throws(() => changeStatus('pat.planner@example.org', requestedId, 'On Track'), /You are not assigned to/);
+  assert.throws(() => changeStatus('sam.supervisor@example.org', requestedId, 'Done-ish'), /"Done-ish" is not a valid project status/);
+  assert.throws(() => changeStatus('sam.supervisor@example.org', 'NOPE-999', 'On Track'), /Project "NOPE-999" was not found/);
+  assert.throws(() => changeStatus('former.staff@example.org', requestedId, 'On Track'), /not an active staff member/);
+  assert.throws(() => changeStatus('', requestedId, 'On Track'), /Please sign in/);
+
+  assert.equal(district.readProject(5).project_status, 'Project Assigned');
+  assert.equal(district.sheet('Audit Log').dump().slice(1).filter(r => r[3] === 'Status Changed').length, 0);
+});
+
+test('denies viewers without an active Directory entry', () => {
+  assert.match(openMyProjects('stranger@example.org'), /Access denied/);
+});
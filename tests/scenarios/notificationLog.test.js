@@ -0,0 +1,151 @@
+/**
+ * End-to-end scenarios for the Notification Log: re-runs skip recipients already notified
+ * today, and admins can force a resend.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world);
+});
+
+/**
+ * Adds a Ready row and runs the batch so it becomes a Created project.
+ * @param {Object} overrides - Column key -> value
+ * @returns {number} The row number
+ */
+function createProject(overrides) {
+  const row = district.addProject(Object.assign({
+    project_name: 'Bus Routes',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 3),
+    automation_status: 'Ready'
+  }, overrides));
+  lib.call('processNewProjects', district.spreadsheetId);
+  return row;
+}
+
+/**
+ * @param {string} prefix - Subject prefix
+ * @returns {Object[]} Sent emails whose subject starts with the prefix
+ */
+function sent(prefix) {
+  return world.sentEmails.filter(m => m.subject.startsWith(prefix));
+}
+
+test('re-running daily maintenance after a failure does not repeat reminders unless forced', () => {
+  const row = createProject({});
+  const projectId = district.readProject(row).project_id;
+  world.sentEmails = [];
+
+  // Fails after reminders went out (calendar sync); the reminder is still sent and logged
+  world.failOn('CalendarApp.getDefaultCalendar', 'Calendar unavailable');
+  assert.throws(() => lib.call('runDailyMaintenance', district.spreadsheetId), /Calendar unavailable/);
+  assert.equal(sent('Reminder').length, 1);
+
+  world.failures.delete('CalendarApp.getDefaultCalendar');
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.equal(sent('Reminder').length, 1);
+
+  lib.call('runDailyMaintenance', district.spreadsheetId, { forceResend: true });
+  assert.equal(sent('Reminder').length, 2);
+
+  const log = district.sheet('Notification Log').dump().slice(1)
+    .filter(r => r[3] === 'Reminders')
+    .map(r => [r[1], r[2], r[4]]);
+  assert.deepEqual(log, [
+    ['2025-10-15', 'pat.planner@example.org', projectId],
+    ['2025-10-15', 'pat.planner@example.org', projectId]
+  ]);
+
+  // Dry runs leave the log alone
+  lib.call('runDailyMaintenance', district.spreadsheetId, { dryRun: true });
+  assert.equal(district.sheet('Notification Log').dump().slice(1).filter(r => r[3] === 'Reminders').length, 2);
+});
+
+test('a project resumed the same day does not send the New Project email twice', () => {
+  const row = createProject({ due_date: daysFromToday(world, 30) });
+  assert.equal(sent('New Project Assigned').length, 1);
+
+  // An admin re-queues the row after clearing the calendar event, so it is processed as a resume
+  district.setProjectValue(row, 'calendar_event_id', '');
+  district.setProjectValue(row, 'automation_status', 'Ready');
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  assert.equal(district.readProject(row).automation_status, 'Created');
+  assert.notEqual(district.readProject(row).calendar_event_id, '');
+  assert.equal(sent('New Project Assigned').length, 1);
+
+  // The log only covers the day: a resume tomorrow emails again
+  world.now = new Date(2025, 9, 16, 8, 0, 0);
+  district.setProjectValue(row, 'calendar_event_id', '');
+  district.setProjectValue(row, 'automation_status', 'Ready');
+  lib.call('processNewProjects', district.spreadsheetId);
+  assert.equal(sent('New Project Assigned').length, 2);
+});
+
+test('daily maintenance removes Notification Log entries older than 30 days', () => {
+  createProject({ due_date: daysFromToday(world, 60) });
+  assert.equal(district.sheet('Notification Log').dump().length, 3); // Header, assignee, and cc'd requester
+
+  world.now = new Date(2025, 10, 13, 8, 0, 0);
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.ok(district.sheet('Notification Log').dump().slice(1).some(r => r[1] === '2025-10-15'));
+
+  world.now = new Date(2025, 10, 15, 8, 0, 0);
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.ok(!district.sheet('Notification Log').dump().slice(1).some(r => r[1] === '2025-10-15'));
+});
+
+test('emails waiting in the Email Queue are logged once sent, and re-runs do not queue them again', () => {
+  world.emailQuota = 0;
+  const row = createProject({ due_date: daysFromToday(world, 30) });
+  assert.equal(sent('New Project Assigned').length, 0);
+  assert.equal(district.sheet('Notification Log'), null);
+
+  // Resumed while the first email still waits for quota: nothing new is queued
+  district.setProjectValue(row, 'calendar_event_id', '');
+  district.setProjectValue(row, 'automation_status', 'Ready');
+  lib.call('processNewProjects', district.spreadsheetId);
+  assert.equal(district.sheet('Email Queue').dump().length, 2);
+
+  world.emailQuota = 1500;
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  assert.equal(sent('New Project Assigned').length, 1);
+  const log = district.sheet('Notification Log').dump().slice(1).map(r => [r[2], r[3]]);
+  assert.deepEqual(log, [
+    ['pat.planner@example.org', 'New Projects'],
+    ['riley.requester@example.org', 'New Projects']
+  ]);
+});
+
+test('a second status change on the same day is still emailed', () => {
+  const row = createProject({ due_date: daysFromToday(world, 30) });
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  const before = sent('Project Status Updates').length;
+
+  district.setProjectValue(row, 'project_status', 'Behind Schedule');
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  const afterFirst = sent('Project Status Updates').length;
+  assert.ok(afterFirst > before);
+
+  district.setProjectValue(row, 'project_status', 'On Track');
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.equal(sent('Project Status Updates').length, afterFirst + (afterFirst - before));
+
+  // Re-running with no new change sends nothing more
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.equal(sent('Project Status Updates').length, afterFirst + (afterFirst - before));
+});
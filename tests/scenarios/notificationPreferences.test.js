@@ -0,0 +1,107 @@
+/**
+ * End-to-end scenarios for the Directory notification preference columns
+ * (Notification Channels, Email Delivery, Muted Notifications).
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world);
+});
+
+/**
+ * Adds a Ready row for Pat (requested by Riley) and runs the batch.
+ * @param {Object} [overrides] - Column key -> value
+ * @returns {number} The row number
+ */
+function createProject(overrides = {}) {
+  const row = district.addProject(Object.assign({
+    project_name: 'Budget Review',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 30),
+    automation_status: 'Ready'
+  }, overrides));
+  lib.call('processNewProjects', district.spreadsheetId);
+  return row;
+}
+
+test('holds new-project emails for Daily Digest staff and sends them in one email at maintenance', () => {
+  district.setStaffValue('Pat Planner', 'Email Delivery', 'Daily Digest');
+
+  createProject({ project_name: 'First Plan' });
+  createProject({ project_name: 'Second Plan' });
+
+  // Pat gets nothing yet; the copied requester is promoted to the recipient
+  assert.deepEqual(world.sentEmails.map(m => [m.to, m.cc]), [
+    ['riley.requester@example.org', ''],
+    ['riley.requester@example.org', '']
+  ]);
+  const held = district.sheet('Notification Digest').dump().slice(1);
+  assert.deepEqual(held.map(r => [r[1], r[2], r[3]]), [
+    ['pat.planner@example.org', 'New Projects', 'New Project Assigned: First Plan'],
+    ['pat.planner@example.org', 'New Projects', 'New Project Assigned: Second Plan']
+  ]);
+  world.sentEmails = [];
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  const digests = world.sentEmails.filter(m => m.subject.startsWith('Daily Project Digest'));
+  assert.equal(digests.length, 1);
+  assert.equal(digests[0].to, 'pat.planner@example.org');
+  assert.match(digests[0].subject, /\(2 updates\)/);
+  assert.match(digests[0].htmlBody, /New Project Assigned: First Plan[\s\S]*New Project Assigned: Second Plan/);
+  assert.equal(district.sheet('Notification Digest').getLastRow(), 1);
+});
+
+test('skips muted notification types and staff with no email channel', () => {
+  district.setStaffValue('Pat Planner', 'Muted Notifications', 'Project Updates, Status Change');
+  district.setStaffValue('Riley Requester', 'Notification Channels', 'None');
+  const row = createProject();
+
+  // Pat still gets the assignment email; Riley (cc) gets nothing
+  assert.deepEqual(world.sentEmails.map(m => [m.to, m.cc]), [['pat.planner@example.org', '']]);
+  world.sentEmails = [];
+
+  district.setProjectValue(row, 'due_date', daysFromToday(world, 20));
+  district.setProjectValue(row, 'automation_status', 'Updated');
+  lib.call('processNewProjects', district.spreadsheetId);
+  district.setProjectValue(row, 'project_status', 'On Track');
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  assert.deepEqual(world.sentEmails.map(m => m.subject), []);
+});
+
+test('admin error emails ignore preferences', () => {
+  district.setStaffValue('Alex Admin', 'Notification Channels', 'None');
+  district.setStaffValue('Riley Requester', 'Notification Channels', 'None');
+
+  district.addProject({ project_name: 'Broken', assignee: 'Nobody Known', requested_by: 'Riley Requester', automation_status: 'Ready' });
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  assert.equal(world.sentEmails.length, 1);
+  assert.equal(world.sentEmails[0].to, 'alex.admin@example.org');
+  assert.equal(world.sentEmails[0].cc, 'riley.requester@example.org');
+});
+
+test('validateConfiguration reports unrecognized preference values', () => {
+  district.setStaffValue('Pat Planner', 'Email Delivery', 'Weekly');
+  district.setStaffValue('Riley Requester', 'Muted Notifications', 'Reminders, Gossip');
+
+  const result = lib.call('validateConfiguration', district.spreadsheetId);
+
+  assert.equal(result.valid, false);
+  assert.match(result.errors[0], /Directory row 3 \(Pat Planner\): unknown Email Delivery value "Weekly"/);
+  assert.match(result.errors[0], /Directory row 4 \(Riley Requester\): unknown Muted Notifications value "Gossip"/);
+});
@@ -0,0 +1,171 @@
+/**
+ * End-to-end scenarios for processNewProjects (the 5-minute batch trigger).
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world, { nextSerial: 24 });
+});
+
+/**
+ * Adds a Ready row with valid data.
+ * @param {Object} [overrides] - Column key -> value
+ * @returns {number} The row number
+ */
+function addReadyProject(overrides = {}) {
+  return district.addProject(Object.assign({
+    project_name: 'Budget Review',
+    category: 'LCAP',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 10),
+    automation_status: 'Ready'
+  }, overrides));
+}
+
+test('creates the folder, project file, calendar event, and assignment email for a Ready row', () => {
+  const row = addReadyProject();
+
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  const project = district.readProject(row);
+  assert.equal(project.project_id, 'TEST-25_26-0024');
+  assert.equal(project.school_year, '25_26');
+  assert.equal(project.automation_status, 'Created');
+  assert.equal(project.project_status, 'Project Assigned');
+  assert.equal(project.reminder_offsets, '3 days before, 1 week before, 2 weeks before');
+  assert.equal(district.readConfig('Next Serial'), 25);
+
+  // Folder in Project Folders, shared with assignee and requester
+  const folder = world.driveItems.get(project.folder_id);
+  assert.equal(folder.getName(), 'Budget Review [TEST-25_26-0024]');
+  assert.equal(folder.parentId, district.parentFolder.getId());
+  assert.deepEqual([...folder.editors].sort(), ['pat.planner@example.org', 'riley.requester@example.org']);
+
+  // Template copy in the folder with the Overview tab filled in
+  const projectFile = world.getSpreadsheet(project.file_id);
+  assert.equal(world.driveItems.get(project.file_id).parentId, project.folder_id);
+  const overview = projectFile.getSheetByName('Overview').dump();
+  assert.deepEqual(overview.find(r => r[0] === 'Title'), ['Title', 'Budget Review']);
+  assert.deepEqual(overview.find(r => r[0] === 'Requested by'), ['Requested by', 'Riley Requester']);
+
+  // Calendar event on the deadline, gray for Project Assigned
+  const event = world.calendar.getEventById(project.calendar_event_id);
+  assert.equal(event.getTitle(), 'Budget Review [TEST-25_26-0024]');
+  assert.equal(event.getAllDayStartDate().getTime(), daysFromToday(world, 10).getTime());
+  assert.equal(event.getColor(), lib.global('CalendarApp').EventColor.GRAY);
+
+  // One assignment email to the assignee, requester copied
+  assert.equal(world.sentEmails.length, 1);
+  assert.equal(world.sentEmails[0].to, 'pat.planner@example.org');
+  assert.equal(world.sentEmails[0].cc, 'riley.requester@example.org');
+  assert.equal(world.sentEmails[0].subject, 'New Project Assigned: Budget Review');
+
+  // Snapshot starts tracking the project; the run is audited
+  assert.deepEqual(district.sheet('Status Snapshot').dump()[1], ['TEST-25_26-0024', 'Project Assigned']);
+  const actions = district.sheet('Audit Log').dump().slice(1).map(r => r[3]);
+  assert.deepEqual(actions, ['Folder Created', 'Permission Granted', 'Calendar Event Created', 'Project Created']);
+});
+
+test('marks rows that fail validation as Error and emails admins with the requester copied', () => {
+  const row = addReadyProject({ assignee: 'Nobody Known', due_date: '' });
+
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  const project = district.readProject(row);
+  assert.equal(project.automation_status, 'Error');
+  assert.equal(project.project_id, '');
+  assert.equal(district.readConfig('Next Serial'), 24);
+  assert.equal(world.calendar.getLiveEvents().length, 0);
+  assert.equal(district.parentFolder.getFolders().hasNext(), false);
+
+  assert.equal(world.sentEmails.length, 1);
+  const email = world.sentEmails[0];
+  assert.equal(email.to, 'alex.admin@example.org');
+  assert.equal(email.cc, 'riley.requester@example.org');
+  assert.match(email.subject, /Project Validation Failed/);
+  assert.match(email.body, /Missing required field: Deadline/);
+  assert.match(email.body, /Nobody Known/);
+});
+
+test('moves the calendar event and emails recipients for Updated rows', () => {
+  const row = addReadyProject();
+  lib.call('processNewProjects', district.spreadsheetId);
+  world.sentEmails = [];
+
+  district.setProjectValue(row, 'due_date', daysFromToday(world, 20));
+  district.setProjectValue(row, 'automation_status', 'Updated');
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  const project = district.readProject(row);
+  assert.equal(project.automation_status, 'Created');
+  const event = world.calendar.getEventById(project.calendar_event_id);
+  assert.equal(event.getAllDayStartDate().getTime(), daysFromToday(world, 20).getTime());
+  assert.ok(world.sentEmails.some(m => m.subject === 'Project Updated: Budget Review'));
+});
+
+test('cancels the event, notifies assignees, and hides Delete (Notify) rows', () => {
+  const row = addReadyProject();
+  lib.call('processNewProjects', district.spreadsheetId);
+  const eventId = district.readProject(row).calendar_event_id;
+  world.sentEmails = [];
+
+  district.setProjectValue(row, 'automation_status', 'Delete (Notify)');
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  assert.equal(district.readProject(row).automation_status, 'Deleted');
+  assert.equal(world.calendar.getEventById(eventId), null);
+  assert.ok(district.projectsSheet.isRowHiddenByUser(row));
+  assert.deepEqual(world.sentEmails.map(m => m.subject), ['Project Cancelled: Budget Review']);
+});
+
+test('dry run records the plan without touching Drive, Calendar, Gmail, or the Projects sheet', () => {
+  const row = addReadyProject();
+  const driveItemCount = world.driveItems.size;
+
+  const summary = lib.call('processNewProjects', district.spreadsheetId, { dryRun: true });
+
+  assert.equal(district.readProject(row).automation_status, 'Ready');
+  assert.equal(district.readProject(row).project_id, '');
+  assert.equal(district.readConfig('Next Serial'), 24);
+  assert.equal(world.driveItems.size, driveItemCount);
+  assert.equal(world.calendar.getLiveEvents().length, 0);
+  assert.equal(world.sentEmails.length, 0);
+  assert.equal(district.sheet('Audit Log'), null);
+
+  assert.ok(summary.total > 0);
+  assert.equal(summary.byCategory.Gmail, 1);
+  const plan = district.sheet('Dry Run Plan').dump();
+  assert.match(plan[0][0], /Dry run of processNewProjects/);
+  assert.ok(plan.some(r => r[1] === 'Create project folder' && r[3] === 'Budget Review [TEST-25_26-0024]'));
+});
+
+test('does nothing when another execution holds the script lock', () => {
+  const row = addReadyProject();
+  world.lockAvailable = false;
+
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  assert.equal(district.readProject(row).automation_status, 'Ready');
+  assert.equal(world.sentEmails.length, 0);
+});
+
+test('refuses to run against a backup copy and emails admins', () => {
+  addReadyProject();
+  const backup = world.copyFile(world.driveItems.get(district.spreadsheetId), 'Backup');
+
+  assert.throws(() => lib.call('processNewProjects', backup.getId()), /backup spreadsheet/);
+  assert.equal(world.sentEmails.length, 1);
+  assert.match(world.sentEmails[0].subject, /Project Processing Failed/);
+});
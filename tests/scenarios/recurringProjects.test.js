@@ -0,0 +1,88 @@
+/**
+ * End-to-end scenarios for recurring projects: daily maintenance appends the next instance of a
+ * completed recurring project once, and a cancelled instance is not brought back.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world, { extraProjectColumns: ['recurrence', 'series_id'] });
+});
+
+/**
+ * Adds a Ready recurring row and runs the batch so it becomes a Created project.
+ * @param {Object} overrides - Column key -> value
+ * @returns {number} The row number
+ */
+function createProject(overrides) {
+  const row = district.addProject(Object.assign({
+    project_name: 'Board Report',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 3),
+    recurrence: 'Monthly',
+    automation_status: 'Ready'
+  }, overrides));
+  lib.call('processNewProjects', district.spreadsheetId);
+  return row;
+}
+
+test('queues the next instance of a completed recurring project once', () => {
+  const row = createProject({});
+  const projectId = district.readProject(row).project_id;
+
+  district.setProjectValue(row, 'project_status', 'Complete');
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  const next = district.readProjects().filter(p => p.row !== row);
+  assert.equal(next.length, 1);
+  assert.equal(next[0].automation_status, 'Ready');
+  assert.equal(next[0].series_id, projectId);
+  assert.equal(next[0].recurrence, 'Monthly');
+  assert.equal(next[0].due_date.getTime(), new Date(2025, 10, 18).getTime());
+  assert.equal(district.readProject(row).series_id, projectId);
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.equal(district.readProjects().length, 2);
+});
+
+test('rolls a late completion forward past today instead of queueing a backlog', () => {
+  const row = createProject({ due_date: daysFromToday(world, -70) }); // August 6: September and October are already past
+  district.setProjectValue(row, 'project_status', 'Complete');
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  const [next] = district.readProjects().filter(p => p.row !== row);
+  assert.equal(next.due_date.getTime(), new Date(2025, 10, 6).getTime());
+});
+
+test('a cancelled next instance is not regenerated', () => {
+  const row = createProject({});
+  district.setProjectValue(row, 'project_status', 'Complete');
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  // The queued instance is created, then cancelled
+  lib.call('processNewProjects', district.spreadsheetId);
+  const nextRow = district.readProjects().find(p => p.row !== row).row;
+  assert.equal(district.readProject(nextRow).automation_status, 'Created');
+  district.setProjectValue(nextRow, 'automation_status', 'Delete (Notify)');
+  lib.call('processNewProjects', district.spreadsheetId);
+  assert.equal(district.readProject(nextRow).automation_status, 'Deleted');
+
+  world.now = new Date(2025, 9, 16, 8, 0, 0);
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  assert.equal(district.readProjects().length, 2);
+  assert.ok(!district.readProjects().some(p => p.automation_status === 'Ready'));
+});
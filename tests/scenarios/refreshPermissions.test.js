@@ -0,0 +1,116 @@
+/**
+ * End-to-end scenarios for refreshPermissions (Admin Tools > Refresh Permissions).
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world);
+});
+
+/**
+ * @param {FakeDriveItem} item - File or folder
+ * @returns {{editors: string[], viewers: string[]}} Sorted sharing lists
+ */
+function sharing(item) {
+  return { editors: [...item.editors].sort(), viewers: [...item.viewers].sort() };
+}
+
+test('shares the Project Directory and folders according to the Directory roles', () => {
+  lib.call('refreshPermissions', district.spreadsheetId);
+
+  // Global Editor everywhere; Project Directory Role and Project Folders Role apply per file
+  assert.deepEqual(sharing(world.driveItems.get(district.spreadsheetId)), {
+    editors: ['alex.admin@example.org', 'pat.planner@example.org'],
+    viewers: ['riley.requester@example.org', 'sam.supervisor@example.org']
+  });
+  assert.deepEqual(sharing(district.rootFolder), {
+    editors: ['alex.admin@example.org'],
+    viewers: ['sam.supervisor@example.org']
+  });
+  assert.deepEqual(sharing(district.parentFolder), {
+    editors: ['alex.admin@example.org'],
+    viewers: ['riley.requester@example.org', 'sam.supervisor@example.org']
+  });
+
+  assert.equal(world.sentEmails.length, 0);
+});
+
+test('revokes access for inactive staff and downgrades demoted editors', () => {
+  const spreadsheetFile = world.driveItems.get(district.spreadsheetId);
+  spreadsheetFile.addEditor('former.staff@example.org');
+  spreadsheetFile.addEditor('riley.requester@example.org');
+  district.rootFolder.addEditor('pat.planner@example.org');
+
+  lib.call('refreshPermissions', district.spreadsheetId);
+
+  const spreadsheetSharing = sharing(spreadsheetFile);
+  assert.ok(!spreadsheetSharing.editors.includes('former.staff@example.org'));
+  assert.ok(!spreadsheetSharing.viewers.includes('former.staff@example.org'));
+  assert.ok(spreadsheetSharing.viewers.includes('riley.requester@example.org'));
+  assert.ok(!sharing(district.rootFolder).editors.includes('pat.planner@example.org'));
+
+  const audit = district.sheet('Audit Log').dump().slice(1);
+  assert.ok(audit.some(r => r[3] === 'Permission Revoked' && r[4] === 'main spreadsheet' && r[8] === 'former.staff@example.org'));
+  assert.ok(audit.some(r => r[3] === 'Permission Revoked' && r[5] === 'edit' && r[6] === 'view' && r[8] === 'riley.requester@example.org'));
+  assert.equal(audit[audit.length - 1][3], 'Permissions Refreshed');
+  assert.equal(audit[audit.length - 1][7], 'Success');
+});
+
+test('re-shares each project folder with its assignees and requester', () => {
+  const row = district.addProject({
+    project_name: 'Budget Review',
+    assignee: 'Pat Planner, Sam Supervisor',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 30),
+    automation_status: 'Ready'
+  });
+  lib.call('processNewProjects', district.spreadsheetId);
+  const folder = world.driveItems.get(district.readProject(row).folder_id);
+  folder.removeEditor('sam.supervisor@example.org');
+
+  lib.call('refreshPermissions', district.spreadsheetId);
+
+  assert.deepEqual(sharing(folder).editors, [
+    'pat.planner@example.org',
+    'riley.requester@example.org',
+    'sam.supervisor@example.org'
+  ]);
+
+  // Only the access actually added is logged, and a refresh that adds nothing logs no grant
+  const folderGrants = () => district.sheet('Audit Log').dump().slice(1)
+    .filter(r => r[3] === 'Permission Granted' && r[4] === 'project folder');
+  assert.equal(folderGrants().length, 2);
+  assert.equal(folderGrants()[1][6], 'sam.supervisor@example.org');
+
+  lib.call('refreshPermissions', district.spreadsheetId);
+  assert.equal(folderGrants().length, 2);
+});
+
+test('reports sharing failures to admins in one email', () => {
+  district.rootFolder.addEditor('pat.planner@example.org');
+  district.setConfig('Parent Folder ID', 'missing-folder');
+
+  lib.call('refreshPermissions', district.spreadsheetId);
+
+  assert.equal(world.sentEmails.length, 1);
+  const email = world.sentEmails[0];
+  assert.equal(email.to, 'alex.admin@example.org');
+  assert.match(email.subject, /Permission Refresh Issues/);
+  assert.match(email.body, /Cannot access Project Folders parent \(ID: missing-folder\)/);
+
+  // Other targets are still synced
+  assert.ok(!sharing(district.rootFolder).editors.includes('pat.planner@example.org'));
+  const audit = district.sheet('Audit Log').dump();
+  assert.equal(audit[audit.length - 1][7], 'Failure');
+});
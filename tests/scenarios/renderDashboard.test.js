@@ -0,0 +1,124 @@
+/**
+ * End-to-end scenarios for renderDashboard (the client's doGet web app).
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world);
+
+  district.addProject({
+    project_name: 'Budget Review',
+    category: 'LCAP',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 5),
+    automation_status: 'Ready'
+  });
+  district.addProject({
+    project_name: 'Bus Routes',
+    category: 'Operations',
+    assignee: 'Sam Supervisor, Alex Admin',
+    requested_by: 'Sam Supervisor',
+    due_date: daysFromToday(world, 12),
+    automation_status: 'Ready'
+  });
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  // Bus Routes slips past its deadline
+  district.setProjectValue(4, 'due_date', daysFromToday(world, -2));
+});
+
+/**
+ * Opens the dashboard as a user.
+ * @param {string} email - Viewer email
+ * @param {Object} [parameter] - Query parameters
+ * @returns {string} Page HTML
+ */
+function openDashboard(email, parameter = {}) {
+  world.activeUserEmail = email;
+  const output = lib.call('renderDashboard', district.spreadsheetId, { parameter }, { webAppUrl: 'https://script.example/exec' });
+  assert.equal(output.getTitle(), 'Project Dashboard');
+  return output.getContent();
+}
+
+test('assigned_only viewers see just the projects they are on', () => {
+  const html = openDashboard('pat.planner@example.org');
+
+  assert.match(html, /Showing projects you are assigned to or requested/);
+  assert.match(html, /Budget Review/);
+  assert.doesNotMatch(html, /Bus Routes/);
+  assert.match(html, /1 open, <span class="overdue">0 overdue/);
+});
+
+test('viewers with all-folders scope see every project grouped by status with overdue counts and folder links', () => {
+  const html = openDashboard('riley.requester@example.org');
+
+  assert.match(html, /Showing all projects/);
+  assert.match(html, /2 open, <span class="overdue">1 overdue/);
+  assert.match(html, /<h2>Project Assigned <span class="count">\(2, <span class="overdue">1 overdue<\/span>\)/);
+
+  const folderId = district.readProject(3).folder_id;
+  assert.ok(html.includes(`<a href="https://drive.google.com/drive/folders/${folderId}" target="_blank">Budget Review</a>`));
+  assert.match(html, /<tr class="overdue"><td><a [^>]+>Bus Routes/);
+  assert.ok(html.includes('<a href="https://script.example/exec?groupBy=assignee" target="_top">Assignee</a>'));
+});
+
+test('groups by assignee, listing shared projects under each assignee', () => {
+  const html = openDashboard('alex.admin@example.org', { groupBy: 'assignee' });
+
+  const headings = [...html.matchAll(/<h2>([^<]+) </g)].map(m => m[1]);
+  assert.deepEqual(headings, ['Alex Admin', 'Pat Planner', 'Sam Supervisor']);
+  assert.equal(html.match(/Bus Routes/g).length, 2);
+});
+
+test('groups by category and school year', () => {
+  assert.deepEqual(
+    [...openDashboard('sam.supervisor@example.org', { groupBy: 'category' }).matchAll(/<h2>([^<]+) </g)].map(m => m[1]),
+    ['LCAP', 'Operations']
+  );
+  assert.deepEqual(
+    [...openDashboard('sam.supervisor@example.org', { groupBy: 'school_year' }).matchAll(/<h2>([^<]+) </g)].map(m => m[1]),
+    ['25_26']
+  );
+});
+
+test('denies inactive and unknown users', () => {
+  assert.match(openDashboard('former.staff@example.org'), /Access denied/);
+  assert.match(openDashboard('stranger@example.org'), /Access denied/);
+});
+
+test('shows nothing when Google does not reveal who is signed in', () => {
+  const html = openDashboard('');
+
+  assert.match(html, /Please sign in with your district Google account/);
+  assert.doesNotMatch(html, /Budget Review|Bus Routes/);
+});
+
+test('refuses to serve a backup copy of the project sheet', () => {
+  district.setConfig('Main Spreadsheet ID', 'some-other-id');
+
+  const html = openDashboard('sam.supervisor@example.org');
+
+  assert.match(html, /backup copy/);
+  assert.doesNotMatch(html, /Budget Review|Bus Routes/);
+});
+
+test('escapes project text', () => {
+  district.setProjectValue(3, 'project_name', '<script>alert(1)</script>');
+
+  const html = openDashboard('pat.planner@example.org');
+
+  assert.ok(!html.includes('<script>'));
+  assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+});
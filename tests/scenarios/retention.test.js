@@ -0,0 +1,127 @@
+/**
+ * End-to-end scenarios for the retention steps of daily maintenance: Audit Log rollover into one
+ * archive spreadsheet per year, and cleanup of old Email Queue and Notification Log rows.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+const AUDIT_HEADERS = ['Timestamp', 'Actor', 'Project ID', 'Action', 'Field', 'Before', 'After', 'Outcome', 'Details'];
+
+let world;
+let district;
+let backupsFolder;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world);
+  backupsFolder = world.addFolder('Backups', district.rootFolder);
+  district.setConfig('Backups Folder ID', backupsFolder.getId());
+  district.setConfig('Audit Log Retention Days', 365);
+});
+
+/**
+ * @param {Date} timestamp - Entry time
+ * @param {string} details - Details column (identifies the row in assertions)
+ * @returns {Array} An Audit Log row
+ */
+function auditRow(timestamp, details) {
+  return [timestamp, 'Automation', '', 'Project Created', '', '', '', 'Success', details];
+}
+
+/**
+ * @returns {Object[]} Audit Log archive spreadsheets in the Backups folder as {name, details}
+ */
+function archives() {
+  return world.childrenOf(backupsFolder.getId())
+    .filter(item => item.name.startsWith('Audit Log Archive'))
+    .map(item => ({
+      name: item.name,
+      details: world.getSpreadsheet(item.id).getSheetByName('Audit Log').dump().slice(1).map(r => r[8])
+    }));
+}
+
+test('rolls expired Audit Log rows into one archive per year and appends to it on later runs', () => {
+  district.spreadsheet.insertSheet('Audit Log', [AUDIT_HEADERS,
+    auditRow(new Date(2023, 11, 30), 'a'),
+    auditRow(new Date(2024, 0, 5), 'b'),
+    auditRow(new Date(2024, 9, 10), 'c'),
+    auditRow(new Date(2024, 9, 20), 'd'),
+    auditRow(new Date(2025, 9, 1), 'e')
+  ]);
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  assert.deepEqual(archives(), [
+    { name: 'Audit Log Archive 2023', details: ['a'] },
+    { name: 'Audit Log Archive 2024', details: ['b', 'c'] }
+  ]);
+  const remaining = district.sheet('Audit Log').dump().slice(1).map(r => r[8]);
+  assert.deepEqual(remaining.slice(0, 2), ['d', 'e']);
+  assert.match(String(district.readConfig('Audit Log Archive - 2024')), /.+/);
+
+  // Ten days later "d" has expired too and joins the same 2024 archive
+  world.now = new Date(2025, 9, 25, 8, 0, 0);
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  assert.deepEqual(archives(), [
+    { name: 'Audit Log Archive 2023', details: ['a'] },
+    { name: 'Audit Log Archive 2024', details: ['b', 'c', 'd'] }
+  ]);
+  assert.equal(district.sheet('Audit Log').dump()[1][8], 'e');
+});
+
+test('rolls over the oldest rows beyond Audit Log Max Rows', () => {
+  district.setConfig('Audit Log Max Rows', 3);
+  district.spreadsheet.insertSheet('Audit Log', [AUDIT_HEADERS,
+    auditRow(new Date(2025, 9, 10), 'a'),
+    auditRow(new Date(2025, 9, 11), 'b'),
+    auditRow(new Date(2025, 9, 12), 'c'),
+    auditRow(new Date(2025, 9, 13), 'd')
+  ]);
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  const remaining = district.sheet('Audit Log').dump().slice(1);
+  assert.ok(remaining.length <= 3);
+  assert.deepEqual(archives().map(a => a.name), ['Audit Log Archive 2025']);
+  assert.equal(archives()[0].details[0], 'a');
+  assert.ok(!remaining.some(r => r[8] === 'a'));
+});
+
+test('discards expired Audit Log rows when no Backups folder is configured', () => {
+  district.setConfig('Backups Folder ID', '');
+  district.spreadsheet.insertSheet('Audit Log', [AUDIT_HEADERS,
+    auditRow(new Date(2024, 0, 5), 'old'),
+    auditRow(new Date(2025, 9, 1), 'recent')
+  ]);
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  assert.deepEqual(district.sheet('Audit Log').dump().slice(1).map(r => r[8]).slice(0, 1), ['recent']);
+  assert.equal(district.readConfig('Audit Log Archive - 2024'), undefined);
+});
+
+test('removes sent Email Queue rows after 7 days and Notification Log rows after 30', () => {
+  district.spreadsheet.insertSheet('Email Queue', [
+    ['Queued At', 'Status', 'To', 'Subject', 'Body', 'Options', 'Attempts', 'Next Attempt', 'Last Error', 'Sent At'],
+    [new Date(2025, 9, 1), 'Sent', 'pat.planner@example.org', 'Old sent', 'Body', '{}', 1, '', '', new Date(2025, 9, 1)],
+    [new Date(2025, 9, 1), 'Failed', 'pat.planner@example.org', 'Old failed', 'Body', '{}', 5, '', 'Quota', ''],
+    [new Date(2025, 9, 12), 'Sent', 'pat.planner@example.org', 'Recent sent', 'Body', '{}', 1, '', '', new Date(2025, 9, 12)]
+  ]);
+  district.spreadsheet.insertSheet('Notification Log', [
+    ['Sent At', 'Date', 'Recipient', 'Type', 'Project', 'Subject'],
+    [new Date(2025, 8, 1), '2025-09-01', 'pat.planner@example.org', 'Reminder', 'TEST-25_26-0001', 'Old'],
+    [new Date(2025, 9, 1), '2025-10-01', 'pat.planner@example.org', 'Reminder', 'TEST-25_26-0001', 'Recent']
+  ]);
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  assert.deepEqual(district.sheet('Email Queue').dump().slice(1).map(r => r[3]), ['Old failed', 'Recent sent']);
+  assert.deepEqual(district.sheet('Notification Log').dump().slice(1).map(r => r[5]), ['Recent']);
+});
@@ -0,0 +1,126 @@
+/**
+ * End-to-end scenarios for runDailyMaintenance (the daily 8am trigger).
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world);
+});
+
+/**
+ * Adds a Ready row and runs the batch so it becomes a Created project.
+ * @param {Object} overrides - Column key -> value
+ * @returns {number} The row number
+ */
+function createProject(overrides) {
+  const row = district.addProject(Object.assign({
+    project_name: 'Budget Review',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 30),
+    automation_status: 'Ready'
+  }, overrides));
+  lib.call('processNewProjects', district.spreadsheetId);
+  return row;
+}
+
+test('sends one reminder digest per assignee for deadlines matching a reminder offset', () => {
+  createProject({ project_name: 'Due In Three', due_date: daysFromToday(world, 3) });
+  createProject({ project_name: 'Due In Five', due_date: daysFromToday(world, 5) });
+  world.sentEmails = [];
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  const reminders = world.sentEmails.filter(m => m.subject.startsWith('Reminder'));
+  assert.equal(reminders.length, 1);
+  assert.equal(reminders[0].to, 'pat.planner@example.org');
+  const text = reminders[0].subject + reminders[0].htmlBody;
+  assert.match(text, /Due In Three/);
+  assert.doesNotMatch(text, /Due In Five/);
+});
+
+test('marks overdue projects Late, turns the event red, and emails a status digest', () => {
+  const row = createProject({ project_name: 'Overdue Report', due_date: daysFromToday(world, 5) });
+  district.setProjectValue(row, 'due_date', daysFromToday(world, -2));
+  world.sentEmails = [];
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  const project = district.readProject(row);
+  assert.equal(project.project_status, 'Late');
+
+  const event = world.calendar.getEventById(project.calendar_event_id);
+  assert.equal(event.getColor(), lib.global('CalendarApp').EventColor.RED);
+  // Daily calendar sync also moves the event to the edited deadline
+  assert.equal(event.getAllDayStartDate().getTime(), daysFromToday(world, -2).getTime());
+
+  const digests = world.sentEmails.filter(m => m.subject.startsWith('Project Status Updates'));
+  assert.deepEqual(digests.map(m => m.to).sort(), ['pat.planner@example.org', 'riley.requester@example.org']);
+  assert.match(digests[0].body + digests[0].htmlBody, /Overdue Report/);
+
+  assert.deepEqual(district.sheet('Status Snapshot').dump()[1], [project.project_id, 'Late']);
+  assert.ok(district.sheet('Audit Log').dump().some(r => r[3] === 'Marked Late' && r[2] === project.project_id));
+});
+
+test('does not email again when nothing changed since the last run', () => {
+  const row = createProject({ due_date: daysFromToday(world, -1) });
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.equal(district.readProject(row).project_status, 'Late');
+  world.sentEmails = [];
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  assert.deepEqual(world.sentEmails.map(m => m.subject), []);
+});
+
+test('re-adds guests that were removed from the calendar event by hand', () => {
+  const row = createProject({});
+  const event = world.calendar.getEventById(district.readProject(row).calendar_event_id);
+  event.removeGuest('riley.requester@example.org');
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  assert.deepEqual(
+    event.getGuestList().map(g => g.getEmail()).sort(),
+    ['pat.planner@example.org', 'riley.requester@example.org']
+  );
+});
+
+test('creates the weekly backup on Sundays and skips it otherwise', () => {
+  const backups = world.addFolder('Backups', district.rootFolder);
+  district.setConfig('Backups Folder ID', backups.getId());
+  createProject({});
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.equal(backups.getFiles().hasNext(), false);
+
+  world.now = new Date(2025, 9, 19, 8, 0, 0); // Sunday
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  const files = backups.getFiles();
+  assert.equal(files.next().getName(), 'Project Directory Backup 2025-10-19');
+  assert.equal(files.hasNext(), false);
+});
+
+test('dry run previews reminders and Late marks without sending or writing', () => {
+  const row = createProject({ due_date: daysFromToday(world, -1) });
+  world.sentEmails = [];
+
+  const summary = lib.call('runDailyMaintenance', district.spreadsheetId, { dryRun: true });
+
+  assert.equal(district.readProject(row).project_status, 'Project Assigned');
+  assert.equal(world.sentEmails.length, 0);
+  assert.ok(summary.byCategory.Gmail > 0);
+  assert.ok(district.sheet('Dry Run Plan').dump().some(r => r[1] === 'Update Projects row' && /project_status/.test(r[4])));
+});
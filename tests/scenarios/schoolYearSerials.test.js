@@ -0,0 +1,96 @@
+/**
+ * End-to-end scenarios for per-school-year project serials (Config "Serial Per School Year")
+ * and the migrateToSchoolYearSerials seeding step.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025 (school year 25_26)
+  district = buildDistrict(world, { nextSerial: 413 });
+
+  // Projects numbered by the old global counter
+  for (const projectId of ['TEST-24_25-0398', 'TEST-25_26-0412', 'TEST-25_26-0405', 'OTHER-25_26-0999', 'legacy-1']) {
+    district.addProject({
+      project_id: projectId,
+      project_name: `Existing ${projectId}`,
+      assignee: 'Pat Planner',
+      requested_by: 'Riley Requester',
+      due_date: new Date(2025, 8, 1),
+      project_status: 'On Track',
+      automation_status: 'Created'
+    });
+  }
+});
+
+/**
+ * Adds a Ready row due on the given date.
+ * @param {Date} dueDate - Deadline (decides the school year)
+ * @returns {number} The row number
+ */
+function addReadyProject(dueDate) {
+  return district.addProject({
+    project_name: 'New Request',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: dueDate,
+    automation_status: 'Ready'
+  });
+}
+
+test('the migration seeds each year from its highest existing serial and turns the mode on', () => {
+  const serials = lib.call('migrateToSchoolYearSerials', district.spreadsheetId);
+
+  assert.deepEqual({ ...serials }, { '24_25': 399, '25_26': 413 });
+  assert.equal(district.readConfig('Next Serial - 25_26'), 413);
+  assert.equal(district.readConfig('Next Serial - 24_25'), 399);
+  assert.equal(district.readConfig('Serial Per School Year'), 'Yes');
+});
+
+test('new school years start at 0001 while seeded years continue, leaving Next Serial alone', () => {
+  lib.call('migrateToSchoolYearSerials', district.spreadsheetId);
+  const nextYear = addReadyProject(new Date(2026, 7, 20));
+  const nextYearAgain = addReadyProject(new Date(2026, 8, 3));
+  const thisYear = addReadyProject(new Date(2025, 11, 1));
+
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  assert.equal(district.readProject(nextYear).project_id, 'TEST-26_27-0001');
+  assert.equal(district.readProject(nextYearAgain).project_id, 'TEST-26_27-0002');
+  assert.equal(district.readProject(thisYear).project_id, 'TEST-25_26-0413');
+  assert.equal(district.readConfig('Next Serial - 26_27'), 3);
+  assert.equal(district.readConfig('Next Serial - 25_26'), 414);
+  assert.equal(district.readConfig('Next Serial'), 413);
+});
+
+test('dry runs preview per-year IDs without adding or changing counters', () => {
+  district.setConfig('Serial Per School Year', 'Yes');
+  addReadyProject(new Date(2026, 7, 20));
+  addReadyProject(new Date(2026, 8, 3));
+
+  lib.call('processNewProjects', district.spreadsheetId, { dryRun: true });
+
+  assert.equal(district.readConfig('Next Serial - 26_27'), undefined);
+  const plan = district.sheet('Dry Run Plan').dump().map(r => r[2]);
+  assert.ok(plan.includes('TEST-26_27-0001'));
+  assert.ok(plan.includes('TEST-26_27-0002'));
+});
+
+test('re-running the migration never lowers a counter', () => {
+  lib.call('migrateToSchoolYearSerials', district.spreadsheetId);
+  district.setConfig('Next Serial - 25_26', 500);
+
+  const serials = lib.call('migrateToSchoolYearSerials', district.spreadsheetId);
+
+  assert.equal(serials['25_26'], 500);
+  assert.equal(district.readConfig('Next Serial - 25_26'), 500);
+});
@@ -0,0 +1,211 @@
+/**
+ * End-to-end scenarios for the signed one-click status links in reminder emails: doGet ?action=status
+ * shows a confirmation page, and submitting it (doPost) applies the change.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+const WEB_APP_URL = 'https://script.example/exec';
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world);
+  district.setConfig('Web App URL', WEB_APP_URL);
+});
+
+/**
+ * Adds a Ready row for Pat (requested by Riley) and runs the batch.
+ * @param {Object} [overrides] - Column key -> value
+ * @returns {number} The row number
+ */
+function createProject(overrides = {}) {
+  const row = district.addProject(Object.assign({
+    project_name: 'Budget Review',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 3),
+    automation_status: 'Ready'
+  }, overrides));
+  lib.call('processNewProjects', district.spreadsheetId);
+  return row;
+}
+
+/**
+ * Runs maintenance and returns the reminder emails it sent.
+ * @returns {Object[]} Sent reminder emails
+ */
+function sendReminders() {
+  world.sentEmails = [];
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  return world.sentEmails.filter(m => m.subject.startsWith('Reminder'));
+}
+
+/**
+ * Pulls the status links out of an email body.
+ * @param {string} html - Email HTML body
+ * @returns {Object} Status label -> doGet parameter object
+ */
+function extractLinks(html) {
+  const links = {};
+  for (const [, href, label] of html.matchAll(/<a href="([^"]+\?action=status[^"]*)">([^<]+)<\/a>/g)) {
+    const url = new URL(href.replace(/&amp;/g, '&'));
+    links[label] = Object.fromEntries(url.searchParams.entries());
+  }
+  return links;
+}
+
+/**
+ * @returns {string} The secret stored in script properties for the test district
+ */
+function storedSecret() {
+  return world.scriptProperties.get(`STATUS_LINK_SECRET_${district.spreadsheetId}`);
+}
+
+/**
+ * Opens a status link as a user (the confirmation page).
+ * @param {Object} parameter - Link query parameters
+ * @param {string} email - Email of the person clicking ('' if Google does not reveal it)
+ * @returns {string} Page HTML
+ */
+function open(parameter, email) {
+  world.activeUserEmail = email;
+  const output = lib.call('renderDashboard', district.spreadsheetId, { parameter }, { webAppUrl: WEB_APP_URL });
+  assert.equal(output.getTitle(), 'Project Status');
+  return output.getContent();
+}
+
+/**
+ * Opens a status link and submits its confirmation page as a user.
+ * @param {Object} parameter - Link query parameters
+ * @param {string} email - Email of the person clicking ('' if Google does not reveal it)
+ * @returns {string} Result page HTML (the confirmation page when it has no form to submit)
+ */
+function click(parameter, email) {
+  const page = open(parameter, email);
+  if (!page.includes('<form method="post"')) {
+    return page;
+  }
+  const output = lib.call('applyStatusLink', district.spreadsheetId, { parameter }, { webAppUrl: WEB_APP_URL });
+  assert.equal(output.getTitle(), 'Project Status');
+  return output.getContent();
+}
+
+test('reminders carry signed links for the other statuses and keep the generated secret in script properties', () => {
+  createProject();
+
+  const [reminder] = sendReminders();
+
+  assert.match(reminder.htmlBody, /Update status: <a /);
+  assert.deepEqual(Object.keys(extractLinks(reminder.htmlBody)), ['On Track', 'Behind Schedule', 'Stuck', 'Complete']);
+  assert.match(storedSecret(), /^[0-9a-f]{64}$/);
+  assert.equal(district.readConfig('Status Link Secret'), undefined);
+});
+
+test('opening a link only shows a confirmation page', () => {
+  const row = createProject();
+  const links = extractLinks(sendReminders()[0].htmlBody);
+
+  const html = open(links.Complete, 'pat.planner@example.org');
+
+  assert.match(html, /Change <strong>Budget Review<\/strong> \([^)]+\) from <strong>Project Assigned<\/strong> to <strong>Complete<\/strong>\?/);
+  assert.match(html, new RegExp(`<form method="post" action="${WEB_APP_URL}" target="_top">`));
+  assert.match(html, /<input type="hidden" name="sig" value="[^"]+">/);
+  assert.equal(district.readProject(row).project_status, 'Project Assigned');
+  assert.equal(district.sheet('Audit Log').dump().slice(1).filter(r => r[3] === 'Status Changed').length, 0);
+});
+
+test('clicking a link completes the project through the manual-edit rules and records who clicked', () => {
+  const row = createProject();
+  const links = extractLinks(sendReminders()[0].htmlBody);
+
+  const html = click(links.Complete, 'sam.supervisor@example.org');
+
+  assert.match(html, /<strong>Budget Review<\/strong> \([^)]+\) is now <strong>Complete<\/strong>/);
+  const project = district.readProject(row);
+  assert.equal(project.project_status, 'Complete');
+  assert.ok(project.completed_at instanceof Date);
+
+  const audit = district.sheet('Audit Log').dump().slice(1).filter(r => r[3] === 'Status Changed');
+  assert.deepEqual(audit.map(r => [r[1], r[2], r[5], r[6], r[8]]), [
+    ['sam.supervisor@example.org', project.project_id, 'Project Assigned', 'Complete', 'Email status link sent to pat.planner@example.org']
+  ]);
+});
+
+test('falls back to the link recipient when the clicker is unknown', () => {
+  createProject();
+  const links = extractLinks(sendReminders()[0].htmlBody);
+
+  click(links.Stuck, '');
+
+  const audit = district.sheet('Audit Log').dump().slice(1).filter(r => r[3] === 'Status Changed');
+  assert.deepEqual(audit.map(r => [r[1], r[6]]), [['pat.planner@example.org', 'Stuck']]);
+});
+
+test('rejects tampered, expired, and revoked links without changing the project', () => {
+  const row = createProject();
+  const links = extractLinks(sendReminders()[0].htmlBody);
+
+  assert.match(click(Object.assign({}, links['On Track'], { status: 'Complete' }), 'pat.planner@example.org'), /not valid/);
+  assert.match(click(Object.assign({}, links['On Track'], { by: 'sam.supervisor@example.org' }), 'sam.supervisor@example.org'), /not valid/);
+
+  district.setProjectValue(row, 'assignee', 'Sam Supervisor');
+  assert.match(click(links['On Track'], 'pat.planner@example.org'), /You are not assigned to/);
+  district.setProjectValue(row, 'assignee', 'Pat Planner');
+
+  world.now = new Date(2025, 9, 30, 9, 0, 0); // More than 14 days later
+  assert.match(click(links['On Track'], 'pat.planner@example.org'), /expired/);
+
+  assert.equal(district.readProject(row).project_status, 'Project Assigned');
+  assert.equal(district.sheet('Audit Log').dump().slice(1).filter(r => r[3] === 'Status Changed').length, 0);
+});
+
+test('multi-project reminder digests list links under each project', () => {
+  createProject({ project_name: 'First Plan' });
+  createProject({ project_name: 'Second Plan' });
+
+  const [digest] = sendReminders();
+
+  assert.match(digest.subject, /2 projects/);
+  assert.equal(Object.keys(extractLinks(digest.htmlBody)).length, 4);
+  assert.equal(digest.htmlBody.match(/Update status:/g).length, 2);
+});
+
+test('no links without a Web App URL', () => {
+  district.setConfig('Web App URL', '');
+  createProject();
+
+  const [reminder] = sendReminders();
+
+  assert.doesNotMatch(reminder.htmlBody, /Update status/);
+  assert.equal(storedSecret(), undefined);
+});
+
+test('resetting the links voids those already sent', () => {
+  const row = createProject();
+  const links = extractLinks(sendReminders()[0].htmlBody);
+  const oldSecret = storedSecret();
+
+  assert.equal(lib.call('resetStatusLinks', district.spreadsheetId), true);
+
+  assert.equal(storedSecret(), undefined);
+  assert.match(click(links.Complete, 'pat.planner@example.org'), /not valid/);
+  assert.equal(district.readProject(row).project_status, 'Project Assigned');
+  assert.equal(district.sheet('Audit Log').dump().slice(1).filter(r => r[3] === 'Status Links Reset').length, 1);
+
+  // Reminders sent after the reset carry working links
+  world.now = new Date(2025, 9, 16, 8, 0, 0);
+  const nextRow = createProject({ project_name: 'Staff Survey' });
+  const newLinks = extractLinks(sendReminders()[0].htmlBody);
+  assert.notEqual(storedSecret(), oldSecret);
+  click(newLinks.Complete, 'pat.planner@example.org');
+  assert.equal(district.readProject(nextRow).project_status, 'Complete');
+});
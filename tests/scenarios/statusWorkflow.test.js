@@ -0,0 +1,173 @@
+/**
+ * End-to-end scenarios for the Codes sheet status workflow
+ * (Workflow Status / Can Change To / Requires Note) enforced on project_status edits.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+let row;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world);
+
+  // Complete can only be reopened to On Track; Stuck requires a note
+  district.sheet('Codes').getRange(3, 11, 3, 3).setValues([
+    ['Workflow Status', 'Can Change To', 'Requires Note'],
+    ['Complete', 'On Track', ''],
+    ['Stuck', '', 'Yes']
+  ]);
+
+  row = district.addProject({
+    project_name: 'Budget Review',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 10),
+    automation_status: 'Ready'
+  });
+  lib.call('processNewProjects', district.spreadsheetId);
+});
+
+/**
+ * Edits the project's status as Pat would in the sheet and runs the onEdit handler.
+ * @param {string} status - New status
+ * @returns {Object} The fake status cell range
+ */
+function editStatus(status) {
+  const event = district.editProject(row, 'project_status', status, 'pat.planner@example.org');
+  lib.call('handleEdit', district.spreadsheetId, event);
+  return event.range;
+}
+
+/**
+ * Edits the project's Notes as Pat would in the sheet and runs the onEdit handler.
+ * @param {string} notes - New notes
+ */
+function editNotes(notes) {
+  lib.call('handleEdit', district.spreadsheetId, district.editProject(row, 'notes', notes, 'pat.planner@example.org'));
+}
+
+/**
+ * @param {number} [projectRow] - Sheet row (default: the Budget Review project)
+ * @returns {string[]} Dropdown options on the project's status cell
+ */
+function statusOptions(projectRow = row) {
+  const index = district.keys.indexOf('project_status') + 1;
+  return district.projectsSheet.getRange(projectRow, index).getDataValidation().getCriteriaValues()[0];
+}
+
+test('reverts a disallowed reopen with a cell note and audit entry, then accepts the allowed one', () => {
+  editStatus('Complete');
+  assert.ok(district.readProject(row).completed_at instanceof Date);
+  assert.deepEqual(statusOptions(), ['Complete', 'On Track']);
+
+  const cell = editStatus('Behind Schedule');
+
+  assert.equal(district.readProject(row).project_status, 'Complete');
+  assert.equal(cell.getNote(), 'Status change to "Behind Schedule" was undone. "Complete" can only change to "On Track".');
+  const reverted = district.sheet('Audit Log').dump().slice(1).filter(r => r[3] === 'Status Change Reverted');
+  assert.deepEqual(reverted.map(r => [r[1], r[5], r[6], r[7]]), [
+    ['pat.planner@example.org', 'Complete', 'Behind Schedule', 'Skipped']
+  ]);
+
+  editStatus('On Track');
+
+  assert.equal(district.readProject(row).project_status, 'On Track');
+  assert.equal(cell.getNote(), '');
+  assert.ok(statusOptions().includes('Behind Schedule'));
+});
+
+test('requires a Notes entry before a project can be set to Stuck', () => {
+  editStatus('Stuck');
+  assert.equal(district.readProject(row).project_status, 'Project Assigned');
+
+  editNotes('Waiting on the county data release');
+  const cell = editStatus('Stuck');
+
+  assert.equal(district.readProject(row).project_status, 'Stuck');
+  assert.equal(cell.getNote(), '');
+  const changes = district.sheet('Audit Log').dump().slice(1).filter(r => r[3] === 'Status Changed');
+  assert.deepEqual(changes.map(r => r[6]), ['Stuck']);
+});
+
+test('a note written before the last status change does not count for Stuck again', () => {
+  editNotes('Waiting on the county data release');
+  editStatus('Stuck');
+  editStatus('On Track');
+
+  editStatus('Stuck');
+  assert.equal(district.readProject(row).project_status, 'On Track');
+
+  editNotes('County data delayed again');
+  editStatus('Stuck');
+  assert.equal(district.readProject(row).project_status, 'Stuck');
+});
+
+test('daily maintenance gives each row the dropdown for its own status', () => {
+  const second = district.addProject({
+    project_name: 'Bus Routes',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 10),
+    automation_status: 'Ready'
+  });
+  const third = district.addProject({
+    project_name: 'Lunch Menu',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 10),
+    automation_status: 'Ready'
+  });
+  lib.call('processNewProjects', district.spreadsheetId);
+  district.setProjectValue(second, 'project_status', 'Complete');
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  assert.deepEqual(statusOptions(second), ['Complete', 'On Track']);
+  assert.deepEqual(statusOptions(row), statusOptions(third));
+  assert.ok(statusOptions(row).includes('Complete'));
+});
+
+test('the web app paths follow the same workflow', () => {
+  editStatus('Complete');
+  const projectId = district.readProject(row).project_id;
+  world.activeUserEmail = 'pat.planner@example.org';
+
+  assert.throws(
+    () => lib.call('updateProjectStatus', district.spreadsheetId, projectId, 'Stuck'),
+    /"Complete" can only change to "On Track"/
+  );
+
+  const html = lib.call('renderDashboard', district.spreadsheetId, { parameter: { view: 'mine' } }, {}).getContent();
+  assert.doesNotMatch(html, /Budget Review/); // Complete projects are not listed
+
+  lib.call('updateProjectStatus', district.spreadsheetId, projectId, 'On Track');
+  const reopened = lib.call('renderDashboard', district.spreadsheetId, { parameter: { view: 'mine' } }, {}).getContent();
+  assert.match(reopened, /<option>Behind Schedule<\/option><option>Stuck<\/option><option>Late<\/option><option>Complete<\/option>/);
+});
+
+test('daily maintenance re-narrows dropdowns after automation changes a status', () => {
+  district.setProjectValue(row, 'due_date', daysFromToday(world, -1));
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  assert.equal(district.readProject(row).project_status, 'Late');
+  assert.deepEqual(statusOptions(), ['Late', 'Project Assigned', 'On Track', 'Behind Schedule', 'Stuck', 'Complete']);
+});
+
+test('without a workflow section every status edit is accepted', () => {
+  district.sheet('Codes').getRange(3, 11, 3, 3).setValues([['', '', ''], ['', '', ''], ['', '', '']]);
+  editStatus('Complete');
+
+  editStatus('Behind Schedule');
+
+  assert.equal(district.readProject(row).project_status, 'Behind Schedule');
+});
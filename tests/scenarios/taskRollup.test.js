@@ -0,0 +1,69 @@
+/**
+ * End-to-end scenarios for the Tasks sheet rollup: daily maintenance writes each project's
+ * share of Complete tasks to percent_complete, and clears it once the tasks are removed.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world, { extraProjectColumns: ['percent_complete'] });
+});
+
+/**
+ * Adds a Ready row and runs the batch so it becomes a Created project.
+ * @param {string} projectName - Project Title
+ * @returns {string} The new project ID
+ */
+function createProject(projectName) {
+  const row = district.addProject({
+    project_name: projectName,
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 30),
+    automation_status: 'Ready'
+  });
+  lib.call('processNewProjects', district.spreadsheetId);
+  return district.readProject(row).project_id;
+}
+
+/**
+ * @param {string} projectId - Project ID
+ * @returns {*} The project's percent_complete cell
+ */
+function percentOf(projectId) {
+  return district.readProjects().find(p => p.project_id === projectId).percent_complete;
+}
+
+test('rolls task completion up to percent_complete and clears it when the tasks are removed', () => {
+  const busId = createProject('Bus Routes');
+  const menuId = createProject('Lunch Menu');
+  district.spreadsheet.insertSheet('Tasks', [
+    ['Project ID', 'Task', 'Assignee', 'Deadline', 'Status'],
+    [busId, 'Map stops', 'Pat Planner', daysFromToday(world, 10), 'Complete'],
+    [busId, 'Publish schedule', 'Pat Planner', daysFromToday(world, 20), 'In Progress'],
+    [busId, 'Notify families', 'Pat Planner', daysFromToday(world, 25), ''],
+    [busId, 'Train drivers', 'Pat Planner', daysFromToday(world, 25), 'Complete'],
+    [menuId, 'Survey students', 'Pat Planner', daysFromToday(world, 10), 'Complete']
+  ]);
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.equal(percentOf(busId), 50);
+  assert.equal(percentOf(menuId), 100);
+
+  // Every Lunch Menu task is removed; Bus Routes keeps its tasks
+  district.sheet('Tasks').deleteRows(6, 1);
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  assert.equal(percentOf(busId), 50);
+  assert.equal(percentOf(menuId), '');
+});
@@ -0,0 +1,147 @@
+/**
+ * End-to-end scenarios for the chat/webhook channel: Config "Webhook - <category>" rows get
+ * new project, reminder, status change, and cancellation messages, checked against local
+ * HTTP stand-ins for a Google Chat space and a generic JSON webhook.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+const CHAT_URL = 'https://chat.googleapis.com/v1/spaces/LCAP-TEAM/messages?key=k&token=t';
+const JSON_URL = 'https://hooks.example.org/projects';
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 15, 8, 0, 0); // Wednesday, October 15, 2025
+  district = buildDistrict(world);
+  district.setConfig('Webhook - LCAP', CHAT_URL);
+  district.setConfig('Webhook - All Categories', JSON_URL);
+  world.addHttpStandIn('https://chat.googleapis.com/');
+  world.addHttpStandIn(JSON_URL);
+});
+
+/**
+ * Adds a Ready row and runs the batch so it becomes a Created project.
+ * @param {Object} overrides - Column key -> value
+ * @returns {number} The row number
+ */
+function createProject(overrides) {
+  const row = district.addProject(Object.assign({
+    project_name: 'Bus Routes',
+    category: 'LCAP',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 3),
+    automation_status: 'Ready'
+  }, overrides));
+  lib.call('processNewProjects', district.spreadsheetId);
+  return row;
+}
+
+/**
+ * @param {string} urlPrefix - Webhook URL prefix
+ * @returns {Object[]} Parsed JSON bodies posted there
+ */
+function posted(urlPrefix) {
+  return world.httpRequests.filter(r => r.url.startsWith(urlPrefix)).map(r => r.json);
+}
+
+test('posts Chat cards for the category space and JSON to the all-categories webhook', () => {
+  const row = createProject({});
+  const projectId = district.readProject(row).project_id;
+  createProject({ project_name: 'Boiler Check', category: 'Operations', due_date: daysFromToday(world, 30) });
+
+  const [card] = posted(CHAT_URL);
+  assert.equal(posted(CHAT_URL).length, 1);
+  assert.equal(world.httpRequests[0].method, 'post');
+  assert.equal(world.httpRequests[0].contentType, 'application/json; charset=UTF-8');
+  assert.equal(card.text, `New project assigned: Bus Routes [${projectId}]`);
+  const { header, sections } = card.cardsV2[0].card;
+  assert.deepEqual(header, { title: `Bus Routes [${projectId}]`, subtitle: 'New project assigned' });
+  assert.deepEqual(sections[0].widgets.slice(0, 3).map(w => [w.decoratedText.topLabel, w.decoratedText.text]), [
+    ['Assigned to', 'Pat Planner'],
+    ['Requested by', 'Riley Requester'],
+    ['Deadline', 'October 18, 2025']
+  ]);
+  assert.match(sections[0].widgets[4].buttonList.buttons[0].onClick.openLink.url, /^https:\/\/drive\.google\.com\//);
+
+  assert.deepEqual(posted(JSON_URL).map(m => [m.event, m.project.title, m.project.category]), [
+    ['New Projects', 'Bus Routes', 'LCAP'],
+    ['New Projects', 'Boiler Check', 'Operations']
+  ]);
+  assert.equal(posted(JSON_URL)[0].project.deadline, '2025-10-18');
+
+  // Reminder (3 days out) and status change: once per project, however many people are emailed
+  district.setProjectValue(row, 'assignee', 'Pat Planner, Sam Supervisor');
+  district.setProjectValue(row, 'project_status', 'On Track');
+  world.httpRequests = [];
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.deepEqual(posted(CHAT_URL).map(m => m.cardsV2[0].card.header.subtitle), [
+    'Due in 3 days',
+    'Status changed: Project Assigned → On Track'
+  ]);
+  const [reminder, change] = posted(JSON_URL);
+  assert.equal(reminder.daysUntilDue, 3);
+  assert.deepEqual([change.oldStatus, change.newStatus], ['Project Assigned', 'On Track']);
+
+  // A re-run the same day does not post again
+  world.httpRequests = [];
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+  assert.equal(world.httpRequests.length, 0);
+
+  district.setProjectValue(row, 'automation_status', 'Delete (Notify)');
+  lib.call('processNewProjects', district.spreadsheetId);
+  assert.deepEqual(posted(CHAT_URL).map(m => m.text), [`Project cancelled: Bus Routes [${projectId}]`]);
+});
+
+test('a failing webhook does not stop emails or the run, and is retried by the next run', () => {
+  world.httpStandIns = [];
+  world.addHttpStandIn('https://chat.googleapis.com/', () => ({ status: 500, body: 'Internal error' }));
+  world.addHttpStandIn(JSON_URL);
+
+  const row = createProject({});
+
+  assert.equal(district.readProject(row).automation_status, 'Created');
+  assert.ok(world.sentEmails.some(m => m.subject.startsWith('New Project Assigned')));
+  assert.ok(world.logs.some(([level, line]) => level === 'error' && /Webhook - LCAP answered HTTP 500: Internal error/.test(line)));
+  assert.equal(posted(JSON_URL).length, 1);
+
+  // The failed post was not logged, so a resume of the project posts it
+  world.httpStandIns = [];
+  world.addHttpStandIn('https://chat.googleapis.com/');
+  world.addHttpStandIn(JSON_URL);
+  world.httpRequests = [];
+  district.setProjectValue(row, 'calendar_event_id', '');
+  district.setProjectValue(row, 'automation_status', 'Ready');
+  lib.call('processNewProjects', district.spreadsheetId);
+
+  assert.equal(posted(CHAT_URL).length, 1);
+  assert.equal(posted(JSON_URL).length, 0);
+});
+
+test('dry runs record webhook posts without sending them', () => {
+  district.addProject({
+    project_name: 'Bus Routes',
+    category: 'LCAP',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 3),
+    automation_status: 'Ready'
+  });
+
+  lib.call('processNewProjects', district.spreadsheetId, { dryRun: true });
+
+  assert.equal(world.httpRequests.length, 0);
+  const plan = district.sheet('Dry Run Plan').dump();
+  assert.deepEqual(plan.filter(r => r.includes('Webhook')).map(r => r.filter(v => /^Webhook/.test(v))), [
+    ['Webhook', 'Webhook - LCAP'],
+    ['Webhook', 'Webhook - All Categories']
+  ]);
+});
@@ -0,0 +1,98 @@
+/**
+ * End-to-end scenarios for the Monday requester summary sent by runDailyMaintenance.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibrary } = require('../harness/loadLibrary');
+const { buildDistrict, daysFromToday } = require('../harness/fixtures');
+
+const lib = loadLibrary();
+
+const WEEKLY_SUMMARY_TEMPLATE = 'Your Weekly Project Summary - {{DATE}}\n' +
+  'Hello {{RECIPIENT_NAME}},\n' +
+  'Open: {{OPEN_PROJECT_COUNT}}\n' +
+  'Needs attention:\n{{ATTENTION_LIST}}\n' +
+  'Upcoming:\n{{UPCOMING_LIST}}\n' +
+  'By status:\n{{PROJECTS_BY_STATUS}}';
+
+let world;
+let district;
+
+beforeEach(() => {
+  world = lib.resetWorld();
+  world.now = new Date(2025, 9, 20, 8, 0, 0); // Monday, October 20, 2025
+  district = buildDistrict(world);
+  district.setConfig('Email Template - Weekly Summary', world.addDocument('Email Template - Weekly Summary', WEEKLY_SUMMARY_TEMPLATE));
+});
+
+/**
+ * Adds a Ready row and runs the batch so it becomes a Created project.
+ * @param {Object} overrides - Column key -> value
+ * @returns {number} The row number
+ */
+function createProject(overrides) {
+  const row = district.addProject(Object.assign({
+    project_name: 'Budget Review',
+    assignee: 'Pat Planner',
+    requested_by: 'Riley Requester',
+    due_date: daysFromToday(world, 30),
+    reminder_offsets: '2 weeks before',
+    automation_status: 'Ready'
+  }, overrides));
+  lib.call('processNewProjects', district.spreadsheetId);
+  return row;
+}
+
+/**
+ * @returns {Object[]} Weekly summary emails sent so far
+ */
+function summaries() {
+  return world.sentEmails.filter(m => m.subject.startsWith('Your Weekly Project Summary'));
+}
+
+test('sends each requester one summary grouped by status with attention and upcoming items', () => {
+  const stuckRow = createProject({ project_name: 'Stuck Survey', due_date: daysFromToday(world, 20) });
+  district.setProjectValue(stuckRow, 'project_status', 'Stuck');
+  createProject({ project_name: 'Soon Report', due_date: daysFromToday(world, 5) });
+  createProject({ project_name: 'Later Plan', due_date: daysFromToday(world, 40) });
+  const doneRow = createProject({ project_name: 'Finished Audit' });
+  district.setProjectValue(doneRow, 'project_status', 'Complete');
+  createProject({ project_name: 'Sam Request', requested_by: 'Sam Supervisor' });
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  const sent = summaries();
+  assert.deepEqual(sent.map(m => m.to).sort(), ['riley.requester@example.org', 'sam.supervisor@example.org']);
+
+  const riley = sent.find(m => m.to === 'riley.requester@example.org');
+  assert.equal(riley.subject, 'Your Weekly Project Summary - October 20, 2025');
+  const [, attention, upcoming, byStatus] = riley.body.split(/Needs attention:|Upcoming:|By status:/);
+  assert.match(riley.body, /Open: 3/);
+  assert.match(attention, /Stuck Survey<\/strong> - <strong>Stuck/);
+  assert.doesNotMatch(attention, /Soon Report|Later Plan/);
+  assert.match(upcoming, /Soon Report<\/strong> - Due in 5 days/);
+  assert.doesNotMatch(upcoming, /Later Plan|Stuck Survey/);
+  assert.ok(byStatus.indexOf('Project Assigned (2)') < byStatus.indexOf('Stuck (1)'));
+  assert.ok(byStatus.indexOf('Soon Report') < byStatus.indexOf('Later Plan'));
+  assert.doesNotMatch(riley.body, /Finished Audit|Sam Request/);
+});
+
+test('only runs on Mondays', () => {
+  createProject({});
+  world.now = new Date(2025, 9, 21, 8, 0, 0); // Tuesday
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  assert.equal(summaries().length, 0);
+});
+
+test('is skipped when the Weekly Summary template is not configured', () => {
+  district.setConfig('Email Template - Weekly Summary', '');
+  createProject({});
+
+  lib.call('runDailyMaintenance', district.spreadsheetId);
+
+  assert.equal(summaries().length, 0);
+  assert.equal(world.sentEmails.filter(m => /Failed/.test(m.subject)).length, 0);
+});